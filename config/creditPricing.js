@@ -0,0 +1,52 @@
+/**
+ * config/creditPricing.js
+ *
+ * Description: Credit cost table for billable AI operations (images, video, websites)
+ *
+ * Role in the system: Single source of prices used by the credit ledger when reserving credits
+ *
+ * Node.js Context: Configuration - Default prices with per-agent overrides (Agent.creditPricing)
+ *
+ * Dependencies:
+ * - process.env (optional price overrides)
+ *
+ * Dependants:
+ * - services/creditLedgerService.js (reserve amounts)
+ */
+
+// ============================================================================
+// Default Prices (credits per operation)
+// ============================================================================
+
+const DEFAULT_CREDIT_COSTS = {
+    imageProcessing: parseInt(process.env.CREDIT_COST_IMAGE_PROCESSING) || 100,
+    videoGeneration: parseInt(process.env.CREDIT_COST_VIDEO_GENERATION) || 500,
+    websiteGeneration: parseInt(process.env.CREDIT_COST_WEBSITE_GENERATION) || 1000
+};
+
+const BILLABLE_OPERATIONS = Object.keys(DEFAULT_CREDIT_COSTS);
+
+/**
+ * Resolves the credit cost of an operation for a given agent
+ * @param {string} operation - One of BILLABLE_OPERATIONS
+ * @param {Object} agent - Agent document (optional) with creditPricing overrides
+ * @returns {number} Credits to charge
+ */
+function getOperationCost(operation, agent = null) {
+    if (!BILLABLE_OPERATIONS.includes(operation)) {
+        throw new Error(`Unknown billable operation: ${operation}`);
+    }
+
+    const override = agent?.creditPricing?.[operation];
+    if (typeof override === 'number' && override >= 0) {
+        return override;
+    }
+
+    return DEFAULT_CREDIT_COSTS[operation];
+}
+
+module.exports = {
+    DEFAULT_CREDIT_COSTS,
+    BILLABLE_OPERATIONS,
+    getOperationCost
+};
@@ -30,7 +30,8 @@ module.exports = {
     
     // Tool Configuration
     TOOLS_ENABLED: process.env.TOOLS_ENABLED === 'false' ? false : true,
-    MAX_TOOL_CALLS: parseInt(process.env.MAX_TOOL_CALLS) || 10,
+    MAX_TOOL_CALLS: parseInt(process.env.MAX_TOOL_CALLS) || 10,            // Per AI turn, across tool rounds
+    TOOL_LOOP_TIMEOUT_MS: parseInt(process.env.TOOL_LOOP_TIMEOUT_MS) || 90000, // Wall-clock budget of the tool loop
     
     // Timeout Configuration
     REQUEST_TIMEOUT: parseInt(process.env.OPENAI_REQUEST_TIMEOUT) || 60000, // 60 seconds
@@ -3,27 +3,33 @@
  * 
  * Description: Authentication middleware for external API access using API key validation
  * 
- * Role in the system: Provides secure access control for external systems accessing conversation data
+ * Role in the system: Provides secure access control for external systems accessing conversation data.
+ * Keys are resolved by services/apiKeyService.js into scopes and agent restrictions that routes enforce
+ * with requireScope() and hasAgentAccess().
  * 
- * Node.js Context: Middleware - API key authentication and rate limiting for external endpoints
+ * Node.js Context: Middleware - API key authentication and authorization for external endpoints
  * 
  * Dependencies:
- * - process.env.API_KEY_WEBHOOK (environment variable for API key)
+ * - services/apiKeyService.js (stored keys + legacy API_KEY_WEBHOOK)
  * 
  * Dependants:
  * - routes/externalApiRoutes.js (uses this middleware for authentication)
+ * - routes/adminApiRoutes.js (admin endpoints, agents:admin scope)
  */
 
+const apiKeyService = require('./services/apiKeyService');
+
 /**
  * Validates API key for external system access.
- * Checks X-API-Key header or Authorization Bearer token against configured API key.
+ * Checks X-API-Key header or Authorization Bearer token against stored API keys
+ * (and the legacy API_KEY_WEBHOOK while it is enabled).
  * 
  * @param {Object} req Express request object
  * @param {Object} res Express response object  
  * @param {Function} next Express next middleware function
- * @returns {void} Calls next() if valid, returns 401 if invalid
+ * @returns {Promise<void>} Calls next() if valid, returns 401 if invalid
  */
-const validateExternalApiKey = (req, res, next) => {
+const validateExternalApiKey = async (req, res, next) => {
     try {
         // Extract API key from headers (support both formats)
         const apiKey = req.headers['x-api-key'] || 
@@ -48,21 +54,13 @@ const validateExternalApiKey = (req, res, next) => {
             });
         }
         
-        // Validate API key value
-        const validApiKey = process.env.API_KEY_WEBHOOK;
-        if (!validApiKey) {
-            console.error('API_KEY_WEBHOOK environment variable not configured');
-            return res.status(500).json({
-                success: false,
-                error: 'SERVER_CONFIGURATION_ERROR',
-                message: 'External API not properly configured',
-                timestamp: new Date().toISOString()
-            });
-        }
+        // Resolve the key into scopes and agent restrictions
+        const result = await apiKeyService.authenticate(apiKey, { ip: req.ip });
         
-        if (apiKey !== validApiKey) {
+        if (!result.success) {
             console.warn('External API access attempt with invalid API key:', {
                 providedKey: apiKey.substring(0, 8) + '...',
+                reason: result.error,
                 ip: req.ip,
                 userAgent: req.get('User-Agent'),
                 path: req.path,
@@ -71,21 +69,27 @@ const validateExternalApiKey = (req, res, next) => {
             
             return res.status(401).json({
                 success: false,
-                error: 'INVALID_API_KEY',
-                message: 'Invalid API key provided',
+                error: result.error,
+                message: result.message,
                 timestamp: new Date().toISOString()
             });
         }
         
-        // API key valid - add info to request for logging
+        // API key valid - add access context to request for authorization and logging
         req.externalApi = {
-            keyPrefix: apiKey.substring(0, 8) + '...',
+            keyId: result.access.keyId,
+            keyName: result.access.name,
+            keyPrefix: result.access.keyPrefix,
+            scopes: result.access.scopes,
+            agentIds: result.access.agentIds,
+            legacy: result.access.legacy,
             accessTime: new Date().toISOString(),
             clientIp: req.ip
         };
         
         console.log('External API access granted:', {
             keyPrefix: req.externalApi.keyPrefix,
+            keyName: req.externalApi.keyName,
             path: req.path,
             method: req.method,
             ip: req.ip
@@ -104,6 +108,66 @@ const validateExternalApiKey = (req, res, next) => {
     }
 };
 
+/**
+ * Middleware factory: rejects keys without the given scope with 403
+ * @param {string} scope - One of API_KEY_SCOPES
+ * @returns {Function} Express middleware
+ */
+const requireScope = (scope) => (req, res, next) => {
+    if (req.externalApi && req.externalApi.scopes.includes(scope)) {
+        return next();
+    }
+    
+    console.warn('External API access denied (missing scope):', {
+        keyPrefix: req.externalApi?.keyPrefix,
+        requiredScope: scope,
+        path: req.path,
+        method: req.method
+    });
+    
+    return res.status(403).json({
+        success: false,
+        error: 'INSUFFICIENT_SCOPE',
+        message: `This API key does not have the '${scope}' scope`,
+        timestamp: new Date().toISOString()
+    });
+};
+
+/**
+ * Agents the authenticated key is restricted to
+ * @param {Object} req Express request object
+ * @returns {Array<string>|null} Agent IDs, null when the key can access every agent
+ */
+const getAllowedAgentIds = (req) => {
+    const agentIds = req.externalApi?.agentIds || [];
+    return agentIds.length > 0 ? agentIds : null;
+};
+
+/**
+ * Whether the authenticated key can access an agent
+ * @param {Object} req Express request object
+ * @param {string} agentId Agent ID
+ * @returns {boolean} True for unrestricted keys or listed agents
+ */
+const hasAgentAccess = (req, agentId) => {
+    const allowed = getAllowedAgentIds(req);
+    return !allowed || (agentId != null && allowed.includes(agentId.toString()));
+};
+
+/**
+ * Standard 403 for resources of agents outside the key's restriction
+ */
+const respondAgentAccessDenied = (res) => res.status(403).json({
+    success: false,
+    error: 'AGENT_ACCESS_DENIED',
+    message: 'This API key is not allowed to access this agent',
+    timestamp: new Date().toISOString()
+});
+
 module.exports = {
-    validateExternalApiKey
+    validateExternalApiKey,
+    requireScope,
+    getAllowedAgentIds,
+    hasAgentAccess,
+    respondAgentAccessDenied
 };
@@ -64,11 +64,39 @@ const DurationsSchema = new Schema({
   total: { type: Number }                // Total end-to-end time in ms
 }, { _id: false });
 
+// A target of the agent's fallback chain that failed (5xx/429, timeout, not configured)
+const LLMAttemptSchema = new Schema({
+  provider: { type: String, required: true },
+  model: { type: String, required: true },
+  error: String,
+  status: { type: Number },              // HTTP status, when there was a response
+  durationMs: { type: Number }
+}, { _id: false });
+
 const ToolUsageSchema = new Schema({
   name: { type: String, required: true },
+  toolCallId: { type: String },          // OpenAI tool_call id
+  round: { type: Number },               // Tool loop round (1-based)
   executionTime: { type: Number },       // ms to execute tool
   success: { type: Boolean, default: true },
-  error: String
+  error: String,
+  parallel: { type: Boolean, default: false },  // Ran concurrently with other read-only tools
+  timedOut: { type: Boolean, default: false }   // Hit its timeout; the model got a 'still_running' result
+}, { _id: false });
+
+// Model output that failed validation against the agent responseSchema (services/responseValidationService.js)
+const InvalidOutputSchema = new Schema({
+  source: { type: String, enum: ['model', 'repair'] },  // Original turn output or a repair request
+  finishReason: String,
+  validationErrors: [{ path: String, message: String, _id: false }],
+  rawContent: String,                    // Raw payload (first 100k characters)
+  rawContentLength: Number
+}, { _id: false });
+
+const ResponseValidationSchema = new Schema({
+  status: { type: String, enum: ['valid', 'repaired', 'fallback'] },
+  repairAttempts: { type: Number, default: 0 },
+  invalidOutputs: [InvalidOutputSchema]
 }, { _id: false });
 
 // ============================================================================
@@ -107,7 +135,7 @@ const AIRequestSchema = new Schema({
   model: {
     type: String,
     required: true,
-    description: 'OpenAI model used (e.g., gpt-5-mini, gpt-5)'
+    description: 'Primary model configured for the agent (e.g., gpt-5-mini, gpt-5)'
   },
   streaming: {
     type: Boolean,
@@ -122,6 +150,18 @@ const AIRequestSchema = new Schema({
     type: Number,
     description: 'Temperature setting used'
   },
+  provider: {
+    type: String,
+    description: 'LLM provider that answered (openai, azure_openai, gemini, openai_compatible)'
+  },
+  modelUsed: {
+    type: String,
+    description: 'Model that answered; differs from model when a fallback answered'
+  },
+  fallbackAttempts: [{
+    type: LLMAttemptSchema,
+    description: 'Targets of the fallback chain that failed before the answer'
+  }],
   
   // === Token Tracking (High Precision) ===
   tokens: {
@@ -175,6 +215,12 @@ const AIRequestSchema = new Schema({
     timestamp: { type: Date }
   },
   
+  // === Response Validation ===
+  responseValidation: {
+    type: ResponseValidationSchema,
+    description: 'Validation of the AI output against the agent responseSchema: valid, repaired or replaced by the fallback message'
+  },
+
   // === Tool Usage ===
   toolsUsed: [{
     type: ToolUsageSchema,
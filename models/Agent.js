@@ -20,16 +20,45 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
+// LLM providers (services/llm/index.js); 'mock' answers from a script (offline replays)
+const LLM_PROVIDERS = ['openai', 'azure_openai', 'gemini', 'openai_compatible', 'mock'];
+
 // ============================================================================
 // Sub-Schemas
 // ============================================================================
 
+// A model tried, in order, when the previous one fails with 5xx/429 or times out.
+// Unset fields are taken from the primary modelConfig.
+const FallbackModelSchema = new Schema({
+  provider: {
+    type: String,
+    enum: LLM_PROVIDERS,
+    required: true
+  },
+  model: {
+    type: String,
+    required: true
+  },
+  maxCompletionTokens: { type: Number, min: 512, max: 32000 },
+  temperature: { type: Number, min: 0, max: 2.0 },
+  reasoningEffort: { type: String, enum: ['none', 'minimal', 'low', 'medium', 'high'] },
+  verbosity: { type: String, enum: ['low', 'medium', 'high'] },
+  requestTimeoutMs: { type: Number, min: 1000, max: 300000 },
+  capabilities: { type: Schema.Types.Mixed }
+}, { _id: false });
+
 const ModelConfigSchema = new Schema({
+  provider: {
+    type: String,
+    enum: LLM_PROVIDERS,
+    default: 'openai',
+    description: 'LLM provider of the primary model'
+  },
   model: {
     type: String,
     required: true,
     default: 'gpt-5-mini',
-    description: 'OpenAI model: gpt-5, gpt-5.1, gpt-5-mini, gpt-4o, etc.'
+    description: 'Model (Azure: deployment name): gpt-5, gpt-5.1, gpt-5-mini, gpt-4o, gemini-2.5-flash, etc.'
   },
   maxCompletionTokens: {
     type: Number,
@@ -42,7 +71,7 @@ const ModelConfigSchema = new Schema({
     default: 1.0,
     min: 0,
     max: 2.0,
-    description: 'Temperature for non-reasoning models (ignored for gpt-5/5.1 with reasoning)'
+    description: 'Temperature, sent only to models that support it (services/llm/modelCapabilities.js)'
   },
   streaming: {
     type: Boolean,
@@ -64,6 +93,57 @@ const ModelConfigSchema = new Schema({
     enum: ['low', 'medium', 'high'],
     default: 'low',
     description: 'Response verbosity for reasoning models. Only applies to gpt-5/5.1.'
+  },
+
+  // ========================================================================
+  // ⭐ PROVIDER ROUTING
+  // ========================================================================
+
+  requestTimeoutMs: {
+    type: Number,
+    min: 1000,
+    max: 300000,
+    description: 'Per-attempt timeout before falling back (default OPENAI_REQUEST_TIMEOUT)'
+  },
+  capabilities: {
+    type: Schema.Types.Mixed,
+    description: 'Overrides of the capability table for this model, e.g. { jsonSchema: false, vision: false } for a local model'
+  },
+  fallbacks: {
+    type: [FallbackModelSchema],
+    default: [],
+    description: 'Ordered fallback chain used when the primary returns 5xx/429 or times out'
+  }
+}, { _id: false });
+
+// Approved WhatsApp message template (HSM); body variables are named and map to {{1}}, {{2}}... in order
+const MessageTemplateSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    match: /^[a-z0-9_]+$/  // Template name as approved by Meta
+  },
+  language: {
+    type: String,
+    default: 'es'
+  },
+  category: {
+    type: String,
+    enum: ['utility', 'marketing', 'authentication'],
+    default: 'utility'
+  },
+  description: String,
+  body: {
+    type: String,
+    required: true  // Approved body text with {{1}}... placeholders (stored as the sent message content)
+  },
+  variables: {
+    type: [String],
+    default: []
+  },
+  serviceWindowFallback: {
+    type: Boolean,
+    default: false  // Sent instead of free-form messages outside the 24h window (one per agent)
   }
 }, { _id: false });
 
@@ -80,7 +160,7 @@ const AgentSchema = new Schema({
             },
             type: {
     type: String,
-    enum: ['openai', 'wpp-bsp'],
+    enum: ['openai', 'wpp-bsp', 'wpp-cloud'],  // UltraMsg, WhatsApp Factory, Meta WhatsApp Cloud API
     required: true
   },
   status: {
@@ -113,7 +193,19 @@ const AgentSchema = new Schema({
   systemPrompt: {
     type: String,
     required: true,
-    maxlength: 1000000  // 1MB limit for very large prompts
+    maxlength: 1000000  // 1MB limit for very large prompts (mirrors the active AgentPrompt version)
+  },
+  activePrompt: {
+    type: new Schema({
+      promptId: {
+        type: Schema.Types.ObjectId,
+        ref: 'AgentPrompt'
+      },
+      version: Number,
+      activatedAt: Date,
+      activatedBy: String
+    }, { _id: false }),
+    required: false  // Unset for agents created before prompt versioning
   },
   modelConfig: {
     type: ModelConfigSchema,
@@ -167,6 +259,86 @@ const AgentSchema = new Schema({
     })
   },
   
+  // ========================================================================
+  // ⭐ MESSAGE TEMPLATES (WhatsApp Cloud API, see services/templateMessageService.js)
+  // ========================================================================
+
+  templates: {
+    type: [MessageTemplateSchema],
+    default: []
+  },
+
+  // ========================================================================
+  // ⭐ CAMPAIGNS (services/campaignService.js, services/campaignWorker.js)
+  // ========================================================================
+  // Pacing of broadcast sends for this agent and the keywords that opt participants out / back in
+  // (empty = the defaults in campaignService)
+
+  campaignConfig: {
+    type: new Schema({
+      messagesPerMinute: { type: Number, min: 1, max: 600 },
+      optOutKeywords: [String],
+      optInKeywords: [String]
+    }, { _id: false }),
+    required: false
+  },
+
+  // ========================================================================
+  // ⭐ FOLLOW-UPS (services/followUpService.js, services/followUpWorker.js)
+  // ========================================================================
+  // Minutes of silence after which a participant with a Request still 'active' gets one nudge from
+  // the AI (unset = followUpService default, 0 = no nudges)
+
+  followUpConfig: {
+    type: new Schema({
+      abandonedRequestMinutes: { type: Number, min: 0, max: 7 * 24 * 60 }
+    }, { _id: false }),
+    required: false
+  },
+
+  // ========================================================================
+  // ⭐ RESPONSE VALIDATION (services/responseValidationService.js)
+  // ========================================================================
+  // AI outputs that don't match responseSchema get up to repairAttempts repair requests (unset =
+  // RESPONSE_REPAIR_ATTEMPTS, 0 = none); when they fail, fallbackMessage is sent instead (unset = service default)
+
+  responseValidationConfig: {
+    type: new Schema({
+      repairAttempts: { type: Number, min: 0, max: 3 },
+      fallbackMessage: { type: String, maxlength: 1000 }
+    }, { _id: false }),
+    required: false
+  },
+
+  // ========================================================================
+  // ⭐ TELEGRAM CHANNEL (optional, in addition to the WhatsApp channel in type)
+  // ========================================================================
+  // Set up with tools/setupTelegramBot.js; webhook: /api/webhook?channel=telegram&bot=<botId>
+
+  telegram: {
+    type: new Schema({
+      botToken: String,       // Token from @BotFather
+      botId: String,          // Numeric bot id (prefix of the token)
+      botUsername: String,
+      webhookSecret: String,  // X-Telegram-Bot-Api-Secret-Token registered with setWebhook
+      connectedAt: Date
+    }, { _id: false }),
+    required: false
+  },
+
+  // ========================================================================
+  // ⭐ CREDIT PRICING (overrides config/creditPricing.js defaults)
+  // ========================================================================
+  
+  creditPricing: {
+    type: new Schema({
+      imageProcessing: { type: Number, min: 0 },
+      videoGeneration: { type: Number, min: 0 },
+      websiteGeneration: { type: Number, min: 0 }
+    }, { _id: false }),
+    required: false
+  },
+  
   // === Metadata ===
   metadata: {
     version: {
@@ -200,6 +372,9 @@ const AgentSchema = new Schema({
 // Webhook agent lookup (critical path)
 AgentSchema.index({ instanceId: 1 }, { sparse: true });
 
+// Telegram webhook agent lookup
+AgentSchema.index({ 'telegram.botId': 1 }, { sparse: true });
+
 // Agent name search
 AgentSchema.index({ name: 1 });
 
@@ -255,6 +430,15 @@ AgentSchema.methods.getCredentials = function() {
   };
 };
 
+/**
+ * Message template definition by name
+ * @param {string} name - Template name
+ * @returns {Object|null} Template definition
+ */
+AgentSchema.methods.getTemplate = function(name) {
+  return (this.templates || []).find(template => template.name === name) || null;
+};
+
 /**
  * Get AI configuration for Responses API
  * @returns {Object} AI configuration
@@ -358,3 +542,4 @@ AgentSchema.set('toObject', { virtuals: true });
 const Agent = mongoose.model('Agent', AgentSchema);
 
 module.exports = Agent;
+module.exports.LLM_PROVIDERS = LLM_PROVIDERS;
@@ -0,0 +1,269 @@
+/**
+ * models/AgentPrompt.js
+ *
+ * Description: MongoDB model for versioned agent system prompts
+ *
+ * Role in the system: Immutable prompt history per agent. Agent.activePrompt points at the version
+ * in use; activating an older version is a rollback.
+ *
+ * Node.js Context: Model - MongoDB schema for prompt versioning
+ *
+ * Dependencies:
+ * - mongoose (ODM for MongoDB operations)
+ *
+ * Dependants:
+ * - utils/promptManager.js (create, activate, rollback, cached reads)
+ * - tools/promptAdmin.js (CLI)
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// ============================================================================
+// Sub-Schemas
+// ============================================================================
+
+const DiffSummarySchema = new Schema({
+  previousVersion: {
+    type: Number,
+    default: null
+  },
+  linesAdded: {
+    type: Number,
+    default: 0
+  },
+  linesRemoved: {
+    type: Number,
+    default: 0
+  },
+  charDelta: {
+    type: Number,
+    default: 0
+  },
+  summary: String
+}, { _id: false });
+
+const ActivationSchema = new Schema({
+  activatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  activatedBy: {
+    type: String,
+    default: 'system'
+  },
+  reason: String
+}, { _id: false });
+
+// ============================================================================
+// Main AgentPrompt Schema
+// ============================================================================
+
+const AgentPromptSchema = new Schema({
+  agentId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Agent',
+    required: true,
+    index: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  systemPrompt: {
+    type: String,
+    required: true,
+    maxlength: 1000000  // Same limit as Agent.systemPrompt
+  },
+
+  // === Authoring ===
+  author: {
+    type: String,
+    default: 'system'
+  },
+  notes: {
+    type: String,
+    maxlength: 1000
+  },
+  basedOnVersion: {
+    type: Number,  // Set when the version was created from another one
+    default: null
+  },
+  diffSummary: {
+    type: DiffSummarySchema,
+    default: () => ({})
+  },
+
+  // === Activation ===
+  activatedAt: {
+    type: Date,  // Last time this version became active
+    default: null
+  },
+  activations: [ActivationSchema],
+
+  // === Metadata ===
+  metadata: {
+    characterCount: Number,
+    wordCount: Number,
+    estimatedTokens: Number,
+    category: {
+      type: String,
+      default: 'general'
+    },
+    tags: [String]
+  }
+}, {
+  timestamps: true,
+  collection: 'agent_prompts'
+});
+
+// ============================================================================
+// Indexes for Performance
+// ============================================================================
+
+// One document per agent version
+AgentPromptSchema.index({ agentId: 1, version: -1 }, { unique: true });
+
+// ============================================================================
+// Middleware
+// ============================================================================
+
+// Prompt content is immutable once stored: new content means a new version
+AgentPromptSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified('systemPrompt')) {
+    return next(new Error('AgentPrompt content is immutable, create a new version instead'));
+  }
+  next();
+});
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Build a line-based summary of the changes between two prompts
+ * @param {string} previousPrompt - Previous prompt content (or null)
+ * @param {string} nextPrompt - New prompt content
+ * @returns {Object} { linesAdded, linesRemoved, charDelta, summary }
+ */
+function buildDiffSummary(previousPrompt, nextPrompt) {
+  if (!previousPrompt) {
+    const lines = nextPrompt.split('\n').length;
+    return {
+      linesAdded: lines,
+      linesRemoved: 0,
+      charDelta: nextPrompt.length,
+      summary: `Initial version (${lines} lines)`
+    };
+  }
+
+  // Multiset of lines so repeated lines are counted correctly
+  const remaining = new Map();
+  for (const line of previousPrompt.split('\n')) {
+    remaining.set(line, (remaining.get(line) || 0) + 1);
+  }
+
+  let linesAdded = 0;
+  for (const line of nextPrompt.split('\n')) {
+    const count = remaining.get(line) || 0;
+    if (count > 0) {
+      remaining.set(line, count - 1);
+    } else {
+      linesAdded++;
+    }
+  }
+
+  const linesRemoved = Array.from(remaining.values()).reduce((sum, count) => sum + count, 0);
+  const charDelta = nextPrompt.length - previousPrompt.length;
+
+  return {
+    linesAdded,
+    linesRemoved,
+    charDelta,
+    summary: `+${linesAdded} / -${linesRemoved} lines (${charDelta >= 0 ? '+' : ''}${charDelta} chars)`
+  };
+}
+
+// ============================================================================
+// Static Methods
+// ============================================================================
+
+/**
+ * Create a new prompt version (does not activate it)
+ * @param {string} agentId - Agent ObjectId
+ * @param {string} systemPrompt - Prompt content
+ * @param {Object} options - { author, notes, category, tags, basedOnVersion }
+ * @returns {Promise<Object>} Created AgentPrompt document
+ */
+AgentPromptSchema.statics.createPrompt = async function(agentId, systemPrompt, options = {}) {
+  const latest = await this.findOne({ agentId }).sort({ version: -1 });
+
+  const diffSummary = {
+    previousVersion: latest ? latest.version : null,
+    ...buildDiffSummary(latest ? latest.systemPrompt : null, systemPrompt)
+  };
+
+  return this.create({
+    agentId,
+    version: latest ? latest.version + 1 : 1,
+    systemPrompt,
+    author: options.author || options.modifiedBy || 'system',
+    notes: options.notes,
+    basedOnVersion: options.basedOnVersion || null,
+    diffSummary,
+    metadata: {
+      characterCount: systemPrompt.length,
+      wordCount: systemPrompt.split(/\s+/).filter(Boolean).length,
+      estimatedTokens: Math.ceil(systemPrompt.length / 4),
+      category: options.category || 'general',
+      tags: options.tags || []
+    }
+  });
+};
+
+/**
+ * Get the version currently pointed to by Agent.activePrompt
+ * @param {string} agentId - Agent ObjectId
+ * @returns {Promise<Object|null>} Active AgentPrompt document
+ */
+AgentPromptSchema.statics.getActivePrompt = async function(agentId) {
+  const Agent = mongoose.model('Agent');
+  const agent = await Agent.findById(agentId).select('activePrompt').lean();
+
+  if (!agent || !agent.activePrompt || !agent.activePrompt.promptId) {
+    return null;
+  }
+
+  return this.findById(agent.activePrompt.promptId);
+};
+
+/**
+ * Get a specific version
+ * @param {string} agentId - Agent ObjectId
+ * @param {number} version - Version number
+ * @returns {Promise<Object|null>} AgentPrompt document
+ */
+AgentPromptSchema.statics.findVersion = function(agentId, version) {
+  return this.findOne({ agentId, version });
+};
+
+/**
+ * Get version history without prompt bodies
+ * @param {string} agentId - Agent ObjectId
+ * @param {number} limit - Max versions
+ * @returns {Promise<Array>} Versions, newest first
+ */
+AgentPromptSchema.statics.getPromptHistory = function(agentId, limit = 10) {
+  return this.find({ agentId })
+    .select('-systemPrompt')
+    .sort({ version: -1 })
+    .limit(limit)
+    .lean();
+};
+
+AgentPromptSchema.statics.buildDiffSummary = buildDiffSummary;
+
+const AgentPrompt = mongoose.model('AgentPrompt', AgentPromptSchema);
+
+module.exports = AgentPrompt;
@@ -0,0 +1,178 @@
+/**
+ * models/ApiKey.js
+ *
+ * Description: MongoDB model for per-integration API credentials (hashed keys with scopes)
+ *
+ * Role in the system: Each external integration gets its own key, limited to the scopes and agents it
+ * needs. Only a SHA-256 hash of the key is stored; the plain key is shown once when it is created.
+ *
+ * Node.js Context: Model - MongoDB schema
+ *
+ * Dependencies:
+ * - mongoose (ODM for MongoDB operations)
+ * - crypto (key hashing)
+ *
+ * Dependants:
+ * - services/apiKeyService.js (issue, authenticate, revoke)
+ * - routes/adminApiRoutes.js (key management endpoints)
+ */
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const Schema = mongoose.Schema;
+
+// conversations:read - read conversations, messages, handoff state and the event stream
+// messages:send      - send operator messages and change the handoff mode
+// campaigns:manage   - create, start and report proactive campaigns (broadcast sends)
+// agents:admin       - admin API (agents, tools, response schemas, webhooks, API keys)
+// webhooks:receive   - inbound provider webhooks (POST /api/webhook)
+const API_KEY_SCOPES = ['conversations:read', 'messages:send', 'campaigns:manage', 'agents:admin', 'webhooks:receive'];
+
+const KEY_PREFIX_LENGTH = 11; // "ak_" + 8 characters, safe to log and display
+
+// ============================================================================
+// Main ApiKey Schema
+// ============================================================================
+
+const ApiKeySchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    maxlength: 500
+  },
+
+  // === Credential ===
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  keyPrefix: {
+    type: String,
+    required: true
+  },
+
+  // === Permissions ===
+  scopes: {
+    type: [{
+      type: String,
+      enum: API_KEY_SCOPES
+    }],
+    validate: {
+      validator: value => Array.isArray(value) && value.length > 0,
+      message: 'scopes must contain at least one scope'
+    }
+  },
+  // Agents this key can access; empty = all agents
+  agentIds: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Agent'
+  }],
+
+  // === Lifecycle ===
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    maxlength: 200
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String
+  },
+  createdBy: {
+    type: String
+  }
+}, {
+  timestamps: true,
+  collection: 'api_keys'
+});
+
+// ============================================================================
+// Indexes for Performance
+// ============================================================================
+
+ApiKeySchema.index({ revokedAt: 1, createdAt: -1 });
+
+// ============================================================================
+// Instance Methods
+// ============================================================================
+
+/**
+ * Why the key cannot be used right now
+ * @param {Date} now - Current time
+ * @returns {string|null} 'API_KEY_REVOKED' | 'API_KEY_EXPIRED', null when usable
+ */
+ApiKeySchema.methods.getInvalidReason = function(now = new Date()) {
+  if (this.revokedAt) return 'API_KEY_REVOKED';
+  if (this.expiresAt && this.expiresAt <= now) return 'API_KEY_EXPIRED';
+  return null;
+};
+
+ApiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+/**
+ * Whether the key can access an agent
+ * @param {string} agentId - Agent ID
+ * @returns {boolean} True for unrestricted keys or listed agents
+ */
+ApiKeySchema.methods.allowsAgent = function(agentId) {
+  return this.agentIds.length === 0 || this.agentIds.some(id => id.toString() === String(agentId));
+};
+
+// ============================================================================
+// Static Methods
+// ============================================================================
+
+/**
+ * SHA-256 of a plain key (keys are random, so no salt/slow hash is needed)
+ * @param {string} plainKey - Plain API key
+ * @returns {string} Hex digest
+ */
+ApiKeySchema.statics.hashKey = function(plainKey) {
+  return crypto.createHash('sha256').update(String(plainKey)).digest('hex');
+};
+
+/**
+ * Generate a new plain key
+ * @returns {Object} { plainKey, keyHash, keyPrefix }
+ */
+ApiKeySchema.statics.generateKey = function() {
+  const plainKey = `ak_${crypto.randomBytes(24).toString('base64url')}`;
+  return {
+    plainKey,
+    keyHash: this.hashKey(plainKey),
+    keyPrefix: plainKey.substring(0, KEY_PREFIX_LENGTH)
+  };
+};
+
+/**
+ * Find the key document for a plain key (revoked/expired keys included)
+ * @param {string} plainKey - Plain API key
+ * @returns {Promise<Object|null>} ApiKey document
+ */
+ApiKeySchema.statics.findByPlainKey = function(plainKey) {
+  return this.findOne({ keyHash: this.hashKey(plainKey) });
+};
+
+const ApiKey = mongoose.model('ApiKey', ApiKeySchema);
+
+module.exports = ApiKey;
+module.exports.API_KEY_SCOPES = API_KEY_SCOPES;
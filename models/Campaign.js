@@ -0,0 +1,141 @@
+/**
+ * models/Campaign.js
+ *
+ * Description: MongoDB model for proactive campaigns (broadcast messages started by us, not by the user)
+ *
+ * Role in the system: Holds the audience filter, the message (free-form text or an approved template, both
+ * with per-participant placeholders) and the lifecycle of a broadcast. Recipients and their delivery state
+ * live in CampaignRecipient; sends are paced per agent by services/campaignWorker.js.
+ *
+ * Node.js Context: Model - MongoDB schema
+ *
+ * Dependencies:
+ * - mongoose (ODM for MongoDB operations)
+ *
+ * Dependants:
+ * - services/campaignService.js (creation, audience, lifecycle, reporting)
+ * - services/campaignWorker.js (sends)
+ * - routes/externalApiRoutes.js (campaign endpoints)
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const CAMPAIGN_STATUSES = ['draft', 'scheduled', 'running', 'paused', 'completed', 'cancelled'];
+
+// ============================================================================
+// Sub-schemas
+// ============================================================================
+
+// Participants with a conversation with the campaign's agent, narrowed by these filters (unset = no filter)
+const AudienceSchema = new Schema({
+  participantStatuses: {
+    type: [String],
+    enum: ['active', 'inactive', 'restricted'],
+    default: ['active']
+  },
+  minCreditBalance: Number,
+  maxCreditBalance: Number,
+  lastActivityAfter: Date,
+  lastActivityBefore: Date
+}, { _id: false });
+
+// Exactly one of text or template; placeholders like {{first_name}} are filled per participant
+const CampaignMessageSchema = new Schema({
+  text: {
+    type: String,
+    maxlength: 4096
+  },
+  template: {
+    type: new Schema({
+      name: {
+        type: String,
+        required: true
+      },
+      variables: {
+        type: Schema.Types.Mixed,  // { variableName: 'value with {{placeholders}}' }
+        default: () => ({})
+      }
+    }, { _id: false }),
+    required: false
+  }
+}, { _id: false });
+
+// ============================================================================
+// Main Campaign Schema
+// ============================================================================
+
+const CampaignSchema = new Schema({
+  agentId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Agent',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    maxlength: 1000
+  },
+  audience: {
+    type: AudienceSchema,
+    default: () => ({})
+  },
+  message: {
+    type: CampaignMessageSchema,
+    required: true
+  },
+
+  // === Lifecycle ===
+  // draft:     created, audience not resolved yet
+  // scheduled: start requested for scheduledAt
+  // running:   recipients queued, the worker is sending
+  // paused:    sending stopped, remaining recipients stay queued
+  // completed: every recipient was processed
+  // cancelled: stopped for good, remaining recipients skipped
+  status: {
+    type: String,
+    enum: CAMPAIGN_STATUSES,
+    default: 'draft'
+  },
+  scheduledAt: Date,
+  startedAt: Date,
+  pausedAt: Date,
+  completedAt: Date,
+  cancelledAt: Date,
+  recipientCount: {
+    type: Number,
+    default: 0
+  },
+
+  createdBy: {
+    type: String,  // API key name or tool that created the campaign
+    default: 'system'
+  }
+}, {
+  timestamps: true,
+  collection: 'campaigns'
+});
+
+// ============================================================================
+// Indexes for Performance
+// ============================================================================
+
+// Campaign list per agent
+CampaignSchema.index({ agentId: 1, createdAt: -1 });
+
+// Worker: scheduled campaigns that are due
+CampaignSchema.index({ status: 1, scheduledAt: 1 });
+
+// ============================================================================
+// Export Model
+// ============================================================================
+
+const Campaign = mongoose.model('Campaign', CampaignSchema);
+
+module.exports = Campaign;
+module.exports.CAMPAIGN_STATUSES = CAMPAIGN_STATUSES;
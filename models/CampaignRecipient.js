@@ -0,0 +1,113 @@
+/**
+ * models/CampaignRecipient.js
+ *
+ * Description: MongoDB model for the recipients of a campaign (one per participant) and their delivery state
+ *
+ * Role in the system: Created when a campaign starts (audience snapshot); the campaign worker claims each
+ * queued recipient, sends and records the Message it created. Delivery receipts of that Message move the
+ * recipient through sent → delivered → read, which is the per-recipient campaign report.
+ *
+ * Node.js Context: Model - MongoDB schema
+ *
+ * Dependencies:
+ * - mongoose (ODM for MongoDB operations)
+ *
+ * Dependants:
+ * - services/campaignService.js (audience snapshot, reporting, delivery receipts)
+ * - services/campaignWorker.js (claim and send)
+ * - routes/externalApiRoutes.js (recipient report)
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const RECIPIENT_STATUSES = ['queued', 'sending', 'sent', 'delivered', 'read', 'failed', 'skipped'];
+
+// Why a recipient was not sent to
+const SKIP_REASONS = [
+  'opted_out',                // Wrote an opt-out keyword to the agent
+  'participant_unavailable',  // Deleted, or no longer in an audience status
+  'outside_service_window',   // Free-form text on a channel with a closed 24h window
+  'templates_not_supported',  // Template campaign, conversation on a channel without templates
+  'cancelled'                 // Campaign cancelled before the recipient's turn
+];
+
+// ============================================================================
+// Main CampaignRecipient Schema
+// ============================================================================
+
+const CampaignRecipientSchema = new Schema({
+  campaignId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true
+  },
+  agentId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Agent',
+    required: true
+  },
+  participantId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Participant',
+    required: true
+  },
+  conversationId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  // Snapshot for the report (the participant may change later)
+  phoneNumber: String,
+  participantName: String,
+
+  status: {
+    type: String,
+    enum: RECIPIENT_STATUSES,
+    default: 'queued'
+  },
+  skipReason: {
+    type: String,
+    enum: SKIP_REASONS
+  },
+  messageId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  error: {
+    type: String,
+    maxlength: 1000
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  sentAt: Date,
+  deliveredAt: Date,
+  readAt: Date,
+  failedAt: Date
+}, {
+  timestamps: true,
+  collection: 'campaign_recipients'
+});
+
+// ============================================================================
+// Indexes for Performance
+// ============================================================================
+
+// One recipient per participant and campaign; report by status
+CampaignRecipientSchema.index({ campaignId: 1, participantId: 1 }, { unique: true });
+CampaignRecipientSchema.index({ campaignId: 1, status: 1 });
+
+// Delivery receipts: recipient of a message
+CampaignRecipientSchema.index({ messageId: 1 }, { sparse: true });
+
+// ============================================================================
+// Export Model
+// ============================================================================
+
+const CampaignRecipient = mongoose.model('CampaignRecipient', CampaignRecipientSchema);
+
+module.exports = CampaignRecipient;
+module.exports.RECIPIENT_STATUSES = RECIPIENT_STATUSES;
+module.exports.SKIP_REASONS = SKIP_REASONS;
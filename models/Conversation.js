@@ -17,11 +17,15 @@
  * - modules/conversationManager.js (conversation creation and retrieval)
  * - modules/messageQueue.js (conversation updates)
  * - routes/webhookRoutes.js (conversation lookup)
+ * - services/conversationSummaryService.js (rolling summary)
  */
 
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
+// WhatsApp Business customer service window
+const SERVICE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
 // Note: MessageSchema has been moved to models/Message.js
 // Messages are now stored in a separate collection for scalability
 
@@ -35,9 +39,15 @@ const ConversationSchema = new Schema({
   },
   phoneNumber: {
     type: String,
-    required: true,
+    required: true,  // Recipient address: phone number, or the chat id on channels without phone numbers
     index: true
   },
+  // Channel the conversation runs on when it is not the agent's own WhatsApp channel (e.g. 'telegram')
+  // Outbound messages go through this channel; null = the agent's channel (Agent.type)
+  channel: {
+    type: String,
+    default: null
+  },
   participantName: {
     type: String,
     default: 'Unknown'
@@ -73,6 +83,12 @@ const ConversationSchema = new Schema({
     type: Date,
     default: Date.now
   },
+  // Latest user message: opens the 24h customer service window on WhatsApp Business channels
+  // (free-form messages only inside it, templates outside; unset on conversations older than the field)
+  lastUserMessageAt: {
+    type: Date,
+    default: null
+  },
   lastMessageSender: {
     role: {
       type: String,
@@ -95,6 +111,69 @@ const ConversationSchema = new Schema({
     type: String,
     enum: ['active', 'inactive'],
     default: 'active'
+  },
+
+  // === Human Handoff ===
+  // ai:     AI answers user messages
+  // human:  an operator owns the conversation, AI stays silent
+  // paused: nobody answers automatically (e.g. waiting on an external process)
+  // User messages are always persisted; only AI processing is skipped outside 'ai' mode
+  handoff: {
+    mode: {
+      type: String,
+      enum: ['ai', 'human', 'paused'],
+      default: 'ai'
+    },
+    assignee: {
+      id: String,
+      name: String
+    },
+    reason: {
+      type: String,
+      maxlength: 500
+    },
+    requestedBy: {
+      type: String,
+      enum: ['api', 'ai_tool', 'operator_message', 'system'],
+      default: 'system'
+    },
+    changedAt: Date,
+    autoResumeAt: {
+      type: Date,
+      default: null  // Back to 'ai' after this time (null = until changed explicitly)
+    }
+  },
+
+  // === Delivery Receipts (outbound messages) ===
+  delivery: {
+    lastDeliveredAt: Date,
+    lastReadAt: Date,          // Participant read our latest messages
+    lastFailedAt: Date,
+    failedCount: {
+      type: Number,
+      default: 0               // Failed messages not yet retried successfully
+    }
+  },
+  lastReadByOperatorAt: {
+    type: Date,
+    default: null              // Set when unreadCount is reset
+  },
+
+  // === Rolling Summary (services/conversationSummaryService.js) ===
+  // Messages that fell out of the AI history window, summarized and extended incrementally
+  summary: {
+    text: String,
+    coveredUntil: Date,        // Timestamp of the newest summarized message
+    coveredUntilMessageId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Message'           // Newest summarized message: tie-breaker for messages sharing coveredUntil
+    },
+    messageCount: {
+      type: Number,
+      default: 0               // Messages summarized so far
+    },
+    model: String,
+    updatedAt: Date
   }
 }, {
   timestamps: true
@@ -122,6 +201,12 @@ ConversationSchema.index({ agentId: 1, status: 1 });
 // ⭐ NEW: Phone + agent lookup (for multi-agent scenarios)
 ConversationSchema.index({ phoneNumber: 1, agentId: 1 });
 
+// Conversations waiting on an operator
+ConversationSchema.index({ 'handoff.mode': 1, agentId: 1 });
+
+// Conversations with undelivered messages
+ConversationSchema.index({ agentId: 1, 'delivery.failedCount': 1 });
+
 // ============================================================================
 // Virtual Properties
 // ============================================================================
@@ -170,11 +255,38 @@ ConversationSchema.methods.incrementMessageCount = async function() {
   return await this.save();
 };
 
+/**
+ * Effective handoff mode, honoring autoResumeAt
+ * @param {Date} now - Reference time
+ * @returns {string} 'ai' | 'human' | 'paused'
+ */
+ConversationSchema.methods.getHandoffMode = function(now = new Date()) {
+  const handoff = this.handoff || {};
+  if (!handoff.mode || handoff.mode === 'ai') {
+    return 'ai';
+  }
+  if (handoff.autoResumeAt && new Date(handoff.autoResumeAt) <= now) {
+    return 'ai';
+  }
+  return handoff.mode;
+};
+
+/**
+ * Whether free-form messages can still be sent (24h customer service window)
+ * Conversations without lastUserMessageAt predate window tracking and count as open
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+ConversationSchema.methods.isServiceWindowOpen = function(now = new Date()) {
+  return Conversation.isServiceWindowOpen(this, now);
+};
+
 /**
  * Reset unread count
  */
 ConversationSchema.methods.resetUnreadCount = async function() {
   this.unreadCount = 0;
+  this.lastReadByOperatorAt = new Date();
   return await this.save();
 };
 
@@ -182,6 +294,29 @@ ConversationSchema.methods.resetUnreadCount = async function() {
 // Static Methods
 // ============================================================================
 
+/**
+ * Service window check for documents and lean objects alike
+ * @param {Object} conversation - Conversation (lastUserMessageAt)
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+ConversationSchema.statics.isServiceWindowOpen = function(conversation, now = new Date()) {
+  const expiresAt = Conversation.getServiceWindowExpiry(conversation);
+  return !expiresAt || expiresAt > now;
+};
+
+/**
+ * End of the 24h customer service window, null when unknown
+ * @param {Object} conversation - Conversation (lastUserMessageAt)
+ * @returns {Date|null}
+ */
+ConversationSchema.statics.getServiceWindowExpiry = function(conversation) {
+  if (!conversation?.lastUserMessageAt) {
+    return null;
+  }
+  return new Date(new Date(conversation.lastUserMessageAt).getTime() + SERVICE_WINDOW_MS);
+};
+
 /**
  * Find conversation by participant and agent
  * @param {ObjectId} participantId - Participant ID
@@ -210,6 +345,34 @@ ConversationSchema.statics.findByAgent = async function(agentId) {
   return await this.find({ agentId }).sort({ lastMessageTime: -1 });
 };
 
+/**
+ * Record a delivery status change of one of the conversation's outbound messages
+ * @param {ObjectId} conversationId - Conversation ID
+ * @param {string} status - 'delivered' | 'read' | 'failed' | 'retried' (a failed message was resent)
+ * @param {Date} at - When it happened
+ * @returns {Promise<Object>} Update result
+ */
+ConversationSchema.statics.recordDeliveryStatus = async function(conversationId, status, at = new Date()) {
+  switch (status) {
+    case 'delivered':
+      return this.updateOne({ _id: conversationId }, { $max: { 'delivery.lastDeliveredAt': at } });
+    case 'read':
+      return this.updateOne({ _id: conversationId }, { $max: { 'delivery.lastDeliveredAt': at, 'delivery.lastReadAt': at } });
+    case 'failed':
+      return this.updateOne(
+        { _id: conversationId },
+        { $max: { 'delivery.lastFailedAt': at }, $inc: { 'delivery.failedCount': 1 } }
+      );
+    case 'retried':
+      return this.updateOne(
+        { _id: conversationId, 'delivery.failedCount': { $gt: 0 } },
+        { $inc: { 'delivery.failedCount': -1 } }
+      );
+    default:
+      return null;
+  }
+};
+
 // ============================================================================
 // Export Model
 // ============================================================================
@@ -217,4 +380,5 @@ ConversationSchema.statics.findByAgent = async function(agentId) {
 const Conversation = mongoose.model('Conversation', ConversationSchema);
 
 module.exports = Conversation;
+module.exports.SERVICE_WINDOW_MS = SERVICE_WINDOW_MS;
 
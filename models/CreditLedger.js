@@ -0,0 +1,160 @@
+/**
+ * models/CreditLedger.js
+ *
+ * Description: Append-only MongoDB ledger of participant credit movements
+ *
+ * Role in the system: Audit trail for every credit change (top-ups, holds, captures, refunds)
+ *
+ * Node.js Context: Model - MongoDB schema, entries are never updated or deleted
+ *
+ * Dependencies:
+ * - mongoose (ODM for MongoDB operations)
+ *
+ * Dependants:
+ * - services/creditLedgerService.js (reserve → capture → refund flow)
+ * - tools/implementations/payment/checkCredits.js (recent movements)
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// ============================================================================
+// Main CreditLedger Schema
+// ============================================================================
+
+const CreditLedgerSchema = new Schema({
+  participantId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Participant',
+    required: true,
+    index: true
+  },
+  agentId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Agent',
+    required: false
+  },
+  conversationId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: false
+  },
+
+  // === Movement ===
+  // reserve: credits held (balance decreases)
+  // capture: hold confirmed as spent (balance unchanged)
+  // refund:  hold released (balance increases)
+  // topup:   credits purchased (balance increases)
+  entryType: {
+    type: String,
+    enum: ['reserve', 'capture', 'refund', 'topup'],
+    required: true
+  },
+  operation: {
+    type: String,
+    enum: ['imageProcessing', 'videoGeneration', 'websiteGeneration', 'payment'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+
+  // Groups reserve/capture/refund entries of the same hold
+  reservationId: {
+    type: String,
+    required: false,
+    index: true
+  },
+
+  // reservationId again, only on capture/refund entries: its unique index allows one settlement per hold
+  settlesReservationId: {
+    type: String,
+    required: false
+  },
+
+  // External entity that caused the movement (Request, video job, website job, Payment)
+  reference: {
+    kind: String,
+    id: String
+  },
+  description: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  collection: 'credit_ledger'
+});
+
+// ============================================================================
+// Indexes for Performance
+// ============================================================================
+
+// Recent movements per participant
+CreditLedgerSchema.index({ participantId: 1, createdAt: -1 });
+
+// One entry of each type per hold (a single reserve)
+CreditLedgerSchema.index(
+  { reservationId: 1, entryType: 1 },
+  { unique: true, partialFilterExpression: { reservationId: { $type: 'string' } } }
+);
+
+// A hold is settled once: capture OR refund, whichever is written first
+CreditLedgerSchema.index(
+  { settlesReservationId: 1 },
+  { unique: true, partialFilterExpression: { settlesReservationId: { $type: 'string' } } }
+);
+
+// ============================================================================
+// Append-only Guards
+// ============================================================================
+
+const rejectMutation = function(next) {
+  next(new Error('CreditLedger entries are append-only'));
+};
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+  .forEach(hook => CreditLedgerSchema.pre(hook, rejectMutation));
+
+CreditLedgerSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('CreditLedger entries are append-only'));
+  }
+  next();
+});
+
+// ============================================================================
+// Static Methods
+// ============================================================================
+
+/**
+ * Get the most recent movements for a participant
+ * @param {string} participantId - Participant ID
+ * @param {number} limit - Max entries to return
+ * @returns {Promise<Array>} Ledger entries, newest first
+ */
+CreditLedgerSchema.statics.findRecentByParticipant = function(participantId, limit = 10) {
+  return this.find({ participantId })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+};
+
+/**
+ * Get all entries of a reservation
+ * @param {string} reservationId - Reservation ID
+ * @returns {Promise<Array>} Ledger entries for the hold
+ */
+CreditLedgerSchema.statics.findByReservation = function(reservationId) {
+  return this.find({ reservationId }).sort({ createdAt: 1 }).lean();
+};
+
+const CreditLedger = mongoose.model('CreditLedger', CreditLedgerSchema);
+
+module.exports = CreditLedger;
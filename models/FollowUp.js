@@ -0,0 +1,127 @@
+/**
+ * models/FollowUp.js
+ *
+ * Description: MongoDB model for scheduled follow-ups and reminders of a conversation
+ *
+ * Role in the system: Durable record of "write to this participant at dueAt" (the AI's "te aviso mañana",
+ * an API reminder or the automatic nudge of an abandoned Request). The due time is mirrored in a Redis
+ * sorted set for the worker; this collection is the source of truth the set is rebuilt from on restart.
+ * When due, a 'system_trigger' message with the note is added to the conversation and the AI answers it.
+ *
+ * Node.js Context: Model - MongoDB schema
+ *
+ * Dependencies:
+ * - mongoose (ODM for MongoDB operations)
+ *
+ * Dependants:
+ * - services/followUpService.js (schedule, cancel, fire)
+ * - services/followUpWorker.js (due jobs, abandoned request nudges)
+ * - routes/externalApiRoutes.js (follow-up endpoints)
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const FOLLOW_UP_STATUSES = ['pending', 'firing', 'fired', 'cancelled', 'skipped', 'failed'];
+
+// Who asked for the follow-up
+const FOLLOW_UP_SOURCES = [
+  'ai_tool',          // scheduleFollowUp tool
+  'api',              // POST /api/external/conversations/:conversationId/follow-ups
+  'abandoned_request' // Automatic nudge of a Request left 'active'
+];
+
+// ============================================================================
+// Main FollowUp Schema
+// ============================================================================
+
+const FollowUpSchema = new Schema({
+  conversationId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  agentId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Agent',
+    required: true
+  },
+  requestId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Request'  // Only for source 'abandoned_request'
+  },
+
+  dueAt: {
+    type: Date,
+    required: true
+  },
+  // Instruction for the AI when the follow-up fires (not shown to the user as is)
+  note: {
+    type: String,
+    required: true,
+    maxlength: 1000
+  },
+  source: {
+    type: String,
+    enum: FOLLOW_UP_SOURCES,
+    required: true
+  },
+  createdBy: {
+    type: String,  // API key name, 'ai_tool' or 'system'
+    default: 'system'
+  },
+  // A user message before dueAt makes the follow-up unnecessary
+  cancelOnUserMessage: {
+    type: Boolean,
+    default: true
+  },
+
+  // === Lifecycle ===
+  // pending:   waiting for dueAt
+  // firing:    claimed by the worker
+  // fired:     trigger message added and the AI turn started (messageId)
+  // cancelled: the user wrote first, or cancelled through the API
+  // skipped:   not sent when due (conversation in human mode, closed service window, request closed)
+  // failed:    error while firing
+  status: {
+    type: String,
+    enum: FOLLOW_UP_STATUSES,
+    default: 'pending'
+  },
+  statusReason: {
+    type: String,
+    maxlength: 500
+  },
+  messageId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Message'  // The 'system_trigger' message
+  },
+  firedAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true,
+  collection: 'follow_ups'
+});
+
+// ============================================================================
+// Indexes for Performance
+// ============================================================================
+
+// Follow-ups of a conversation; cancellation on user messages
+FollowUpSchema.index({ conversationId: 1, status: 1, dueAt: 1 });
+
+// Recovery of pending follow-ups on start
+FollowUpSchema.index({ status: 1, dueAt: 1 });
+
+// One nudge per abandoned request
+FollowUpSchema.index({ requestId: 1 }, { sparse: true });
+
+// ============================================================================
+// Export Model
+// ============================================================================
+
+const FollowUp = mongoose.model('FollowUp', FollowUpSchema);
+
+module.exports = FollowUp;
+module.exports.FOLLOW_UP_STATUSES = FOLLOW_UP_STATUSES;
+module.exports.FOLLOW_UP_SOURCES = FOLLOW_UP_SOURCES;
@@ -51,7 +51,17 @@ const ExecutionMetadataSchema = new Schema({
   total_tools: Number,
   success_count: Number,
   error_count: Number,
-  processing_time_ms: Number
+  processing_time_ms: Number,
+  rounds: Number,        // Tool rounds in the turn
+  stop_reason: String    // 'completed' | 'tool_call_budget' | 'time_budget'
+}, { _id: false });
+
+// One round of the tool loop: the tool calls of one model response and their results, in order
+const ToolRoundSchema = new Schema({
+  round: Number,
+  assistant_content: String,  // Text the model sent along with the tool calls (usually empty)
+  tool_calls: [ToolCallSchema],
+  tool_results: [ToolResultSchema]
 }, { _id: false });
 
 // ============================================================================
@@ -92,7 +102,7 @@ const MessageSchema = new Schema({
   },
   msg_source: {
     type: String,
-    enum: ['botmaker', 'ultramsg', 'whatsapp-factory'],
+    enum: ['botmaker', 'ultramsg', 'whatsapp-factory', 'whatsapp-cloud', 'telegram'],
     required: false
   },
   content: [MessageChunkSchema],
@@ -132,8 +142,32 @@ const MessageSchema = new Schema({
     type: String,
     required: function() { return this.status === 'failed'; }
   },
+
+  // === Delivery Tracking (outbound messages, from provider acks) ===
+  statusTimestamps: {
+    sent: Date,
+    delivered: Date,
+    read: Date,
+    failed: Date
+  },
+  deliveryError: {
+    code: String,
+    title: String,
+    details: String
+  },
+  retryCount: {
+    type: Number,
+    default: 0
+  },
+  lastRetryAt: Date,
   
   // === Platform Data ===
+  // Canonical channel event without the raw payload (inbound) or the channel send response (outbound)
+  channelData: {
+    type: mongoose.Schema.Types.Mixed,
+    required: false
+  },
+  // Legacy: raw UltraMsg payload of messages stored before channel adapters, read-only
   ultraMsgData: {
     type: mongoose.Schema.Types.Mixed,
     required: false  
@@ -161,6 +195,8 @@ const MessageSchema = new Schema({
     tool_calls: [ToolCallSchema],
     // Exact OpenAI tool results format for context reconstruction  
     tool_results: [ToolResultSchema],
+    // Every round of the tool loop (tool_calls / tool_results above are all rounds flattened)
+    rounds: [ToolRoundSchema],
     // Metadata for debugging and audit
     execution_metadata: ExecutionMetadataSchema
   },
@@ -170,6 +206,58 @@ const MessageSchema = new Schema({
     enum: ['user', 'operator', 'specialist', 'system'],
     default: 'user'
   },
+
+  // === Human Operator (sender: 'agent' messages sent through the external API) ===
+  operator: {
+    id: String,
+    name: String,
+    mediaUrl: String  // Media sent by the operator (URL, type in Message.type)
+  },
+
+  // === Interactive Menus (reply buttons / list offered by the AI, and the user's choice) ===
+  interactive: {
+    type: {
+      type: String,
+      enum: ['buttons', 'list']
+    },
+    buttonText: String,
+    options: [{
+      _id: false,
+      id: String,
+      title: String,
+      description: String
+    }],
+    delivery: {
+      type: String,
+      enum: ['native', 'text']  // 'text': sent as a numbered menu, typed replies are matched against it
+    }
+  },
+  // === Message Templates (type 'template', services/templateMessageService.js) ===
+  template: {
+    name: String,
+    language: String,
+    variables: [String]  // Body parameter values in order ({{1}}, {{2}}...)
+  },
+  // === Campaigns (sender 'system_trigger' broadcast messages, services/campaignWorker.js) ===
+  campaignId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: false
+  },
+  // === Follow-ups (sender 'system_trigger', recipient 'system': instruction for the AI, not sent) ===
+  followUpId: {
+    type: Schema.Types.ObjectId,
+    ref: 'FollowUp',
+    required: false
+  },
+  selection: {
+    id: String,     // Option id the AI sent
+    title: String,
+    source: {
+      type: String,
+      enum: ['native', 'text']  // Tapped button/row, or a typed reply to a text menu
+    }
+  },
   
   // === File Storage Result for Media Messages ===
   fileStorage: {
@@ -299,6 +387,9 @@ MessageSchema.index({ conversationId: 1, sender: 1, timestamp: -1 });
 // Status-based queries for analytics and monitoring
 MessageSchema.index({ status: 1, timestamp: -1 });
 
+// Failed outbound deliveries per conversation (retry queue)
+MessageSchema.index({ conversationId: 1, status: 1, timestamp: -1 });
+
 // Webhook updates: Find message by external platform ID
 MessageSchema.index({ msg_foreign_id: 1 }, { sparse: true });
 
@@ -334,6 +425,35 @@ MessageSchema.methods.getTranscriptionString = function() {
   return this.audioTranscription.text.map(chunk => chunk.content).join('');
 };
 
+/**
+ * Move an outbound message to a delivery status, recording when it happened
+ * Does not save; callers persist the document.
+ * @param {string} status - 'sent' | 'delivered' | 'read' | 'failed'
+ * @param {Object} options - { at, foreignId, error: { code, title, details } }
+ * @returns {Object} The message
+ */
+MessageSchema.methods.markDeliveryStatus = function(status, { at = new Date(), foreignId = null, error = null } = {}) {
+  this.status = status;
+  this.set(`statusTimestamps.${status}`, at);
+
+  if (foreignId) {
+    this.msg_foreign_id = String(foreignId);
+  }
+
+  if (status === 'failed') {
+    this.failureReason = error?.title || error?.details || 'delivery_failed';
+    this.deliveryError = {
+      code: error?.code != null ? String(error.code) : undefined,
+      title: error?.title,
+      details: error?.details
+    };
+  } else {
+    this.failureReason = undefined;
+  }
+
+  return this;
+};
+
 /**
  * Check if message has tool context
  * @returns {boolean} True if message has OpenAI tool calls
@@ -11,9 +11,10 @@
  * - mongoose (ODM for MongoDB operations)
  * 
  * Dependants:
- * - modules/conversationManager.js (participant creation and retrieval)
+ * - modules/conversationManager.js (participant creation and retrieval by phone or channel identity)
  * - modules/messageQueue.js (participant reference in processing)
  * - services/mercadopagoService.js (credit management)
+ * - services/campaignService.js (campaign audiences and opt-outs)
  * - tools/implementations/payment/* (credit operations)
  */
 
@@ -34,15 +35,47 @@ const ParticipantSchema = new Schema({
   },
   phoneNumber: {
     type: String,
-    required: true,
+    required: false,  // Missing for participants from channels without phone numbers (see channelIdentities)
     unique: true,
+    sparse: true,
     index: true
   },
+  // Accounts on channels that do not identify users by phone number (e.g. Telegram user id)
+  channelIdentities: [{
+    _id: false,
+    channel: {
+      type: String,
+      required: true
+    },
+    externalId: {
+      type: String,
+      required: true
+    },
+    username: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   status: {
     type: String,
     enum: ['active', 'inactive', 'restricted'],
     default: 'active'
   },
+  // Agents whose campaigns the participant opted out of (keyword sent to that agent, see services/campaignService.js)
+  campaignOptOuts: [{
+    _id: false,
+    agentId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Agent',
+      required: true
+    },
+    keyword: String,
+    optedOutAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   
   // === Credit System ===
   creditBalance: {
@@ -120,6 +153,12 @@ const ParticipantSchema = new Schema({
 // Primary lookup by phone number
 ParticipantSchema.index({ phoneNumber: 1 });
 
+// Lookup by channel account (one participant per account)
+ParticipantSchema.index(
+  { 'channelIdentities.channel': 1, 'channelIdentities.externalId': 1 },
+  { unique: true, partialFilterExpression: { 'channelIdentities.externalId': { $exists: true } } }
+);
+
 // Status and activity filtering
 ParticipantSchema.index({ status: 1, lastActivity: -1 });
 
@@ -183,6 +222,15 @@ ParticipantSchema.methods.deductCredits = async function(amount) {
   return await this.updateCredits(amount, 'subtract');
 };
 
+/**
+ * Whether the participant opted out of the agent's campaigns
+ * @param {ObjectId|string} agentId - Agent ID
+ * @returns {boolean}
+ */
+ParticipantSchema.methods.hasOptedOut = function(agentId) {
+  return (this.campaignOptOuts || []).some(optOut => String(optOut.agentId) === String(agentId));
+};
+
 /**
  * Increment conversation count
  * @returns {Promise<Object>} Updated participant document
@@ -206,6 +254,18 @@ ParticipantSchema.statics.findByPhone = async function(phoneNumber) {
   return await this.findOne({ phoneNumber });
 };
 
+/**
+ * Find participant by their account on a channel without phone numbers
+ * @param {string} channel - Channel name (e.g. 'telegram')
+ * @param {string} externalId - User id on that channel
+ * @returns {Promise<Object>} Participant document
+ */
+ParticipantSchema.statics.findByChannelIdentity = async function(channel, externalId) {
+  return await this.findOne({
+    channelIdentities: { $elemMatch: { channel, externalId: String(externalId) } }
+  });
+};
+
 /**
  * Create or update participant
  * @param {Object} participantData - Participant data
@@ -16,6 +16,17 @@ const PaymentSchema = new Schema({
         required: true,
         index: true
     },
+    // Conversation/agent where the top-up link was created (payment webhooks are routed by agent)
+    conversationId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Conversation',
+        required: false
+    },
+    agentId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Agent',
+        required: false
+    },
     amount: {
         type: Number,
         required: true,
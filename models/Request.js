@@ -14,6 +14,7 @@
  * - modules/requestManager.js (business logic)
  * - modules/openaiIntegration.js (tool execution)
  * - services/googleGeminiService.js (AI processing)
+ * - modules/messageQueue.js (markOutputsDelivered after generated images are sent)
  */
 
 const mongoose = require('mongoose');
@@ -75,7 +76,14 @@ const OutputImageSchema = new Schema({
   isMultipleResponse: {
     type: Boolean,
     default: false // Part of multi-image response
-  }
+  },
+  // Generated but not sent to the user yet (processRequest timed out or the turn was aborted);
+  // getRequestStatus hands these to the next turn, messageQueue marks them delivered
+  pendingDelivery: {
+    type: Boolean,
+    default: false
+  },
+  deliveredAt: Date
 });
 
 // Schema for processing history and iterations
@@ -288,6 +296,7 @@ RequestSchema.methods.addMultipleOutputs = function(outputs = []) {
       responseType: output.responseType || 'image',
       associatedText: output.associatedText || '',
       isMultipleResponse: outputs.length > 1,
+      pendingDelivery: true,
       generatedAt: new Date()
     });
   });
@@ -410,6 +419,19 @@ RequestSchema.statics.findActiveByConversation = function(conversationId) {
   }).sort({ updatedAt: -1 });
 };
 
+// Generated outputs were sent to the user (by fileId)
+RequestSchema.statics.markOutputsDelivered = function(fileIds = []) {
+  if (fileIds.length === 0) {
+    return Promise.resolve(null);
+  }
+
+  return this.updateMany(
+    { 'outputImages.fileId': { $in: fileIds } },
+    { $set: { 'outputImages.$[output].pendingDelivery': false, 'outputImages.$[output].deliveredAt': new Date() } },
+    { arrayFilters: [{ 'output.fileId': { $in: fileIds }, 'output.pendingDelivery': true }] }
+  );
+};
+
 RequestSchema.statics.findByParticipant = function(participantId, limit = 10) {
   return this.find({ participantId })
     .sort({ createdAt: -1 })
@@ -68,7 +68,7 @@ ToolSchemaSchema.statics.findActiveToolsForAgent = async function(agentId) {
     return this.find({
         enabledForAgents: agentId,
         isActive: true
-    }).select('toolDefinition -_id'); // Return only the definition object
+    }).select('toolName toolDefinition -_id'); // Definitions are overridden by tools/toolRegistry.js
 };
 
 /**
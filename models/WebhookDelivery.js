@@ -0,0 +1,163 @@
+/**
+ * models/WebhookDelivery.js
+ *
+ * Description: MongoDB model for outgoing webhook deliveries (one per event and subscription)
+ *
+ * Role in the system: Persists every notification so failed deliveries are retried with backoff
+ * and any delivery can be replayed from the admin API
+ *
+ * Node.js Context: Model - MongoDB schema
+ *
+ * Dependencies:
+ * - mongoose (ODM for MongoDB operations)
+ *
+ * Dependants:
+ * - services/outgoingWebhookService.js (delivery, retries, replay)
+ * - routes/adminApiRoutes.js (delivery log and replay endpoints)
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const DELIVERY_RETENTION_DAYS = 30;
+
+// ============================================================================
+// Sub-schemas
+// ============================================================================
+
+const AttemptSchema = new Schema({
+  attemptedAt: {
+    type: Date,
+    default: Date.now
+  },
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  error: {
+    type: String,
+    maxlength: 1000
+  },
+  durationMs: {
+    type: Number
+  }
+}, { _id: false });
+
+// ============================================================================
+// Main WebhookDelivery Schema
+// ============================================================================
+
+const WebhookDeliverySchema = new Schema({
+  subscriptionId: {
+    type: Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true,
+    index: true
+  },
+  agentId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Agent',
+    required: true
+  },
+  conversationId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: false
+  },
+
+  // === Event ===
+  eventId: {
+    type: String,
+    required: true
+  },
+  eventType: {
+    type: String,
+    required: true
+  },
+  // Exact JSON body sent to the subscriber (replays send the same payload)
+  payload: {
+    type: Schema.Types.Mixed,
+    required: true
+  },
+
+  // === Delivery state ===
+  // pending:    waiting for its first (or next replayed) attempt
+  // delivering: claimed by a sender
+  // retrying:   last attempt failed, nextAttemptAt scheduled
+  // delivered:  subscriber answered 2xx
+  // failed:     attempts exhausted (can still be replayed)
+  status: {
+    type: String,
+    enum: ['pending', 'delivering', 'retrying', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 6
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: {
+    type: String,
+    maxlength: 1000
+  },
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  deliveredAt: {
+    type: Date
+  },
+  attemptLog: {
+    type: [AttemptSchema],
+    default: []
+  },
+  replayCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  collection: 'webhook_deliveries'
+});
+
+// ============================================================================
+// Indexes for Performance
+// ============================================================================
+
+// Retry worker: due deliveries
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Delivery log per agent / subscription
+WebhookDeliverySchema.index({ agentId: 1, createdAt: -1 });
+WebhookDeliverySchema.index({ subscriptionId: 1, createdAt: -1 });
+
+// Keep the delivery log bounded
+WebhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: DELIVERY_RETENTION_DAYS * 24 * 60 * 60 });
+
+// ============================================================================
+// Static Methods
+// ============================================================================
+
+/**
+ * Atomically claim the next delivery that is due, so concurrent senders never post it twice
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} Claimed delivery document
+ */
+WebhookDeliverySchema.statics.claimNextDue = function(now = new Date()) {
+  return this.findOneAndUpdate(
+    { status: { $in: ['pending', 'retrying'] }, nextAttemptAt: { $lte: now } },
+    { $set: { status: 'delivering' } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
+
+module.exports = WebhookDelivery;
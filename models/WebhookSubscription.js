@@ -0,0 +1,139 @@
+/**
+ * models/WebhookSubscription.js
+ *
+ * Description: MongoDB model for outgoing webhook subscribers configured per agent
+ *
+ * Role in the system: Each subscription is a URL of one of our systems that receives HMAC-signed
+ * notifications for the agent's conversation and payment events
+ *
+ * Node.js Context: Model - MongoDB schema
+ *
+ * Dependencies:
+ * - mongoose (ODM for MongoDB operations)
+ *
+ * Dependants:
+ * - services/outgoingWebhookService.js (fan-out and signing)
+ * - routes/adminApiRoutes.js (CRUD under /agents/:agentId/webhooks)
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Events a subscriber can receive ('*' subscribes to all of them)
+const WEBHOOK_EVENT_TYPES = [
+  'conversation.created',
+  'ai.reply_sent',
+  'message.failed',
+  'handoff.requested',
+  'payment.credited',
+  'request.completed'
+];
+
+// ============================================================================
+// Main WebhookSubscription Schema
+// ============================================================================
+
+const WebhookSubscriptionSchema = new Schema({
+  agentId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Agent',
+    required: true,
+    index: true
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000,
+    validate: {
+      validator: value => /^https?:\/\/\S+$/.test(value),
+      message: 'url must be an http(s) URL'
+    }
+  },
+
+  // HMAC SHA-256 key shared with the subscriber; never returned after creation
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  events: {
+    type: [{
+      type: String,
+      enum: [...WEBHOOK_EVENT_TYPES, '*']
+    }],
+    validate: {
+      validator: value => Array.isArray(value) && value.length > 0,
+      message: 'events must contain at least one event type'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  description: {
+    type: String,
+    maxlength: 200
+  },
+
+  // === Delivery stats ===
+  lastDeliveryAt: {
+    type: Date,
+    default: null
+  },
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['delivered', 'failed'],
+    default: null
+  },
+  createdBy: {
+    type: String
+  }
+}, {
+  timestamps: true,
+  collection: 'webhook_subscriptions'
+});
+
+// ============================================================================
+// Indexes for Performance
+// ============================================================================
+
+// Active subscribers of an agent (event fan-out)
+WebhookSubscriptionSchema.index({ agentId: 1, isActive: 1 });
+
+// ============================================================================
+// Instance Methods
+// ============================================================================
+
+/**
+ * Whether this subscription receives the given event type
+ * @param {string} eventType - One of WEBHOOK_EVENT_TYPES
+ * @returns {boolean} True when subscribed
+ */
+WebhookSubscriptionSchema.methods.isSubscribedTo = function(eventType) {
+  return this.isActive && (this.events.includes('*') || this.events.includes(eventType));
+};
+
+// ============================================================================
+// Static Methods
+// ============================================================================
+
+/**
+ * Active subscriptions of an agent for an event type, including the signing secret
+ * @param {string} agentId - Agent ID
+ * @param {string} eventType - One of WEBHOOK_EVENT_TYPES
+ * @returns {Promise<Array>} Subscription documents
+ */
+WebhookSubscriptionSchema.statics.findForEvent = function(agentId, eventType) {
+  return this.find({
+    agentId,
+    isActive: true,
+    events: { $in: [eventType, '*'] }
+  }).select('+secret');
+};
+
+const WebhookSubscription = mongoose.model('WebhookSubscription', WebhookSubscriptionSchema);
+
+module.exports = WebhookSubscription;
+module.exports.WEBHOOK_EVENT_TYPES = WEBHOOK_EVENT_TYPES;
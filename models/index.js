@@ -23,8 +23,16 @@ const Participant = require('./Participant');
 const Conversation = require('./Conversation');
 const Message = require('./Message');
 const Payment = require('./Payment');
+const CreditLedger = require('./CreditLedger');
 const Request = require('./Request');
 const ToolSchema = require('./ToolSchema');
+const AgentPrompt = require('./AgentPrompt');
+const ApiKey = require('./ApiKey');
+const WebhookSubscription = require('./WebhookSubscription');
+const WebhookDelivery = require('./WebhookDelivery');
+const Campaign = require('./Campaign');
+const CampaignRecipient = require('./CampaignRecipient');
+const FollowUp = require('./FollowUp');
 
 // ============================================================================
 // Export All Models
@@ -33,14 +41,30 @@ const ToolSchema = require('./ToolSchema');
 module.exports = {
   // Core Models
   Agent,
+  AgentPrompt,
   Participant,
   Conversation,
   Message,
   
   // Payment System
   Payment,
+  CreditLedger,
   
   // AI & Tools
   Request,
-  ToolSchema
+  ToolSchema,
+
+  // Outgoing Webhooks
+  WebhookSubscription,
+  WebhookDelivery,
+
+  // Campaigns
+  Campaign,
+  CampaignRecipient,
+
+  // Scheduled Follow-ups
+  FollowUp,
+
+  // API Access
+  ApiKey
 };
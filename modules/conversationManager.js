@@ -13,6 +13,7 @@
  * - models/Conversation.js (MongoDB)
  * - models/Message.js (MongoDB)
  * - utils/dbUtils.js (saveWithRetry helper)
+ * - services/conversationEventBus.js (conversation.created, message.created events)
  * 
  * Dependants:
  * - routes/webhookRoutes.js (participant and conversation resolution)
@@ -25,22 +26,35 @@ const Participant = require("../models/Participant");
 const Message = require("../models/Message");
 const { saveWithRetry } = require("../utils/dbUtils");
 const { cacheMessage } = require("../utils/redisConversationCache"); // ⭐ NEW: Redis cache
+const conversationEventBus = require("../services/conversationEventBus");
 
 /**
  * Get or create participant in MongoDB
- * @param {string} phoneNumber - Participant phone number
+ * @param {string} phoneNumber - Participant phone number (ignored when channelIdentity is given)
  * @param {string} pushname - Participant display name from platform
+ * @param {Object} channelIdentity - { channel, externalId, username } for channels without phone numbers (Telegram)
  * @returns {Promise<Object>} Participant document
  */
-async function getOrCreateParticipant(phoneNumber, pushname) {
+async function getOrCreateParticipant(phoneNumber, pushname, channelIdentity = null) {
     try {
-        // Direct MongoDB lookup using phone number
-        let participant = await Participant.findByPhone(phoneNumber);
+        // Direct MongoDB lookup using phone number, or the channel account when the channel has no phone numbers
+        let participant = channelIdentity
+            ? await Participant.findByChannelIdentity(channelIdentity.channel, channelIdentity.externalId)
+            : await Participant.findByPhone(phoneNumber);
+        const participantLabel = channelIdentity
+            ? `${channelIdentity.channel}:${channelIdentity.username || channelIdentity.externalId}`
+            : phoneNumber;
 
         if (!participant) {
             // Create new participant directly in MongoDB
             const participantData = {
-                phoneNumber: phoneNumber,
+                ...(channelIdentity ? {
+                    channelIdentities: [{
+                        channel: channelIdentity.channel,
+                        externalId: String(channelIdentity.externalId),
+                        username: channelIdentity.username || undefined
+                    }]
+                } : { phoneNumber: phoneNumber }),
                 name: pushname || "Unknown",
                 status: 'active',
                 creditBalance: 2000,  // 2000 créditos de bienvenida
@@ -50,15 +64,15 @@ async function getOrCreateParticipant(phoneNumber, pushname) {
             };
             
             participant = await Participant.create(participantData);
-            console.log(`✅ Created new participant: ${participant.name} (${participant.phoneNumber}) [${participant._id}]`);
+            console.log(`✅ Created new participant: ${participant.name} (${participantLabel}) [${participant._id}]`);
         } else {
             // Update name if needed
             if (pushname && (participant.name === "Unknown" || !participant.name)) {
                 participant.name = pushname;
                 await participant.save();
-                console.log(`✅ Updated participant name: ${participant.name} (${participant.phoneNumber})`);
+                console.log(`✅ Updated participant name: ${participant.name} (${participantLabel})`);
             }
-            console.log(`✅ Existing participant found: ${participant.name} (${participant.phoneNumber}) [${participant._id}]`);
+            console.log(`✅ Existing participant found: ${participant.name} (${participantLabel}) [${participant._id}]`);
         }
 
         return participant;
@@ -73,9 +87,11 @@ async function getOrCreateParticipant(phoneNumber, pushname) {
  * Get or create conversation for participant and agent
  * @param {Object} participant - Participant document
  * @param {Object} agent - Agent document
+ * @param {Object} options - { channel, address } for conversations outside the agent's own channel
+ *   (channel stored in Conversation.channel, address = chat id replies go to)
  * @returns {Promise<Object>} Conversation document
  */
-async function getOrCreateConversation(participant, agent) {
+async function getOrCreateConversation(participant, agent, { channel = null, address = null } = {}) {
     // Look for existing conversation by participantId and agentId (both ObjectIds)
     let conversation = await Conversation.findOne({
         participantId: participant._id,
@@ -86,7 +102,8 @@ async function getOrCreateConversation(participant, agent) {
         // Create new conversation document
         conversation = new Conversation({
             participantId: participant._id,
-            phoneNumber: participant.phoneNumber,
+            phoneNumber: address || participant.phoneNumber,
+            channel,
             participantName: participant.name,
             agentId: agent._id,
             agentName: agent.name,
@@ -103,6 +120,17 @@ async function getOrCreateConversation(participant, agent) {
 
         await saveWithRetry(conversation, 3);
         console.log("✅ New conversation created:", conversation._id);
+
+        conversationEventBus.publish('conversation.created', {
+            conversationId: conversation._id,
+            agentId: agent._id,
+            data: {
+                participantId: participant._id.toString(),
+                phoneNumber: conversation.phoneNumber,
+                channel: channel || undefined,
+                participantName: participant.name || null
+            }
+        });
     } else {
         console.log("✅ Existing conversation found:", conversation._id);
     }
@@ -138,6 +166,12 @@ async function updateConversationData(conversation, messageData, agent, particip
             console.warn(`⚠️ Failed to cache message in Redis (non-blocking):`, err.message);
         });
 
+        conversationEventBus.publish('message.created', {
+            conversationId: conversation._id,
+            agentId: conversation.agentId,
+            data: conversationEventBus.messagePayload(message)
+        });
+
         // === Update conversation metadata ===
         conversation.messageCount = (conversation.messageCount || 0) + 1;
         
@@ -162,6 +196,12 @@ async function updateConversationData(conversation, messageData, agent, particip
         // Handle unread count - increment for user messages
         if (messageData.sender === "user") {
             conversation.unreadCount = (conversation.unreadCount || 0) + 1;
+
+            // The 24h customer service window runs from the user's latest message
+            const userMessageAt = messageData.timestamp ? new Date(messageData.timestamp) : new Date();
+            if (!conversation.lastUserMessageAt || userMessageAt > conversation.lastUserMessageAt) {
+                conversation.lastUserMessageAt = userMessageAt;
+            }
         }
 
         // Save conversation metadata with retry
@@ -216,6 +256,7 @@ function formatConversationForList(conversation) {
     return {
         _id: conversation._id,
         phoneNumber: conversation.phoneNumber,
+        channel: conversation.channel || null,
         participantName: conversation.participantName || "Unknown",
         agentId: conversation.agentId,
         lastMessage: conversation.lastMessage,
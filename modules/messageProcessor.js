@@ -1,23 +1,33 @@
 const { chunkMessage } = require('../utils/messageUtils');
 const { downloadAndStoreMedia, hasMediaContent } = require('../utils/fileStorageUtils');
-
-async function processMessage(data, type, conversationId = null, messageQueue = null) {
-  const { body, time } = data;
+const { MEDIA_MESSAGE_TYPES, withoutRaw } = require('../services/channels/canonicalMessage');
+
+/**
+ * Build the Message data for a canonical inbound message (services/channels/canonicalMessage.js)
+ * @param {Object} message - Canonical message from a channel adapter
+ * @param {string} conversationId - Conversation ID (pending media tracking)
+ * @param {Object} messageQueue - Message queue (pending media tracking)
+ * @param {Function} resolveMediaUrl - async () => URL, for media the channel only delivers by id
+ * @returns {Promise<Object>} Message data for updateConversationData and the queue
+ */
+async function processMessage(message, conversationId = null, messageQueue = null, resolveMediaUrl = null) {
+  const { type } = message;
+  const filename = message.media?.filename || null;
   let messageContent = '';
   let quotedMessage = null;
 
   if (type === 'ptt' || type === 'audio') {
     messageContent = '';
   } else {
-    messageContent = Array.isArray(body) ? body.join('\n\n') : body || '';
+    messageContent = message.text;
   }
 
-  if (data.quotedMsg && Object.keys(data.quotedMsg).length > 0) {
+  if (message.quoted) {
     quotedMessage = {
-      content: chunkMessage(data.quotedMsg.body || '').map((chunk, index) => ({ order: index, content: chunk })),
-      sender: data.quotedMsg.fromMe ? 'user' : 'ai_agent',
-      id: data.quotedMsg.id,
-      media: data.quotedMsg.media ? {
+      content: chunkMessage(message.quoted.text || '').map((chunk, index) => ({ order: index, content: chunk })),
+      sender: message.quoted.fromMe ? 'user' : 'ai_agent',
+      id: message.quoted.id,
+      media: MEDIA_MESSAGE_TYPES.includes(message.quoted.type) ? {
         content: 'Media content. Please reference the conversation history through the quoted message id to find the quoted message in regards of the content and type of media.'
       } : undefined
     };
@@ -33,22 +43,17 @@ async function processMessage(data, type, conversationId = null, messageQueue =
   let fileStorageResult = { status: 'not_applicable' };
   
   // Check if message contains media content that needs to be stored
-  if (hasMediaContent(data)) {
+  if (hasMediaContent(message)) {
     console.log(`📁 Processing media for message type: ${type}`, {
-      messageId: data.id,
-      hasMedia: !!data.media,
-      filename: data.filename
+      messageId: message.id,
+      hasMedia: !!message.media,
+      filename
     });
 
     try {
       // Set initial status to pending
       fileStorageResult.status = 'pending';
 
-      // Extract original filename from various possible sources
-      const originalFilename = data.filename || 
-                              (data.media && typeof data.media === 'object' && data.media.filename) ||
-                              null;
-
       // Generate request ID for media tracking
       const mediaRequestId = `media_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
       
@@ -57,8 +62,13 @@ async function processMessage(data, type, conversationId = null, messageQueue =
         messageQueue.addPendingMedia(conversationId, mediaRequestId);
       }
       
+      // Channels like WhatsApp Factory / Cloud API only send a media id: download it through the channel first
+      const mediaSource = message.media?.needsDownload && resolveMediaUrl
+        ? await resolveMediaUrl()
+        : message.media;
+
       // Download and store media using our secure file storage service
-      const storageResult = await downloadAndStoreMedia(data.media, type, originalFilename, mediaRequestId);
+      const storageResult = await downloadAndStoreMedia(mediaSource, type, filename, mediaRequestId);
 
       // Update file storage result based on download/upload outcome
       if (storageResult.status === 'success') {
@@ -75,7 +85,7 @@ async function processMessage(data, type, conversationId = null, messageQueue =
           requestId: storageResult.requestId
         };
 
-        console.log(`✅ Media storage successful for message ${data.id}`, {
+        console.log(`✅ Media storage successful for message ${message.id}`, {
           fileId: fileStorageResult.fileId,
           filename: fileStorageResult.filename,
           fileSize: fileStorageResult.fileSizeHuman
@@ -95,7 +105,7 @@ async function processMessage(data, type, conversationId = null, messageQueue =
           requestId: storageResult.requestId
         };
 
-        console.error(`❌ Media storage failed for message ${data.id}:`, {
+        console.error(`❌ Media storage failed for message ${message.id}:`, {
           errorCode: storageResult.errorCode,
           errorMessage: storageResult.errorMessage,
           requestId: storageResult.requestId
@@ -109,7 +119,7 @@ async function processMessage(data, type, conversationId = null, messageQueue =
 
     } catch (error) {
       // Unexpected error during media processing
-      console.error(`🚨 Unexpected error processing media for message ${data.id}:`, error);
+      console.error(`🚨 Unexpected error processing media for message ${message.id}:`, error);
       fileStorageResult = {
         status: 'error',
         errorCode: 'UNEXPECTED_ERROR',
@@ -131,20 +141,20 @@ async function processMessage(data, type, conversationId = null, messageQueue =
       status: 'pending',
       text: []
     },
-    timestamp: new Date(time * 1000),
+    timestamp: message.timestamp,
     status: 'pending',
-    ultraMsgData: data,
-    from: data.from,
-    to: data.to,
-    author: data.author,
-    pushname: data.pushname,
-    type: data.type,
-    body: body,
+    msg_source: message.channel,
+    channelData: withoutRaw(message),
+    from: message.from,
+    to: message.to,
+    pushname: message.senderName,
+    type,
+    body: message.text,
     quotedMessage: quotedMessage,
-    media: data.media,
-    filename: data.filename || null,
-    hash: data.hash,
-    msg_foreign_id: data.id,
+    selection: message.selection ? { ...message.selection, source: 'native' } : undefined,
+    media: message.media,
+    filename,
+    msg_foreign_id: message.id,
     originalIndex: Date.now(),
     // File storage result for media messages
     fileStorage: fileStorageResult
@@ -11,8 +11,12 @@
  * - models/Conversation.js (conversation metadata)
  * - models/Message.js (separated message storage)
  * - models/Agent.js (MongoDB agent queries)
+ * - models/Request.js (generated image delivery marks)
  * - modules/openaiIntegration.js (AI processing)
  * - services/* (message delivery services)
+ * - services/channels/index.js (media download for channels that deliver media by id)
+ * - services/conversationEventBus.js (AI processing lifecycle events)
+ * - services/responseValidationService.js (AI response validation, repair and fallback)
  * 
  * Dependants:
  * - routes/webhookRoutes.js (message queueing)
@@ -23,19 +27,23 @@ const Conversation = require('../models/Conversation');
 const Message = require('../models/Message');
 const Agent = require('../models/Agent');
 const AIRequest = require('../models/AIRequest'); // ⭐ NEW: AI request tracking
+const Request = require('../models/Request');
 const openAIIntegration = require('./openaiIntegration');
 const audioTranscriber = require('./audioTranscriber');
 const { chunkMessage } = require('../utils/messageUtils');
 const moment = require('moment-timezone');
-const { sendUltraMsg, sendUltraMsgSmart, sendUltraMsgVideo } = require('../services/ultramsgService');
 const sequentialMessageService = require('../services/sequentialMessageService');
-const { sendWhatsAppBusinessMessage } = require('../services/whatsappBusinessService');
+const outboundMessageService = require('../services/outboundMessageService');
+const channelRegistry = require('../services/channels');
+const { normalizeInteractive, toTextMenu } = require('../services/channels/interactiveMessage');
 const { transcribeAudioWithTimeout } = require('./audioTranscriber');
 const { redisClient } = require('../database');
 const { saveWithRetry } = require('../utils/dbUtils');
-const { getAudioUrl } = require('../services/whatsappFactoryMediaService');
 const { createTracker } = require('../utils/performanceTracker'); // ⭐ NEW: Performance tracking
 const { cacheMessage } = require('../utils/redisConversationCache'); // ⭐ NEW: Redis message cache
+const handoffService = require('../services/handoffService');
+const conversationEventBus = require('../services/conversationEventBus'); // ⭐ Real-time activity events
+const responseValidationService = require('../services/responseValidationService');
 
 class MessageQueue {
   constructor() {
@@ -122,7 +130,7 @@ class MessageQueue {
     const pendingMediaCount = this.pendingMedia.get(conversationId)?.size || 0;
     perf.log('message_queued', `📦 Message added to queue`, {
       queueLength: queue.length,
-      messageType: messageData.ultraMsgData.type,
+      messageType: messageData.type,
       hasFileStorage: messageData.fileStorage?.status !== 'not_applicable',
       fileStorageStatus: messageData.fileStorage?.status,
       pendingMediaOperations: pendingMediaCount
@@ -131,7 +139,7 @@ class MessageQueue {
     // ====================================================================
     // ⭐ DETECT ASYNC OPERATIONS: Audio or Image (BEFORE smart decision)
     // ====================================================================
-    const messageType = messageData.ultraMsgData.type;
+    const messageType = messageData.type;
     const isAudio = (messageType === 'ptt' || messageType === 'audio');
     const isImage = (messageType === 'image');
     
@@ -453,6 +461,15 @@ class MessageQueue {
     // 2. Set Redis abort signal (for checkpoints to detect)
     await this.setAbortSignal(conversationId, reason);
     
+    conversationEventBus.publish('ai.processing_aborted', {
+      conversationId,
+      data: {
+        aiRequestId: processingContext.aiRequestId ? processingContext.aiRequestId.toString() : null,
+        reason,
+        stage: processingContext.preliminary ? 'preliminary' : (processingContext.stage || 'unknown')
+      }
+    });
+    
     // 3. Mark AIRequest as cancelled (if exists)
     if (processingContext.aiRequestId) {
       try {
@@ -460,6 +477,7 @@ class MessageQueue {
           status: 'cancelled',
           cancelReason: reason,
           cancelledAt: processingContext.stage || 'unknown',
+          ...(processingContext.result && { toolsUsed: this.buildToolUsage(processingContext.result) }),
           'timestamps.cancelled': new Date()
         });
         
@@ -705,20 +723,18 @@ class MessageQueue {
       
       console.log(`📤 Sending immediate audio processing message: "${randomMessage}"`);
       
-      const phoneNumber = conversation.phoneNumber || placeholder.ultraMsgData?.from || placeholder.from;
+      const phoneNumber = conversation.phoneNumber || placeholder.from;
       
       if (!phoneNumber) {
         throw new Error('Phone number not available for audio notification');
       }
       
       // Get agent for sending message
-      if (agent) {
-        await sendUltraMsg(agent, phoneNumber, randomMessage);
-      } else {
-        const conversationAgent = await Agent.findById(conversation.agentId);
-        if (conversationAgent) {
-          await sendUltraMsg(conversationAgent, phoneNumber, randomMessage);
-        }
+      const notificationAgent = agent || await Agent.findById(conversation.agentId);
+      if (notificationAgent) {
+        await outboundMessageService.sendText(notificationAgent, phoneNumber, randomMessage, {
+          channel: conversation.channel
+        });
       }
       
       console.log(`✅ Audio processing notification sent to user: ${phoneNumber}`);
@@ -741,53 +757,39 @@ class MessageQueue {
 
     // Perform audio transcription
     try {
-      const isWhatsAppFactory = placeholder.provider === 'whatsapp-factory' || 
-                              placeholder.whatsappFactorySource === true ||
-                              (placeholder.ultraMsgData.media && placeholder.ultraMsgData.media.needsDownload);
-      
+      // Channels that only deliver a media id (e.g. WhatsApp Factory) resolve a download URL first
       let transcription;
       
-      if (isWhatsAppFactory && agent && placeholder.ultraMsgData.media && placeholder.ultraMsgData.media.id) {
-        console.log('Processing WhatsApp Factory audio with special handling');
-        
-        let audioUrl = placeholder.ultraMsgData.media.url;
+      if (agent && placeholder.media?.needsDownload && placeholder.media.id) {
+        console.log(`Processing ${placeholder.msg_source} audio with channel media download`);
         
-        if ((!audioUrl || audioUrl === 'null') && placeholder.ultraMsgData.media.needsDownload) {
-          console.log('WhatsApp Factory audio needs download, getting URL from service...');
-          
-          try {
-            const phoneNumberId = agent.instanceId;
-            
-            audioUrl = await getAudioUrl(
-              placeholder.ultraMsgData.id,
-              phoneNumberId,
-              agent._id.toString()
-            );
-            
-            console.log('✅ WhatsApp Factory audio URL obtained:', audioUrl ? 'Success' : 'Failed');
-          } catch (urlError) {
-            console.error('Error getting WhatsApp Factory audio URL:', urlError);
-            throw new Error(`Failed to get WhatsApp Factory audio URL: ${urlError.message}`);
-          }
+        let audioUrl;
+        try {
+          audioUrl = await (channelRegistry.get(placeholder.msg_source) || channelRegistry.forAgent(agent))
+            .resolveMediaUrl(agent, placeholder);
+          console.log(`✅ ${placeholder.msg_source} audio URL obtained:`, audioUrl ? 'Success' : 'Failed');
+        } catch (urlError) {
+          console.error(`Error getting ${placeholder.msg_source} audio URL:`, urlError);
+          throw new Error(`Failed to get ${placeholder.msg_source} audio URL: ${urlError.message}`);
         }
         
         const messageDataForTranscription = {
           ...placeholder,
-          media: audioUrl || placeholder.ultraMsgData.media
+          media: audioUrl || placeholder.media
         };
         
         transcription = await transcribeAudioWithTimeout(
           messageDataForTranscription,
           agent,
-          placeholder.ultraMsgData.media,
-          placeholder.ultraMsgData.id
+          placeholder.media,
+          placeholder.msg_foreign_id
         );
       } else {
         transcription = await transcribeAudioWithTimeout(
           placeholder,
           null,
           null,
-          placeholder.ultraMsgData.id
+          placeholder.msg_foreign_id
         );
       }
 
@@ -1034,10 +1036,27 @@ class MessageQueue {
         return;
       }
 
-      // Check for recent agent messages (interrupt logic)
-      const shouldSkipAI = await this.checkAgentMessageInterrupt(conversationId);
-      if (shouldSkipAI) {
-        console.log('🚫 AI processing skipped: Recent agent message detected (within 10 minutes)');
+      // ====================================================================
+      // ⭐ HUMAN HANDOFF: AI only answers conversations in 'ai' mode
+      // ====================================================================
+      // User messages were already persisted by updateConversationData,
+      // so skipping here only skips the AI reply
+      const aiEnabled = await handoffService.isAIEnabled(conversation);
+      if (!aiEnabled) {
+        perf.log('handoff_skip', `🤝 AI processing skipped: conversation in '${conversation.getHandoffMode()}' mode`, {
+          assignee: conversation.handoff?.assignee?.name,
+          messageCount: processedQueue.length
+        });
+        
+        conversationEventBus.publish('ai.processing_skipped', {
+          conversationId,
+          agentId: conversation.agentId,
+          data: {
+            reason: 'handoff',
+            mode: conversation.getHandoffMode(),
+            messageCount: processedQueue.length
+          }
+        });
         
         // ⭐ Delete processing state FIRST, lock LAST
         this.processing.delete(conversationId);
@@ -1136,7 +1155,7 @@ class MessageQueue {
       // Prepare messages for OpenAI
       const openAiMessages = processedQueue.map(msg => {
         let audioTranscription = "";
-        if ((msg.ultraMsgData.type === 'ptt' || msg.ultraMsgData.type === 'audio') && msg.audioTranscription) {
+        if ((msg.type === 'ptt' || msg.type === 'audio') && msg.audioTranscription) {
           if (typeof msg.audioTranscription.text === 'string') {
             audioTranscription = msg.audioTranscription.text;
           } else if (Array.isArray(msg.audioTranscription.text)) {
@@ -1147,22 +1166,23 @@ class MessageQueue {
         }
 
         console.log('🔍 DIAGNOSTIC - Message processing for OpenAI:', {
-          messageId: msg.ultraMsgData.id,
+          messageId: msg.msg_foreign_id,
           hasFileStorage: !!msg.fileStorage,
           fileStorageStatus: msg.fileStorage?.status || 'none',
           fileStorageFileId: msg.fileStorage?.fileId || 'none',
-          mediaType: msg.ultraMsgData.type
+          mediaType: msg.type
         });
 
         return {
           timestamp: moment(msg.timestamp).tz('America/Argentina/Buenos_Aires').format(),
-          type: msg.ultraMsgData.type,
-          content: msg.ultraMsgData.type === 'ptt' || msg.ultraMsgData.type === 'audio' ? "" : msg.content.map(chunk => chunk.content).join(''),
+          type: msg.type,
+          content: msg.type === 'ptt' || msg.type === 'audio' ? "" : msg.content.map(chunk => chunk.content).join(''),
           audio_transcription: audioTranscription,
-          quoted_message: msg.ultraMsgData.quotedMsg ? msg.ultraMsgData.quotedMsg : null,
+          quoted_message: msg.channelData?.quoted || null,
+          selected_option: msg.selection?.id ? { id: msg.selection.id, title: msg.selection.title } : null,
           media_name: msg.media?.filename || null,
           sender: msg.sender,
-          message_id: msg.ultraMsgData.id,
+          message_id: msg.msg_foreign_id,
           fileStorage: msg.fileStorage || { status: 'not_applicable' }
         };
       });
@@ -1211,6 +1231,16 @@ class MessageQueue {
         'timestamps.openaiRequestStart': new Date()
       });
       
+      conversationEventBus.publish('ai.processing_started', {
+        conversationId,
+        agentId: agent._id,
+        data: {
+          aiRequestId: aiRequest._id.toString(),
+          model: aiRequest.model,
+          messageCount: processedQueue.length
+        }
+      });
+      
       perf.checkpoint('openai_request_start', { timestamp: new Date() });
 
       // Process with Responses API (with AbortController)
@@ -1219,6 +1249,8 @@ class MessageQueue {
         JSON.stringify(openAiObject),
         abortController  // ⭐ Pass abort controller
       );
+      // Kept for the paths that finalize the AIRequest without it in scope (abort, errors)
+      processingContext.result = result;
       
       perf.checkpoint('openai_response_received', { 
         timestamp: new Date(),
@@ -1235,6 +1267,7 @@ class MessageQueue {
           status: 'cancelled',
           cancelReason: 'new_message_arrived',
           cancelledAt: 'during_openai',
+          toolsUsed: this.buildToolUsage(result),
           'timestamps.cancelled': new Date(),
           'timestamps.openaiResponseReceived': new Date()
         });
@@ -1256,55 +1289,19 @@ class MessageQueue {
 
       // Process the AI response
       if (result.type === 'message') {
-        let aiResponse;
-        try {
-          aiResponse = JSON.parse(result.content);
-        } catch (jsonError) {
-          console.error(`❌ [${conversationId}] Invalid JSON in AI response:`, {
-            error: jsonError.message,
-            contentLength: result.content?.length || 0,
-            contentPreview: result.content?.substring(0, 200) || 'empty'
-          });
-          
-          // DEFENSIVE PARSING: Handle multiple JSON objects concatenated by newlines
-          // This can happen when AI generates multiple response objects in one turn
-          console.log(`🔄 [${conversationId}] Attempting defensive JSON parsing (multiple objects detected)`);
-          
-          try {
-            // Split by newlines and try to parse each line as separate JSON
-            const lines = result.content.trim().split('\n').filter(line => line.trim().length > 0);
-            
-            if (lines.length > 1) {
-              console.log(`📦 [${conversationId}] Found ${lines.length} JSON objects, using the LAST one (most recent)`);
-              
-              // Parse all valid JSON objects
-              const parsedObjects = [];
-              for (const line of lines) {
-                try {
-                  const parsed = JSON.parse(line);
-                  parsedObjects.push(parsed);
-                } catch (lineError) {
-                  console.warn(`⚠️ [${conversationId}] Skipping invalid JSON line:`, line.substring(0, 100));
-                }
-              }
-              
-              if (parsedObjects.length > 0) {
-                // Use the last valid JSON object (most recent state)
-                aiResponse = parsedObjects[parsedObjects.length - 1];
-                console.log(`✅ [${conversationId}] Successfully recovered using last JSON object (timestamp: ${aiResponse.timestamp})`);
-              } else {
-                throw new Error('No valid JSON objects found after line-by-line parsing');
-              }
-            } else {
-              // Single line but still invalid JSON
-          throw jsonError;
-        }
-          } catch (recoveryError) {
-            console.error(`❌ [${conversationId}] Defensive parsing failed:`, recoveryError.message);
-            throw jsonError; // Re-throw original error
-          }
+        // Parse and validate against the agent's responseSchema; invalid or truncated output gets a
+        // bounded repair request, then the agent's fallback message (never an unparsed or partial reply)
+        const { response: aiResponse, validation: responseValidation } = await responseValidationService.resolve(agent, result, {
+          conversationId,
+          signal: abortController.signal
+        });
+
+        if (responseValidation.status !== 'valid') {
+          perf.log('response_validation', `🩹 AI response ${responseValidation.status} after ${responseValidation.repairAttempts} repair attempt(s)`);
+          // Recorded now with the raw payloads, whatever happens to the send
+          await AIRequest.findByIdAndUpdate(aiRequest._id, { responseValidation });
         }
-        
+
         const { timestamp, thinking, ai_system_message, response, images_observed } = aiResponse;
 
         // ====================================================================
@@ -1359,6 +1356,12 @@ class MessageQueue {
           type: 'chat'
         };
 
+        // Reply buttons / list menu requested by the AI (delivery is set once it is sent)
+        const interactive = normalizeInteractive(response.interactive);
+        if (interactive) {
+          newMessageData.interactive = interactive;
+        }
+
         // Add tool context to AI message if tools were used
         if (result.hasTools && result.toolCalls && result.toolCalls.length > 0) {
           console.log(`💾 [${conversationId}] Adding tool context to AI message: ${result.toolCalls.length} tools used`);
@@ -1366,31 +1369,45 @@ class MessageQueue {
           const successCount = (result.toolResults || []).filter(r => !r.error).length;
           const errorCount = (result.toolResults || []).filter(r => r.error).length;
           
+          const toToolCall = call => ({
+            id: call.id,
+            type: call.type || 'function',
+            function: {
+              name: call.function.name,
+              arguments: call.function.arguments
+            }
+          });
+          const toToolResult = toolResult => ({
+            tool_call_id: toolResult.tool_call_id,
+            role: 'tool',
+            content: toolResult.output
+          });
+
           newMessageData.openaiToolContext = {
-            tool_calls: result.toolCalls.map(call => ({
-              id: call.id,
-              type: call.type || 'function',
-              function: {
-                name: call.function.name,
-                arguments: call.function.arguments
-              }
-            })),
-            tool_results: (result.toolResults || []).map(toolResult => ({
-              tool_call_id: toolResult.tool_call_id,
-              role: 'tool',
-              content: toolResult.output
+            tool_calls: result.toolCalls.map(toToolCall),
+            tool_results: (result.toolResults || []).map(toToolResult),
+            // Every round of the tool loop, so the history replays the chain in order
+            rounds: (result.toolRounds || []).map(round => ({
+              round: round.round,
+              assistant_content: round.assistant_content || undefined,
+              tool_calls: round.tool_calls.map(toToolCall),
+              tool_results: round.tool_results.map(toToolResult)
             })),
             execution_metadata: {
               timestamp: new Date(),
               total_tools: result.toolCalls.length,
               success_count: successCount,
               error_count: errorCount,
-              processing_time_ms: 0
+              processing_time_ms: result.toolLoop?.durationMs || 0,
+              rounds: result.toolLoop?.rounds || 1,
+              stop_reason: result.toolLoop?.stopReason || 'completed'
             }
           };
           
           console.log(`✅ [${conversationId}] Tool context added to AI message`, {
             toolCount: result.toolCalls.length,
+            rounds: result.toolLoop?.rounds || 1,
+            stopReason: result.toolLoop?.stopReason || 'completed',
             successCount,
             errorCount
           });
@@ -1400,6 +1417,12 @@ class MessageQueue {
         const aiMessage = new Message(newMessageData);
         await aiMessage.save();
         
+        conversationEventBus.publish('message.created', {
+          conversationId,
+          agentId: agent._id,
+          data: { ...conversationEventBus.messagePayload(aiMessage), aiRequestId: aiRequest._id.toString() }
+        });
+        
         perf.log('ai_message_saved', `✅ AI message saved to Message collection`, { 
           aiMessageId: aiMessage._id.toString() 
         });
@@ -1428,12 +1451,19 @@ class MessageQueue {
           aiMessage.cancelReason = 'new_message_arrived';
           await aiMessage.save();
           
+          conversationEventBus.publish('message.status_changed', {
+            conversationId,
+            agentId: agent._id,
+            data: { messageId: aiMessage._id.toString(), status: 'cancelled', reason: 'new_message_arrived' }
+          });
+          
           // Update AIRequest
           await AIRequest.findByIdAndUpdate(aiRequest._id, {
             status: 'cancelled',
             cancelReason: 'new_message_arrived',
             cancelledAt: 'after_openai_before_send',
             aiMessageId: aiMessage._id,
+            toolsUsed: this.buildToolUsage(result),
             'timestamps.cancelled': new Date(),
             'timestamps.openaiResponseReceived': new Date()
           });
@@ -1482,253 +1512,118 @@ class MessageQueue {
           processingContext.stage = 'sending_message';
           
           try {
-            let messageResponse;
-            
-            // Determinar qué servicio usar basado en el tipo de agente
-            if (agent.type === 'wpp-bsp') {
-              // Usar WhatsApp Factory API
-              
-              if (result.messagesToQuote && result.messagesToQuote.length > 0) {
-                const uniqueMessagesToQuote = [...new Set(result.messagesToQuote)];
-                for (let i = 0; i < uniqueMessagesToQuote.length; i++) {
-                  const messageToQuote = uniqueMessagesToQuote[i];
-                  if (messageToQuote !== undefined) {
-                    const isLastMessage = i === uniqueMessagesToQuote.length - 1;
-                    const messageContent = isLastMessage ? response.message : "☝🏽";
-                    
-                    messageResponse = await sendWhatsAppBusinessMessage(agent, conversation.phoneNumber, messageContent, messageToQuote);
-                    
-                    if (!isLastMessage) {
-                      await new Promise(resolve => setTimeout(resolve, 500));
-                    }
-                  }
-                }
-              } else {
-                messageResponse = await sendWhatsAppBusinessMessage(agent, conversation.phoneNumber, response.message);
-              }
+            // Same delivery for every channel: quotes, generated media, then text
+            const messageResponse = await this.deliverAIResponse(agent, conversation, result, response.message, aiMessage._id.toString(), interactive);
 
-              if (messageResponse && messageResponse.success) {
-                aiMessage.status = 'sent';
-                aiMessage.whatsappBusinessData = messageResponse.data;
-                await aiMessage.save();
-              } else {
-                throw new Error('Invalid response from WhatsApp Factory API');
-              }
-              
-            } else {
-              // Usar UltraMessage
-              
-              if (result.messagesToQuote && result.messagesToQuote.length > 0) {
-                // Handle images in quoted responses
-                const hasGeneratedImages = result.toolResults && result.toolResults.some(tool => 
-                  tool.result && tool.result.generatedImages && tool.result.generatedImages.length > 0
-                );
-
-                const uniqueMessagesToQuote = [...new Set(result.messagesToQuote)];
-                for (let i = 0; i < uniqueMessagesToQuote.length; i++) {
-                  const messageToQuote = uniqueMessagesToQuote[i];
-                  if (messageToQuote !== undefined) {
-                    const isLastMessage = i === uniqueMessagesToQuote.length - 1;
-                    
-                    if (isLastMessage && hasGeneratedImages) {
-                      const imageToolResult = result.toolResults.find(tool => {
-                        try {
-                          const parsedOutput = JSON.parse(tool.output);
-                          return parsedOutput.result && parsedOutput.result.generatedImages && parsedOutput.result.generatedImages.length > 0;
-                        } catch (parseError) {
-                          return false;
-                        }
-                      });
-                      
-                      if (imageToolResult) {
-                        try {
-                          const parsedOutput = JSON.parse(imageToolResult.output);
-                          const smartContent = {
-                            textResponse: response.message,
-                            generatedImages: parsedOutput.result.generatedImages
-                          };
-                        
-                        console.log(`📤 [SEQUENTIAL] Using sequential delivery for quoted message with images`);
-                        const sequentialResult = await sequentialMessageService.sendMultipleGeminiResults(
-                          agent, 
-                          conversation.phoneNumber, 
-                          smartContent, 
-                          `queue-${conversation._id}`
-                        );
-                        
-                          const firstDelivery = sequentialResult[0];
-                          messageResponse = firstDelivery?.result || { sent: 'false', message: 'Sequential delivery failed' };
-                          
-                        } catch (quotedImageParseError) {
-                          console.error(`❌ [${conversationId}] Failed to parse quoted image tool result:`, quotedImageParseError.message);
-                          messageResponse = await sendUltraMsg(agent, conversation.phoneNumber, response.message, messageToQuote);
-                        }
-                      } else {
-                        messageResponse = await sendUltraMsg(agent, conversation.phoneNumber, response.message, messageToQuote);
-                      }
-                    } else {
-                      const messageContent = isLastMessage ? response.message : "☝🏽";
-                      messageResponse = await sendUltraMsg(agent, conversation.phoneNumber, messageContent, messageToQuote);
-                    }
-                    
-                    if (!isLastMessage) {
-                      await new Promise(resolve => setTimeout(resolve, 500));
-                    }
-                  }
-                }
-              } else {
-                // Check if response contains generated content (images or videos)
-                const hasGeneratedImages = result.toolResults && result.toolResults.some(tool => {
-                  try {
-                    const parsedOutput = JSON.parse(tool.output);
-                    return parsedOutput.result && parsedOutput.result.generatedImages && parsedOutput.result.generatedImages.length > 0;
-                  } catch (parseError) {
-                    console.error(`❌ Failed to parse tool output for image detection:`, parseError.message);
-                    return false;
-                  }
-                });
-                
-                console.log(`🔍 [${conversationId}] Image detection analysis:`, {
-                  hasGeneratedImages,
-                  toolResultsCount: result.toolResults?.length || 0
-                });
-                
-                const hasGeneratedVideo = result.toolResults && result.toolResults.some(tool => {
-                  return tool.video_url || tool.download_url;
-                });
-
-                console.log('🔍 [VIDEO-TRACE] Video detection result:', {
-                  hasGeneratedVideo: hasGeneratedVideo,
-                  toolResultsCount: result.toolResults?.length || 0
-                });
-
-                if (hasGeneratedVideo) {
-                  console.log(`🎥 [ULTRAMSG] Response contains generated video, using video delivery`);
-                  
-                  const videoToolResult = result.toolResults.find(tool => {
-                    return tool.video_url || tool.download_url;
-                  });
-                  
-                  if (videoToolResult) {
-                    try {
-                      const videoUrl = videoToolResult.download_url || videoToolResult.video_url;
-                      const videoCaption = response.message || videoToolResult.message || '';
-                      
-                      console.log(`🎥 [ULTRAMSG] Sending generated video`);
-                      
-                      messageResponse = await sendUltraMsgVideo(
-                        agent, 
-                        conversation.phoneNumber, 
-                        videoUrl,
-                        videoCaption,
-                        {
-                          priority: 3,
-                          referenceId: `generated_video_${Date.now()}`
-                        }
-                      );
-                      
-                      console.log('✅ [VIDEO-TRACE] Generated video sent successfully');
-                      
-                    } catch (videoError) {
-                      console.error('❌ Failed to send generated video, falling back to text:', videoError.message);
-                      messageResponse = await sendUltraMsg(agent, conversation.phoneNumber, response.message);
-                    }
-                  }
-                  
-                } else if (hasGeneratedImages) {
-                  console.log(`🖼️ [ULTRAMSG] Response contains generated images, using smart sending`);
-                  
-                  const imageToolResult = result.toolResults.find(tool => {
-                    try {
-                      const parsedOutput = JSON.parse(tool.output);
-                      return parsedOutput.result && parsedOutput.result.generatedImages && parsedOutput.result.generatedImages.length > 0;
-                    } catch (parseError) {
-                      console.error(`❌ Failed to parse tool output for image extraction:`, parseError.message);
-                      return false;
-                    }
-                  });
-                  
-                  if (imageToolResult) {
-                    try {
-                      const parsedOutput = JSON.parse(imageToolResult.output);
-                      const smartContent = {
-                        textResponse: response.message,
-                        generatedImages: parsedOutput.result.generatedImages
-                      };
-                      
-                      console.log(`📤 [SEQUENTIAL] Using sequential delivery for multiple outputs`);
-                      const sequentialResult = await sequentialMessageService.sendMultipleGeminiResults(
-                        agent, 
-                        conversation.phoneNumber, 
-                        smartContent, 
-                        `queue-${conversation._id}`
-                      );
-                      
-                      const successfulDeliveries = sequentialResult.filter(d => d.result.sent === 'true');
-                      if (successfulDeliveries.length > 0) {
-                        messageResponse = successfulDeliveries[0].result;
-                      } else {
-                        messageResponse = { sent: 'false', message: 'All sequential deliveries failed' };
-                      }
-                      
-                    } catch (imageParseError) {
-                      console.error(`❌ [${conversationId}] Failed to parse image tool result:`, imageParseError.message);
-                      messageResponse = await sendUltraMsg(agent, conversation.phoneNumber, response.message);
-                    }
-                  } else {
-                    messageResponse = await sendUltraMsg(agent, conversation.phoneNumber, response.message);
-                  }
-                } else {
-                  // No images or videos, send text normally
-                console.log(`📝 [ULTRAMSG] Text-only response, using regular sending`);
-                messageResponse = await sendUltraMsg(agent, conversation.phoneNumber, response.message);
-                }
-              }
-              }
+            if (!messageResponse.success) {
+              throw new Error(messageResponse.error || 'Invalid response from message service');
+            }
 
-              if (messageResponse && messageResponse.data) {
-              aiMessage.status = 'sent';
-              aiMessage.ultraMsgData = messageResponse.data;
-              await aiMessage.save();
-              
-              perf.checkpoint('message_send_complete', { timestamp: new Date() });
-              perf.log('message_sent', `✅ AI message status updated to sent`);
-              
-              // ============================================================
-              // ⭐ UPDATE AI REQUEST WITH TOKEN DATA & COMPLETION
-              // ============================================================
-              
-              // Extract token data from result if available
-              const tokenData = result.tokens || {};
-              
-              await AIRequest.findByIdAndUpdate(aiRequest._id, {
-                status: 'completed',
-                aiMessageId: aiMessage._id,
-                'timestamps.messageSendComplete': new Date(),
-                'timestamps.completed': new Date(),
-                'tokens': tokenData,
-                finishReason: result.finishReason || 'stop',
-                openaiResponseId: result.openaiResponseId
-              });
-              
-              // Calculate durations
-              const updatedRequest = await AIRequest.findById(aiRequest._id);
-              if (updatedRequest) {
-                updatedRequest.calculateDurations();
-                await updatedRequest.save();
-              }
-              
-              perf.log('ai_request_completed', `📊 AIRequest updated with completion data`);
-              
-              } else {
-              throw new Error('Invalid response from message service');
+            if (aiMessage.status !== 'sent') {
+              aiMessage.markDeliveryStatus('sent', { foreignId: messageResponse.messageId });
+            }
+            aiMessage.msg_source = messageResponse.provider;
+            if (interactive) {
+              aiMessage.interactive.delivery = messageResponse.degraded ? 'text' : 'native';
+            }
+            aiMessage.channelData = {
+              channel: messageResponse.provider,
+              id: messageResponse.messageId ? String(messageResponse.messageId) : undefined,
+              response: messageResponse.data,
+              fallbackTemplate: messageResponse.fallbackTemplate
+            };
+            await aiMessage.save();
+            
+            perf.checkpoint('message_send_complete', { timestamp: new Date() });
+            perf.log('message_sent', `✅ AI message status updated to sent`);
+            
+            // ============================================================
+            // ⭐ UPDATE AI REQUEST WITH TOKEN DATA & COMPLETION
+            // ============================================================
+            
+            // Extract token data from result if available
+            const tokenData = result.tokens || {};
+            
+            await AIRequest.findByIdAndUpdate(aiRequest._id, {
+              status: 'completed',
+              aiMessageId: aiMessage._id,
+              'timestamps.messageSendComplete': new Date(),
+              'timestamps.completed': new Date(),
+              'tokens': tokenData,
+              finishReason: result.finishReason || 'stop',
+              openaiResponseId: result.openaiResponseId,
+              toolsUsed: this.buildToolUsage(result),
+              responseValidation,
+              provider: result.llm?.provider,
+              modelUsed: result.llm?.model,
+              fallbackAttempts: result.llm?.attempts || []
+            });
+            
+            // Calculate durations
+            const updatedRequest = await AIRequest.findById(aiRequest._id);
+            if (updatedRequest) {
+              updatedRequest.calculateDurations();
+              await updatedRequest.save();
             }
+            
+            perf.log('ai_request_completed', `📊 AIRequest updated with completion data`);
+            
+            conversationEventBus.publish('ai.processing_completed', {
+              conversationId,
+              agentId: agent._id,
+              data: {
+                aiRequestId: aiRequest._id.toString(),
+                aiMessageId: aiMessage._id.toString(),
+                tokens: tokenData,
+                toolCallCount: result.toolCalls?.length || 0
+              }
+            });
           } catch (error) {
-            console.error(`❌ Failed to send message via ${agent.type === 'wpp-bsp' ? 'WhatsApp Factory API' : 'UltraMessage'}:`, error);
-            aiMessage.status = 'failed';
+            console.error(`❌ Failed to send message via ${outboundMessageService.getProvider(agent, conversation.channel)}:`, error);
+            aiMessage.markDeliveryStatus('failed', { error: { title: error.message } });
             aiMessage.errorData = error.message;
             await aiMessage.save();
+            await Conversation.recordDeliveryStatus(conversationId, 'failed');
+
+            await AIRequest.findByIdAndUpdate(aiRequest._id, {
+              status: 'failed',
+              aiMessageId: aiMessage._id,
+              'error.message': error.message,
+              'error.code': error.code,
+              'error.timestamp': new Date(),
+              'tokens': result.tokens || {},
+              openaiResponseId: result.openaiResponseId,
+              toolsUsed: this.buildToolUsage(result),
+              responseValidation
+            });
           }
+          
+          conversationEventBus.publish('message.status_changed', {
+            conversationId,
+            agentId: agent._id,
+            data: {
+              messageId: aiMessage._id.toString(),
+              sender: aiMessage.sender,
+              status: aiMessage.status,
+              text: aiMessage.status === 'sent' ? conversationEventBus.messagePayload(aiMessage).text : undefined,
+              error: aiMessage.status === 'failed' ? aiMessage.errorData : undefined
+            }
+          });
+        } else {
+          // Not addressed to the user (nothing to send): the turn ends here
+          await AIRequest.findByIdAndUpdate(aiRequest._id, {
+            status: 'completed',
+            aiMessageId: aiMessage._id,
+            'timestamps.completed': new Date(),
+            'tokens': result.tokens || {},
+            finishReason: result.finishReason || 'stop',
+            openaiResponseId: result.openaiResponseId,
+            toolsUsed: this.buildToolUsage(result),
+            responseValidation,
+            provider: result.llm?.provider,
+            modelUsed: result.llm?.model,
+            fallbackAttempts: result.llm?.attempts || []
+          });
         }
       }
 
@@ -1755,13 +1650,22 @@ class MessageQueue {
             'error.message': error.message,
             'error.code': error.code,
             'error.stack': error.stack,
-            'error.timestamp': new Date()
+            'error.timestamp': new Date(),
+            ...(processingContext.result && { toolsUsed: this.buildToolUsage(processingContext.result) })
           });
         } catch (updateError) {
           console.error(`❌ Failed to update AIRequest on error:`, updateError.message);
         }
       }
       
+      conversationEventBus.publish('ai.processing_failed', {
+        conversationId,
+        data: {
+          aiRequestId: processingContext?.aiRequestId ? processingContext.aiRequestId.toString() : null,
+          error: error.message
+        }
+      });
+      
     } finally {
       // ====================================================================
       // ⭐ CRITICAL: Cleanup Order to Prevent Race Conditions
@@ -1803,61 +1707,151 @@ class MessageQueue {
   }
 
   /**
-   * Checks if AI processing should be interrupted due to recent agent message.
-   * Agent messages within 10 minutes interrupt AI to allow human agent control.
-   * 
-   * @param {string} conversationId - Conversation ID
-   * @returns {Promise<boolean>} True if AI should be skipped
+   * AIRequest.toolsUsed entries (per-tool latency and outcome) from the tool loop rounds
+   * @param {Object} result - AI processing result (toolRounds)
+   * @returns {Array<Object>} ToolUsageSchema entries in execution order
    */
-  async checkAgentMessageInterrupt(conversationId) {
-    try {
-      // Query Message collection for most recent agent message
-      const mostRecentAgentMessage = await Message.findOne({
-        conversationId: conversationId,
-        sender: 'agent'
-      }).sort({ timestamp: -1 }).limit(1);
-      
-      if (!mostRecentAgentMessage) {
-        console.log('✅ TRACE: No agent messages found, AI processing allowed');
-        return false;
+  buildToolUsage(result) {
+    return (result.toolRounds || []).flatMap(round => (round.tool_results || []).map(toolResult => {
+      let output = {};
+      try {
+        output = JSON.parse(toolResult.output);
+      } catch (parseError) {
+        // Non-JSON output: only the metadata is recorded
       }
-      
-      console.log('🔍 TRACE: Checking most recent agent message for interrupt:', {
-        messageId: mostRecentAgentMessage._id,
-        sender: mostRecentAgentMessage.sender,
-        timestamp: mostRecentAgentMessage.timestamp
+
+      return {
+        name: toolResult.name || output.function_name || 'unknown',
+        toolCallId: toolResult.tool_call_id,
+        round: round.round,
+        executionTime: toolResult.durationMs,
+        success: toolResult.success !== false,
+        error: toolResult.success === false ? (output.error || output.status || undefined) : undefined,
+        parallel: !!toolResult.parallel,
+        timedOut: !!toolResult.timedOut
+      };
+    }));
+  }
+
+  /**
+   * Deliver an AI response through the agent's channel
+   * Earlier quoted messages get a "☝🏽" pointer, generated media goes out with the response as caption,
+   * otherwise (or if the media send fails) the response is sent as text quoting the last message.
+   * A menu goes out with the text (native or numbered, depending on the channel), or after the media as a numbered menu
+   * @param {Object} agent - Agent document
+   * @param {Object} conversation - Conversation document
+   * @param {Object} result - AI processing result (messagesToQuote, toolResults)
+   * @param {string} text - Response text
+   * @param {string} referenceId - AI Message _id (delivery receipts)
+   * @param {Object|null} interactive - Normalized reply buttons / list menu
+   * @returns {Promise<Object>} Outbound result { success, provider, messageId, data, degraded } or { success: false, error }
+   */
+  async deliverAIResponse(agent, conversation, result, text, referenceId, interactive = null) {
+    const quotedMessageIds = [...new Set(result.messagesToQuote || [])].filter(id => id !== undefined);
+    const lastQuotedMessageId = quotedMessageIds.pop() || null;
+
+    for (const quotedMessageId of quotedMessageIds) {
+      await outboundMessageService.sendText(agent, conversation.phoneNumber, '☝🏽', {
+        quotedMessageId,
+        channel: conversation.channel
       });
-      
-      // Check if most recent agent message is within 10 minutes
-      const now = new Date();
-      const messageTime = new Date(mostRecentAgentMessage.timestamp);
-      const timeDifference = now - messageTime;
-      const tenMinutesInMs = 10 * 60 * 1000;
-      
-      const isRecent = timeDifference < tenMinutesInMs;
-      const minutesAgo = Math.floor(timeDifference / (60 * 1000));
-      
-      console.log('🔍 TRACE: Agent message timing analysis:', {
-        messageTime: messageTime.toISOString(),
-        currentTime: now.toISOString(),
-        timeDifferenceMs: timeDifference,
-        minutesAgo: minutesAgo,
-        isWithin10Minutes: isRecent,
-        shouldInterruptAI: isRecent
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+
+    const mediaResponse = await this.sendGeneratedMedia(agent, conversation, result.toolResults, text, referenceId);
+    if (mediaResponse?.success) {
+      if (!interactive) {
+        return mediaResponse;
+      }
+
+      // The response is the media caption, the menu follows on its own
+      const menuResponse = await outboundMessageService.sendText(agent, conversation.phoneNumber, toTextMenu('', interactive), {
+        channel: conversation.channel
       });
-      
-      if (isRecent) {
-        console.log(`🚫 AGENT INTERRUPT: Agent message is ${minutesAgo} minutes old (<10 min), skipping AI processing`);
-        return true;
-      } else {
-        console.log(`✅ AGENT TIMEOUT: Agent message is ${minutesAgo} minutes old (>10 min), AI processing allowed`);
-        return false;
+      if (!menuResponse.success) {
+        console.error(`❌ [${conversation._id}] Menu send after generated media failed:`, menuResponse.error);
       }
-      
+      return { ...mediaResponse, degraded: true };
+    }
+    if (mediaResponse) {
+      console.error(`❌ [${conversation._id}] Generated media send failed, falling back to text:`, mediaResponse.error);
+    }
+
+    // conversation: replies that took long enough to fall outside the service window go out as the fallback template
+    if (interactive) {
+      return outboundMessageService.sendInteractive(agent, conversation.phoneNumber, text, interactive, {
+        quotedMessageId: lastQuotedMessageId,
+        referenceId,
+        conversation
+      });
+    }
+
+    return outboundMessageService.sendText(agent, conversation.phoneNumber, text, {
+      quotedMessageId: lastQuotedMessageId,
+      referenceId,
+      conversation
+    });
+  }
+
+  /**
+   * Send generated videos/images from tool results through the agent's provider
+   * @param {Object} agent - Agent document
+   * @param {Object} conversation - Conversation document
+   * @param {Array} toolResults - Tool results of the AI response
+   * @param {string} caption - AI response text (caption of the first media)
+   * @param {string} referenceId - AI Message _id (delivery receipts)
+   * @returns {Promise<Object|null>} Outbound result, null when there is no generated media
+   */
+  async sendGeneratedMedia(agent, conversation, toolResults, caption, referenceId) {
+    if (!toolResults || toolResults.length === 0) {
+      return null;
+    }
+
+    // Tool call records carry the tool result as a JSON string in output
+    const outputs = toolResults.map(tool => {
+      try {
+        return JSON.parse(tool.output) || {};
+      } catch (parseError) {
+        return {};
+      }
+    });
+
+    const videoOutput = outputs.find(output => output.video_url || output.download_url);
+    if (videoOutput) {
+      return outboundMessageService.sendMedia(agent, conversation.phoneNumber, {
+        type: 'video',
+        url: videoOutput.download_url || videoOutput.video_url,
+        caption: caption || videoOutput.message || ''
+      }, { referenceId, channel: conversation.channel });
+    }
+
+    // processRequest and getRequestStatus (pending outputs) may return the same images in one turn
+    const generatedImages = outputs
+      .flatMap(output => output.result?.generatedImages || [])
+      .filter((image, index, images) => images.findIndex(other => other.fileId === image.fileId) === index);
+    if (generatedImages.length === 0) {
+      return null;
+    }
+
+    const deliveries = await sequentialMessageService.sendMultipleGeminiResults(
+      agent,
+      conversation.phoneNumber,
+      { textResponse: caption, generatedImages },
+      `queue-${conversation._id}`,
+      { referenceId, channel: conversation.channel }
+    );
+
+    const deliveredFileIds = deliveries
+      .filter(delivery => delivery.imageFileId && delivery.result.success)
+      .map(delivery => delivery.imageFileId);
+    try {
+      await Request.markOutputsDelivered(deliveredFileIds);
     } catch (error) {
-      console.error('❌ Error checking agent message interrupt:', error.message);
-      return false; // On error, proceed with AI (safe default)
+      console.error(`⚠️ [${conversation._id}] Failed to mark generated images as delivered:`, error.message);
     }
+
+    return deliveries.find(delivery => delivery.result.success)?.result
+      || { success: false, error: 'All sequential deliveries failed' };
   }
 }
 
@@ -50,11 +50,14 @@ class OpenAIIntegration {
                 content: result.content,
                 toolCalls: result.toolCalls || [],      // Original OpenAI tool calls
                 toolResults: result.toolResults || [],  // Tool execution results
+                toolRounds: result.toolRounds || [],    // Tool loop rounds (calls + results per round)
+                toolLoop: result.toolLoop || null,      // { rounds, toolCalls, stopReason, durationMs }
                 hasTools: result.hasTools || false,     // Whether tools were used
                 aborted: result.aborted || false,       // ⭐ NEW: Whether request was aborted
                 tokens: result.tokens || {},            // ⭐ NEW: Token usage data
                 openaiResponseId: result.openaiResponseId,  // ⭐ NEW: OpenAI response ID
                 finishReason: result.finishReason,      // ⭐ NEW: Finish reason
+                llm: result.llm || null,                // { provider, model, fallbackUsed, attempts }
                 messagesToQuote: [] // Not used in Responses API
             };
                             
@@ -11,6 +11,8 @@
  * - models/Request.js (MongoDB request model)
  * - services/googleGeminiService.js (Google Gemini API integration)
  * - utils/fileStorageUtils.js (File storage utilities)
+ * - services/creditLedgerService.js (credit holds for Gemini processing)
+ * - services/conversationEventBus.js (request.completed events)
  * 
  * Dependants:
  * - modules/openaiIntegration.js (OpenAI tool execution)
@@ -19,7 +21,10 @@
 const Request = require('../models/Request');
 const googleGeminiService = require('../services/googleGeminiService');
 const Conversation = require('../models/Conversation');
-const { hasMediaContent, createDownloadUrl } = require('../utils/fileStorageUtils');
+const Agent = require('../models/Agent');
+const creditLedgerService = require('../services/creditLedgerService');
+const conversationEventBus = require('../services/conversationEventBus');
+const { hasMediaContent, createDownloadUrl, createExternalDownloadUrl } = require('../utils/fileStorageUtils');
 
 class RequestManager {
   constructor() {
@@ -272,6 +277,8 @@ class RequestManager {
    * @returns {Object} Processing result
    */
   async processRequest(requestId, finalPrompt = '') {
+    let reservationId = null;
+
     try {
       console.log(`⚡ [${requestId}] Starting request processing`, {
         hasFinalPrompt: !!finalPrompt,
@@ -304,6 +311,20 @@ class RequestManager {
         throw new Error(`Maximum iterations (${request.maxIterations}) reached for this request`);
       }
 
+      // Hold credits before calling Gemini (refunded if processing fails)
+      const creditHold = await this.reserveProcessingCredits(request);
+      if (!creditHold.success) {
+        return {
+          success: false,
+          error: creditHold.message,
+          errorCode: creditHold.error,
+          requiredCredits: creditHold.required,
+          availableCredits: creditHold.available,
+          requestId
+        };
+      }
+      reservationId = creditHold.reservationId;
+
       // Set request to processing status
       this.activeProcessingCount++;
       await request.setProcessing();
@@ -385,6 +406,22 @@ class RequestManager {
         // Set request as completed
         await request.setCompleted();
 
+        // Processing succeeded: confirm the credit hold
+        await creditLedgerService.capture(reservationId);
+
+        conversationEventBus.publish('request.completed', {
+          conversationId: request.conversationId,
+          data: {
+            requestId: request._id.toString(),
+            iteration: request.currentIteration,
+            processingTime,
+            creditsCharged: creditHold.amount,
+            generatedImages: geminiResult.generatedImages.length,
+            downloadUrls: geminiResult.generatedImages.map(img => img.downloadUrl),
+            textResponse: geminiResult.textResponse || null
+          }
+        });
+
         console.log(`✅ [${requestId}] Processing completed successfully`, {
           processingTime: `${processingTime}ms`,
           generatedImages: geminiResult.generatedImages.length,
@@ -397,6 +434,7 @@ class RequestManager {
           status: 'completed',
           iteration: request.currentIteration,
           processingTime,
+          creditsCharged: creditHold.amount,
           result: {
             type: geminiResult.type,
             textResponse: geminiResult.textResponse,
@@ -422,6 +460,11 @@ class RequestManager {
       } catch (dbError) {
         console.error(`❌ [${requestId}] Failed to update request error status:`, dbError.message);
       }
+
+      // Give back the credit hold, the user didn't get any output
+      if (reservationId) {
+        await creditLedgerService.refund(reservationId, error.message);
+      }
       
       this.activeProcessingCount = Math.max(0, this.activeProcessingCount - 1);
 
@@ -434,8 +477,29 @@ class RequestManager {
     }
   }
 
+  /**
+   * Reserve credits for one Gemini processing iteration of a request
+   * @param {Object} request - MongoDB Request document
+   * @returns {Promise<Object>} Reservation result from creditLedgerService
+   */
+  async reserveProcessingCredits(request) {
+    const conversation = await Conversation.findById(request.conversationId).select('agentId');
+    const agent = conversation ? await Agent.findById(conversation.agentId) : null;
+
+    return creditLedgerService.reserve({
+      participantId: request.participantId,
+      operation: 'imageProcessing',
+      agent,
+      conversationId: request.conversationId,
+      reference: { kind: 'Request', id: request._id.toString() },
+      description: `Gemini iteration ${request.currentIteration + 1}`
+    });
+  }
+
   /**
    * Get request status and details
+   * Outputs not delivered yet (processRequest timed out or its turn was aborted; the credits were already
+   * captured when processing finished) come back as result.generatedImages so the turn sends them.
    * @param {string} requestId - Request ID to get status for
    * @returns {Object} Request status and details
    */
@@ -450,7 +514,7 @@ class RequestManager {
         };
       }
 
-      return {
+      const status = {
         success: true,
         requestId: request._id.toString(),
         status: request.status,
@@ -465,6 +529,27 @@ class RequestManager {
         lastError: request.lastError
       };
 
+      const pendingOutputs = request.outputImages.filter(output => output.pendingDelivery);
+      if (pendingOutputs.length > 0) {
+        const generatedImages = pendingOutputs.map(output => ({
+          fileId: output.fileId,
+          filename: output.filename,
+          downloadUrl: createDownloadUrl(output.fileId),
+          externalUrl: createExternalDownloadUrl(output.fileId),
+          responseOrder: output.responseOrder,
+          responseType: output.responseType,
+          associatedText: output.associatedText || ''
+        }));
+
+        status.result = {
+          generatedImages,
+          downloadUrls: generatedImages.map(image => image.downloadUrl)
+        };
+        status.message = `${generatedImages.length} imagen(es) generada(s) todavía no enviada(s) al usuario: se envían con tu respuesta.`;
+      }
+
+      return status;
+
     } catch (error) {
       return {
         success: false,
@@ -6,22 +6,28 @@
  * Role in the system: Clean Responses API implementation with dynamic configuration
  */
 
-const { OpenAI } = require("openai");
 const Conversation = require('../models/Conversation');
 const Agent = require('../models/Agent');
 const ToolSchema = require('../models/ToolSchema');
 const toolExecutor = require('../tools/toolExecutor');
+const toolRegistry = require('../tools/toolRegistry');
+const promptManager = require('../utils/promptManager');
 const debugLoader = require('../utils/debugLoader');
 const { redisClient } = require('../database');
 const { loadMessages: loadMessagesFromRedis, populateCache } = require('../utils/redisConversationCache'); // ⭐ Redis cache
-const { createExternalDownloadUrl, createDownloadUrl } = require('../utils/fileStorageUtils');
+const { createExternalDownloadUrl, createDownloadUrl, FILE_STORAGE_API_KEY } = require('../utils/fileStorageUtils');
 const axios = require('axios'); // Added axios for robust image downloading
 const Message = require('../models/Message'); // ⭐ For MongoDB fallback
+const { toResponseFormat } = require('../services/channels/interactiveMessage');
+const { MAX_TOOL_CALLS, TOOL_LOOP_TIMEOUT_MS } = require('../config/responsesConfig');
+const conversationSummaryService = require('../services/conversationSummaryService');
+const llmRegistry = require('../services/llm');
+const { HISTORY_WINDOW_MESSAGES } = conversationSummaryService;
 
 class ResponsesClient {
     constructor() {
-        this.openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
         // model, maxTokens, and other config now loaded dynamically from MongoDB per agent
+        // Model requests go through services/llm (provider per agent, fallback chain)
     }
 
     /**
@@ -83,46 +89,26 @@ class ResponsesClient {
             }
 
             // ================================================================
-            // ⭐ MODEL CONFIGURATION - OpenAI Public API Parameters ONLY
+            // ⭐ MODEL CONFIGURATION - per target (services/llm)
             // ================================================================
-            // OpenAI Public API ONLY supports: max_completion_tokens, temperature, top_p
-            // Azure-specific parameters (max_output_tokens, reasoning_effort, verbosity) NOT supported
+            // Model parameters (temperature, reasoning_effort, verbosity, json_schema support, vision) are
+            // added per model from its capabilities when the request is sent to each target of the chain
             
             const requestConfig = {
-                model: agentConfig.modelConfig.model,
                 messages,
                 tools: finalTools,
                 response_format: responseFormat,
-                max_completion_tokens: agentConfig.modelConfig.maxCompletionTokens,
                 stream: agentConfig.modelConfig.streaming
             };
             
-            // ================================================================
-            // ⭐ Add temperature ONLY for non-reasoning models
-            // ================================================================
-            const modelName = agentConfig.modelConfig.model.toLowerCase();
-            const isReasoningModel = modelName.includes('gpt-5') && !modelName.includes('mini');
-            
-            if (!isReasoningModel) {
-                // Standard models (gpt-5-mini, gpt-4o) support temperature
-                requestConfig.temperature = agentConfig.modelConfig.temperature;
-                console.log(`⚡ [${conversationId}] Standard model: using temperature=${requestConfig.temperature}`);
-            } else {
-                // Reasoning models (gpt-5, gpt-5.1)
-                console.log(`🧠 [${conversationId}] Reasoning model detected: ${agentConfig.modelConfig.model}`);
-                
-                // ⭐ TRY to send reasoning_effort (may or may not be supported in public API)
-                if (agentConfig.modelConfig.reasoningEffort) {
-                    requestConfig.reasoning_effort = agentConfig.modelConfig.reasoningEffort;
-                    console.log(`🎯 [${conversationId}] Sending reasoning_effort='${requestConfig.reasoning_effort}' (will test if supported)`);
-                }
-                
-                if (agentConfig.modelConfig.verbosity) {
-                    requestConfig.verbosity = agentConfig.modelConfig.verbosity;
-                    console.log(`🎯 [${conversationId}] Sending verbosity='${requestConfig.verbosity}' (will test if supported)`);
-                }
-                
-                // Temperature not supported in reasoning models
+            // Primary model, then the agent's fallback chain
+            const route = {
+                targets: llmRegistry.getTargets(agentConfig.modelConfig),
+                index: 0,
+                attempts: []
+            };
+            if (route.targets.length > 1) {
+                console.log(`🔀 [${conversationId}] LLM fallback chain: ${route.targets.map(target => `${target.provider}/${target.model}`).join(' → ')}`);
             }
 
             console.log(`🔄 [${conversationId}] Using ${agentConfig.modelConfig.streaming ? 'STREAMING' : 'NON-STREAMING'} mode per agent config`);
@@ -209,15 +195,13 @@ class ResponsesClient {
             console.log(`🔍 [${conversationId}] RAW REQUEST PACKET:`, JSON.stringify(cleanedRequestConfig, null, 2));
 
             // ================================================================
-            // ⭐ OPENAI REQUEST WITH ABORT CAPABILITY
+            // ⭐ LLM REQUEST WITH ABORT CAPABILITY AND FALLBACKS
             // ================================================================
-            const openAIOptions = {};
             if (abortController) {
-                openAIOptions.signal = abortController.signal;
-                console.log(`🎯 [${conversationId}] AbortController signal attached to OpenAI request`);
+                console.log(`🎯 [${conversationId}] AbortController signal attached to LLM request`);
             }
 
-            const response = await this.openai.chat.completions.create(requestConfig, openAIOptions);
+            const response = await this.createCompletion(route, requestConfig, conversationId, abortController);
 
             // LOG: RAW RESPONSE from OpenAI (complete packet)
             if (agentConfig.modelConfig.streaming) {
@@ -227,7 +211,7 @@ class ResponsesClient {
             }
 
             // Process response (streaming or non-streaming)
-            const result = await this.processStream(response, conversationId, messages, agentConfig, abortController);
+            const result = await this.processStream(response, conversationId, messages, agentConfig, abortController, requestConfig, route);
             
             console.log(`✅ [${conversationId}] Responses API processing completed`);
             return result;
@@ -242,6 +226,7 @@ class ResponsesClient {
                     content: null,
                     toolCalls: [],
                     toolResults: [],
+                    toolRounds: error.toolRounds || [],
                     hasTools: false,
                     aborted: true,
                     tokens: {},
@@ -339,6 +324,12 @@ class ResponsesClient {
             { role: 'system', content: systemPrompt }
         ];
 
+        // Older messages than the history window survive as the rolling summary
+        const summaryMessage = conversationSummaryService.buildSummaryMessage(conversation);
+        if (summaryMessage) {
+            messages.push(summaryMessage);
+        }
+
         // ====================================================================
         // ⭐ REDIS CACHE LAYER: Active Conversations Strategy
         // ====================================================================
@@ -360,7 +351,7 @@ class ResponsesClient {
         // - TTL refreshed on each new message (2h window)
         
         let conversationMessages;
-        const MAX_HISTORY_MESSAGES = 50; // Max messages for OpenAI context
+        const MAX_HISTORY_MESSAGES = HISTORY_WINDOW_MESSAGES; // Max messages for OpenAI context (older ones: summary)
         
         // ================================================================
         // ⭐ TRY REDIS FIRST (active conversations)
@@ -437,6 +428,11 @@ class ResponsesClient {
             }
         }
 
+        // A full window means older messages exist: extend the summary with those that left it (background)
+        if (conversation && conversationMessages.length >= MAX_HISTORY_MESSAGES) {
+            conversationSummaryService.refreshInBackground(conversation, conversationMessages[0].timestamp);
+        }
+
         // ====================================================================
         // ⭐ FIND LAST ASSISTANT MESSAGE (for 'low' mode cutoff)
         // ====================================================================
@@ -475,20 +471,26 @@ class ResponsesClient {
                         toolCount: msg.openaiToolContext.tool_calls.length
                     });
                     
-                    // Step 1: Add assistant message with tool_calls
-                    messages.push({
-                        role: 'assistant',
-                        content: null,
-                        tool_calls: msg.openaiToolContext.tool_calls
-                    });
-                    
-                    // Step 2: Add tool result messages
-                    for (const toolResult of msg.openaiToolContext.tool_results) {
+                    // Steps 1-2 per tool round: assistant message with tool_calls, then its tool results
+                    // (messages saved before the tool loop have a single round in tool_calls / tool_results)
+                    const toolRounds = msg.openaiToolContext.rounds?.length > 0
+                        ? msg.openaiToolContext.rounds
+                        : [{ tool_calls: msg.openaiToolContext.tool_calls, tool_results: msg.openaiToolContext.tool_results }];
+
+                    for (const toolRound of toolRounds) {
                         messages.push({
-                            role: 'tool',
-                            content: toolResult.content,
-                            tool_call_id: toolResult.tool_call_id
+                            role: 'assistant',
+                            content: toolRound.assistant_content || null,
+                            tool_calls: toolRound.tool_calls
                         });
+
+                        for (const toolResult of toolRound.tool_results) {
+                            messages.push({
+                                role: 'tool',
+                                content: toolResult.content,
+                                tool_call_id: toolResult.tool_call_id
+                            });
+                        }
                     }
                     
                     // Step 3: Add the final assistant response
@@ -498,7 +500,7 @@ class ResponsesClient {
                         content: reconstructedAssistantMessage
                     });
                     
-                    console.log(`✅ [${conversationId}] Tool context reconstructed: ${1 + msg.openaiToolContext.tool_results.length + 1} messages added`);
+                    console.log(`✅ [${conversationId}] Tool context reconstructed: ${toolRounds.length} round(s), ${toolRounds.length + msg.openaiToolContext.tool_results.length + 1} messages added`);
                     
                 } else {
                     // Standard AI message processing (no tool context)
@@ -508,7 +510,9 @@ class ResponsesClient {
                         content: reconstructedAssistantMessage
                     });
                 }
-            } else if (msg.sender === 'user') {
+            } else if (msg.sender === 'user' || (msg.sender === 'system_trigger' && msg.recipient === 'system')) {
+                // Follow-up triggers (recipient 'system') are instructions for the AI: they go in as user turns
+                // with sender 'system_trigger'. Campaign sends (recipient 'user') are not part of the context.
                 console.log(`[TRACE - buildMessages] Processing historical user message:`, {
                   messageId: msg.msg_foreign_id,
                   hasFileStorage: !!msg.fileStorage,
@@ -692,7 +696,7 @@ class ResponsesClient {
                 timeout: 60000,
                 headers: {
                     'User-Agent': 'Micro-Banana-ResponsesClient/1.0',
-                    'X-API-Key': process.env.API_KEY_WEBHOOK
+                    'X-API-Key': FILE_STORAGE_API_KEY
                 }
             });
 
@@ -745,10 +749,180 @@ class ResponsesClient {
     /**
      * Process response (streaming or non-streaming) with tool calls handling
      * ⭐ Enhanced with AbortController support and token tracking
+     *
+     * Agent loop: while the model asks for tools, run them and send the results back with the tools still
+     * available, so it can chain calls (newRequest → processRequest, checkCredits → createTopupLink) in one
+     * turn. The turn has a budget of MAX_TOOL_CALLS tool calls and TOOL_LOOP_TIMEOUT_MS; once it is spent,
+     * pending calls get a "budget exceeded" result and the next request goes without tools, which forces
+     * the final answer. The abort signal is checked between rounds.
+     *
+     * @param {Object} requestConfig - Initial request (tools, response_format...), reused for every round
+     * @param {Object} route - LLM targets of the turn (createCompletion); continuations start at the target that answered
      */
-    async processStream(response, conversationId, messages, agentConfig, abortController = null) {
+    async processStream(response, conversationId, messages, agentConfig, abortController = null, requestConfig = {}, route = null) {
+        const loopStart = Date.now();
+        const deadline = loopStart + TOOL_LOOP_TIMEOUT_MS;
+        const loopMessages = [...messages];
+        const toolRounds = [];
+        const allToolCalls = [];
+        const allToolResults = [];
+        let tokens = {};
+        let stopReason = 'completed';
+
+        let round = await this.readModelResponse(response, conversationId, agentConfig);
+        tokens = this.addTokenUsage(tokens, round.tokens);
+
+        // Errors (aborts above all) carry the rounds that already ran, so the caller can still record their tool usage
+        try {
+            while (round.finishReason === 'tool_calls' && round.toolCalls.length > 0) {
+                this.throwIfAborted(abortController, conversationId);
+
+                // Budget left for this round: none once the time is up
+                const allowed = Date.now() < deadline ? MAX_TOOL_CALLS - allToolCalls.length : 0;
+                const toExecute = round.toolCalls.slice(0, Math.max(allowed, 0));
+                const overBudget = round.toolCalls.slice(toExecute.length);
+
+                console.log(`🔧 [${conversationId}] Tool round ${toolRounds.length + 1}: executing ${toExecute.length} of ${round.toolCalls.length} tool calls`);
+
+                const toolResults = [
+                    ...await this.executeTools(toExecute, conversationId, deadline),
+                    ...overBudget.map(toolCall => this.budgetExceededResult(toolCall))
+                ];
+                if (overBudget.length > 0) {
+                    stopReason = Date.now() < deadline ? 'tool_call_budget' : 'time_budget';
+                    console.warn(`⚠️ [${conversationId}] Tool budget exhausted (${stopReason}): ${overBudget.length} tool call(s) not executed`);
+                }
+
+                toolRounds.push({
+                    round: toolRounds.length + 1,
+                    assistant_content: round.content || null,
+                    tool_calls: round.toolCalls,
+                    tool_results: toolResults
+                });
+                allToolCalls.push(...round.toolCalls);
+                allToolResults.push(...toolResults);
+
+                loopMessages.push(
+                    { role: 'assistant', content: round.content || null, tool_calls: round.toolCalls },
+                    ...toolResults.map(result => ({
+                        role: 'tool',
+                        content: result.output,
+                        tool_call_id: result.tool_call_id
+                    }))
+                );
+
+                this.throwIfAborted(abortController, conversationId);
+
+                // Budget spent: the continuation goes without tools so the model has to answer
+                const budgetLeft = allToolCalls.length < MAX_TOOL_CALLS && Date.now() < deadline;
+                if (!budgetLeft && stopReason === 'completed') {
+                    stopReason = allToolCalls.length >= MAX_TOOL_CALLS ? 'tool_call_budget' : 'time_budget';
+                }
+
+                const continuationConfig = { ...requestConfig, messages: loopMessages };
+                if (!budgetLeft) {
+                    delete continuationConfig.tools;
+                    delete continuationConfig.tool_choice;
+                }
+
+                // ⭐ Include abort signal for every round
+                const continuation = await this.createCompletion(route, continuationConfig, conversationId, abortController);
+
+                round = await this.readModelResponse(continuation, conversationId, agentConfig);
+                tokens = this.addTokenUsage(tokens, round.tokens);
+            }
+        } catch (error) {
+            error.toolRounds = toolRounds;
+            throw error;
+        }
+
+        const hasTools = toolRounds.length > 0;
+        const toolLoop = {
+            rounds: toolRounds.length,
+            toolCalls: allToolCalls.length,
+            stopReason,
+            durationMs: Date.now() - loopStart
+        };
+
+        // LOG: Complete response from OpenAI (FULL CONTENT, no truncation)
+        console.log(`📥 [${conversationId}] FULL RESPONSE FROM OPENAI:`, JSON.stringify({
+            streaming_mode: agentConfig.modelConfig.streaming,
+            finish_reason: round.finishReason,
+            content_length: round.content.length,
+            content_full: round.content, // FULL content, no preview
+            tool_loop: toolLoop,
+            tool_rounds_full: toolRounds.map(toolRound => ({
+                round: toolRound.round,
+                tool_calls: toolRound.tool_calls.map(tc => ({
+                    id: tc.id,
+                    name: tc.function.name,
+                    arguments_full: tc.function.arguments // FULL arguments, no preview
+                })),
+                tool_results: toolRound.tool_results.map(tr => ({
+                    tool_call_id: tr.tool_call_id,
+                    output_full: tr.output // FULL output, no preview
+                }))
+            })),
+            tokens: tokens,  // ⭐ NEW: Token usage (all rounds)
+            response_id: round.openaiResponseId  // ⭐ NEW: Response ID
+        }, null, 2));
+
+        return {
+            content: round.content,
+            toolCalls: allToolCalls,
+            toolResults: allToolResults,
+            toolRounds: toolRounds,
+            toolLoop: toolLoop,
+            hasTools: hasTools,
+            tokens: tokens,              // ⭐ NEW
+            openaiResponseId: round.openaiResponseId,  // ⭐ NEW
+            finishReason: hasTools ? 'tool_calls' : round.finishReason,  // ⭐ NEW
+            llm: this.describeRoute(route),
+            aborted: false
+        };
+    }
+
+    /**
+     * Send a request through the turn's LLM targets (services/llm), starting at the last one that answered
+     * @param {Object} route - { targets, index, attempts }, updated with the target that answers
+     * @param {Object} request - Chat Completions request without model parameters
+     * @returns {Promise<Object>} Completion or stream
+     */
+    async createCompletion(route, request, conversationId, abortController = null) {
+        const { response, index, attempts } = await llmRegistry.createChatCompletion(
+            route.targets.slice(route.index),
+            request,
+            { signal: abortController?.signal || null, conversationId }
+        );
+
+        route.index += index;
+        route.attempts.push(...attempts);
+        return response;
+    }
+
+    /**
+     * Which model answered the turn, for AIRequest
+     * @returns {Object|null} { provider, model, fallbackUsed, attempts }
+     */
+    describeRoute(route) {
+        if (!route) {
+            return null;
+        }
+        const target = route.targets[route.index];
+        return {
+            provider: target.provider,
+            model: target.model,
+            fallbackUsed: route.index > 0,
+            attempts: route.attempts
+        };
+    }
+
+    /**
+     * Read one model response (streaming or not) into { content, toolCalls, finishReason, tokens, openaiResponseId }
+     */
+    async readModelResponse(response, conversationId, agentConfig) {
         let toolCalls = [];
-        let assistantMessage = '';
+        let content = '';
         let finishReason = null;
         let tokens = {};
         let openaiResponseId = null;
@@ -756,11 +930,17 @@ class ResponsesClient {
         if (agentConfig.modelConfig.streaming) {
             console.log(`🔄 [${conversationId}] Processing streaming response...`);
 
-            // Process streaming response
             for await (const chunk of response) {
                 // LOG: Each streaming chunk (raw)
                 console.log(`🔍 [${conversationId}] STREAMING CHUNK:`, JSON.stringify(chunk, null, 2));
-                
+
+                if (chunk.usage) {
+                    tokens = chunk.usage;
+                }
+                if (chunk.id) {
+                    openaiResponseId = chunk.id;
+                }
+
                 const choice = chunk.choices?.[0];
                 if (!choice) continue;
 
@@ -771,7 +951,7 @@ class ResponsesClient {
 
                 // Accumulate content
                 if (choice.delta?.content) {
-                    assistantMessage += choice.delta.content;
+                    content += choice.delta.content;
                 }
 
                 // Check finish reason
@@ -783,146 +963,64 @@ class ResponsesClient {
         } else {
             console.log(`🔄 [${conversationId}] Processing non-streaming response...`);
 
-            // Process non-streaming response
             const choice = response.choices?.[0];
             if (choice) {
                 toolCalls = choice.message?.tool_calls || [];
-                assistantMessage = choice.message?.content || '';
+                content = choice.message?.content || '';
                 finishReason = choice.finish_reason;
             }
-            
+
             // ⭐ Extract tokens and response ID
             tokens = response.usage || {};
             openaiResponseId = response.id;
         }
 
-        // Handle tool calls if present
-        if (finishReason === 'tool_calls' && toolCalls.length > 0) {
-            console.log(`🔧 [${conversationId}] Executing ${toolCalls.length} tool calls`);
-            
-            const toolResults = await this.executeTools(toolCalls, conversationId);
-            
-            // 🔥 NEW ARCHITECTURE: Tool context will be saved with AI message in messageQueue.js
-            
-            // Continue conversation with tool results
-            const continuationMessages = [
-                ...messages,
-                { role: 'assistant', tool_calls: toolCalls },
-                ...toolResults.map(result => ({
-                    role: 'tool',
-                    content: result.output,
-                    tool_call_id: result.tool_call_id
-                }))
-            ];
-
-            // Get final response after tool execution
-            // ⭐ Include abort signal for second request too
-            const toolOpenAIOptions = abortController ? { signal: abortController.signal } : {};
-            
-            // ⭐ Build tool continuation config
-            const toolRequestConfig = {
-                model: agentConfig.modelConfig.model,
-                messages: continuationMessages,
-                response_format: { type: 'json_schema', json_schema: agentConfig.responseSchema },
-                max_completion_tokens: agentConfig.modelConfig.maxCompletionTokens,
-                stream: agentConfig.modelConfig.streaming
-            };
-            
-            // ================================================================
-            // ⭐ Detect reasoning model (needed in this scope)
-            // ================================================================
-            const modelName = agentConfig.modelConfig.model.toLowerCase();
-            const isReasoningModel = modelName.includes('gpt-5') && !modelName.includes('mini');
-            
-            // Apply model-specific parameters
-            if (!isReasoningModel) {
-                // Standard models
-                toolRequestConfig.temperature = agentConfig.modelConfig.temperature;
-            } else {
-                // Reasoning models - try to send reasoning parameters
-                if (agentConfig.modelConfig.reasoningEffort) {
-                    toolRequestConfig.reasoning_effort = agentConfig.modelConfig.reasoningEffort;
-                }
-                if (agentConfig.modelConfig.verbosity) {
-                    toolRequestConfig.verbosity = agentConfig.modelConfig.verbosity;
-                }
-            }
-            
-            const finalResponse = await this.openai.chat.completions.create(toolRequestConfig, toolOpenAIOptions);
-
-            // Process final response based on streaming mode
-            let finalContent = '';
-            if (agentConfig.modelConfig.streaming) {
-                for await (const chunk of finalResponse) {
-                    if (chunk.choices?.[0]?.delta?.content) {
-                        finalContent += chunk.choices[0].delta.content;
-                    }
-                }
-            } else {
-                finalContent = finalResponse.choices?.[0]?.message?.content || '';
-            }
+        return { content, toolCalls, finishReason, tokens, openaiResponseId };
+    }
 
-            // ⭐ Extract tokens from final response
-            if (finalResponse.usage) {
-                tokens = finalResponse.usage;
-            }
-            if (finalResponse.id) {
-                openaiResponseId = finalResponse.id;
+    /**
+     * Sum the token usage of several requests (numeric fields only)
+     */
+    addTokenUsage(total, usage) {
+        const sum = { ...total };
+        for (const [key, value] of Object.entries(usage || {})) {
+            if (typeof value === 'number') {
+                sum[key] = (sum[key] || 0) + value;
             }
-
-            // LOG: Complete response from OpenAI (FULL CONTENT, no truncation)
-            console.log(`📥 [${conversationId}] FULL RESPONSE FROM OPENAI:`, JSON.stringify({
-                streaming_mode: agentConfig.modelConfig.streaming,
-                finish_reason: finishReason,
-                content_length: finalContent.length,
-                content_full: finalContent, // FULL content, no preview
-                tool_calls_count: toolCalls.length,
-                tool_calls_full: toolCalls.map(tc => ({
-                    id: tc.id,
-                    name: tc.function.name,
-                    arguments_full: tc.function.arguments // FULL arguments, no preview
-                })),
-                tool_results_count: toolResults.length,
-                tool_results_full: toolResults.map(tr => ({
-                    tool_call_id: tr.tool_call_id,
-                    output_full: tr.output // FULL output, no preview
-                })),
-                tokens: tokens,  // ⭐ NEW: Token usage
-                response_id: openaiResponseId  // ⭐ NEW: Response ID
-            }, null, 2));
-
-            return {
-                content: finalContent,
-                toolCalls: toolCalls,
-                toolResults: toolResults,
-                hasTools: true,
-                tokens: tokens,              // ⭐ NEW
-                openaiResponseId: openaiResponseId,  // ⭐ NEW
-                finishReason: finishReason,  // ⭐ NEW
-                aborted: false
-            };
         }
+        return sum;
+    }
 
-        // Return direct response if no tools
-        console.log(`📥 [${conversationId}] DIRECT RESPONSE FROM OPENAI (no tools):`, JSON.stringify({
-            streaming_mode: agentConfig.modelConfig.streaming,
-            finish_reason: finishReason,
-            content_length: assistantMessage.length,
-            content_full: assistantMessage, // FULL content, no truncation
-            has_tools: false,
-            tokens: tokens,  // ⭐ NEW
-            response_id: openaiResponseId  // ⭐ NEW
-        }, null, 2));
+    /**
+     * Stop the tool loop between rounds when the turn was aborted (handled like an aborted OpenAI request)
+     */
+    throwIfAborted(abortController, conversationId) {
+        if (abortController?.signal?.aborted) {
+            console.log(`🚫 [${conversationId}] Tool loop aborted between rounds`);
+            const error = new Error('Tool loop aborted');
+            error.name = 'AbortError';
+            throw error;
+        }
+    }
 
+    /**
+     * Result for a tool call that was not executed because the turn's budget was spent
+     */
+    budgetExceededResult(toolCall) {
         return {
-            content: assistantMessage,
-            toolCalls: [],
-            toolResults: [],
-            hasTools: false,
-            tokens: tokens,              // ⭐ NEW
-            openaiResponseId: openaiResponseId,  // ⭐ NEW
-            finishReason: finishReason,  // ⭐ NEW
-            aborted: false
+            tool_call_id: toolCall.id,
+            output: JSON.stringify({
+                success: false,
+                status: 'error',
+                error: 'TOOL_BUDGET_EXCEEDED',
+                message: 'Se alcanzó el límite de herramientas de este turno. Respondé al usuario con lo que ya tenés.',
+                function_name: toolCall.function.name
+            }),
+            name: toolCall.function.name,
+            durationMs: 0,
+            success: false,
+            timedOut: false,
+            parallel: false
         };
     }
 
@@ -955,43 +1053,104 @@ class ResponsesClient {
 
     /**
      * Execute tool calls using modular tool implementations
+     *
+     * Consecutive parallelSafe calls (read-only tools, see toolRegistry execution policy) run concurrently;
+     * any other call runs alone, so side effects keep the order the model asked for. Each call is bounded
+     * by its tool timeout and by what is left of the turn (deadline).
+     *
+     * @param {Array<Object>} toolCalls - Tool calls of one round
+     * @param {string} conversationId - Conversation ID
+     * @param {number|null} deadline - Turn deadline (ms epoch)
+     * @returns {Promise<Array<Object>>} [{ tool_call_id, output, name, durationMs, success, timedOut, parallel }] in call order
      */
-    async executeTools(toolCalls, conversationId) {
+    async executeTools(toolCalls, conversationId, deadline = null) {
         const toolOutputs = [];
         
         console.log(`🔧 [${conversationId}] Executing ${toolCalls.length} tool calls with modular architecture`);
         
+        for (const batch of this.groupToolCalls(toolCalls)) {
+            const parallel = batch.length > 1;
+            if (parallel) {
+                console.log(`⚡ [${conversationId}] Running ${batch.length} read-only tool calls in parallel: [${batch.map(tc => tc.function.name).join(', ')}]`);
+            }
+
+            const outputs = await Promise.all(
+                batch.map(toolCall => this.executeToolCall(toolCall, conversationId, deadline, parallel))
+            );
+            toolOutputs.push(...outputs);
+        }
+        
+        console.log(`✅ [${conversationId}] Completed ${toolOutputs.length} modular tool executions`);
+        return toolOutputs;
+    }
+
+    /**
+     * Split a round into batches: runs of consecutive parallelSafe calls, every other call on its own
+     * @param {Array<Object>} toolCalls - Tool calls of one round
+     * @returns {Array<Array<Object>>} Batches in call order
+     */
+    groupToolCalls(toolCalls) {
+        const batches = [];
+        let parallelBatch = null;
+
         for (const toolCall of toolCalls) {
-            const { id, function: { name, arguments: args } } = toolCall;
+            if (!toolRegistry.getExecutionPolicy(toolCall.function.name).parallelSafe) {
+                parallelBatch = null;
+                batches.push([toolCall]);
+                continue;
+            }
+            if (!parallelBatch) {
+                parallelBatch = [];
+                batches.push(parallelBatch);
+            }
+            parallelBatch.push(toolCall);
+        }
 
-            try {
-                const parsedArgs = JSON.parse(args);
-                
-                // Use modular tool executor
-                const output = await toolExecutor.executeTool(name, parsedArgs, conversationId);
+        return batches;
+    }
 
-                toolOutputs.push({
-                    tool_call_id: id,
-                    output: JSON.stringify(output)
-                });
+    /**
+     * Execute one tool call, never throws
+     * @returns {Promise<Object>} { tool_call_id, output, name, durationMs, success, timedOut, parallel }
+     */
+    async executeToolCall(toolCall, conversationId, deadline, parallel) {
+        const { id, function: { name, arguments: args } } = toolCall;
+        const startTime = Date.now();
+        let output;
 
-            } catch (error) {
-                console.error(`❌ [${conversationId}] Tool execution failed for ${name}:`, error.message);
-                
-                toolOutputs.push({
-                    tool_call_id: id,
-                    output: JSON.stringify({
-                        success: false,
-                        status: "error",
-                        error: error.message,
-                        function_name: name
-                    })
-                });
+        try {
+            const parsedArgs = JSON.parse(args);
+
+            // The tool's own timeout, cut down to what is left of the turn
+            const options = {};
+            if (deadline) {
+                const timeoutMs = Math.min(toolRegistry.getExecutionPolicy(name).timeoutMs, deadline - Date.now());
+                options.timeoutMs = Math.max(timeoutMs, 1000);
             }
+
+            // Use modular tool executor
+            output = await toolExecutor.executeTool(name, parsedArgs, conversationId, options);
+
+        } catch (error) {
+            console.error(`❌ [${conversationId}] Tool execution failed for ${name}:`, error.message);
+            
+            output = {
+                success: false,
+                status: "error",
+                error: error.message,
+                function_name: name
+            };
         }
-        
-        console.log(`✅ [${conversationId}] Completed ${toolOutputs.length} modular tool executions`);
-        return toolOutputs;
+
+        return {
+            tool_call_id: id,
+            output: JSON.stringify(output),
+            name,
+            durationMs: Date.now() - startTime,
+            success: output?.success !== false,
+            timedOut: output?.error === 'TOOL_TIMEOUT',
+            parallel
+        };
     }
 
     /**
@@ -1021,36 +1180,18 @@ class ResponsesClient {
                 throw new Error('Phone number not found in conversation');
             }
 
-            let sendResult;
+            // Route through the conversation's channel
+            const outboundMessageService = require('../services/outboundMessageService');
+            const sendResult = await outboundMessageService.sendText(agent, phoneNumber, messageText, {
+                channel: conversation.channel
+            });
 
-            // Route to appropriate service based on agent type
-            if (agent.type === 'wpp-bsp') {
-                // WhatsApp Business Service Provider
-                console.log(`📱 [${conversationId}] Using WhatsApp Business Service`);
-                const { sendWhatsAppBusinessMessage } = require('../services/whatsappBusinessService');
-                sendResult = await sendWhatsAppBusinessMessage(agent, phoneNumber, messageText);
-                
-                if (sendResult && sendResult.success) {
-                    console.log(`✅ [${conversationId}] WhatsApp Business immediate message sent successfully`);
-                } else {
-                    console.error(`❌ [${conversationId}] WhatsApp Business immediate message failed:`, sendResult);
-                }
+            if (sendResult.success) {
+                console.log(`✅ [${conversationId}] ${sendResult.provider} immediate message sent successfully:`, {
+                    id: sendResult.messageId
+                });
             } else {
-                // Default to UltraMsg
-                console.log(`📱 [${conversationId}] Using UltraMsg service`);
-                const ultramsgService = require('../services/ultramsgService');
-                sendResult = await ultramsgService.sendUltraMsg(agent, phoneNumber, messageText);
-                
-                console.log(`🔍 [${conversationId}] UltraMsg immediate response:`, sendResult);
-                
-                if (sendResult && (sendResult.sent === 'true' || sendResult.sent === true)) {
-                    console.log(`✅ [${conversationId}] UltraMsg immediate message sent successfully:`, {
-                        id: sendResult.id,
-                        sent: sendResult.sent
-                    });
-                } else {
-                    console.error(`❌ [${conversationId}] UltraMsg immediate message failed:`, sendResult);
-                }
+                console.error(`❌ [${conversationId}] ${sendResult.provider} immediate message failed:`, sendResult.error);
             }
 
             return sendResult;
@@ -1081,7 +1222,7 @@ class ResponsesClient {
             
             if (cachedConfig) {
                 console.log(`📦 [Agent ${agentId}] Using cached configuration`);
-                return JSON.parse(cachedConfig);
+                return await this.applyActivePrompt(agentId, JSON.parse(cachedConfig));
             }
 
             // Load agent from MongoDB (consolidated model)
@@ -1115,7 +1256,7 @@ class ResponsesClient {
                 configSource: 'MongoDB'
             });
 
-            return agentConfig;
+            return await this.applyActivePrompt(agentId, agentConfig);
 
         } catch (error) {
             console.error(`❌ [Agent ${agentId}] Error loading configuration:`, error.message);
@@ -1123,6 +1264,30 @@ class ResponsesClient {
         }
     }
 
+    /**
+     * Replace the config prompt with the active AgentPrompt version (Redis-cached by promptManager)
+     * Agents without prompt versions keep Agent.systemPrompt
+     * @param {string} agentId - Agent ObjectId
+     * @param {Object} agentConfig - Config from loadAgentConfig
+     * @returns {Promise<Object>} Config with systemPrompt and promptVersion
+     */
+    async applyActivePrompt(agentId, agentConfig) {
+        try {
+            const activePrompt = await promptManager.getActivePromptVersion(agentId);
+            if (activePrompt) {
+                return {
+                    ...agentConfig,
+                    systemPrompt: activePrompt.systemPrompt,
+                    promptVersion: activePrompt.version
+                };
+            }
+        } catch (error) {
+            console.error(`⚠️ [Agent ${agentId}] Failed to load active prompt version, using Agent.systemPrompt:`, error.message);
+        }
+
+        return { ...agentConfig, promptVersion: null };
+    }
+
     /**
      * Load tools for specific agent from MongoDB
      */
@@ -1137,9 +1302,17 @@ class ResponsesClient {
                 return JSON.parse(cachedTools);
             }
 
-            // Load from MongoDB
+            // Load enabled tools from MongoDB, definitions come from the code registry
             const toolDocs = await ToolSchema.findActiveToolsForAgent(agentId);
-            const tools = toolDocs.map(doc => doc.toolDefinition);
+            const tools = [];
+            for (const doc of toolDocs) {
+                const definition = toolRegistry.getDefinition(doc.toolName);
+                if (!definition) {
+                    console.warn(`⚠️ [Agent ${agentId}] Tool ${doc.toolName} is enabled but has no implementation - skipping`);
+                    continue;
+                }
+                tools.push(definition);
+            }
             
             console.log(`✅ [Agent ${agentId}] Loaded ${tools.length} tools from MongoDB`);
 
@@ -1154,6 +1327,23 @@ class ResponsesClient {
         }
     }
 
+    /**
+     * Drop cached agent configuration and tools so the next request reloads them from MongoDB
+     * Called by the admin API after every agent or tool-assignment write
+     * @param {string} agentId - Agent ObjectId
+     * @returns {Promise<boolean>} True when the cache keys were deleted
+     */
+    static async invalidateAgentCache(agentId) {
+        try {
+            await redisClient.del([`agent_config:${agentId}`, `agent_tools:${agentId}`]);
+            console.log(`🗑️ [Agent ${agentId}] Cleared config and tools cache`);
+            return true;
+        } catch (error) {
+            console.error(`❌ [Agent ${agentId}] Error clearing agent cache:`, error.message);
+            return false;
+        }
+    }
+
     /**
      * Get tools configuration for OpenAI API (dynamic from MongoDB)
      */
@@ -1210,6 +1400,7 @@ class ResponsesClient {
                 content: content,
                 audio_transcription: audioTranscription,
                 quoted_message: msg.quotedMessage || {},
+                selected_option: msg.selection?.id ? { id: msg.selection.id, title: msg.selection.title } : null,
                 media_name: msg.media?.filename || null,
                 sender: msg.sender,
                 message_id: msg.msg_foreign_id || msg._id.toString(),
@@ -1274,7 +1465,8 @@ class ResponsesClient {
             thinking: msg.thinking || "Historical message context",
             response: {
                 recipient: msg.recipient || "user",
-                message: messageContent
+                message: messageContent,
+                interactive: toResponseFormat(msg.interactive)
             },
             ai_system_message: aiSystemMessage
         };
@@ -0,0 +1,1322 @@
+/**
+ * routes/adminApiRoutes.js
+ *
+ * Description: Admin API for agent configuration, versioned system prompts, per-agent tool enablement, response schemas,
+ * message templates, outgoing webhook subscriptions and API keys
+ *
+ * Role in the system: Replaces one-off scripts (updateAgentModel.js, updateAgentResponseSchema.js,
+ * setupWhatsAppFactoryAgent.js) with authenticated endpoints. Every write invalidates the agent
+ * config/tools caches used by responsesClient so changes apply on the next AI request.
+ *
+ * Node.js Context: Route - admin API endpoints with API key authentication
+ *
+ * Dependencies:
+ * - express
+ * - externalApiAuth (API key validation, agents:admin scope, agent restrictions)
+ * - models/Agent (agent configuration)
+ * - models/AgentPrompt, utils/promptManager (system prompt versions)
+ * - models/ToolSchema (per-agent tool enablement)
+ * - tools/toolRegistry (available tool implementations)
+ * - modules/responsesClient (cache invalidation)
+ * - utils/responseSchemaValidator (structured output validation)
+ * - models/WebhookSubscription, models/WebhookDelivery (outgoing webhooks)
+ * - services/outgoingWebhookService (secrets, replay)
+ * - services/apiKeyService (API key management)
+ * - services/templateMessageService (message template validation)
+ *
+ * Dependants:
+ * - server.js (mounted at /api/admin)
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const {
+    validateExternalApiKey,
+    requireScope,
+    getAllowedAgentIds,
+    hasAgentAccess,
+    respondAgentAccessDenied
+} = require('../externalApiAuth');
+const Agent = require('../models/Agent');
+const AgentPrompt = require('../models/AgentPrompt');
+const promptManager = require('../utils/promptManager');
+const ToolSchema = require('../models/ToolSchema');
+const toolRegistry = require('../tools/toolRegistry');
+const ResponsesClient = require('../modules/responsesClient');
+const { validateResponseSchema } = require('../utils/responseSchemaValidator');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const outgoingWebhookService = require('../services/outgoingWebhookService');
+const apiKeyService = require('../services/apiKeyService');
+const templateMessageService = require('../services/templateMessageService');
+
+// Fields that can be written through POST/PATCH /agents
+// systemPrompt is versioned through utils/promptManager.js, responseSchema has its own endpoint
+const WRITABLE_AGENT_FIELDS = ['name', 'type', 'status', 'channelId', 'instanceId', 'token', 'assistantId'];
+
+// Sub-documents merged field by field on PATCH
+const MERGEABLE_AGENT_FIELDS = ['modelConfig', 'imageContextConfig', 'creditPricing', 'responseValidationConfig'];
+
+// Fields that can be written through POST/PATCH /agents/:agentId/webhooks (secret is generated)
+const WRITABLE_WEBHOOK_FIELDS = ['url', 'events', 'isActive', 'description'];
+
+const DELIVERY_STATUSES = ['pending', 'delivering', 'retrying', 'delivered', 'failed'];
+
+// ============================================================================
+// Admin API Middleware - Apply to all admin routes
+// ============================================================================
+
+// Apply API key authentication to all admin API routes
+router.use(validateExternalApiKey);
+router.use(requireScope('agents:admin'));
+
+// Add request logging for admin API
+router.use((req, res, next) => {
+    console.log('Admin API request:', {
+        method: req.method,
+        path: req.path,
+        keyPrefix: req.externalApi?.keyPrefix,
+        ip: req.ip,
+        timestamp: new Date().toISOString()
+    });
+    next();
+});
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Audit label stored in metadata.modifiedBy / ToolSchema.metadata.modifiedBy
+ */
+function getModifiedBy(req) {
+    return `admin-api:${req.externalApi?.keyPrefix || 'unknown'}`;
+}
+
+/**
+ * Answer 403 for keys restricted to some agents (agent creation, API key management)
+ * @returns {boolean} True when a response was sent
+ */
+function rejectRestrictedKey(req, res) {
+    if (!getAllowedAgentIds(req)) {
+        return false;
+    }
+
+    res.status(403).json({
+        success: false,
+        error: 'AGENT_ACCESS_DENIED',
+        message: 'This endpoint requires an API key that is not restricted to specific agents'
+    });
+    return true;
+}
+
+/**
+ * Agent representation returned by the API (credentials masked)
+ * @param {Object} agent - Agent document
+ * @param {boolean} includePrompt - Include the full systemPrompt
+ * @returns {Object} Plain agent object
+ */
+function serializeAgent(agent, includePrompt = false) {
+    const data = agent.toObject({ virtuals: false });
+
+    if (data.token) {
+        data.token = `${data.token.substring(0, 4)}...`;
+    }
+    if (data.telegram) {
+        delete data.telegram.botToken;
+        delete data.telegram.webhookSecret;
+    }
+
+    data.systemPromptLength = data.systemPrompt ? data.systemPrompt.length : 0;
+    if (!includePrompt) {
+        delete data.systemPrompt;
+    }
+
+    return data;
+}
+
+/**
+ * Load the agent in :agentId or answer 400/404
+ * @returns {Promise<Object|null>} Agent document, null when a response was already sent
+ */
+async function loadAgentOrRespond(req, res) {
+    const { agentId } = req.params;
+
+    if (!mongoose.isValidObjectId(agentId)) {
+        res.status(400).json({
+            success: false,
+            error: 'INVALID_AGENT_ID',
+            message: `Invalid agent ID: ${agentId}`
+        });
+        return null;
+    }
+
+    if (!hasAgentAccess(req, agentId)) {
+        respondAgentAccessDenied(res);
+        return null;
+    }
+
+    const agent = await Agent.findById(agentId);
+    if (!agent) {
+        res.status(404).json({
+            success: false,
+            error: 'AGENT_NOT_FOUND',
+            message: 'Agent not found'
+        });
+        return null;
+    }
+
+    return agent;
+}
+
+/**
+ * Apply whitelisted body fields to an agent document
+ * @param {Object} agent - Agent document
+ * @param {Object} body - Request body
+ * @returns {Array<string>} Updated field names
+ */
+function applyAgentFields(agent, body) {
+    const updated = [];
+
+    for (const field of WRITABLE_AGENT_FIELDS) {
+        if (body[field] !== undefined) {
+            agent.set(field, body[field]);
+            updated.push(field);
+        }
+    }
+
+    for (const field of MERGEABLE_AGENT_FIELDS) {
+        if (body[field] !== undefined) {
+            const current = agent[field] && agent[field].toObject ? agent[field].toObject() : (agent[field] || {});
+            agent.set(field, body[field] === null ? undefined : { ...current, ...body[field] });
+            updated.push(field);
+        }
+    }
+
+    if (body.metadata !== undefined) {
+        for (const key of ['category', 'notes']) {
+            if (body.metadata[key] !== undefined) {
+                agent.set(`metadata.${key}`, body.metadata[key]);
+                updated.push(`metadata.${key}`);
+            }
+        }
+    }
+
+    return updated;
+}
+
+/**
+ * Answer a Mongoose validation error with 400, anything else with 500
+ */
+function handleWriteError(res, error, message) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+        return res.status(400).json({
+            success: false,
+            error: 'VALIDATION_ERROR',
+            message: error.message
+        });
+    }
+
+    console.error(`${message}:`, error);
+    return res.status(500).json({
+        success: false,
+        error: 'INTERNAL_ERROR',
+        message
+    });
+}
+
+/**
+ * Webhook subscription returned by the API (the secret only when just generated)
+ * @param {Object} subscription - WebhookSubscription document
+ * @param {string} secret - Newly generated secret, optional
+ * @returns {Object} Plain subscription object
+ */
+function serializeWebhook(subscription, secret = null) {
+    const data = subscription.toObject({ virtuals: false });
+    delete data.secret;
+
+    if (secret) {
+        data.secret = secret;
+    }
+
+    return data;
+}
+
+/**
+ * Load the webhook subscription in :webhookId (belonging to the agent) or answer 400/404
+ * @returns {Promise<Object|null>} WebhookSubscription document, null when a response was already sent
+ */
+async function loadWebhookOrRespond(req, res, agent) {
+    const { webhookId } = req.params;
+
+    if (!mongoose.isValidObjectId(webhookId)) {
+        res.status(400).json({
+            success: false,
+            error: 'INVALID_WEBHOOK_ID',
+            message: `Invalid webhook ID: ${webhookId}`
+        });
+        return null;
+    }
+
+    const subscription = await WebhookSubscription.findOne({ _id: webhookId, agentId: agent._id });
+    if (!subscription) {
+        res.status(404).json({
+            success: false,
+            error: 'WEBHOOK_NOT_FOUND',
+            message: 'Webhook subscription not found for this agent'
+        });
+        return null;
+    }
+
+    return subscription;
+}
+
+/**
+ * Prompt version returned by the API (the prompt body only when requested)
+ * @param {Object} prompt - AgentPrompt document
+ * @param {number} activeVersion - Agent.activePrompt.version
+ * @param {boolean} includePrompt - Include the full systemPrompt
+ * @returns {Object} Plain prompt version object
+ */
+function serializePrompt(prompt, activeVersion, includePrompt = false) {
+    const data = prompt.toObject({ virtuals: false });
+
+    if (!includePrompt) {
+        delete data.systemPrompt;
+    }
+    data.isActive = activeVersion === prompt.version;
+
+    return data;
+}
+
+/**
+ * Answer 400 unless the body carries a usable systemPrompt
+ * @returns {boolean} True when a response was sent
+ */
+function rejectInvalidPrompt(res, systemPrompt) {
+    let message = null;
+
+    if (typeof systemPrompt !== 'string' || !systemPrompt.trim()) {
+        message = 'systemPrompt is required';
+    } else if (systemPrompt.length > promptManager.maxPromptSize) {
+        message = `systemPrompt exceeds maximum size of ${promptManager.maxPromptSize} characters`;
+    }
+
+    if (!message) {
+        return false;
+    }
+
+    res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message
+    });
+    return true;
+}
+
+function invalidResponseSchema(res, errors) {
+    return res.status(400).json({
+        success: false,
+        error: 'INVALID_RESPONSE_SCHEMA',
+        message: `Invalid response schema: ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`,
+        validation_errors: errors
+    });
+}
+
+// ============================================================================
+// Agent Endpoints
+// ============================================================================
+
+/**
+ * GET /api/admin/agents
+ * List agents (optionally filtered by status/type), without prompts
+ */
+router.get('/agents', async (req, res) => {
+    try {
+        const { status, type } = req.query;
+        const query = {};
+        if (status) query.status = status;
+        if (type) query.type = type;
+
+        const allowedAgentIds = getAllowedAgentIds(req);
+        const agents = await Agent.find(allowedAgentIds ? { ...query, _id: { $in: allowedAgentIds } } : query)
+            .sort({ name: 1 });
+
+        res.json({
+            success: true,
+            data: agents.map(agent => serializeAgent(agent)),
+            meta: {
+                total: agents.length,
+                filters: query
+            }
+        });
+
+    } catch (error) {
+        console.error('Error listing agents:', error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: 'Failed to list agents'
+        });
+    }
+});
+
+/**
+ * GET /api/admin/agents/:agentId
+ * Get a single agent including prompt and response schema
+ */
+router.get('/agents/:agentId', async (req, res) => {
+    try {
+        const agent = await loadAgentOrRespond(req, res);
+        if (!agent) return;
+
+        res.json({
+            success: true,
+            data: serializeAgent(agent, true)
+        });
+
+    } catch (error) {
+        console.error('Error fetching agent:', error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: 'Failed to fetch agent'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/agents
+ * Create an agent. Requires name, type, systemPrompt and responseSchema.
+ */
+router.post('/agents', async (req, res) => {
+    try {
+        if (rejectRestrictedKey(req, res)) return;
+
+        const { systemPrompt, responseSchema } = req.body || {};
+
+        if (rejectInvalidPrompt(res, systemPrompt)) return;
+
+        const schemaErrors = validateResponseSchema(responseSchema);
+        if (schemaErrors.length > 0) {
+            return invalidResponseSchema(res, schemaErrors);
+        }
+
+        const agent = new Agent({ systemPrompt, responseSchema });
+        applyAgentFields(agent, req.body);
+        agent.metadata.modifiedBy = getModifiedBy(req);
+
+        await agent.save();
+
+        // The creation prompt is version 1, so later versions can be rolled back to it
+        const prompt = await AgentPrompt.createPrompt(agent._id, systemPrompt, {
+            author: getModifiedBy(req),
+            notes: 'Initial version'
+        });
+        await promptManager.activateVersion(agent._id, prompt.version, {
+            author: getModifiedBy(req),
+            reason: 'Agent created'
+        });
+        const createdAgent = await Agent.findById(agent._id);
+
+        console.log(`✅ [Agent ${agent._id}] Created via admin API:`, {
+            name: agent.name,
+            type: agent.type,
+            instanceId: agent.instanceId,
+            promptVersion: prompt.version
+        });
+
+        res.status(201).json({
+            success: true,
+            data: serializeAgent(createdAgent, true)
+        });
+
+    } catch (error) {
+        handleWriteError(res, error, 'Failed to create agent');
+    }
+});
+
+/**
+ * PATCH /api/admin/agents/:agentId
+ * Partial update of identity, status, credentials, modelConfig, imageContextConfig, creditPricing and responseValidationConfig
+ */
+router.patch('/agents/:agentId', async (req, res) => {
+    try {
+        const agent = await loadAgentOrRespond(req, res);
+        if (!agent) return;
+
+        const body = req.body || {};
+        if (body.systemPrompt !== undefined || body.responseSchema !== undefined) {
+            return res.status(400).json({
+                success: false,
+                error: 'VALIDATION_ERROR',
+                message: 'Use POST /agents/:agentId/prompts for systemPrompt and PUT /agents/:agentId/response-schema for responseSchema'
+            });
+        }
+
+        const updatedFields = applyAgentFields(agent, body);
+        if (updatedFields.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'VALIDATION_ERROR',
+                message: `No updatable fields provided. Allowed: ${[...WRITABLE_AGENT_FIELDS, ...MERGEABLE_AGENT_FIELDS, 'metadata.category', 'metadata.notes'].join(', ')}`
+            });
+        }
+
+        agent.metadata.modifiedBy = getModifiedBy(req);
+        await agent.save();
+        await ResponsesClient.invalidateAgentCache(agent._id);
+
+        console.log(`✏️ [Agent ${agent._id}] Updated via admin API:`, {
+            fields: updatedFields,
+            version: agent.metadata.version
+        });
+
+        res.json({
+            success: true,
+            data: serializeAgent(agent),
+            meta: {
+                updatedFields,
+                version: agent.metadata.version
+            }
+        });
+
+    } catch (error) {
+        handleWriteError(res, error, 'Failed to update agent');
+    }
+});
+
+/**
+ * DELETE /api/admin/agents/:agentId
+ * Delete an agent and remove it from every ToolSchema.enabledForAgents list
+ */
+router.delete('/agents/:agentId', async (req, res) => {
+    try {
+        const agent = await loadAgentOrRespond(req, res);
+        if (!agent) return;
+
+        const toolResult = await ToolSchema.updateMany(
+            { enabledForAgents: agent._id },
+            { $pull: { enabledForAgents: agent._id } }
+        );
+        const webhookResult = await WebhookSubscription.deleteMany({ agentId: agent._id });
+        await Agent.deleteOne({ _id: agent._id });
+        await ResponsesClient.invalidateAgentCache(agent._id);
+
+        console.log(`🗑️ [Agent ${agent._id}] Deleted via admin API:`, {
+            name: agent.name,
+            toolsUnassigned: toolResult.modifiedCount,
+            webhooksDeleted: webhookResult.deletedCount
+        });
+
+        res.json({
+            success: true,
+            data: {
+                agentId: agent._id,
+                deleted: true,
+                toolsUnassigned: toolResult.modifiedCount,
+                webhooksDeleted: webhookResult.deletedCount
+            }
+        });
+
+    } catch (error) {
+        console.error('Error deleting agent:', error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: 'Failed to delete agent'
+        });
+    }
+});
+
+// ============================================================================
+// System Prompt Endpoints
+// ============================================================================
+
+/**
+ * GET /api/admin/agents/:agentId/prompts
+ * Prompt version history, newest first, without prompt bodies (?limit=, default 10, max 100)
+ */
+router.get('/agents/:agentId/prompts', async (req, res) => {
+    try {
+        const agent = await loadAgentOrRespond(req, res);
+        if (!agent) return;
+
+        const limit = Math.min(parseInt(req.query.limit, 10) || 10, 100);
+        const history = await promptManager.getPromptHistory(agent._id, limit);
+
+        res.json({
+            success: true,
+            data: history,
+            meta: {
+                activeVersion: agent.activePrompt?.version || null,
+                total: await AgentPrompt.countDocuments({ agentId: agent._id }),
+                limit
+            }
+        });
+
+    } catch (error) {
+        console.error('Error listing prompt versions:', error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: 'Failed to list prompt versions'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/agents/:agentId/prompts
+ * Create a prompt version ({ systemPrompt, notes, category, tags, activate }), activated unless activate is false
+ */
+router.post('/agents/:agentId/prompts', async (req, res) => {
+    try {
+        const agent = await loadAgentOrRespond(req, res);
+        if (!agent) return;
+
+        const { systemPrompt, notes, category, tags, activate } = req.body || {};
+        if (rejectInvalidPrompt(res, systemPrompt)) return;
+
+        const prompt = await promptManager.setAgentPrompt(agent._id, systemPrompt, {
+            author: getModifiedBy(req),
+            notes,
+            category,
+            tags,
+            activate: activate !== false
+        });
+        const activeVersion = (await Agent.findById(agent._id).select('activePrompt').lean())?.activePrompt?.version || null;
+        await ResponsesClient.invalidateAgentCache(agent._id);
+
+        console.log(`📝 [Agent ${agent._id}] Prompt version ${prompt.version} created via admin API:`, {
+            activated: activate !== false,
+            diff: prompt.diffSummary.summary
+        });
+
+        res.status(201).json({
+            success: true,
+            data: serializePrompt(prompt, activeVersion),
+            meta: {
+                activeVersion
+            }
+        });
+
+    } catch (error) {
+        handleWriteError(res, error, 'Failed to create prompt version');
+    }
+});
+
+/**
+ * POST /api/admin/agents/:agentId/prompts/:version/activate
+ * Activate a stored prompt version (rollback or roll forward), optional { reason }
+ */
+router.post('/agents/:agentId/prompts/:version/activate', async (req, res) => {
+    try {
+        const agent = await loadAgentOrRespond(req, res);
+        if (!agent) return;
+
+        const version = Number(req.params.version);
+        if (!Number.isInteger(version) || version < 1) {
+            return res.status(400).json({
+                success: false,
+                error: 'VALIDATION_ERROR',
+                message: `Invalid prompt version: ${req.params.version}`
+            });
+        }
+
+        if (!(await AgentPrompt.exists({ agentId: agent._id, version }))) {
+            return res.status(404).json({
+                success: false,
+                error: 'PROMPT_VERSION_NOT_FOUND',
+                message: `Prompt version ${version} not found for this agent`
+            });
+        }
+
+        if (agent.activePrompt?.version === version) {
+            return res.status(409).json({
+                success: false,
+                error: 'PROMPT_VERSION_ALREADY_ACTIVE',
+                message: `Prompt version ${version} is already active`
+            });
+        }
+
+        const previousVersion = agent.activePrompt?.version || null;
+        const prompt = await promptManager.rollbackAgentPrompt(agent._id, version, {
+            author: getModifiedBy(req),
+            reason: req.body?.reason
+        });
+        await ResponsesClient.invalidateAgentCache(agent._id);
+
+        console.log(`🔀 [Agent ${agent._id}] Prompt version ${version} activated via admin API:`, {
+            previousVersion
+        });
+
+        res.json({
+            success: true,
+            data: serializePrompt(prompt, version),
+            meta: {
+                previousVersion,
+                activeVersion: version
+            }
+        });
+
+    } catch (error) {
+        handleWriteError(res, error, 'Failed to activate prompt version');
+    }
+});
+
+// ============================================================================
+// Response Schema Endpoint
+// ============================================================================
+
+/**
+ * PUT /api/admin/agents/:agentId/response-schema
+ * Replace the agent's structured output schema ({ name, description, strict, schema })
+ * ?dryRun=true only validates
+ */
+router.put('/agents/:agentId/response-schema', async (req, res) => {
+    try {
+        const agent = await loadAgentOrRespond(req, res);
+        if (!agent) return;
+
+        const responseSchema = req.body;
+        const schemaErrors = validateResponseSchema(responseSchema);
+        if (schemaErrors.length > 0) {
+            return invalidResponseSchema(res, schemaErrors);
+        }
+
+        if (req.query.dryRun === 'true') {
+            return res.json({
+                success: true,
+                data: { valid: true, name: responseSchema.name },
+                meta: { dryRun: true }
+            });
+        }
+
+        agent.responseSchema = responseSchema;
+        agent.markModified('responseSchema');
+        agent.metadata.modifiedBy = getModifiedBy(req);
+        await agent.save();
+        await ResponsesClient.invalidateAgentCache(agent._id);
+
+        console.log(`📋 [Agent ${agent._id}] Response schema updated via admin API:`, {
+            schemaName: responseSchema.name,
+            properties: Object.keys(responseSchema.schema.properties)
+        });
+
+        res.json({
+            success: true,
+            data: agent.responseSchema,
+            meta: {
+                version: agent.metadata.version
+            }
+        });
+
+    } catch (error) {
+        handleWriteError(res, error, 'Failed to update response schema');
+    }
+});
+
+/**
+ * PUT /api/admin/agents/:agentId/templates
+ * Replace the agent's message templates (array of { name, language, category, body, variables, serviceWindowFallback }).
+ * Names and bodies must match the templates approved in the WhatsApp Business Manager.
+ * ?dryRun=true only validates
+ */
+router.put('/agents/:agentId/templates', async (req, res) => {
+    try {
+        const agent = await loadAgentOrRespond(req, res);
+        if (!agent) return;
+
+        const templates = req.body;
+        const templateErrors = templateMessageService.validateTemplates(templates);
+        if (templateErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_TEMPLATES',
+                message: `Invalid templates: ${templateErrors.map(e => `${e.path} ${e.message}`).join('; ')}`,
+                validation_errors: templateErrors
+            });
+        }
+
+        if (req.query.dryRun === 'true') {
+            return res.json({
+                success: true,
+                data: { valid: true, names: templates.map(template => template.name) },
+                meta: { dryRun: true }
+            });
+        }
+
+        agent.templates = templates;
+        agent.metadata.modifiedBy = getModifiedBy(req);
+        await agent.save();
+        await ResponsesClient.invalidateAgentCache(agent._id);
+
+        console.log(`📨 [Agent ${agent._id}] Message templates updated via admin API:`, {
+            names: agent.templates.map(template => template.name)
+        });
+
+        res.json({
+            success: true,
+            data: agent.templates,
+            meta: {
+                total: agent.templates.length,
+                version: agent.metadata.version
+            }
+        });
+
+    } catch (error) {
+        handleWriteError(res, error, 'Failed to update message templates');
+    }
+});
+
+// ============================================================================
+// Tool Assignment Endpoints
+// ============================================================================
+
+/**
+ * GET /api/admin/agents/:agentId/tools
+ * List every registered tool with its enablement for the agent
+ */
+router.get('/agents/:agentId/tools', async (req, res) => {
+    try {
+        const agent = await loadAgentOrRespond(req, res);
+        if (!agent) return;
+
+        const docs = await ToolSchema.find({}).select('toolName enabledForAgents isActive metadata').lean();
+        const docsByName = new Map(docs.map(doc => [doc.toolName, doc]));
+        const toolNames = new Set([...toolRegistry.getToolNames(), ...docsByName.keys()]);
+
+        const tools = Array.from(toolNames).sort().map(toolName => {
+            const doc = docsByName.get(toolName);
+            return {
+                toolName,
+                category: toolRegistry.getCategory(toolName) || doc?.metadata?.category || null,
+                implemented: toolRegistry.has(toolName),
+                isActive: doc ? doc.isActive : false,
+                enabled: !!doc && (doc.enabledForAgents || []).some(id => id.equals(agent._id))
+            };
+        });
+
+        res.json({
+            success: true,
+            data: tools,
+            meta: {
+                agentId: agent._id,
+                total: tools.length,
+                enabled: tools.filter(tool => tool.enabled).length
+            }
+        });
+
+    } catch (error) {
+        console.error('Error listing agent tools:', error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: 'Failed to list agent tools'
+        });
+    }
+});
+
+/**
+ * PUT /api/admin/agents/:agentId/tools/:toolName
+ * Enable a tool for the agent
+ */
+router.put('/agents/:agentId/tools/:toolName', async (req, res) => {
+    try {
+        const agent = await loadAgentOrRespond(req, res);
+        if (!agent) return;
+
+        const { toolName } = req.params;
+        if (!toolRegistry.has(toolName)) {
+            return res.status(404).json({
+                success: false,
+                error: 'TOOL_NOT_FOUND',
+                message: `No tool implementation registered for ${toolName}. Available: ${toolRegistry.getToolNames().join(', ')}`
+            });
+        }
+
+        // Registry tools missing from MongoDB are created by the sync
+        if (!(await ToolSchema.exists({ toolName }))) {
+            await toolRegistry.syncToolSchemas(getModifiedBy(req));
+        }
+
+        const tool = await ToolSchema.findOneAndUpdate(
+            { toolName },
+            {
+                $addToSet: { enabledForAgents: agent._id },
+                $set: { 'metadata.lastModified': new Date(), 'metadata.modifiedBy': getModifiedBy(req) }
+            },
+            { new: true }
+        );
+        await ResponsesClient.invalidateAgentCache(agent._id);
+
+        console.log(`🧰 [Agent ${agent._id}] Enabled tool ${toolName} via admin API`);
+
+        res.json({
+            success: true,
+            data: {
+                agentId: agent._id,
+                toolName,
+                enabled: true,
+                isActive: tool.isActive
+            }
+        });
+
+    } catch (error) {
+        console.error('Error enabling tool:', error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: 'Failed to enable tool'
+        });
+    }
+});
+
+/**
+ * DELETE /api/admin/agents/:agentId/tools/:toolName
+ * Disable a tool for the agent
+ */
+router.delete('/agents/:agentId/tools/:toolName', async (req, res) => {
+    try {
+        const agent = await loadAgentOrRespond(req, res);
+        if (!agent) return;
+
+        const { toolName } = req.params;
+        const tool = await ToolSchema.findOneAndUpdate(
+            { toolName },
+            {
+                $pull: { enabledForAgents: agent._id },
+                $set: { 'metadata.lastModified': new Date(), 'metadata.modifiedBy': getModifiedBy(req) }
+            },
+            { new: true }
+        );
+
+        if (!tool) {
+            return res.status(404).json({
+                success: false,
+                error: 'TOOL_NOT_FOUND',
+                message: `Tool not found: ${toolName}`
+            });
+        }
+
+        await ResponsesClient.invalidateAgentCache(agent._id);
+
+        console.log(`🧰 [Agent ${agent._id}] Disabled tool ${toolName} via admin API`);
+
+        res.json({
+            success: true,
+            data: {
+                agentId: agent._id,
+                toolName,
+                enabled: false
+            }
+        });
+
+    } catch (error) {
+        console.error('Error disabling tool:', error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: 'Failed to disable tool'
+        });
+    }
+});
+
+// ============================================================================
+// Outgoing Webhook Endpoints
+// ============================================================================
+
+/**
+ * GET /api/admin/agents/:agentId/webhooks
+ * List the agent's webhook subscriptions (secrets are never returned)
+ */
+router.get('/agents/:agentId/webhooks', async (req, res) => {
+    try {
+        const agent = await loadAgentOrRespond(req, res);
+        if (!agent) return;
+
+        const subscriptions = await WebhookSubscription.find({ agentId: agent._id }).sort({ createdAt: 1 });
+
+        res.json({
+            success: true,
+            data: subscriptions.map(subscription => serializeWebhook(subscription)),
+            meta: {
+                agentId: agent._id,
+                total: subscriptions.length,
+                availableEvents: outgoingWebhookService.WEBHOOK_EVENT_TYPES
+            }
+        });
+
+    } catch (error) {
+        console.error('Error listing webhooks:', error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: 'Failed to list webhooks'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/agents/:agentId/webhooks
+ * Create a subscription ({ url, events, description }). The signing secret is returned only here.
+ */
+router.post('/agents/:agentId/webhooks', async (req, res) => {
+    try {
+        const agent = await loadAgentOrRespond(req, res);
+        if (!agent) return;
+
+        const secret = outgoingWebhookService.generateSecret();
+        const subscription = new WebhookSubscription({
+            agentId: agent._id,
+            secret,
+            createdBy: getModifiedBy(req)
+        });
+        for (const field of WRITABLE_WEBHOOK_FIELDS) {
+            if (req.body?.[field] !== undefined) {
+                subscription.set(field, req.body[field]);
+            }
+        }
+
+        await subscription.save();
+
+        console.log(`🔔 [Agent ${agent._id}] Webhook created via admin API:`, {
+            webhookId: subscription._id.toString(),
+            url: subscription.url,
+            events: subscription.events
+        });
+
+        res.status(201).json({
+            success: true,
+            data: serializeWebhook(subscription, secret)
+        });
+
+    } catch (error) {
+        handleWriteError(res, error, 'Failed to create webhook');
+    }
+});
+
+/**
+ * PATCH /api/admin/agents/:agentId/webhooks/:webhookId
+ * Update url/events/isActive/description; { rotateSecret: true } generates and returns a new secret
+ */
+router.patch('/agents/:agentId/webhooks/:webhookId', async (req, res) => {
+    try {
+        const agent = await loadAgentOrRespond(req, res);
+        if (!agent) return;
+
+        const subscription = await loadWebhookOrRespond(req, res, agent);
+        if (!subscription) return;
+
+        const body = req.body || {};
+        const updatedFields = WRITABLE_WEBHOOK_FIELDS.filter(field => body[field] !== undefined);
+        updatedFields.forEach(field => subscription.set(field, body[field]));
+
+        let secret = null;
+        if (body.rotateSecret === true) {
+            secret = outgoingWebhookService.generateSecret();
+            subscription.secret = secret;
+            updatedFields.push('secret');
+        }
+
+        if (updatedFields.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'VALIDATION_ERROR',
+                message: `No updatable fields provided. Allowed: ${[...WRITABLE_WEBHOOK_FIELDS, 'rotateSecret'].join(', ')}`
+            });
+        }
+
+        await subscription.save();
+
+        console.log(`✏️ [Agent ${agent._id}] Webhook ${subscription._id} updated via admin API:`, {
+            fields: updatedFields
+        });
+
+        res.json({
+            success: true,
+            data: serializeWebhook(subscription, secret),
+            meta: { updatedFields }
+        });
+
+    } catch (error) {
+        handleWriteError(res, error, 'Failed to update webhook');
+    }
+});
+
+/**
+ * DELETE /api/admin/agents/:agentId/webhooks/:webhookId
+ * Delete a subscription (pending retries fail on their next attempt)
+ */
+router.delete('/agents/:agentId/webhooks/:webhookId', async (req, res) => {
+    try {
+        const agent = await loadAgentOrRespond(req, res);
+        if (!agent) return;
+
+        const subscription = await loadWebhookOrRespond(req, res, agent);
+        if (!subscription) return;
+
+        await WebhookSubscription.deleteOne({ _id: subscription._id });
+
+        console.log(`🗑️ [Agent ${agent._id}] Webhook ${subscription._id} deleted via admin API`);
+
+        res.json({
+            success: true,
+            data: {
+                webhookId: subscription._id,
+                deleted: true
+            }
+        });
+
+    } catch (error) {
+        console.error('Error deleting webhook:', error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: 'Failed to delete webhook'
+        });
+    }
+});
+
+/**
+ * GET /api/admin/agents/:agentId/webhook-deliveries
+ * Delivery log, newest first. Filters: status, eventType, webhookId, limit (max 200)
+ */
+router.get('/agents/:agentId/webhook-deliveries', async (req, res) => {
+    try {
+        const agent = await loadAgentOrRespond(req, res);
+        if (!agent) return;
+
+        const { status, eventType, webhookId } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+        if (status && !DELIVERY_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: 'VALIDATION_ERROR',
+                message: `status must be one of: ${DELIVERY_STATUSES.join(', ')}`
+            });
+        }
+
+        if (webhookId && !mongoose.isValidObjectId(webhookId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_WEBHOOK_ID',
+                message: `Invalid webhook ID: ${webhookId}`
+            });
+        }
+
+        const query = { agentId: agent._id };
+        if (status) query.status = status;
+        if (eventType) query.eventType = eventType;
+        if (webhookId) query.subscriptionId = webhookId;
+
+        const deliveries = await WebhookDelivery.find(query)
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .lean();
+
+        res.json({
+            success: true,
+            data: deliveries,
+            meta: {
+                agentId: agent._id,
+                count: deliveries.length,
+                limit,
+                filters: { status, eventType, webhookId }
+            }
+        });
+
+    } catch (error) {
+        console.error('Error listing webhook deliveries:', error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: 'Failed to list webhook deliveries'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/webhook-deliveries/:deliveryId/replay
+ * Send a delivery again with its original payload (new signature and timestamp)
+ */
+router.post('/webhook-deliveries/:deliveryId/replay', async (req, res) => {
+    try {
+        const { deliveryId } = req.params;
+
+        if (!mongoose.isValidObjectId(deliveryId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_DELIVERY_ID',
+                message: `Invalid delivery ID: ${deliveryId}`
+            });
+        }
+
+        const delivery = await WebhookDelivery.findById(deliveryId).select('agentId').lean();
+        if (delivery && !hasAgentAccess(req, delivery.agentId)) {
+            return respondAgentAccessDenied(res);
+        }
+
+        const result = await outgoingWebhookService.replay(deliveryId);
+
+        if (!result.success) {
+            return res.status(result.error === 'DELIVERY_NOT_FOUND' ? 404 : 409).json(result);
+        }
+
+        res.json({
+            success: true,
+            data: result.delivery
+        });
+
+    } catch (error) {
+        console.error('Error replaying webhook delivery:', error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: 'Failed to replay webhook delivery'
+        });
+    }
+});
+
+// ============================================================================
+// API Key Endpoints (unrestricted admin keys only)
+// ============================================================================
+
+const API_KEY_ERROR_STATUS = {
+    VALIDATION_ERROR: 400,
+    API_KEY_NOT_FOUND: 404,
+    API_KEY_REVOKED: 409
+};
+
+/**
+ * GET /api/admin/api-keys
+ * List API keys (?includeRevoked=true to include revoked ones). Hashes are never returned.
+ */
+router.get('/api-keys', async (req, res) => {
+    try {
+        if (rejectRestrictedKey(req, res)) return;
+
+        const keys = await apiKeyService.listKeys({ includeRevoked: req.query.includeRevoked === 'true' });
+
+        res.json({
+            success: true,
+            data: keys.map(key => apiKeyService.serialize(key)),
+            meta: {
+                total: keys.length,
+                availableScopes: apiKeyService.API_KEY_SCOPES
+            }
+        });
+
+    } catch (error) {
+        console.error('Error listing API keys:', error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: 'Failed to list API keys'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/api-keys
+ * Issue a key ({ name, description, scopes, agentIds, expiresAt }). The plain key is returned only here.
+ */
+router.post('/api-keys', async (req, res) => {
+    try {
+        if (rejectRestrictedKey(req, res)) return;
+
+        const { name, description, scopes, agentIds, expiresAt } = req.body || {};
+        const result = await apiKeyService.createKey({
+            name,
+            description,
+            scopes,
+            agentIds,
+            expiresAt,
+            createdBy: getModifiedBy(req)
+        });
+
+        if (!result.success) {
+            return res.status(API_KEY_ERROR_STATUS[result.error] || 500).json(result);
+        }
+
+        res.status(201).json({
+            success: true,
+            data: apiKeyService.serialize(result.apiKey, result.plainKey)
+        });
+
+    } catch (error) {
+        handleWriteError(res, error, 'Failed to create API key');
+    }
+});
+
+/**
+ * PATCH /api/admin/api-keys/:keyId
+ * Update name, description, scopes, agentIds or expiresAt
+ */
+router.patch('/api-keys/:keyId', async (req, res) => {
+    try {
+        if (rejectRestrictedKey(req, res)) return;
+
+        if (!mongoose.isValidObjectId(req.params.keyId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_API_KEY_ID',
+                message: `Invalid API key ID: ${req.params.keyId}`
+            });
+        }
+
+        const result = await apiKeyService.updateKey(req.params.keyId, req.body || {});
+        if (!result.success) {
+            return res.status(API_KEY_ERROR_STATUS[result.error] || 500).json(result);
+        }
+
+        res.json({
+            success: true,
+            data: apiKeyService.serialize(result.apiKey),
+            meta: { updatedFields: result.updatedFields }
+        });
+
+    } catch (error) {
+        handleWriteError(res, error, 'Failed to update API key');
+    }
+});
+
+/**
+ * DELETE /api/admin/api-keys/:keyId
+ * Revoke a key ({ reason } optional). Revoked keys are kept for audit.
+ */
+router.delete('/api-keys/:keyId', async (req, res) => {
+    try {
+        if (rejectRestrictedKey(req, res)) return;
+
+        if (!mongoose.isValidObjectId(req.params.keyId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_API_KEY_ID',
+                message: `Invalid API key ID: ${req.params.keyId}`
+            });
+        }
+
+        const result = await apiKeyService.revokeKey(req.params.keyId, req.body?.reason);
+        if (!result.success) {
+            return res.status(API_KEY_ERROR_STATUS[result.error] || 500).json(result);
+        }
+
+        res.json({
+            success: true,
+            data: apiKeyService.serialize(result.apiKey)
+        });
+
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: 'Failed to revoke API key'
+        });
+    }
+});
+
+module.exports = router;
@@ -9,21 +9,53 @@
  * 
  * Dependencies:
  * - express
- * - externalApiAuth (API key validation)
+ * - externalApiAuth (API key validation, scopes and agent restrictions)
  * - models/Conversation (conversation metadata)
  * - models/Message (separated message storage)
  * - models/Agent (agent lookup)
+ * - services/operatorMessageService (human operator sends)
+ * - services/handoffService (ai / human / paused mode)
+ * - services/deliveryStatusService (failed deliveries and retries)
+ * - services/templateMessageService (message templates and the 24h service window)
+ * - services/campaignService, models/Campaign, models/CampaignRecipient (proactive campaigns)
+ * - services/followUpService, models/FollowUp (scheduled follow-ups)
+ * - services/conversationSummaryService (rolling conversation summaries)
+ * - services/conversationEventBus (real-time event stream)
  * 
  * Dependants:
  * - External integrations and monitoring systems
  */
 
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
-const { validateExternalApiKey } = require('../externalApiAuth');
+const {
+    validateExternalApiKey,
+    requireScope,
+    getAllowedAgentIds,
+    hasAgentAccess,
+    respondAgentAccessDenied
+} = require('../externalApiAuth');
 const Conversation = require('../models/Conversation');
 const Message = require('../models/Message');
 const Agent = require('../models/Agent');
+const operatorMessageService = require('../services/operatorMessageService');
+const handoffService = require('../services/handoffService');
+const deliveryStatusService = require('../services/deliveryStatusService');
+const templateMessageService = require('../services/templateMessageService');
+const campaignService = require('../services/campaignService');
+const Campaign = require('../models/Campaign');
+const CampaignRecipient = require('../models/CampaignRecipient');
+const FollowUp = require('../models/FollowUp');
+const { FOLLOW_UP_STATUSES } = FollowUp;
+const followUpService = require('../services/followUpService');
+const conversationSummaryService = require('../services/conversationSummaryService');
+const { HISTORY_WINDOW_MESSAGES } = conversationSummaryService;
+const conversationEventBus = require('../services/conversationEventBus');
+const { EVENT_TYPES } = conversationEventBus;
+
+// Keeps proxies from closing idle event streams
+const SSE_HEARTBEAT_MS = Number(process.env.SSE_HEARTBEAT_MS || 25000);
 
 // ============================================================================
 // External API Middleware - Apply to all external routes
@@ -44,6 +76,42 @@ router.use((req, res, next) => {
     next();
 });
 
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Check that the conversation exists and belongs to an agent the API key can access
+ * @returns {Promise<Object|null>} Conversation (agentId only), null when a response was already sent
+ */
+async function authorizeConversation(req, res, conversationId) {
+    if (!mongoose.isValidObjectId(conversationId)) {
+        res.status(400).json({
+            success: false,
+            error: 'INVALID_CONVERSATION_ID',
+            message: `Invalid conversation ID: ${conversationId}`
+        });
+        return null;
+    }
+
+    const conversation = await Conversation.findById(conversationId).select('agentId').lean();
+    if (!conversation) {
+        res.status(404).json({
+            success: false,
+            error: 'CONVERSATION_NOT_FOUND',
+            message: 'Conversation not found'
+        });
+        return null;
+    }
+
+    if (!hasAgentAccess(req, conversation.agentId)) {
+        respondAgentAccessDenied(res);
+        return null;
+    }
+
+    return conversation;
+}
+
 // ============================================================================
 // Conversation Endpoints with Message Pagination
 // ============================================================================
@@ -52,9 +120,13 @@ router.use((req, res, next) => {
  * GET /api/external/conversations/agent/:agentId
  * Get all conversations for a specific agent
  */
-router.get('/conversations/agent/:agentId', async (req, res) => {
+router.get('/conversations/agent/:agentId', requireScope('conversations:read'), async (req, res) => {
     try {
         const { agentId } = req.params;
+
+        if (!hasAgentAccess(req, agentId)) {
+            return respondAgentAccessDenied(res);
+        }
         const { includeMessages = false, messageLimit = 50, messageOffset = 0, limit = 100, offset = 0 } = req.query;
 
         // Query conversations by agentId (ObjectId)
@@ -104,13 +176,19 @@ router.get('/conversations/agent/:agentId', async (req, res) => {
  * GET /api/external/conversations/participant/:phoneNumber
  * Get all conversations for a specific participant (phone number)
  */
-router.get('/conversations/participant/:phoneNumber', async (req, res) => {
+router.get('/conversations/participant/:phoneNumber', requireScope('conversations:read'), async (req, res) => {
     try {
         const { phoneNumber } = req.params;
         const { includeMessages = false, messageLimit = 50, messageOffset = 0, limit = 100, offset = 0 } = req.query;
 
-        // Query conversations by phoneNumber
-        const conversations = await Conversation.find({ phoneNumber })
+        // Query conversations by phoneNumber (only agents the key can access)
+        const query = { phoneNumber };
+        const allowedAgentIds = getAllowedAgentIds(req);
+        if (allowedAgentIds) {
+            query.agentId = { $in: allowedAgentIds };
+        }
+
+        const conversations = await Conversation.find(query)
             .sort({ lastMessageTime: -1 })
             .limit(parseInt(limit))
             .skip(parseInt(offset))
@@ -156,7 +234,7 @@ router.get('/conversations/participant/:phoneNumber', async (req, res) => {
  * GET /api/external/conversations/:conversationId
  * Get a single conversation by ID with optional message pagination
  */
-router.get('/conversations/:conversationId', async (req, res) => {
+router.get('/conversations/:conversationId', requireScope('conversations:read'), async (req, res) => {
     try {
         const { conversationId } = req.params;
         const { includeMessages = true, messageLimit = 100, messageOffset = 0 } = req.query;
@@ -172,6 +250,10 @@ router.get('/conversations/:conversationId', async (req, res) => {
             });
         }
 
+        if (!hasAgentAccess(req, conversation.agentId)) {
+            return respondAgentAccessDenied(res);
+        }
+
         // Optionally include messages from Message collection
         if (includeMessages === 'true') {
             const messages = await Message.find({ conversationId: conversation._id })
@@ -208,31 +290,31 @@ router.get('/conversations/:conversationId', async (req, res) => {
  * GET /api/external/conversations/:conversationId/messages
  * Get paginated messages for a specific conversation
  */
-router.get('/conversations/:conversationId/messages', async (req, res) => {
+router.get('/conversations/:conversationId/messages', requireScope('conversations:read'), async (req, res) => {
     try {
         const { conversationId } = req.params;
-        const { limit = 100, offset = 0, sortOrder = 'desc' } = req.query;
+        const { limit = 100, offset = 0, sortOrder = 'desc', status } = req.query;
 
-        // Verify conversation exists
-        const conversation = await Conversation.findById(conversationId);
-        if (!conversation) {
-            return res.status(404).json({
-                success: false,
-                error: 'CONVERSATION_NOT_FOUND',
-                message: 'Conversation not found'
-            });
+        // Verify conversation exists and the key can access its agent
+        const conversation = await authorizeConversation(req, res, conversationId);
+        if (!conversation) return;
+
+        // Optional delivery status filter (e.g. status=failed)
+        const query = { conversationId };
+        if (status) {
+            query.status = { $in: String(status).split(',').map(value => value.trim()) };
         }
 
         // Query messages with pagination
         const sort = sortOrder === 'asc' ? { timestamp: 1 } : { timestamp: -1 };
-        const messages = await Message.find({ conversationId })
+        const messages = await Message.find(query)
             .sort(sort)
             .limit(parseInt(limit))
             .skip(parseInt(offset))
             .lean();
 
         // Get total message count
-        const totalCount = await Message.countDocuments({ conversationId });
+        const totalCount = await Message.countDocuments(query);
 
         res.json({
             success: true,
@@ -244,6 +326,7 @@ router.get('/conversations/:conversationId/messages', async (req, res) => {
                 limit: parseInt(limit),
                 offset: parseInt(offset),
                 sortOrder: sortOrder,
+                status: status || null,
                 hasMore: (parseInt(offset) + messages.length) < totalCount
             }
         });
@@ -258,6 +341,1002 @@ router.get('/conversations/:conversationId/messages', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/external/conversations/:conversationId/messages
+ * Send a message as a human operator through the agent's provider.
+ * Stored with sender 'agent', which pauses the AI for the conversation.
+ * Body: { text, media: { type: 'image'|'video'|'audio'|'document'|'sticker', url, filename }, operator: { id, name } }
+ */
+router.post('/conversations/:conversationId/messages', requireScope('messages:send'), async (req, res) => {
+    try {
+        const { conversationId } = req.params;
+        const { text, media, operator } = req.body || {};
+
+        if (!(await authorizeConversation(req, res, conversationId))) return;
+
+        const result = await operatorMessageService.sendOperatorMessage(conversationId, {
+            text,
+            media,
+            operator: {
+                id: operator?.id,
+                name: operator?.name || req.externalApi?.keyName
+            }
+        });
+
+        if (!result.success) {
+            const statusCodes = {
+                VALIDATION_ERROR: 400,
+                CONVERSATION_NOT_FOUND: 404,
+                AGENT_NOT_FOUND: 404,
+                OUTSIDE_SERVICE_WINDOW: 409,
+                DELIVERY_FAILED: 502
+            };
+            return res.status(statusCodes[result.error] || 500).json(result);
+        }
+
+        res.status(201).json({
+            success: true,
+            data: result.message,
+            meta: {
+                conversationId: conversationId,
+                messageCount: result.conversation.messageCount,
+                lastMessageTime: result.conversation.lastMessageTime
+            }
+        });
+
+    } catch (error) {
+        console.error('Error sending operator message:', error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: 'Failed to send message'
+        });
+    }
+});
+
+// ============================================================================
+// Delivery Status Endpoints
+// ============================================================================
+
+/**
+ * POST /api/external/conversations/:conversationId/read
+ * Mark the conversation as read by the operator (resets unreadCount)
+ */
+router.post('/conversations/:conversationId/read', requireScope('messages:send'), async (req, res) => {
+    try {
+        const { conversationId } = req.params;
+
+        if (!(await authorizeConversation(req, res, conversationId))) return;
+
+        const conversation = await Conversation.findById(conversationId);
+        await conversation.resetUnreadCount();
+
+        res.json({
+            success: true,
+            data: {
+                unreadCount: conversation.unreadCount,
+                lastReadByOperatorAt: conversation.lastReadByOperatorAt,
+                delivery: conversation.delivery
+            },
+            meta: {
+                conversationId: conversationId
+            }
+        });
+
+    } catch (error) {
+        console.error('Error marking conversation as read:', error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: 'Failed to mark conversation as read'
+        });
+    }
+});
+
+/**
+ * GET /api/external/messages/failed
+ * Outbound messages that failed to deliver, newest first
+ * Query: agentId, conversationId, since (ISO date), limit
+ */
+router.get('/messages/failed', requireScope('conversations:read'), async (req, res) => {
+    try {
+        const { agentId, conversationId, since, limit = 50 } = req.query;
+
+        if (conversationId && !(await authorizeConversation(req, res, conversationId))) return;
+
+        if (agentId && !mongoose.isValidObjectId(agentId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_AGENT_ID',
+                message: `Invalid agent ID: ${agentId}`
+            });
+        }
+        if (agentId && !hasAgentAccess(req, agentId)) {
+            return respondAgentAccessDenied(res);
+        }
+
+        const sinceDate = since ? new Date(since) : null;
+        if (sinceDate && isNaN(sinceDate.getTime())) {
+            return res.status(400).json({
+                success: false,
+                error: 'VALIDATION_ERROR',
+                message: 'since must be a valid date'
+            });
+        }
+
+        const messages = await deliveryStatusService.listFailedMessages({
+            agentIds: agentId ? [agentId] : getAllowedAgentIds(req),
+            conversationId: conversationId || null,
+            since: sinceDate,
+            limit: Math.min(parseInt(limit) || 50, 200)
+        });
+
+        res.json({
+            success: true,
+            data: messages,
+            meta: {
+                returned: messages.length,
+                agentId: agentId || null,
+                conversationId: conversationId || null,
+                since: sinceDate
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching failed messages:', error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: 'Failed to fetch failed messages'
+        });
+    }
+});
+
+/**
+ * POST /api/external/messages/:messageId/retry
+ * Resend a failed outbound message through the agent's provider
+ */
+router.post('/messages/:messageId/retry', requireScope('messages:send'), async (req, res) => {
+    try {
+        const { messageId } = req.params;
+
+        const message = mongoose.isValidObjectId(messageId)
+            ? await Message.findById(messageId).select('conversationId').lean()
+            : null;
+        if (!message) {
+            return res.status(404).json({
+                success: false,
+                error: 'MESSAGE_NOT_FOUND',
+                message: 'Message not found'
+            });
+        }
+
+        if (!(await authorizeConversation(req, res, message.conversationId.toString()))) return;
+
+        const result = await deliveryStatusService.retryMessage(messageId);
+
+        if (!result.success) {
+            const statusCodes = {
+                MESSAGE_NOT_FOUND: 404,
+                AGENT_NOT_FOUND: 404,
+                MESSAGE_NOT_RETRYABLE: 409,
+                DELIVERY_FAILED: 502
+            };
+            return res.status(statusCodes[result.error] || 500).json(result);
+        }
+
+        res.json({
+            success: true,
+            data: result.message,
+            meta: {
+                conversationId: message.conversationId,
+                retryCount: result.message.retryCount
+            }
+        });
+
+    } catch (error) {
+        console.error('Error retrying message:', error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: 'Failed to retry message'
+        });
+    }
+});
+
+// ============================================================================
+// Message Template Endpoints
+// ============================================================================
+
+/**
+ * GET /api/external/agents/:agentId/templates
+ * Message templates defined for the agent
+ */
+router.get('/agents/:agentId/templates', requireScope('conversations:read'), async (req, res) => {
+    try {
+        const { agentId } = req.params;
+
+        if (!hasAgentAccess(req, agentId)) {
+            return respondAgentAccessDenied(res);
+        }
+
+        const agent = mongoose.isValidObjectId(agentId) ? await Agent.findById(agentId) : null;
+        if (!agent) {
+            return res.status(404).json({
+                success: false,
+                error: 'AGENT_NOT_FOUND',
+                message: 'Agent not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: agent.templates || [],
+            meta: {
+                agentId: agentId,
+                total: (agent.templates || []).length
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching message templates:', error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: 'Failed to fetch message templates'
+        });
+    }
+});
+
+/**
+ * POST /api/external/agents/:agentId/templates/:name/send
+ * Send an approved template to a conversation, or to a phone number (the conversation is created if needed).
+ * Templates can be sent at any time, inside or outside the 24h service window.
+ * Body: { conversationId | phoneNumber, variables: { name: value } | [value, ...], participantName, operator: { id, name } }
+ */
+router.post('/agents/:agentId/templates/:name/send', requireScope('messages:send'), async (req, res) => {
+    try {
+        const { agentId, name } = req.params;
+        const { conversationId, phoneNumber, variables = {}, participantName, operator } = req.body || {};
+
+        if (!hasAgentAccess(req, agentId)) {
+            return respondAgentAccessDenied(res);
+        }
+
+        if (!conversationId && !phoneNumber) {
+            return res.status(400).json({
+                success: false,
+                error: 'VALIDATION_ERROR',
+                message: 'conversationId or phoneNumber is required'
+            });
+        }
+
+        const agent = mongoose.isValidObjectId(agentId) ? await Agent.findById(agentId) : null;
+        if (!agent) {
+            return res.status(404).json({
+                success: false,
+                error: 'AGENT_NOT_FOUND',
+                message: 'Agent not found'
+            });
+        }
+
+        const options = {
+            sender: 'agent',
+            operator: { id: operator?.id, name: operator?.name || req.externalApi?.keyName }
+        };
+        let result;
+
+        if (conversationId) {
+            const conversation = mongoose.isValidObjectId(conversationId) ? await Conversation.findById(conversationId) : null;
+            if (!conversation || String(conversation.agentId) !== String(agent._id)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'CONVERSATION_NOT_FOUND',
+                    message: 'Conversation not found for this agent'
+                });
+            }
+            result = await templateMessageService.sendTemplate(agent, conversation, name, variables, options);
+        } else {
+            result = await templateMessageService.sendTemplateToNumber(agent, phoneNumber, name, variables, {
+                ...options,
+                participantName
+            });
+        }
+
+        if (!result.success) {
+            const statusCodes = {
+                VALIDATION_ERROR: 400,
+                TEMPLATE_NOT_FOUND: 404,
+                TEMPLATES_NOT_SUPPORTED: 409,
+                DELIVERY_FAILED: 502
+            };
+            return res.status(statusCodes[result.error] || 500).json(result);
+        }
+
+        res.status(201).json({
+            success: true,
+            data: result.message,
+            meta: {
+                conversationId: result.conversation._id,
+                template: name
+            }
+        });
+
+    } catch (error) {
+        console.error('Error sending message template:', error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: 'Failed to send message template'
+        });
+    }
+});
+
+/**
+ * GET /api/external/conversations/:conversationId/service-window
+ * 24h customer service window: whether free-form messages can be sent or only templates
+ */
+router.get('/conversations/:conversationId/service-window', requireScope('conversations:read'), async (req, res) => {
+    try {
+        const { conversationId } = req.params;
+
+        if (!(await authorizeConversation(req, res, conversationId))) return;
+
+        const conversation = await Conversation.findById(conversationId);
+        const agent = await Agent.findById(conversation.agentId);
+        if (!agent) {
+            return res.status(404).json({
+                success: false,
+                error: 'AGENT_NOT_FOUND',
+                message: 'Agent not found for conversation'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: templateMessageService.getServiceWindow(agent, conversation),
+            meta: {
+                conversationId: conversationId
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching service window:', error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: 'Failed to fetch service window'
+        });
+    }
+});
+
+// ============================================================================
+// Campaign Endpoints
+// ============================================================================
+
+/**
+ * Load the campaign in :campaignId or answer 400/403/404
+ * @returns {Promise<Object|null>} Campaign document, null when a response was sent
+ */
+async function loadCampaignOrRespond(req, res) {
+    const { campaignId } = req.params;
+
+    if (!mongoose.isValidObjectId(campaignId)) {
+        res.status(400).json({
+            success: false,
+            error: 'INVALID_CAMPAIGN_ID',
+            message: `Invalid campaign ID: ${campaignId}`
+        });
+        return null;
+    }
+
+    const campaign = await Campaign.findById(campaignId);
+    if (!campaign) {
+        res.status(404).json({
+            success: false,
+            error: 'CAMPAIGN_NOT_FOUND',
+            message: 'Campaign not found'
+        });
+        return null;
+    }
+
+    if (!hasAgentAccess(req, campaign.agentId)) {
+        respondAgentAccessDenied(res);
+        return null;
+    }
+
+    return campaign;
+}
+
+/**
+ * POST /api/external/agents/:agentId/campaigns
+ * Create a draft campaign. ?dryRun=true only validates and counts the audience.
+ * Body: { name, description, audience: { participantStatuses, minCreditBalance, maxCreditBalance, lastActivityAfter, lastActivityBefore },
+ *         message: { text } | { template: { name, variables: { name: value } } }, scheduledAt }
+ */
+router.post('/agents/:agentId/campaigns', requireScope('campaigns:manage'), async (req, res) => {
+    try {
+        const { agentId } = req.params;
+
+        if (!hasAgentAccess(req, agentId)) {
+            return respondAgentAccessDenied(res);
+        }
+
+        const agent = mongoose.isValidObjectId(agentId) ? await Agent.findById(agentId) : null;
+        if (!agent) {
+            return res.status(404).json({
+                success: false,
+                error: 'AGENT_NOT_FOUND',
+                message: 'Agent not found'
+            });
+        }
+
+        const dryRun = req.query.dryRun === 'true';
+        const result = await campaignService.createCampaign(agent, req.body, {
+            createdBy: req.externalApi?.keyName || 'external-api',
+            dryRun
+        });
+
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+
+        res.status(dryRun ? 200 : 201).json({
+            success: true,
+            data: result.campaign,
+            meta: {
+                audienceSize: result.audienceSize,
+                dryRun
+            }
+        });
+
+    } catch (error) {
+        console.error('Error creating campaign:', error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: 'Failed to create campaign'
+        });
+    }
+});
+
+/**
+ * GET /api/external/agents/:agentId/campaigns
+ * Campaigns of the agent, newest first (optional ?status=)
+ */
+router.get('/agents/:agentId/campaigns', requireScope('campaigns:manage'), async (req, res) => {
+    try {
+        const { agentId } = req.params;
+        const { status, limit = 50, offset = 0 } = req.query;
+
+        if (!mongoose.isValidObjectId(agentId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_AGENT_ID',
+                message: `Invalid agent ID: ${agentId}`
+            });
+        }
+
+        if (!hasAgentAccess(req, agentId)) {
+            return respondAgentAccessDenied(res);
+        }
+
+        const query = { agentId };
+        if (status) query.status = status;
+
+        const [campaigns, totalCount] = await Promise.all([
+            Campaign.find(query)
+                .sort({ createdAt: -1 })
+                .limit(parseInt(limit))
+                .skip(parseInt(offset)),
+            Campaign.countDocuments(query)
+        ]);
+
+        res.json({
+            success: true,
+            data: campaigns,
+            meta: {
+                total: totalCount,
+                limit: parseInt(limit),
+                offset: parseInt(offset)
+            }
+        });
+
+    } catch (error) {
+        console.error('Error listing campaigns:', error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: 'Failed to list campaigns'
+        });
+    }
+});
+
+/**
+ * GET /api/external/campaigns/:campaignId
+ * Campaign with recipient counts by status and skip reason
+ */
+router.get('/campaigns/:campaignId', requireScope('campaigns:manage'), async (req, res) => {
+    try {
+        const campaign = await loadCampaignOrRespond(req, res);
+        if (!campaign) return;
+
+        res.json({
+            success: true,
+            data: campaign,
+            meta: {
+                stats: await campaignService.getStats(campaign)
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching campaign:', error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: 'Failed to fetch campaign'
+        });
+    }
+});
+
+/**
+ * GET /api/external/campaigns/:campaignId/recipients
+ * Per-recipient delivery report (optional ?status=, comma separated)
+ */
+router.get('/campaigns/:campaignId/recipients', requireScope('campaigns:manage'), async (req, res) => {
+    try {
+        const campaign = await loadCampaignOrRespond(req, res);
+        if (!campaign) return;
+
+        const { status, limit = 100, offset = 0 } = req.query;
+        const query = { campaignId: campaign._id };
+        if (status) query.status = { $in: status.split(',') };
+
+        const [recipients, totalCount] = await Promise.all([
+            CampaignRecipient.find(query)
+                .sort({ _id: 1 })
+                .limit(parseInt(limit))
+                .skip(parseInt(offset)),
+            CampaignRecipient.countDocuments(query)
+        ]);
+
+        res.json({
+            success: true,
+            data: recipients,
+            meta: {
+                campaignId: campaign._id,
+                total: totalCount,
+                limit: parseInt(limit),
+                offset: parseInt(offset),
+                hasMore: (parseInt(offset) + recipients.length) < totalCount
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching campaign recipients:', error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: 'Failed to fetch campaign recipients'
+        });
+    }
+});
+
+/**
+ * POST /api/external/campaigns/:campaignId/(start|pause|resume|cancel)
+ * Lifecycle actions. start accepts { scheduledAt } to schedule instead of starting now.
+ */
+router.post('/campaigns/:campaignId/:action(start|pause|resume|cancel)', requireScope('campaigns:manage'), async (req, res) => {
+    try {
+        const campaign = await loadCampaignOrRespond(req, res);
+        if (!campaign) return;
+
+        const { action } = req.params;
+        const { scheduledAt } = req.body || {};
+
+        if (action === 'start' && scheduledAt && isNaN(new Date(scheduledAt).getTime())) {
+            return res.status(400).json({
+                success: false,
+                error: 'VALIDATION_ERROR',
+                message: 'scheduledAt must be an ISO date'
+            });
+        }
+
+        const actions = {
+            start: () => campaignService.startCampaign(campaign, { scheduledAt }),
+            pause: () => campaignService.pauseCampaign(campaign),
+            resume: () => campaignService.resumeCampaign(campaign),
+            cancel: () => campaignService.cancelCampaign(campaign)
+        };
+        const result = await actions[action]();
+
+        if (!result.success) {
+            return res.status(409).json(result);
+        }
+
+        res.json({
+            success: true,
+            data: result.campaign,
+            meta: {
+                action
+            }
+        });
+
+    } catch (error) {
+        console.error(`Error running campaign ${req.params.action}:`, error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: `Failed to ${req.params.action} campaign`
+        });
+    }
+});
+
+// ============================================================================
+// Conversation Summary Endpoints
+// ============================================================================
+
+/**
+ * GET /api/external/conversations/:conversationId/summary
+ * Rolling summary of the messages older than the AI history window
+ */
+router.get('/conversations/:conversationId/summary', requireScope('conversations:read'), async (req, res) => {
+    try {
+        const { conversationId } = req.params;
+
+        if (!(await authorizeConversation(req, res, conversationId))) return;
+
+        const conversation = await Conversation.findById(conversationId).select('summary messageCount').lean();
+
+        res.json({
+            success: true,
+            data: conversation.summary?.text ? conversation.summary : null,
+            meta: {
+                conversationId: conversationId,
+                messageCount: conversation.messageCount || 0,
+                historyWindow: HISTORY_WINDOW_MESSAGES
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching conversation summary:', error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: 'Failed to fetch conversation summary'
+        });
+    }
+});
+
+/**
+ * POST /api/external/conversations/:conversationId/summary/refresh
+ * Summarize now the messages that left the AI history window (no throttle, no minimum batch)
+ */
+router.post('/conversations/:conversationId/summary/refresh', requireScope('messages:send'), async (req, res) => {
+    try {
+        const { conversationId } = req.params;
+
+        if (!(await authorizeConversation(req, res, conversationId))) return;
+
+        const windowStart = await conversationSummaryService.getWindowStart(conversationId);
+        if (!windowStart) {
+            return res.status(409).json({
+                success: false,
+                error: 'NOTHING_TO_SUMMARIZE',
+                message: `The whole conversation fits in the AI history window (${HISTORY_WINDOW_MESSAGES} messages)`
+            });
+        }
+
+        const result = await conversationSummaryService.refreshSummary(conversationId, windowStart, { force: true });
+        if (!result.success) {
+            return res.status(result.error === 'CONVERSATION_NOT_FOUND' ? 404 : 500).json(result);
+        }
+
+        res.json({
+            success: true,
+            data: result.summary,
+            meta: {
+                conversationId: conversationId,
+                summarized: result.summarized
+            }
+        });
+
+    } catch (error) {
+        console.error('Error refreshing conversation summary:', error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: 'Failed to refresh conversation summary'
+        });
+    }
+});
+
+// ============================================================================
+// Follow-up Endpoints
+// ============================================================================
+
+/**
+ * GET /api/external/conversations/:conversationId/follow-ups
+ * Scheduled follow-ups of a conversation, latest due first (optional ?status=)
+ */
+router.get('/conversations/:conversationId/follow-ups', requireScope('conversations:read'), async (req, res) => {
+    try {
+        const { conversationId } = req.params;
+        const { status } = req.query;
+
+        if (!(await authorizeConversation(req, res, conversationId))) return;
+
+        if (status && !FOLLOW_UP_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_STATUS',
+                message: `status must be one of: ${FOLLOW_UP_STATUSES.join(', ')}`
+            });
+        }
+
+        const followUps = await followUpService.listFollowUps(conversationId, { status });
+
+        res.json({
+            success: true,
+            data: followUps,
+            meta: {
+                conversationId: conversationId,
+                count: followUps.length
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching follow-ups:', error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: 'Failed to fetch follow-ups'
+        });
+    }
+});
+
+/**
+ * POST /api/external/conversations/:conversationId/follow-ups
+ * Schedule a follow-up: when due, the AI gets the note and writes to the participant
+ * Body: { dueAt (ISO) | delayMinutes, note, cancelOnUserMessage (default true) }
+ */
+router.post('/conversations/:conversationId/follow-ups', requireScope('messages:send'), async (req, res) => {
+    try {
+        const { conversationId } = req.params;
+
+        const conversation = await authorizeConversation(req, res, conversationId);
+        if (!conversation) return;
+
+        const result = await followUpService.scheduleFollowUp(conversation, req.body, {
+            source: 'api',
+            createdBy: req.externalApi?.keyName || 'external-api'
+        });
+
+        if (!result.success) {
+            return res.status(result.error === 'TOO_MANY_FOLLOW_UPS' ? 409 : 400).json(result);
+        }
+
+        res.status(201).json({
+            success: true,
+            data: result.followUp,
+            meta: {
+                conversationId: conversationId
+            }
+        });
+
+    } catch (error) {
+        console.error('Error scheduling follow-up:', error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: 'Failed to schedule follow-up'
+        });
+    }
+});
+
+/**
+ * POST /api/external/follow-ups/:followUpId/cancel
+ * Cancel a pending follow-up
+ */
+router.post('/follow-ups/:followUpId/cancel', requireScope('messages:send'), async (req, res) => {
+    try {
+        const { followUpId } = req.params;
+
+        const followUp = mongoose.isValidObjectId(followUpId) ? await FollowUp.findById(followUpId) : null;
+        if (!followUp) {
+            return res.status(404).json({
+                success: false,
+                error: 'FOLLOW_UP_NOT_FOUND',
+                message: 'Follow-up not found'
+            });
+        }
+
+        if (!hasAgentAccess(req, followUp.agentId)) {
+            return respondAgentAccessDenied(res);
+        }
+
+        const result = await followUpService.cancelFollowUp(followUp);
+        if (!result.success) {
+            return res.status(409).json(result);
+        }
+
+        res.json({
+            success: true,
+            data: result.followUp
+        });
+
+    } catch (error) {
+        console.error('Error cancelling follow-up:', error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: 'Failed to cancel follow-up'
+        });
+    }
+});
+
+// ============================================================================
+// Human Handoff Endpoints
+// ============================================================================
+
+/**
+ * GET /api/external/conversations/:conversationId/handoff
+ * Get the handoff state (ai / human / paused) of a conversation
+ */
+router.get('/conversations/:conversationId/handoff', requireScope('conversations:read'), async (req, res) => {
+    try {
+        const { conversationId } = req.params;
+
+        const conversation = mongoose.isValidObjectId(conversationId)
+            ? await Conversation.findById(conversationId)
+            : null;
+        if (!conversation) {
+            return res.status(404).json({
+                success: false,
+                error: 'CONVERSATION_NOT_FOUND',
+                message: 'Conversation not found'
+            });
+        }
+
+        if (!hasAgentAccess(req, conversation.agentId)) {
+            return respondAgentAccessDenied(res);
+        }
+
+        res.json({
+            success: true,
+            data: await handoffService.getHandoff(conversation),
+            meta: {
+                conversationId: conversationId
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching handoff state:', error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: 'Failed to fetch handoff state'
+        });
+    }
+});
+
+/**
+ * PUT /api/external/conversations/:conversationId/handoff
+ * Change the handoff mode of a conversation
+ * Body: { mode: 'ai'|'human'|'paused', assignee: { id, name }, reason, autoResumeAt }
+ */
+router.put('/conversations/:conversationId/handoff', requireScope('messages:send'), async (req, res) => {
+    try {
+        const { conversationId } = req.params;
+        const { mode, assignee, reason, autoResumeAt } = req.body || {};
+
+        if (!(await authorizeConversation(req, res, conversationId))) return;
+
+        const result = await handoffService.setMode(conversationId, {
+            mode,
+            assignee: assignee ? { id: assignee.id, name: assignee.name } : null,
+            reason,
+            autoResumeAt,
+            requestedBy: 'api'
+        });
+
+        if (!result.success) {
+            return res.status(result.error === 'CONVERSATION_NOT_FOUND' ? 404 : 400).json(result);
+        }
+
+        res.json({
+            success: true,
+            data: result.handoff,
+            meta: {
+                conversationId: conversationId,
+                previousMode: result.previousMode
+            }
+        });
+
+    } catch (error) {
+        console.error('Error updating handoff state:', error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: 'Failed to update handoff state'
+        });
+    }
+});
+
+// ============================================================================
+// Real-time Event Stream (Server-Sent Events)
+// ============================================================================
+
+/**
+ * GET /api/external/events
+ * Stream conversation activity as Server-Sent Events
+ * Query: agentId, conversationId, types (comma separated, see EVENT_TYPES), lastEventId
+ * Reconnecting clients resume from the Last-Event-ID header (short in-memory replay buffer)
+ */
+router.get('/events', requireScope('conversations:read'), (req, res) => {
+    const { agentId, conversationId } = req.query;
+    const types = req.query.types ? String(req.query.types).split(',').map(type => type.trim()).filter(Boolean) : [];
+
+    const unknownTypes = types.filter(type => !EVENT_TYPES.includes(type));
+    if (unknownTypes.length > 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'INVALID_EVENT_TYPE',
+            message: `Unknown event types: ${unknownTypes.join(', ')}. Available: ${EVENT_TYPES.join(', ')}`
+        });
+    }
+
+    if (agentId && !hasAgentAccess(req, agentId)) {
+        return respondAgentAccessDenied(res);
+    }
+
+    const filter = {
+        agentId: agentId || null,
+        // Restricted keys only see events of their agents
+        agentIds: getAllowedAgentIds(req),
+        conversationId: conversationId || null,
+        types
+    };
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const sendEvent = (event) => {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    // Tell the client how long to wait before reconnecting
+    res.write(`retry: 5000\n\n`);
+
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    if (lastEventId) {
+        conversationEventBus.getEventsSince(lastEventId, filter).forEach(sendEvent);
+    }
+
+    const unsubscribe = conversationEventBus.subscribe(filter, sendEvent);
+    const heartbeat = setInterval(() => res.write(`: heartbeat ${Date.now()}\n\n`), SSE_HEARTBEAT_MS);
+
+    console.log('📡 Event stream opened:', {
+        keyPrefix: req.externalApi?.keyPrefix,
+        filter,
+        subscribers: conversationEventBus.getSubscriberCount()
+    });
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        console.log('📡 Event stream closed:', {
+            keyPrefix: req.externalApi?.keyPrefix,
+            subscribers: conversationEventBus.getSubscriberCount()
+        });
+    });
+});
+
 // ============================================================================
 // Health Check Endpoint
 // ============================================================================
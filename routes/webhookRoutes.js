@@ -5,17 +5,25 @@
  * 
  * Role in the system: Entry point for all external platform webhooks (WhatsApp, MercadoPago, etc.)
  * 
- * Node.js Context: Route - webhook processing with provider detection and authentication
+ * Node.js Context: Route - webhook processing through channel adapters (detect, authenticate, normalize)
  * 
  * Dependencies:
  * - express
  * - database/index.js (Redis client)
  * - models/Agent (MongoDB)
  * - models/Conversation (MongoDB)
+ * - models/Message (MongoDB, last AI text menu for typed replies)
  * - modules/* (message processing and queue)
+ * - services/channels/index.js (channel adapters: UltraMsg, WhatsApp Factory, WhatsApp Cloud API, Telegram)
+ * - services/providerDetector.js (MercadoPago notification detection)
+ * - services/deliveryStatusService.js (delivery statuses and outbound echoes)
+ * - services/outboundMessageService.js (payment notifications)
+ * - services/channels/interactiveMessage.js (typed replies to text menus)
+ * - services/campaignService.js (campaign opt-out / opt-in keywords)
+ * - services/followUpService.js (pending follow-ups cancelled by user messages)
  * 
  * Dependants:
- * - External platforms (WhatsApp, UltraMsg, Botmaker, MercadoPago, WhatsApp Factory)
+ * - External platforms (WhatsApp, UltraMsg, Botmaker, MercadoPago, WhatsApp Factory, Meta WhatsApp Cloud API, Telegram)
  */
 
 const express = require('express');
@@ -23,6 +31,7 @@ const router = express.Router();
 const { redisClient } = require('../database');
 const Agent = require('../models/Agent');
 const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
 const openAIIntegration = require('../modules/openaiIntegration');
 const { sendUltraMsg, clearUltraMsgQueue } = require('../services/ultramsgService');
 const mongoose = require('mongoose');
@@ -34,10 +43,16 @@ const {
   getOrCreateParticipant
 } = require('../modules/conversationManager');
 const messageQueue = require('../modules/messageQueue');
+const deliveryStatusService = require('../services/deliveryStatusService');
+const outboundMessageService = require('../services/outboundMessageService');
+const channelRegistry = require('../services/channels');
+const { EVENT_KINDS } = require('../services/channels/canonicalMessage');
+const { matchTextReply } = require('../services/channels/interactiveMessage');
+const campaignService = require('../services/campaignService');
+const followUpService = require('../services/followUpService');
 
 // Removed healthcare-specific tools for generic chatbot engine
-const { detectProvider } = require('../services/providerDetector');
-const { normalizeMessage } = require('../services/messageAdapter');
+const { isMercadoPago } = require('../services/providerDetector');
 
 const processedMessageIds = new Map();
 
@@ -46,6 +61,29 @@ const AUDIO_TRANSCRIPTION_TIMEOUT = 600000; // 10 minutes in milliseconds
 const MAX_STRIKES = 3;
 const STRIKE_TIMEOUT = 60000; // 1 minute per strike
 
+// Subscription handshake for channels that verify the webhook URL with a GET (Meta hub.challenge)
+router.get('/', (req, res) => {
+  const verification = channelRegistry.verifySubscription(req);
+
+  if (!verification) {
+    return res.status(400).json({ 
+      error: 'UNKNOWN_CHANNEL',
+      message: 'No channel recognizes this verification request' 
+    });
+  }
+
+  if (!verification.success) {
+    console.warn(`🚫 ${verification.channel} webhook verification failed from ${req.ip} (verify token mismatch)`);
+    return res.status(403).json({ 
+      error: 'VERIFICATION_FAILED',
+      message: 'Verify token does not match' 
+    });
+  }
+
+  console.log(`✅ ${verification.channel} webhook subscription verified`);
+  res.status(200).type('text/plain').send(verification.challenge);
+});
+
 router.post('/', async (req, res) => {
   
   const webhookStart = Date.now();
@@ -53,22 +91,17 @@ router.post('/', async (req, res) => {
   console.log(`\n🚀 [${requestId}] Webhook received from ${req.headers['user-agent'] || 'unknown'}`);
 
   try {
-    // 🔍 STEP 1: Detect provider FIRST to determine authentication method
-    const provider = detectProvider(req);
-    console.log(`🔍 [${requestId}] Provider detected: ${provider}`);
+    // 💳 MercadoPago payment notifications share this endpoint but are not a messaging channel
+    if (isMercadoPago(req)) {
+      console.log(`🔍 [${requestId}] Provider detected: mercadopago`);
 
-    // 🔧 CRITICAL: Extract MercadoPago dataId ONCE for entire request scope
-    let mpDataId = null;
-    if (provider === 'mercadopago') {
-      mpDataId = req.query['data.id'] ||  // Query param: ?data.id=123456 (payment webhooks)
-                 req.body?.data?.id ||     // Body: {"data": {"id": "123456"}} (payment webhooks)
-                 req.query.id ||           // Query param: ?id=33652629180 (Feed v2.0 + merchant_order)
-                 req.body?.id ||           // Body: {"id": "123456"} (alternative format)
-                 req.params?.id;           // URL param fallback
-    }
+      // 🔧 CRITICAL: Extract MercadoPago dataId ONCE for entire request scope
+      const mpDataId = req.query['data.id'] ||  // Query param: ?data.id=123456 (payment webhooks)
+                       req.body?.data?.id ||     // Body: {"data": {"id": "123456"}} (payment webhooks)
+                       req.query.id ||           // Query param: ?id=33652629180 (Feed v2.0 + merchant_order)
+                       req.body?.id ||           // Body: {"id": "123456"} (alternative format)
+                       req.params?.id;           // URL param fallback
 
-    // 🔒 STEP 2: Apply provider-specific authentication
-    if (provider === 'mercadopago') {
       console.log(`🔐 [${requestId}] Applying MercadoPago X-Signature authentication...`);
       
       // MercadoPago uses X-Signature validation
@@ -140,48 +173,12 @@ router.post('/', async (req, res) => {
 
       // MercadoPago signature validation will be done in the MP handler
       console.log(`✅ [${requestId}] MercadoPago authentication elements validated for ${webhookType} webhook`);
-      
-    } else {
-      console.log(`🔐 [${requestId}] Applying standard API Key authentication for provider: ${provider}`);
-      
-      // Standard providers use API Key authentication  
-  const providedApiKey = req.headers['x-api-key'] || 
-                        req.headers['authorization']?.replace('Bearer ', '') ||
-                        req.query.api_key ||
-                        req.query.key;
-  const expectedApiKey = process.env.API_KEY_WEBHOOK;
-  
-  if (!expectedApiKey) {
-    console.error(`❌ [${requestId}] API_KEY_WEBHOOK not configured in environment`);
-    return res.status(500).json({ 
-      error: 'WEBHOOK_MISCONFIGURED',
-      message: 'Webhook authentication not configured' 
-    });
-  }
-  
-  if (!providedApiKey || providedApiKey !== expectedApiKey) {
-    console.warn(`🚫 [${requestId}] Unauthorized webhook attempt from ${req.ip} - Invalid API key`);
-    return res.status(401).json({ 
-      error: 'UNAUTHORIZED',
-      message: 'Valid API key required. Provide via X-API-Key header, Authorization Bearer token, or ?api_key= query parameter.' 
-    });
-  }
-  
-      console.log(`✅ [${requestId}] API key authenticated successfully for ${provider}`);
-    }
-    
-    // Manejar MercadoPago webhooks separadamente
-    if (provider === 'mercadopago') {
+
       console.log(`💳 [${requestId}] Processing authenticated MercadoPago webhook`);
       
       const mercadopagoService = require('../services/mercadopagoService');
-      const ultramsgService = require('../services/ultramsgService');
       
-      // Use dataId already extracted in auth section (lines 69-73)
-      // No need to re-extract - prevents Feed v2.0 bug
-      const signature = req.headers['x-signature'];
-      const xRequestId = req.headers['x-request-id'];
-      // dataId already available from auth section
+      // signature, xRequestId and mpDataId come from the auth section above (prevents Feed v2.0 bug)
       
       console.log(`🔐 [${requestId}] MercadoPago webhook details:`, {
         type: req.body.type,
@@ -242,11 +239,9 @@ router.post('/', async (req, res) => {
                   notificationMessage = `❌ Pago rechazado\n\nTu intento de pago por $${result.amount} ARS no fue aprobado.\n\nMotivo: ${result.reason || 'No especificado'}\n\nPodés intentar nuevamente cuando quieras. Si tenés dudas, preguntame.`;
                 }
                 
-                await ultramsgService.sendUltraMsg(
-                  agent,
-                  result.phoneNumber,
-                  notificationMessage
-                );
+                await outboundMessageService.sendText(agent, conversation.phoneNumber, notificationMessage, {
+                  channel: conversation.channel
+                });
                 
                 console.log(`✅ [${requestId}] Payment ${result.action} notification sent successfully`);
               } else {
@@ -272,11 +267,34 @@ router.post('/', async (req, res) => {
       });
     }
     
-    // Normalizar el mensaje al formato UltraMessage para otros proveedores
-    let normalizedBody;
+    // 🔍 Messaging channels: the adapter that recognizes the request (or ?channel=<name>)
+    const adapter = channelRegistry.detect(req);
+    if (!adapter) {
+      console.warn(`❓ [${requestId}] No channel adapter recognizes this webhook${req.query.channel ? ` (channel=${req.query.channel})` : ''}`);
+      return res.status(400).json({ 
+        error: 'UNKNOWN_CHANNEL',
+        message: `Webhook payload not recognized. Supported channels: ${channelRegistry.list().join(', ')}` 
+      });
+    }
+    const provider = adapter.name;
+    console.log(`🔍 [${requestId}] Provider detected: ${provider}`);
+
+    // 🔒 Channel-specific authentication (API key with webhooks:receive unless the channel signs its requests)
+    const auth = await adapter.authenticate(req);
+    if (!auth.success) {
+      console.warn(`🚫 [${requestId}] Unauthorized ${provider} webhook attempt from ${req.ip} - ${auth.error}`);
+      return res.status(auth.status || 401).json({ 
+        error: auth.error,
+        message: auth.message 
+      });
+    }
+    console.log(`✅ [${requestId}] ${provider} webhook authenticated${auth.access ? ` with API key ${auth.access.keyPrefix}` : ''}`);
+
+    // Provider payload → canonical events
+    let events;
     try {
-      normalizedBody = normalizeMessage(req, provider);
-      console.log(`📨 [${requestId}] Provider: ${provider}, Event: ${normalizedBody.event_type}, MessageID: ${normalizedBody.data?.id}`);
+      events = adapter.parseInbound(req);
+      console.log(`📨 [${requestId}] Provider: ${provider}, Events: ${events.map(event => `${event.kind}:${event.id}`).join(', ') || 'none'}`);
     } catch (adaptationError) {
       console.error(`❌ [${requestId}] Message adaptation error:`, adaptationError.message);
       return res.status(400).json({ 
@@ -285,31 +303,37 @@ router.post('/', async (req, res) => {
       });
     }
 
-    // Extraer datos normalizados
-    const { event_type, instanceId, data } = normalizedBody;
-
     // Verificar duplicados con Redis
     try {
       if (!redisClient.isOpen) {
         await redisClient.connect();
       }
-      const messageId = data?.id;
       const timestamp = new Date().toISOString();
-      
-      if (messageId) {
-        const redisKey = `processed:${messageId}`;
+      const newEvents = [];
+
+      for (const event of events) {
+        if (!event.id || event.kind === EVENT_KINDS.IGNORED) {
+          newEvents.push(event);
+          continue;
+        }
+
+        // Statuses arrive several times for the same message id (sent → delivered → read)
+        const redisKey = `processed:${provider}:${event.id}:${event.kind}${event.kind === EVENT_KINDS.STATUS ? `:${event.status}` : ''}`;
         const isProcessed = await redisClient.get(redisKey);
-        
+
         if (isProcessed) {
-          console.log(`🔄 [${requestId}] Duplicate message detected: ${messageId} (webhook retry)`);
-          return res.status(200).json({ message: 'Message already processed' });
+          console.log(`🔄 [${requestId}] Duplicate ${event.kind} detected: ${event.id} (webhook retry)`);
+          continue;
         }
-        
+
         await redisClient.set(redisKey, timestamp, { EX: 600 });
-        console.log(`✅ [${requestId}] New message: ${messageId}`);
-      } else {
-        console.log(`⚠️ [${requestId}] No messageId found, skipping duplicate check`);
+        newEvents.push(event);
       }
+
+      if (events.length > 0 && newEvents.length === 0) {
+        return res.status(200).json({ message: 'Message already processed' });
+      }
+      events = newEvents;
     } catch (redisError) {
       console.error('Redis error:', redisError);
       // Continuar procesamiento aunque Redis falle
@@ -318,16 +342,17 @@ router.post('/', async (req, res) => {
     // 🚀 FAST RESPONSE: Respond to webhook immediately to prevent retries
     res.status(200).json({ 
       message: 'Webhook received', 
-      messageId: data?.id,
+      messageId: events[0]?.id,
       provider: provider,
-      eventType: event_type,
+      eventType: events[0]?.kind,
+      events: events.length,
       processingAsync: true
     });
 
     console.log(`⚡ [${requestId}] Processing message async...`);
 
     // Continue processing asynchronously (don't await)
-    processWebhookAsync(requestId, webhookStart, provider, normalizedBody, event_type, instanceId, data)
+    processWebhookAsync(requestId, webhookStart, adapter, events)
       .catch(error => {
         console.error(`❌ [${requestId}] Async processing failed:`, error);
       });
@@ -344,64 +369,52 @@ router.post('/', async (req, res) => {
 });
 
 // 🚀 Async processing function to handle webhook after fast response
-async function processWebhookAsync(requestId, webhookStart, provider, normalizedBody, event_type, instanceId, data) {
+async function processWebhookAsync(requestId, webhookStart, adapter, events) {
   try {
     console.log(`🔄 [${requestId}] Starting async processing...`);
     
-    // Buscar agente basado en instanceId y proveedor (MongoDB)
-    let agent = null;
-    
-    // Estrategia de búsqueda específica por proveedor
-    if (provider === 'whatsapp-factory') {
-      // Para WhatsApp Factory, buscar por tipo 'wpp-bsp' y phoneNumberId
-      const phoneNumberId = data?.to?.split('@')[0] || instanceId;
-      
-      agent = await Agent.findOne({ 
-        type: 'wpp-bsp',
-        instanceId: phoneNumberId
-      });
-      
+    const agents = new Map(); // instanceId -> agent (one lookup per instance)
+
+    for (const event of events) {
+      if (event.kind === EVENT_KINDS.IGNORED) {
+        console.log(`⏭️ [${requestId}] Ignored ${adapter.name} event:`, { id: event.id, reason: event.reason });
+        continue;
+      }
+
+      if (!agents.has(event.instanceId)) {
+        agents.set(event.instanceId, await adapter.findAgent(event));
+      }
+      const agent = agents.get(event.instanceId);
+
       if (!agent) {
-        // Fallback: buscar por instanceId original
-        agent = await Agent.findOne({ 
-          type: 'wpp-bsp',
-          instanceId: instanceId
+        console.error(`❌ [${requestId}] Agent not found:`, {
+          instanceId: event.instanceId,
+          provider: adapter.name,
+          suggestion: adapter.agentTypes.length > 0
+            ? `Configure an agent of type ${adapter.agentTypes.join(' or ')} with this instanceId`
+            : `Connect the ${adapter.name} channel to an agent`
         });
+        continue; // Just log error, webhook already responded
       }
-    } else {
-      // Para UltraMessage, usar búsqueda original
-      agent = await Agent.findOne({ 
-        instanceId: instanceId
-      });
-    }
-    
-    if (!agent) {
-      console.error(`❌ [${requestId}] Agent not found:`, {
-        instanceId,
-        provider,
-        phoneNumberId: data?.to?.split('@')[0],
-        suggestion: provider === 'whatsapp-factory' ? 'Configure wpp-bsp agent' : 'Configure openai agent'
-      });
-      return; // Just log error, webhook already responded
-    }
 
-    // Manejar diferentes tipos de eventos
-    switch (event_type) {
-      case 'message_received':
-        await handleMessageReceived(agent, data, event_type, instanceId, provider);
-        break;
-      case 'message_create':
-        console.log(`📝 [${requestId}] Message create received:`, data);
-        break;
-      case 'message_ack':
-        console.log(`✅ [${requestId}] Message ACK received:`, data);
-        break;
-      case 'message_reaction':
-        console.log(`😊 [${requestId}] Message reaction received:`, data);
-        break;
-      default:
-        console.log(`❓ [${requestId}] Event type not supported:`, event_type);
-        break;
+      // Manejar diferentes tipos de eventos
+      switch (event.kind) {
+        case EVENT_KINDS.MESSAGE:
+          await handleMessageReceived(agent, event);
+          break;
+        case EVENT_KINDS.OUTBOUND:
+          // Our own sends: link the channel message id so later statuses find the message
+          if (await deliveryStatusService.linkForeignId(event)) {
+            console.log(`🔗 [${requestId}] Linked message ${event.id} to ${event.referenceId}`);
+          }
+          break;
+        case EVENT_KINDS.STATUS:
+          await deliveryStatusService.handleStatus(agent, event);
+          break;
+        default:
+          console.log(`❓ [${requestId}] Event kind not supported:`, event.kind);
+          break;
+      }
     }
 
     // Track async processing completion
@@ -417,14 +430,25 @@ async function processWebhookAsync(requestId, webhookStart, provider, normalized
   }
 }
 
-async function handleMessageReceived(agent, data, event_type, instanceId, provider = 'ultramsg') {
-  const { from, pushname } = data;
-  const phoneNumber = from.split('@')[0];
+async function handleMessageReceived(agent, message) {
+  const { channel: provider, from: phoneNumber, senderName } = message;
 
-  console.log('Processing message from provider:', { provider, phoneNumber, pushname, messageId: data.id });
+  console.log('Processing message from provider:', { provider, phoneNumber, pushname: senderName, messageId: message.id });
 
-  const participant = await getOrCreateParticipant(phoneNumber, pushname);
-  let conversation = await getOrCreateConversation(participant, agent);
+  // Provider acknowledgement (Telegram button taps), non-blocking
+  const adapter = channelRegistry.get(provider);
+  adapter.acknowledgeInbound(agent, message).catch(error => {
+    console.warn(`⚠️ Could not acknowledge ${provider} message ${message.id}:`, error.message);
+  });
+
+  // Channels without phone numbers (Telegram) identify the participant by their account on the channel
+  // and keep the conversation on that channel instead of the agent's WhatsApp channel
+  const channelIdentity = message.identity ? { channel: provider, ...message.identity } : null;
+  const participant = await getOrCreateParticipant(phoneNumber, senderName, channelIdentity);
+  let conversation = await getOrCreateConversation(participant, agent, {
+    channel: channelRegistry.forAgent(agent).name === provider ? null : provider,
+    address: phoneNumber
+  });
 
   // ====================================================================
   // ⭐ ABORT FIRST - Before ANY processing
@@ -438,18 +462,26 @@ async function handleMessageReceived(agent, data, event_type, instanceId, provid
   }
 
   // 🔥 NEW: Enhanced approach with media completion tracking
-  const messageData = await processMessage(data, data.type, conversation._id.toString(), messageQueue);
+  const messageData = await processMessage(
+    message,
+    conversation._id.toString(),
+    messageQueue,
+    () => adapter.resolveMediaUrl(agent, { media: message.media, msg_foreign_id: message.id })
+  );
   
   // ====================================================================
   // ⭐ ADD ORIGINAL TIMESTAMP for chronological ordering
   // ====================================================================
   // This ensures messages maintain their order even with async operations
   messageData.originalTimestamp = messageData.timestamp;
-  
-  // Agregar información del proveedor al messageData para tracking
-  messageData.provider = provider;
-  if (provider === 'whatsapp-factory') {
-    messageData.whatsappFactorySource = true;
+
+  // Typed answer to a numbered text menu → same selection a tapped button would give
+  if (!messageData.selection && ['chat', 'text'].includes(messageData.type)) {
+    const selection = await matchTextMenuReply(conversation._id, message.text);
+    if (selection) {
+      messageData.selection = { ...selection, source: 'text' };
+      console.log(`🔘 [${conversation._id}] Text menu reply matched option ${selection.id}`);
+    }
   }
 
   // Update conversation data and save immediately into database
@@ -462,6 +494,25 @@ async function handleMessageReceived(agent, data, event_type, instanceId, provid
   messageData._id = updateResult.messageMongoId;
   conversation = updateResult.conversation;
 
+  // The user wrote first: pending follow-ups of the conversation are no longer needed
+  try {
+    await followUpService.cancelForUserMessage(conversation._id);
+  } catch (error) {
+    console.error(`❌ [${conversation._id}] Follow-up cancellation failed (continuing):`, error.message);
+  }
+
+  // "BAJA" / "ALTA": campaign opt-out or opt-in, already confirmed to the user, so the AI does not answer
+  if (['chat', 'text'].includes(messageData.type)) {
+    try {
+      const optChange = await campaignService.handleSubscriptionKeyword(agent, participant, conversation, message.text);
+      if (optChange) {
+        return;
+      }
+    } catch (error) {
+      console.error(`❌ [${conversation._id}] Campaign opt-out check failed (continuing):`, error.message);
+    }
+  }
+
   // 🔍 TRACE: Log messageData right before adding to queue
   console.log(`[TRACE - handleMessageReceived] messageData for queue:`, {
     messageId: messageData.msg_foreign_id,
@@ -477,54 +528,35 @@ async function handleMessageReceived(agent, data, event_type, instanceId, provid
   
   console.log(`Message processed successfully from ${provider} provider:`, {
     conversationId: conversation._id,
-    messageId: data.id,
+    messageId: message.id,
     phoneNumber
   });
 }
 
-// async function handleMessageAck(data) {
-//   const { id, ack } = data;
-
-//   // Find the conversation and message by dataId
-//   const conversation = await Conversation.findOne({ 'messages.dataId': id });
-//   if (!conversation) {
-//     console.log('Conversation not found for message ID:', id);
-//     return;
-//   }
-
-//   const message = conversation.messages.find(msg => msg.dataId === id);
-//   if (!message) {
-//     console.log('Message not found in conversation for message ID:', id);
-//     return;
-//   }
-
-//   // Update message status based on ack value
-//   switch (ack) {
-//     case 'server':
-//       message.status = 'sent';
-//       break;
-//     case 'device':
-//       message.status = 'delivered';
-//       break;
-//     case 'read':
-//       message.status = 'read';
-//       break;
-//     default:
-//       console.log('Unknown ack status:', ack);
-//       break;
-//   }
-
-//   await conversation.save();
-
-//   // Emit socket event
-//   global.socketHandler.emitMessageStatusUpdated({
-//     conversationId: conversation._id,
-//     messageId: message._id,
-//     status: message.status
-//   });
-
-//   console.log(`Message ${id} status updated to ${message.status}`);
-// }
+/**
+ * Option of the last AI message's text menu that a typed reply refers to
+ * Only the latest AI message counts: once the AI has moved on, "2" is no longer an answer to an old menu
+ * @param {ObjectId} conversationId - Conversation ID
+ * @param {string} text - User message text
+ * @returns {Promise<Object|null>} { id, title } or null
+ */
+async function matchTextMenuReply(conversationId, text) {
+  try {
+    const lastAiMessage = await Message.findOne({ conversationId, sender: 'ai_agent' })
+      .sort({ timestamp: -1 })
+      .select('interactive')
+      .lean();
+
+    if (lastAiMessage?.interactive?.delivery !== 'text') {
+      return null;
+    }
+
+    return matchTextReply(text, lastAiMessage.interactive);
+  } catch (error) {
+    console.warn(`⚠️ Could not match text menu reply for conversation ${conversationId}:`, error.message);
+    return null;
+  }
+}
 
 function cleanupProcessedMessageIds() {
   const now = Date.now();
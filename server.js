@@ -14,11 +14,16 @@ const {
   DatabaseManager
 } = require("./database");
 const externalApiRoutes = require("./routes/externalApiRoutes");
+const adminApiRoutes = require("./routes/adminApiRoutes");
 const bcrypt = require("bcrypt");
 const db = require("./models");
 const mongoose = require("mongoose");
 // Removed Socket.IO dependencies for pure API architecture
 const Conversation = require("./models/Conversation"); // Still needed for database index management
+const toolRegistry = require("./tools/toolRegistry");
+const outgoingWebhookService = require("./services/outgoingWebhookService");
+const campaignWorker = require("./services/campaignWorker");
+const followUpWorker = require("./services/followUpWorker");
 // Removed cron dependency - no scheduled tasks needed
 // Removed mailing service - pure API chatbot
 
@@ -45,11 +50,14 @@ const app = express();
 // Configure CORS for pure API access
 app.use(cors({
   origin: true, // Allow all origins for API access
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization'],
   credentials: false // No credentials needed for API-only usage
 }));
-app.use(express.json());
+app.use(express.json({
+  // Raw body kept for webhook signature checks (Meta X-Hub-Signature-256)
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Use the webhook routes
@@ -58,6 +66,7 @@ const webhookRoutes = require("./routes/webhookRoutes");
 // Core chatbot routes
 app.use("/api/webhook", webhookRoutes);
 app.use("/api/external", externalApiRoutes);
+app.use("/api/admin", adminApiRoutes);
 
 app.get("/", (req, res) => {
   res.send("Generic Multi-Channel Chatbot Engine API");
@@ -109,8 +118,43 @@ const startServer = async () => {
     // MongoDB schema is managed through Mongoose models (no sync needed)
     console.log("✅ MongoDB schema loaded through Mongoose models");
 
+    // Tool definitions live in tools/implementations/**; sync them into ToolSchema
+    // and check that every tool enabled for an agent can actually be executed
+    try {
+      await toolRegistry.initialize();
+    } catch (error) {
+      console.error("❌ Tool registry initialization failed:", error.message);
+      // Non-blocking: tools are still resolved from the registry at runtime
+    }
+
     // No admin user needed for pure API chatbot
 
+    // Outgoing webhooks: fan-out of conversation/payment events + retry loop for failed deliveries
+    outgoingWebhookService.start().catch(error => {
+      console.error("❌ Outgoing webhook service failed to start:", error.message);
+      // Non-blocking: events are still persisted and retried on the next start
+    });
+
+    // Campaigns: paced broadcast sends from the Redis queues (needs Redis)
+    if (connectionResults.redis) {
+      campaignWorker.start().catch(error => {
+        console.error("❌ Campaign worker failed to start:", error.message);
+        // Non-blocking: running campaigns are recovered on the next start
+      });
+    } else {
+      console.warn("⚠️  Campaign worker not started - Redis unavailable");
+    }
+
+    // Follow-ups: scheduled reminders and abandoned request nudges from the Redis due set (needs Redis)
+    if (connectionResults.redis) {
+      followUpWorker.start().catch(error => {
+        console.error("❌ Follow-up worker failed to start:", error.message);
+        // Non-blocking: pending follow-ups are recovered from MongoDB on the next start
+      });
+    } else {
+      console.warn("⚠️  Follow-up worker not started - Redis unavailable");
+    }
+
     // ========================================================================
     // DISABLED: Website & Video Workers (PCTMv1.5.2-7)
     // ========================================================================
@@ -152,6 +196,9 @@ process.on("unhandledRejection", (reason, promise) => {
 // Graceful shutdown handling for both workers
 process.on('SIGINT', async () => {
   console.log('🛑 SIGINT received, shutting down gracefully...');
+  await outgoingWebhookService.stop();
+  await campaignWorker.stop();
+  await followUpWorker.stop();
   // DISABLED: Website & Video workers (PCTMv1.5.2-7)
   // await Promise.all([
   //   websiteGeneratorWorker.stop(),
@@ -162,6 +209,9 @@ process.on('SIGINT', async () => {
 
 process.on('SIGTERM', async () => {
   console.log('🛑 SIGTERM received, shutting down gracefully...');
+  await outgoingWebhookService.stop();
+  await campaignWorker.stop();
+  await followUpWorker.stop();
   // DISABLED: Website & Video workers (PCTMv1.5.2-7)
   // await Promise.all([
   //   websiteGeneratorWorker.stop(),
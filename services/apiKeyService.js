@@ -0,0 +1,292 @@
+/**
+ * services/apiKeyService.js
+ *
+ * Description: Issue, authenticate and revoke per-integration API keys
+ *
+ * Role in the system: Single place that turns a presented key into an access context
+ * ({ scopes, agentIds }) for the external, admin and webhook routes. The shared API_KEY_WEBHOOK
+ * is only accepted with LEGACY_API_KEY_ENABLED=true, and then only for inbound webhooks and reads
+ * (it used to travel in file download URLs, so it can't be trusted with admin or send access).
+ *
+ * Node.js Context: Service - API credential management
+ *
+ * Dependencies:
+ * - models/ApiKey.js (hashed keys, scopes, agent restrictions)
+ * - crypto (constant-time comparison of the legacy key)
+ *
+ * Dependants:
+ * - externalApiAuth.js (request authentication and scope checks)
+ * - routes/webhookRoutes.js (inbound provider webhooks)
+ * - routes/adminApiRoutes.js (key management endpoints)
+ * - tools/apiKeyAdmin.js (CLI, bootstrap of the first admin key)
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+
+const { API_KEY_SCOPES } = ApiKey;
+
+const LAST_USED_RESOLUTION_MS = 60 * 1000; // lastUsedAt is written at most once a minute per key
+
+// Scopes of the legacy API_KEY_WEBHOOK (opt-in): provider webhooks and read-only access
+const LEGACY_KEY_SCOPES = ['webhooks:receive', 'conversations:read'];
+
+class ApiKeyService {
+
+  // ============================================================================
+  // Authentication
+  // ============================================================================
+
+  /**
+   * Resolve a presented key into an access context
+   * @param {string} plainKey - Key from X-API-Key / Bearer / query
+   * @param {Object} options - { ip }
+   * @returns {Promise<Object>} { success, access } or { success: false, error, message }
+   *   access: { keyId, name, keyPrefix, scopes, agentIds, legacy }
+   */
+  async authenticate(plainKey, { ip = null } = {}) {
+    if (!plainKey) {
+      return { success: false, error: 'UNAUTHORIZED', message: 'API key required' };
+    }
+
+    if (this.isLegacyKey(plainKey)) {
+      return {
+        success: true,
+        access: {
+          keyId: null,
+          name: 'legacy:API_KEY_WEBHOOK',
+          keyPrefix: plainKey.substring(0, 8) + '...',
+          scopes: [...LEGACY_KEY_SCOPES],
+          agentIds: [],
+          legacy: true
+        }
+      };
+    }
+
+    const apiKey = await ApiKey.findByPlainKey(plainKey);
+    if (!apiKey) {
+      return { success: false, error: 'INVALID_API_KEY', message: 'Invalid API key provided' };
+    }
+
+    const invalidReason = apiKey.getInvalidReason();
+    if (invalidReason) {
+      return {
+        success: false,
+        error: invalidReason,
+        message: invalidReason === 'API_KEY_REVOKED' ? 'API key has been revoked' : 'API key has expired'
+      };
+    }
+
+    this.touch(apiKey, ip);
+
+    return {
+      success: true,
+      access: {
+        keyId: apiKey._id.toString(),
+        name: apiKey.name,
+        keyPrefix: apiKey.keyPrefix + '...',
+        scopes: apiKey.scopes,
+        agentIds: apiKey.agentIds.map(id => id.toString()),
+        legacy: false
+      }
+    };
+  }
+
+  /**
+   * Constant-time comparison against API_KEY_WEBHOOK (only when LEGACY_API_KEY_ENABLED=true)
+   */
+  isLegacyKey(plainKey) {
+    const legacyKey = process.env.API_KEY_WEBHOOK;
+    if (!legacyKey || process.env.LEGACY_API_KEY_ENABLED !== 'true') {
+      return false;
+    }
+
+    const presented = crypto.createHash('sha256').update(String(plainKey)).digest();
+    const expected = crypto.createHash('sha256').update(legacyKey).digest();
+    return crypto.timingSafeEqual(presented, expected);
+  }
+
+  /**
+   * Record key usage (throttled, never blocks the request)
+   */
+  touch(apiKey, ip) {
+    const now = new Date();
+    if (apiKey.lastUsedAt && now - apiKey.lastUsedAt < LAST_USED_RESOLUTION_MS) {
+      return;
+    }
+
+    ApiKey.updateOne(
+      {
+        _id: apiKey._id,
+        $or: [{ lastUsedAt: null }, { lastUsedAt: { $lt: new Date(now - LAST_USED_RESOLUTION_MS) } }]
+      },
+      { $set: { lastUsedAt: now, lastUsedIp: ip || undefined } }
+    ).catch(error => {
+      console.warn(`⚠️ Failed to record API key usage for ${apiKey.keyPrefix}:`, error.message);
+    });
+  }
+
+  // ============================================================================
+  // Management
+  // ============================================================================
+
+  /**
+   * Issue a new key. The plain key is only returned here.
+   * @param {Object} params - { name, description, scopes, agentIds, expiresAt, createdBy }
+   * @returns {Promise<Object>} { success, apiKey, plainKey } or { success: false, error, message }
+   */
+  async createKey({ name, description, scopes, agentIds = [], expiresAt = null, createdBy = null }) {
+    const validation = this.validateFields({ scopes, agentIds, expiresAt });
+    if (!validation.success) {
+      return validation;
+    }
+
+    const { plainKey, keyHash, keyPrefix } = ApiKey.generateKey();
+    const apiKey = new ApiKey({
+      name,
+      description,
+      scopes,
+      agentIds,
+      expiresAt: expiresAt ? new Date(expiresAt) : null,
+      keyHash,
+      keyPrefix,
+      createdBy
+    });
+    await apiKey.save();
+
+    console.log(`🔑 API key created: ${keyPrefix}... (${name})`, {
+      scopes,
+      agentIds,
+      expiresAt: apiKey.expiresAt,
+      createdBy
+    });
+
+    return { success: true, apiKey, plainKey };
+  }
+
+  /**
+   * Update name, description, scopes, agent restrictions or expiry of a key
+   * @param {string} keyId - ApiKey ID
+   * @param {Object} fields - Fields to update
+   * @returns {Promise<Object>} { success, apiKey, updatedFields } or { success: false, error, message }
+   */
+  async updateKey(keyId, fields) {
+    const apiKey = await ApiKey.findById(keyId);
+    if (!apiKey) {
+      return { success: false, error: 'API_KEY_NOT_FOUND', message: 'API key not found' };
+    }
+    if (apiKey.revokedAt) {
+      return { success: false, error: 'API_KEY_REVOKED', message: 'Revoked keys cannot be changed' };
+    }
+
+    const validation = this.validateFields(fields);
+    if (!validation.success) {
+      return validation;
+    }
+
+    const updatedFields = ['name', 'description', 'scopes', 'agentIds', 'expiresAt']
+      .filter(field => fields[field] !== undefined);
+    updatedFields.forEach(field => apiKey.set(field, fields[field]));
+
+    if (updatedFields.length === 0) {
+      return {
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: 'No updatable fields provided. Allowed: name, description, scopes, agentIds, expiresAt'
+      };
+    }
+
+    await apiKey.save();
+    console.log(`✏️ API key ${apiKey.keyPrefix}... updated:`, { fields: updatedFields });
+
+    return { success: true, apiKey, updatedFields };
+  }
+
+  /**
+   * Revoke a key (kept for audit, rejected from now on)
+   * @param {string} keyId - ApiKey ID
+   * @param {string} reason - Why it was revoked, optional
+   * @returns {Promise<Object>} { success, apiKey } or { success: false, error, message }
+   */
+  async revokeKey(keyId, reason = null) {
+    const apiKey = await ApiKey.findById(keyId);
+    if (!apiKey) {
+      return { success: false, error: 'API_KEY_NOT_FOUND', message: 'API key not found' };
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      apiKey.revokedReason = reason ? String(reason).substring(0, 200) : undefined;
+      await apiKey.save();
+      console.log(`🚫 API key revoked: ${apiKey.keyPrefix}... (${apiKey.name})`, { reason });
+    }
+
+    return { success: true, apiKey };
+  }
+
+  /**
+   * List keys, newest first
+   * @param {Object} options - { includeRevoked }
+   * @returns {Promise<Array>} ApiKey documents (without hashes)
+   */
+  async listKeys({ includeRevoked = false } = {}) {
+    const query = includeRevoked ? {} : { revokedAt: null };
+    return ApiKey.find(query).sort({ createdAt: -1 });
+  }
+
+  // ============================================================================
+  // Helpers
+  // ============================================================================
+
+  validateFields({ scopes, agentIds, expiresAt }) {
+    if (scopes !== undefined) {
+      const unknownScopes = Array.isArray(scopes) ? scopes.filter(scope => !API_KEY_SCOPES.includes(scope)) : null;
+      if (!unknownScopes || scopes.length === 0 || unknownScopes.length > 0) {
+        return {
+          success: false,
+          error: 'VALIDATION_ERROR',
+          message: `scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}`
+        };
+      }
+    }
+
+    if (agentIds !== undefined && (!Array.isArray(agentIds) || !agentIds.every(id => mongoose.isValidObjectId(id)))) {
+      return { success: false, error: 'VALIDATION_ERROR', message: 'agentIds must be a list of agent IDs' };
+    }
+
+    if (expiresAt !== undefined && expiresAt !== null) {
+      const date = new Date(expiresAt);
+      if (isNaN(date.getTime()) || date <= new Date()) {
+        return { success: false, error: 'VALIDATION_ERROR', message: 'expiresAt must be a future date' };
+      }
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Key representation returned by the API (never includes the hash)
+   * @param {Object} apiKey - ApiKey document
+   * @param {string} plainKey - Plain key, only right after creation
+   * @returns {Object} Plain key object
+   */
+  serialize(apiKey, plainKey = null) {
+    const data = apiKey.toObject({ virtuals: false });
+    delete data.keyHash;
+    data.status = apiKey.getInvalidReason() ? (apiKey.revokedAt ? 'revoked' : 'expired') : 'active';
+
+    if (plainKey) {
+      data.key = plainKey;
+    }
+
+    return data;
+  }
+}
+
+// Export singleton instance
+const apiKeyService = new ApiKeyService();
+
+module.exports = apiKeyService;
+module.exports.API_KEY_SCOPES = API_KEY_SCOPES;
+module.exports.LEGACY_KEY_SCOPES = LEGACY_KEY_SCOPES;
@@ -0,0 +1,629 @@
+/**
+ * services/campaignService.js
+ *
+ * Description: Proactive campaigns - audience selection, lifecycle, opt-outs and per-recipient reporting
+ *
+ * Role in the system: Everything else in the system starts from a user message; campaigns are how we message
+ * participants first. A campaign targets the participants that have a conversation with its agent, narrowed
+ * by participant status, credit balance and last activity, and sends free-form text (only inside the 24h
+ * service window on channels that enforce it) or an approved template, with per-participant placeholders:
+ * {{name}}, {{first_name}}, {{phone}}, {{credit_balance}}, {{agent_name}}.
+ *
+ * Starting a campaign snapshots the audience into CampaignRecipient documents and queues their ids in Redis;
+ * services/campaignWorker.js drains the queues at the agent's pace. Opt-out keywords ("BAJA", "STOP") sent to
+ * the agent remove the participant from that agent's campaigns; "ALTA" re-subscribes.
+ *
+ * Node.js Context: Service - Campaign persistence + Redis queues
+ *
+ * Dependencies:
+ * - database/index.js (Redis client: send queues and pacing)
+ * - models/Campaign.js, models/CampaignRecipient.js, models/Conversation.js
+ * - services/outboundMessageService.js (opt-out confirmations)
+ * - services/sequentialMessageService.js (default pacing between sends)
+ *
+ * Dependants:
+ * - services/campaignWorker.js (sends, scheduled starts, delivery receipts)
+ * - routes/externalApiRoutes.js (campaign endpoints)
+ * - routes/webhookRoutes.js (opt-out / opt-in keywords)
+ */
+
+const { redisClient } = require('../database');
+const Campaign = require('../models/Campaign');
+const CampaignRecipient = require('../models/CampaignRecipient');
+const Conversation = require('../models/Conversation');
+const outboundMessageService = require('./outboundMessageService');
+const sequentialMessageService = require('./sequentialMessageService');
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const REDIS_KEYS = {
+  running: 'campaign:running',                          // Set of campaign ids being sent
+  queue: (campaignId) => `campaign:queue:${campaignId}`, // List of queued recipient ids
+  pace: (agentId) => `campaign:pace:${agentId}`          // Present while the agent must wait for its next send
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-z_]+)\s*\}\}/g;
+const PLACEHOLDERS = ['name', 'first_name', 'phone', 'credit_balance', 'agent_name'];
+const DEFAULT_PARTICIPANT_NAME = 'cliente';
+
+// Whole-message keywords (case and accent insensitive); agents can override them in campaignConfig
+const DEFAULT_OPT_OUT_KEYWORDS = ['baja', 'stop', 'desuscribir', 'unsubscribe'];
+const DEFAULT_OPT_IN_KEYWORDS = ['alta', 'start'];
+const OPT_OUT_REPLY = 'Listo, no vas a recibir más mensajes de campañas. Si cambiás de idea, escribí ALTA.';
+const OPT_IN_REPLY = 'Listo, vas a volver a recibir nuestras novedades. Para darte de baja, escribí BAJA.';
+
+const ENQUEUE_BATCH_SIZE = 500;
+
+// Delivery receipt → recipient statuses it may move from (never backwards, as Message statuses)
+const RECEIPT_TRANSITIONS = {
+  sent: ['sending', 'failed'],
+  delivered: ['sending', 'sent', 'failed'],
+  read: ['sending', 'sent', 'delivered', 'failed'],
+  failed: ['sending', 'sent']
+};
+const RECEIPT_TIMESTAMPS = { sent: 'sentAt', delivered: 'deliveredAt', read: 'readAt', failed: 'failedAt' };
+
+class CampaignService {
+
+  // ============================================================================
+  // Validation & Rendering
+  // ============================================================================
+
+  /**
+   * Validate a campaign definition for an agent
+   * @param {Object} agent - Agent document (templates)
+   * @param {Object} data - { name, message: { text } | { template: { name, variables } }, audience, scheduledAt }
+   * @returns {Array<Object>} [{ path, message }], empty when valid
+   */
+  validateCampaign(agent, data) {
+    const errors = [];
+
+    if (!data || typeof data !== 'object') {
+      return [{ path: '$', message: 'must be an object' }];
+    }
+
+    if (typeof data.name !== 'string' || !data.name.trim()) {
+      errors.push({ path: 'name', message: 'is required' });
+    }
+
+    const message = data.message || {};
+    const hasText = typeof message.text === 'string' && message.text.trim().length > 0;
+    const hasTemplate = !!message.template;
+
+    if (hasText === hasTemplate) {
+      errors.push({ path: 'message', message: 'must have either text or template' });
+    } else if (hasText) {
+      this.unknownPlaceholders(message.text).forEach(placeholder => {
+        errors.push({ path: 'message.text', message: `unknown placeholder {{${placeholder}}} (available: ${PLACEHOLDERS.join(', ')})` });
+      });
+    } else {
+      errors.push(...this.validateTemplateMessage(agent, message.template));
+    }
+
+    const audience = data.audience || {};
+    ['minCreditBalance', 'maxCreditBalance'].forEach(field => {
+      if (audience[field] !== undefined && typeof audience[field] !== 'number') {
+        errors.push({ path: `audience.${field}`, message: 'must be a number' });
+      }
+    });
+    ['lastActivityAfter', 'lastActivityBefore'].forEach(field => {
+      if (audience[field] !== undefined && isNaN(new Date(audience[field]).getTime())) {
+        errors.push({ path: `audience.${field}`, message: 'must be an ISO date' });
+      }
+    });
+
+    if (data.scheduledAt !== undefined && data.scheduledAt !== null && isNaN(new Date(data.scheduledAt).getTime())) {
+      errors.push({ path: 'scheduledAt', message: 'must be an ISO date' });
+    }
+
+    return errors;
+  }
+
+  /**
+   * The template must exist on the agent and every variable must have a value
+   */
+  validateTemplateMessage(agent, template) {
+    if (typeof template.name !== 'string' || !template.name) {
+      return [{ path: 'message.template.name', message: 'is required' }];
+    }
+
+    const definition = agent.getTemplate(template.name);
+    if (!definition) {
+      return [{ path: 'message.template.name', message: `template ${template.name} is not defined for agent ${agent.name}` }];
+    }
+
+    const variables = template.variables || {};
+    if (typeof variables !== 'object' || Array.isArray(variables)) {
+      return [{ path: 'message.template.variables', message: 'must be an object of { variableName: value }' }];
+    }
+
+    const errors = definition.variables
+      .filter(name => typeof variables[name] !== 'string')
+      .map(name => ({ path: `message.template.variables.${name}`, message: 'is required (a string, placeholders allowed)' }));
+
+    Object.entries(variables).forEach(([name, value]) => {
+      this.unknownPlaceholders(String(value)).forEach(placeholder => {
+        errors.push({ path: `message.template.variables.${name}`, message: `unknown placeholder {{${placeholder}}}` });
+      });
+    });
+
+    return errors;
+  }
+
+  unknownPlaceholders(text) {
+    return [...text.matchAll(PLACEHOLDER_PATTERN)]
+      .map(match => match[1])
+      .filter(placeholder => !PLACEHOLDERS.includes(placeholder));
+  }
+
+  /**
+   * Placeholder values for a participant
+   * @param {Object} participant - Participant document
+   * @param {Object} agent - Agent document
+   * @returns {Object} { name, first_name, phone, credit_balance, agent_name }
+   */
+  getPlaceholderValues(participant, agent) {
+    const name = participant.name && participant.name !== 'Unknown' ? participant.name : DEFAULT_PARTICIPANT_NAME;
+
+    return {
+      name,
+      first_name: participant.profile?.firstName || name.split(/\s+/)[0],
+      phone: participant.phoneNumber || '',
+      credit_balance: String(participant.creditBalance ?? 0),
+      agent_name: agent.name
+    };
+  }
+
+  /**
+   * Fill {{placeholders}} in a text
+   */
+  render(text, values) {
+    return String(text).replace(PLACEHOLDER_PATTERN, (match, placeholder) => values[placeholder] ?? match);
+  }
+
+  /**
+   * Template variables with the participant's placeholder values filled in
+   */
+  renderTemplateVariables(variables, values) {
+    return Object.fromEntries(
+      Object.entries(variables || {}).map(([name, value]) => [name, this.render(value, values)])
+    );
+  }
+
+  // ============================================================================
+  // Audience
+  // ============================================================================
+
+  /**
+   * Aggregation over the agent's conversations joined with their participants, narrowed by the audience
+   * filters and without participants who opted out of the agent's campaigns
+   * @param {Object} campaign - Campaign (agentId, audience)
+   * @returns {Array<Object>} Pipeline stages producing { conversationId, participantId, phoneNumber, participantName }
+   */
+  buildAudiencePipeline(campaign) {
+    const audience = campaign.audience || {};
+    const participantMatch = {
+      'participant.campaignOptOuts.agentId': { $ne: campaign.agentId }
+    };
+
+    if (audience.participantStatuses?.length) {
+      participantMatch['participant.status'] = { $in: audience.participantStatuses };
+    }
+    if (audience.minCreditBalance !== undefined || audience.maxCreditBalance !== undefined) {
+      participantMatch['participant.creditBalance'] = {
+        ...(audience.minCreditBalance !== undefined && { $gte: audience.minCreditBalance }),
+        ...(audience.maxCreditBalance !== undefined && { $lte: audience.maxCreditBalance })
+      };
+    }
+    if (audience.lastActivityAfter || audience.lastActivityBefore) {
+      participantMatch['participant.lastActivity'] = {
+        ...(audience.lastActivityAfter && { $gte: new Date(audience.lastActivityAfter) }),
+        ...(audience.lastActivityBefore && { $lte: new Date(audience.lastActivityBefore) })
+      };
+    }
+
+    return [
+      { $match: { agentId: campaign.agentId } },
+      { $lookup: { from: 'participants', localField: 'participantId', foreignField: '_id', as: 'participant' } },
+      { $unwind: '$participant' },
+      { $match: participantMatch },
+      {
+        $project: {
+          _id: 0,
+          conversationId: '$_id',
+          participantId: 1,
+          phoneNumber: 1,
+          participantName: '$participant.name'
+        }
+      }
+    ];
+  }
+
+  /**
+   * Number of participants a campaign would reach right now
+   */
+  async countAudience(campaign) {
+    const [result] = await Conversation.aggregate([...this.buildAudiencePipeline(campaign), { $count: 'total' }]);
+    return result ? result.total : 0;
+  }
+
+  // ============================================================================
+  // Lifecycle
+  // ============================================================================
+
+  /**
+   * Create a draft campaign (or only validate and size it with dryRun)
+   * @param {Object} agent - Agent document
+   * @param {Object} data - { name, description, audience, message, scheduledAt }
+   * @param {Object} options - { createdBy, dryRun }
+   * @returns {Promise<Object>} { success, campaign, audienceSize } or { success: false, error, message, validation_errors }
+   */
+  async createCampaign(agent, data, { createdBy = 'system', dryRun = false } = {}) {
+    const errors = this.validateCampaign(agent, data);
+    if (errors.length > 0) {
+      return {
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: `Invalid campaign: ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`,
+        validation_errors: errors
+      };
+    }
+
+    const campaign = new Campaign({
+      agentId: agent._id,
+      name: data.name.trim(),
+      description: data.description,
+      audience: data.audience || {},
+      message: data.message.template
+        ? { template: { name: data.message.template.name, variables: data.message.template.variables || {} } }
+        : { text: data.message.text },
+      scheduledAt: data.scheduledAt ? new Date(data.scheduledAt) : undefined,
+      createdBy
+    });
+
+    const audienceSize = await this.countAudience(campaign);
+
+    if (!dryRun) {
+      await campaign.save();
+      console.log(`📣 [Campaign ${campaign._id}] Created for agent ${agent.name}:`, {
+        name: campaign.name,
+        kind: campaign.message.template ? `template ${campaign.message.template.name}` : 'text',
+        audienceSize
+      });
+    }
+
+    return { success: true, campaign, audienceSize };
+  }
+
+  /**
+   * Start a draft campaign now, or schedule it when scheduledAt is in the future
+   * @param {Object} campaign - Campaign document
+   * @param {Object} options - { scheduledAt } overrides the campaign's scheduledAt
+   * @returns {Promise<Object>} { success, campaign } or { success: false, error, message }
+   */
+  async startCampaign(campaign, { scheduledAt = undefined } = {}) {
+    if (!['draft', 'scheduled'].includes(campaign.status)) {
+      return this.invalidTransition(campaign, 'started');
+    }
+
+    if (scheduledAt !== undefined) {
+      campaign.scheduledAt = scheduledAt ? new Date(scheduledAt) : undefined;
+    }
+
+    if (campaign.scheduledAt && campaign.scheduledAt > new Date()) {
+      campaign.status = 'scheduled';
+      await campaign.save();
+      console.log(`🗓️ [Campaign ${campaign._id}] Scheduled for ${campaign.scheduledAt.toISOString()}`);
+      return { success: true, campaign };
+    }
+
+    return this.launch(campaign);
+  }
+
+  /**
+   * Snapshot the audience into recipients, queue them and mark the campaign running
+   * @param {Object} campaign - Campaign document in 'draft' or 'scheduled' status
+   * @returns {Promise<Object>} { success, campaign }
+   */
+  async launch(campaign) {
+    // Claim the campaign so a scheduled start and an API call never launch it twice
+    const claimed = await Campaign.findOneAndUpdate(
+      { _id: campaign._id, status: { $in: ['draft', 'scheduled'] } },
+      { $set: { status: 'running', startedAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) {
+      return this.invalidTransition(campaign, 'started');
+    }
+
+    const audience = await Conversation.aggregate(this.buildAudiencePipeline(claimed));
+
+    for (let index = 0; index < audience.length; index += ENQUEUE_BATCH_SIZE) {
+      const batch = audience.slice(index, index + ENQUEUE_BATCH_SIZE);
+      const recipients = await CampaignRecipient.insertMany(batch.map(entry => ({
+        campaignId: claimed._id,
+        agentId: claimed.agentId,
+        participantId: entry.participantId,
+        conversationId: entry.conversationId,
+        phoneNumber: entry.phoneNumber,
+        participantName: entry.participantName
+      })));
+      await redisClient.rPush(REDIS_KEYS.queue(claimed._id), recipients.map(recipient => recipient._id.toString()));
+    }
+
+    claimed.recipientCount = audience.length;
+    if (audience.length === 0) {
+      claimed.status = 'completed';
+      claimed.completedAt = new Date();
+    }
+    await claimed.save();
+
+    if (audience.length > 0) {
+      await redisClient.sAdd(REDIS_KEYS.running, claimed._id.toString());
+    }
+
+    console.log(`🚀 [Campaign ${claimed._id}] Started with ${audience.length} recipient(s)`);
+    return { success: true, campaign: claimed };
+  }
+
+  /**
+   * Stop sending; queued recipients wait for resume
+   */
+  async pauseCampaign(campaign) {
+    const updated = await Campaign.findOneAndUpdate(
+      { _id: campaign._id, status: 'running' },
+      { $set: { status: 'paused', pausedAt: new Date() } },
+      { new: true }
+    );
+    if (!updated) {
+      return this.invalidTransition(campaign, 'paused');
+    }
+
+    await redisClient.sRem(REDIS_KEYS.running, updated._id.toString());
+    console.log(`⏸️ [Campaign ${updated._id}] Paused`);
+    return { success: true, campaign: updated };
+  }
+
+  async resumeCampaign(campaign) {
+    const updated = await Campaign.findOneAndUpdate(
+      { _id: campaign._id, status: 'paused' },
+      { $set: { status: 'running' }, $unset: { pausedAt: 1 } },
+      { new: true }
+    );
+    if (!updated) {
+      return this.invalidTransition(campaign, 'resumed');
+    }
+
+    await this.requeueIfLost(updated);
+    await redisClient.sAdd(REDIS_KEYS.running, updated._id.toString());
+    console.log(`▶️ [Campaign ${updated._id}] Resumed`);
+    return { success: true, campaign: updated };
+  }
+
+  /**
+   * Stop for good: queued recipients are skipped, recipients already sent keep their delivery tracking
+   */
+  async cancelCampaign(campaign) {
+    const updated = await Campaign.findOneAndUpdate(
+      { _id: campaign._id, status: { $in: ['draft', 'scheduled', 'running', 'paused'] } },
+      { $set: { status: 'cancelled', cancelledAt: new Date() } },
+      { new: true }
+    );
+    if (!updated) {
+      return this.invalidTransition(campaign, 'cancelled');
+    }
+
+    await redisClient.sRem(REDIS_KEYS.running, updated._id.toString());
+    await redisClient.del(REDIS_KEYS.queue(updated._id));
+    const skipped = await CampaignRecipient.updateMany(
+      { campaignId: updated._id, status: 'queued' },
+      { $set: { status: 'skipped', skipReason: 'cancelled' } }
+    );
+
+    console.log(`🛑 [Campaign ${updated._id}] Cancelled (${skipped.modifiedCount} queued recipient(s) skipped)`);
+    return { success: true, campaign: updated };
+  }
+
+  /**
+   * Mark a running campaign completed once no recipient is queued or being sent
+   * @returns {Promise<boolean>} True when the campaign was completed
+   */
+  async completeIfDone(campaign) {
+    const pending = await CampaignRecipient.exists({ campaignId: campaign._id, status: { $in: ['queued', 'sending'] } });
+    if (pending) {
+      await this.requeueIfLost(campaign);
+      return false;
+    }
+
+    const updated = await Campaign.findOneAndUpdate(
+      { _id: campaign._id, status: 'running' },
+      { $set: { status: 'completed', completedAt: new Date() } },
+      { new: true }
+    );
+    await redisClient.sRem(REDIS_KEYS.running, campaign._id.toString());
+
+    if (updated) {
+      console.log(`🏁 [Campaign ${campaign._id}] Completed`);
+    }
+    return !!updated;
+  }
+
+  /**
+   * Rebuild the Redis queue from queued recipients when it was lost (Redis restart or flush)
+   */
+  async requeueIfLost(campaign) {
+    const queueKey = REDIS_KEYS.queue(campaign._id);
+    if (await redisClient.lLen(queueKey) > 0) {
+      return 0;
+    }
+
+    const queued = await CampaignRecipient.find({ campaignId: campaign._id, status: 'queued' }).select('_id').lean();
+    for (let index = 0; index < queued.length; index += ENQUEUE_BATCH_SIZE) {
+      await redisClient.rPush(queueKey, queued.slice(index, index + ENQUEUE_BATCH_SIZE).map(recipient => recipient._id.toString()));
+    }
+
+    if (queued.length > 0) {
+      console.log(`🔄 [Campaign ${campaign._id}] Re-queued ${queued.length} recipient(s)`);
+    }
+    return queued.length;
+  }
+
+  invalidTransition(campaign, action) {
+    return {
+      success: false,
+      error: 'INVALID_CAMPAIGN_STATUS',
+      message: `A ${campaign.status} campaign cannot be ${action}`
+    };
+  }
+
+  // ============================================================================
+  // Pacing
+  // ============================================================================
+
+  /**
+   * Milliseconds between two campaign sends of the agent (all its campaigns share the pace)
+   * Defaults to the delay used between sequential Gemini results
+   */
+  getSendIntervalMs(agent) {
+    const perMinute = agent.campaignConfig?.messagesPerMinute;
+    return perMinute ? Math.ceil(60000 / perMinute) : sequentialMessageService.MESSAGE_DELAY;
+  }
+
+  /**
+   * Take the agent's next send slot (atomic across processes)
+   * @returns {Promise<boolean>} False while the agent has to wait
+   */
+  async acquireSendSlot(agent) {
+    const result = await redisClient.set(REDIS_KEYS.pace(agent._id), '1', {
+      NX: true,
+      PX: this.getSendIntervalMs(agent)
+    });
+    return result === 'OK';
+  }
+
+  // ============================================================================
+  // Reporting
+  // ============================================================================
+
+  /**
+   * Recipient counts by status and skip reason
+   * @param {Object} campaign - Campaign document
+   * @returns {Promise<Object>} { total, queued, sending, sent, delivered, read, failed, skipped, skipReasons }
+   */
+  async getStats(campaign) {
+    const rows = await CampaignRecipient.aggregate([
+      { $match: { campaignId: campaign._id } },
+      { $group: { _id: { status: '$status', skipReason: '$skipReason' }, count: { $sum: 1 } } }
+    ]);
+
+    const stats = Object.fromEntries(CampaignRecipient.RECIPIENT_STATUSES.map(status => [status, 0]));
+    stats.total = 0;
+    stats.skipReasons = {};
+
+    rows.forEach(({ _id, count }) => {
+      stats[_id.status] += count;
+      stats.total += count;
+      if (_id.skipReason) {
+        stats.skipReasons[_id.skipReason] = (stats.skipReasons[_id.skipReason] || 0) + count;
+      }
+    });
+
+    return stats;
+  }
+
+  /**
+   * Move the recipient of a campaign message along with its delivery receipt
+   * @param {Object} event - message.status_changed event bus event
+   */
+  async handleDeliveryStatus(event) {
+    const { messageId, status, sender, error } = event.data || {};
+    const allowedFrom = RECEIPT_TRANSITIONS[status];
+    if (sender !== 'system_trigger' || !messageId || !allowedFrom) {
+      return;
+    }
+
+    const update = { status, [RECEIPT_TIMESTAMPS[status]]: new Date(event.data.at || event.timestamp) };
+    if (status === 'failed') {
+      update.error = String(error?.title || error?.message || error || 'Delivery failed').substring(0, 1000);
+    }
+
+    await CampaignRecipient.updateOne(
+      { messageId, status: { $in: allowedFrom } },
+      { $set: update }
+    );
+  }
+
+  // ============================================================================
+  // Opt-out / Opt-in
+  // ============================================================================
+
+  /**
+   * Handle an inbound message that is exactly an opt-out or opt-in keyword for the agent
+   * Confirms to the participant; the caller skips the AI reply when a change is returned
+   * @param {Object} agent - Agent document
+   * @param {Object} participant - Participant document
+   * @param {Object} conversation - Conversation document
+   * @param {string} text - Inbound message text
+   * @returns {Promise<string|null>} 'opted_out' | 'opted_in' | null (not a keyword)
+   */
+  async handleSubscriptionKeyword(agent, participant, conversation, text) {
+    const keyword = simplify(text || '');
+    if (!keyword || keyword.length > 40) {
+      return null;
+    }
+
+    const optOutKeywords = (agent.campaignConfig?.optOutKeywords?.length ? agent.campaignConfig.optOutKeywords : DEFAULT_OPT_OUT_KEYWORDS).map(simplify);
+    const optInKeywords = (agent.campaignConfig?.optInKeywords?.length ? agent.campaignConfig.optInKeywords : DEFAULT_OPT_IN_KEYWORDS).map(simplify);
+    const optedOut = participant.hasOptedOut(agent._id);
+
+    let change = null;
+    if (optOutKeywords.includes(keyword)) {
+      if (!optedOut) {
+        participant.campaignOptOuts.push({ agentId: agent._id, keyword, optedOutAt: new Date() });
+        await participant.save();
+      }
+      change = 'opted_out';
+    } else if (optedOut && optInKeywords.includes(keyword)) {
+      participant.campaignOptOuts = participant.campaignOptOuts.filter(optOut => String(optOut.agentId) !== String(agent._id));
+      await participant.save();
+      change = 'opted_in';
+    }
+
+    if (!change) {
+      return null;
+    }
+
+    console.log(`📵 [${conversation._id}] Participant ${participant._id} ${change} of agent ${agent.name} campaigns (keyword "${keyword}")`);
+
+    const reply = await outboundMessageService.sendText(agent, conversation.phoneNumber, change === 'opted_out' ? OPT_OUT_REPLY : OPT_IN_REPLY, {
+      conversation
+    });
+    if (!reply.success) {
+      console.warn(`⚠️ [${conversation._id}] Could not confirm campaign ${change}:`, reply.error);
+    }
+
+    return change;
+  }
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function simplify(value) {
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[.!¡?¿]+/g, '')
+    .trim()
+    .toLowerCase();
+}
+
+// Export singleton instance
+const campaignService = new CampaignService();
+
+module.exports = campaignService;
+module.exports.REDIS_KEYS = REDIS_KEYS;
+module.exports.PLACEHOLDERS = PLACEHOLDERS;
@@ -0,0 +1,350 @@
+/**
+ * services/campaignWorker.js
+ *
+ * Description: Background worker that drains campaign send queues at each agent's pace
+ *
+ * Role in the system: Takes recipient ids from the Redis queue of every running campaign, one send per
+ * agent send slot (campaignService.acquireSendSlot, shared by all campaigns of the agent), sends the
+ * rendered text or template as a 'system_trigger' message and records the outcome on the recipient.
+ * Also starts scheduled campaigns when they are due and follows delivery receipts of campaign messages.
+ *
+ * Node.js Context: Worker - background loop with Redis coordination
+ *
+ * Dependencies:
+ * - database/index.js (Redis client: running campaigns and queues)
+ * - services/campaignService.js (lifecycle, pacing, rendering, receipts)
+ * - services/templateMessageService.js (template campaigns)
+ * - services/outboundMessageService.js (text campaigns)
+ * - services/conversationEventBus.js (message.created / message.status_changed events)
+ * - models (Campaign, CampaignRecipient, Agent, Participant, Conversation, Message)
+ * - utils/redisConversationCache.js (message cache)
+ *
+ * Dependants:
+ * - server.js (start/stop with the server)
+ */
+
+const { redisClient } = require('../database');
+const { Agent, Participant, Conversation, Message, Campaign, CampaignRecipient } = require('../models');
+const campaignService = require('./campaignService');
+const templateMessageService = require('./templateMessageService');
+const outboundMessageService = require('./outboundMessageService');
+const conversationEventBus = require('./conversationEventBus');
+const { cacheMessage } = require('../utils/redisConversationCache');
+const { saveWithRetry } = require('../utils/dbUtils');
+
+const { REDIS_KEYS } = campaignService;
+
+const IDLE_POLL_MS = Number(process.env.CAMPAIGN_POLL_MS || 1000);
+const SCHEDULE_POLL_MS = 30 * 1000;
+const STUCK_SENDING_MS = 5 * 60 * 1000;  // 'sending' for longer than this = worker died mid-send
+const STUCK_SWEEP_MS = 60 * 1000;        // How often the loop looks for stuck sends
+
+// ============================================================================
+// Worker Configuration & State Management
+// ============================================================================
+
+class CampaignWorker {
+    constructor() {
+        this.isRunning = false;
+        this.unsubscribe = null;
+        this.lastScheduleCheck = 0;
+        this.lastStuckSweep = 0;
+    }
+
+    // ============================================================================
+    // Lifecycle
+    // ============================================================================
+
+    /**
+     * Recover running campaigns, follow delivery receipts and start the send loop
+     */
+    async start() {
+        if (this.isRunning) {
+            console.log('⚠️ Campaign worker already running');
+            return;
+        }
+
+        this.isRunning = true;
+        this.unsubscribe = conversationEventBus.subscribe({ types: ['message.status_changed'] }, (event) => {
+            campaignService.handleDeliveryStatus(event).catch(error => {
+                console.error('❌ Campaign delivery receipt update failed:', error.message);
+            });
+        });
+        console.log('📣 Campaign worker started');
+
+        await this.recoverCampaigns();
+
+        while (this.isRunning) {
+            let sent = 0;
+            try {
+                await this.startDueCampaigns();
+                await this.failStuckSends();
+                sent = await this.processRunningCampaigns();
+            } catch (error) {
+                console.error('❌ Campaign worker error:', error.message);
+            }
+            // Pacing is enforced by the send slots; sleep only when nothing could be sent
+            if (sent === 0) {
+                await this.sleep(IDLE_POLL_MS);
+            }
+        }
+
+        console.log('🛑 Campaign worker stopped');
+    }
+
+    async stop() {
+        this.isRunning = false;
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+    }
+
+    /**
+     * After a restart: running campaigns get their Redis queue and running flag back
+     * (recipients left 'sending' are failed by failStuckSends once they are old enough)
+     */
+    async recoverCampaigns() {
+        try {
+            const running = await Campaign.find({ status: 'running' });
+            for (const campaign of running) {
+                await campaignService.requeueIfLost(campaign);
+                await redisClient.sAdd(REDIS_KEYS.running, campaign._id.toString());
+            }
+            console.log(`🔄 Recovered ${running.length} running campaign(s)`);
+        } catch (error) {
+            console.error('❌ Campaign recovery failed:', error.message);
+        }
+    }
+
+    /**
+     * Recipients 'sending' for longer than STUCK_SENDING_MS were interrupted (restart or crash mid-send):
+     * they are failed, not retried, since they may have been delivered. Runs periodically from the loop,
+     * so sends claimed shortly before a restart are cleaned up too and their campaign can complete.
+     */
+    async failStuckSends() {
+        if (Date.now() - this.lastStuckSweep < STUCK_SWEEP_MS) {
+            return;
+        }
+        this.lastStuckSweep = Date.now();
+
+        const interrupted = await CampaignRecipient.updateMany(
+            { status: 'sending', updatedAt: { $lt: new Date(Date.now() - STUCK_SENDING_MS) } },
+            { $set: { status: 'failed', failedAt: new Date(), error: 'Interrupted while sending (not retried to avoid duplicates)' } }
+        );
+        if (interrupted.modifiedCount > 0) {
+            console.log(`🔄 Marked ${interrupted.modifiedCount} interrupted campaign send(s) as failed`);
+        }
+    }
+
+    // ============================================================================
+    // Queue Processing
+    // ============================================================================
+
+    /**
+     * Launch scheduled campaigns whose scheduledAt has passed
+     */
+    async startDueCampaigns() {
+        if (Date.now() - this.lastScheduleCheck < SCHEDULE_POLL_MS) {
+            return;
+        }
+        this.lastScheduleCheck = Date.now();
+
+        const due = await Campaign.find({ status: 'scheduled', scheduledAt: { $lte: new Date() } });
+        for (const campaign of due) {
+            const result = await campaignService.launch(campaign);
+            if (!result.success) {
+                console.warn(`⚠️ [Campaign ${campaign._id}] Scheduled start skipped: ${result.message}`);
+            }
+        }
+    }
+
+    /**
+     * One send for every running campaign whose agent has a free send slot
+     * @returns {Promise<number>} Recipients processed
+     */
+    async processRunningCampaigns() {
+        const campaignIds = await redisClient.sMembers(REDIS_KEYS.running);
+        const agents = new Map();
+        let processed = 0;
+
+        for (const campaignId of campaignIds) {
+            const campaign = await Campaign.findById(campaignId);
+            if (!campaign || campaign.status !== 'running') {
+                await redisClient.sRem(REDIS_KEYS.running, campaignId);
+                continue;
+            }
+
+            const agentKey = campaign.agentId.toString();
+            if (!agents.has(agentKey)) {
+                agents.set(agentKey, await Agent.findById(campaign.agentId));
+            }
+            const agent = agents.get(agentKey);
+            if (!agent) {
+                console.error(`❌ [Campaign ${campaignId}] Agent ${agentKey} not found, pausing`);
+                await campaignService.pauseCampaign(campaign);
+                continue;
+            }
+
+            if (!(await campaignService.acquireSendSlot(agent))) {
+                continue;
+            }
+
+            const recipientId = await redisClient.lPop(REDIS_KEYS.queue(campaignId));
+            if (!recipientId) {
+                await campaignService.completeIfDone(campaign);
+                continue;
+            }
+
+            await this.processRecipient(campaign, agent, recipientId);
+            processed++;
+        }
+
+        return processed;
+    }
+
+    /**
+     * Claim a queued recipient and send the campaign message
+     * @param {Object} campaign - Running campaign
+     * @param {Object} agent - Campaign agent
+     * @param {string} recipientId - CampaignRecipient ID from the queue
+     */
+    async processRecipient(campaign, agent, recipientId) {
+        const recipient = await CampaignRecipient.findOneAndUpdate(
+            { _id: recipientId, status: 'queued' },
+            { $set: { status: 'sending' }, $inc: { attempts: 1 } },
+            { new: true }
+        );
+        if (!recipient) {
+            return; // Cancelled or already processed
+        }
+
+        try {
+            const outcome = await this.sendToRecipient(campaign, agent, recipient);
+            Object.assign(recipient, outcome);
+        } catch (error) {
+            console.error(`❌ [Campaign ${campaign._id}] Send to recipient ${recipientId} failed:`, error.message);
+            Object.assign(recipient, { status: 'failed', failedAt: new Date(), error: error.message.substring(0, 1000) });
+        }
+
+        await recipient.save();
+    }
+
+    /**
+     * Send to one recipient
+     * @returns {Promise<Object>} Recipient fields to set ({ status, skipReason, messageId, error, sentAt, failedAt })
+     */
+    async sendToRecipient(campaign, agent, recipient) {
+        const [participant, conversation] = await Promise.all([
+            Participant.findById(recipient.participantId),
+            Conversation.findById(recipient.conversationId)
+        ]);
+
+        const statuses = campaign.audience?.participantStatuses || [];
+        if (!participant || !conversation || (statuses.length > 0 && !statuses.includes(participant.status))) {
+            return { status: 'skipped', skipReason: 'participant_unavailable' };
+        }
+        if (participant.hasOptedOut(agent._id)) {
+            return { status: 'skipped', skipReason: 'opted_out' };
+        }
+
+        const values = campaignService.getPlaceholderValues(participant, agent);
+
+        if (campaign.message.template) {
+            const result = await templateMessageService.sendTemplate(
+                agent,
+                conversation,
+                campaign.message.template.name,
+                campaignService.renderTemplateVariables(campaign.message.template.variables, values),
+                { sender: 'system_trigger', campaignId: campaign._id }
+            );
+
+            if (result.success) {
+                return { status: 'sent', sentAt: new Date(), messageId: result.message._id };
+            }
+            if (result.error === 'TEMPLATES_NOT_SUPPORTED') {
+                return { status: 'skipped', skipReason: 'templates_not_supported' };
+            }
+            return { status: 'failed', failedAt: new Date(), messageId: result.data?._id, error: result.message };
+        }
+
+        // Free-form text is not turned into the fallback template: that template is for replies, not broadcasts
+        if (outboundMessageService.isOutsideServiceWindow(agent, conversation)) {
+            return { status: 'skipped', skipReason: 'outside_service_window' };
+        }
+
+        return this.sendText(campaign, agent, conversation, campaignService.render(campaign.message.text, values));
+    }
+
+    /**
+     * Send a text campaign message and record it in the conversation (sender 'system_trigger')
+     */
+    async sendText(campaign, agent, conversation, text) {
+        const timestamp = new Date();
+        const message = new Message({
+            conversationId: conversation._id,
+            sender: 'system_trigger',
+            type: 'chat',
+            msg_source: outboundMessageService.getProvider(agent, conversation.channel),
+            content: [{ order: 0, content: text }],
+            timestamp,
+            status: 'pending',
+            recipient: 'user',
+            campaignId: campaign._id
+        });
+
+        const delivery = await outboundMessageService.sendText(agent, conversation.phoneNumber, text, {
+            referenceId: message._id.toString(),
+            channel: conversation.channel
+        });
+
+        if (delivery.success) {
+            message.markDeliveryStatus('sent', { foreignId: delivery.messageId });
+            message.channelData = {
+                channel: delivery.provider,
+                id: delivery.messageId ? String(delivery.messageId) : undefined,
+                response: delivery.data
+            };
+        } else {
+            message.markDeliveryStatus('failed', { error: { title: delivery.error } });
+        }
+
+        await message.save();
+
+        cacheMessage(conversation._id.toString(), message).catch(err => {
+            console.warn(`⚠️ Failed to cache campaign message in Redis (non-blocking):`, err.message);
+        });
+
+        conversationEventBus.publish('message.created', {
+            conversationId: conversation._id,
+            agentId: agent._id,
+            data: { ...conversationEventBus.messagePayload(message), campaignId: campaign._id.toString() }
+        });
+
+        if (!delivery.success) {
+            await Conversation.recordDeliveryStatus(conversation._id, 'failed');
+            return { status: 'failed', failedAt: new Date(), messageId: message._id, error: String(delivery.error).substring(0, 1000) };
+        }
+
+        conversation.messageCount = (conversation.messageCount || 0) + 1;
+        conversation.lastMessage = text;
+        conversation.lastMessageTime = timestamp;
+        conversation.lastMessageSender = { role: 'system_trigger', name: agent.name };
+        await saveWithRetry(conversation, 3);
+
+        return { status: 'sent', sentAt: new Date(), messageId: message._id };
+    }
+
+    // ============================================================================
+    // Helpers
+    // ============================================================================
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+// Export singleton instance
+const campaignWorker = new CampaignWorker();
+
+module.exports = campaignWorker;
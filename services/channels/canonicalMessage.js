@@ -0,0 +1,206 @@
+/**
+ * services/channels/canonicalMessage.js
+ *
+ * Description: Internal canonical format for inbound channel events (messages, delivery statuses, echoes)
+ *
+ * Role in the system: Every channel adapter turns its provider payload into these events, so the webhook
+ * route, message processor and queue never look at provider fields. Message types use the Message.type
+ * vocabulary and statuses use the Message.status vocabulary.
+ *
+ * Node.js Context: Module - Canonical message factories
+ *
+ * Dependencies:
+ * - None
+ *
+ * Dependants:
+ * - services/channels/*Adapter.js (payload normalization)
+ * - routes/webhookRoutes.js (event dispatch)
+ * - modules/messageProcessor.js (Message documents from canonical messages)
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const EVENT_KINDS = {
+  MESSAGE: 'message',    // Inbound message from a user
+  STATUS: 'status',      // Delivery status of one of our outbound messages
+  OUTBOUND: 'outbound',  // Echo of one of our own sends (links the provider id to our Message)
+  IGNORED: 'ignored'     // Anything the engine does not act on (reactions, group notifications...)
+};
+
+// Delivery statuses, in order (failed can happen after sent)
+const DELIVERY_STATUSES = ['sent', 'delivered', 'read', 'failed'];
+
+const MEDIA_MESSAGE_TYPES = ['image', 'video', 'audio', 'ptt', 'document', 'sticker'];
+
+// ============================================================================
+// Factories
+// ============================================================================
+
+/**
+ * Canonical inbound message
+ * @param {Object} fields - Normalized fields from the adapter
+ * @returns {Object} { kind: 'message', channel, instanceId, id, from, to, senderName, timestamp, type, text,
+ *   media: { id, url, mimeType, filename, size, sha256, needsDownload, voice } | null,
+ *   quoted: { id, text, type, fromMe } | null,
+ *   identity: { externalId, username } | null, selection: { id, title } | null, raw }
+ * from is the address replies go to (a phone number on WhatsApp channels). Channels without phone numbers
+ * (Telegram) set identity to the sender's account on that channel, participants are then keyed by it.
+ * selection is the reply button or list option the user tapped (id is the option id the AI sent).
+ */
+function createMessage({
+  channel,
+  instanceId,
+  id,
+  from,
+  to = null,
+  senderName = null,
+  timestamp = null,
+  type = 'chat',
+  text = '',
+  media = null,
+  quoted = null,
+  identity = null,
+  selection = null,
+  raw = null
+}) {
+  return {
+    kind: EVENT_KINDS.MESSAGE,
+    channel,
+    instanceId: instanceId != null ? String(instanceId) : null,
+    id: id != null ? String(id) : null,
+    from: stripJid(from),
+    to: stripJid(to),
+    senderName: senderName || null,
+    timestamp: toDate(timestamp),
+    type,
+    text: text || '',
+    media: media ? createMedia(media) : null,
+    quoted: quoted && quoted.id ? {
+      id: String(quoted.id),
+      text: quoted.text || '',
+      type: quoted.type || 'chat',
+      fromMe: !!quoted.fromMe
+    } : null,
+    identity: identity && identity.externalId != null ? {
+      externalId: String(identity.externalId),
+      username: identity.username || null
+    } : null,
+    selection: selection && selection.id ? {
+      id: String(selection.id),
+      title: selection.title || ''
+    } : null,
+    raw
+  };
+}
+
+/**
+ * Canonical delivery status of an outbound message
+ * @param {Object} fields - { channel, instanceId, id, status, timestamp, referenceId, errors, raw }
+ * @returns {Object} { kind: 'status', channel, instanceId, id, status, timestamp, referenceId, errors, raw }
+ */
+function createStatus({ channel, instanceId, id, status, timestamp = null, referenceId = null, errors = [], raw = null }) {
+  return {
+    kind: EVENT_KINDS.STATUS,
+    channel,
+    instanceId: instanceId != null ? String(instanceId) : null,
+    id: id != null ? String(id) : null,
+    status,
+    timestamp: toDate(timestamp),
+    referenceId: referenceId || null,
+    errors: Array.isArray(errors) ? errors : [],
+    raw
+  };
+}
+
+/**
+ * Echo of a message we sent (carries the referenceId we sent it with)
+ */
+function createOutbound({ channel, instanceId, id, to = null, referenceId = null, raw = null }) {
+  return {
+    kind: EVENT_KINDS.OUTBOUND,
+    channel,
+    instanceId: instanceId != null ? String(instanceId) : null,
+    id: id != null ? String(id) : null,
+    to: stripJid(to),
+    referenceId: referenceId || null,
+    raw
+  };
+}
+
+/**
+ * Event the engine does not process, kept for logging
+ */
+function createIgnored({ channel, instanceId = null, id = null, reason, raw = null }) {
+  return {
+    kind: EVENT_KINDS.IGNORED,
+    channel,
+    instanceId: instanceId != null ? String(instanceId) : null,
+    id: id != null ? String(id) : null,
+    reason,
+    raw
+  };
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function createMedia({ id = null, url = null, mimeType = null, filename = null, size = null, sha256 = null, voice = false }) {
+  return {
+    id: id || null,
+    url: url || null,
+    mimeType: mimeType || null,
+    filename: filename || null,
+    size: size != null ? Number(size) : null,
+    sha256: sha256 || null,
+    needsDownload: !url && !!id,  // Channel only gave us a media id, the adapter resolves the URL later
+    voice: !!voice
+  };
+}
+
+/**
+ * "5491122334455@c.us" → "5491122334455"
+ */
+function stripJid(address) {
+  return address ? String(address).split('@')[0] : null;
+}
+
+/**
+ * Unix seconds, milliseconds or Date → Date (now when missing)
+ */
+function toDate(timestamp) {
+  if (!timestamp) {
+    return new Date();
+  }
+  if (timestamp instanceof Date) {
+    return timestamp;
+  }
+
+  const value = Number(timestamp);
+  if (isNaN(value)) {
+    return new Date();
+  }
+  return new Date(value < 1e12 ? value * 1000 : value);
+}
+
+/**
+ * Canonical event without the raw provider payload (what is stored in Message.channelData)
+ */
+function withoutRaw(event) {
+  const { raw, ...rest } = event;
+  return rest;
+}
+
+module.exports = {
+  EVENT_KINDS,
+  DELIVERY_STATUSES,
+  MEDIA_MESSAGE_TYPES,
+  createMessage,
+  createStatus,
+  createOutbound,
+  createIgnored,
+  stripJid,
+  withoutRaw
+};
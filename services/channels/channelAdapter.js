@@ -0,0 +1,227 @@
+/**
+ * services/channels/channelAdapter.js
+ *
+ * Description: Base class for messaging channel adapters
+ *
+ * Role in the system: Defines the contract every messaging provider implements so it can plug into the
+ * webhook route and outbound delivery without changes elsewhere:
+ * - detect(req)              - does this webhook request come from the channel?
+ * - authenticate(req)        - is the request allowed? (API key with webhooks:receive by default)
+ * - parseInbound(req)        - provider payload → canonical events (services/channels/canonicalMessage.js)
+ * - findAgent(event)         - agent that owns the channel instance
+ * - sendText / sendMedia     - outbound delivery, return { messageId, data } and throw on failure
+ * - sendTemplate             - approved template (HSM) delivery, for channels that support it
+ * - sendInteractive          - reply buttons / list menu, a numbered text menu unless the channel renders them
+ * - acknowledgeInbound       - provider acknowledgement of a received event (e.g. Telegram button taps)
+ * - verifySubscription(req)  - webhook subscription handshake (GET), for channels that need one
+ * - parseStatus(status)      - provider delivery status → canonical status
+ * - resolveMediaUrl(...)     - download URL for media the channel only delivers by id
+ *
+ * Node.js Context: Service - Channel adapter contract
+ *
+ * Dependencies:
+ * - models/Agent.js (agent lookup by instance)
+ * - services/apiKeyService.js (default webhook authentication)
+ * - services/channels/interactiveMessage.js (text menu fallback)
+ *
+ * Dependants:
+ * - services/channels/ultramsgAdapter.js
+ * - services/channels/whatsappFactoryAdapter.js
+ * - services/channels/whatsappCloudAdapter.js (through whatsappFactoryAdapter.js)
+ * - services/channels/telegramAdapter.js
+ */
+
+const Agent = require('../../models/Agent');
+const apiKeyService = require('../apiKeyService');
+const { toTextMenu } = require('./interactiveMessage');
+
+class ChannelAdapter {
+
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Channel name, stored in Message.msg_source
+   * @param {Array<string>} options.agentTypes - Agent.type values served by this channel
+   * @param {boolean} options.serviceWindow - Free-form messages only within 24h of the user's last message
+   *   (templates outside it); outboundMessageService falls back to the agent's fallback template
+   * @param {boolean} options.templates - Implements sendTemplate
+   */
+  constructor({ name, agentTypes = [], serviceWindow = false, templates = false }) {
+    this.name = name;
+    this.agentTypes = agentTypes;
+    this.hasServiceWindow = serviceWindow;
+    this.supportsTemplates = templates;
+  }
+
+  // ============================================================================
+  // Inbound
+  // ============================================================================
+
+  /**
+   * Whether a webhook request comes from this channel
+   * @param {Object} req - Express request
+   * @returns {boolean}
+   */
+  detect(req) {
+    return false;
+  }
+
+  /**
+   * Authenticate a webhook request: stored key with webhooks:receive, or legacy API_KEY_WEBHOOK
+   * @param {Object} req - Express request
+   * @returns {Promise<Object>} { success, access } or { success: false, status, error, message }
+   */
+  async authenticate(req) {
+    const providedApiKey = req.headers['x-api-key'] ||
+      req.headers['authorization']?.replace('Bearer ', '') ||
+      req.query.api_key ||
+      req.query.key;
+    const auth = await apiKeyService.authenticate(providedApiKey, { ip: req.ip });
+
+    if (!auth.success) {
+      return {
+        success: false,
+        status: 401,
+        error: auth.error === 'INVALID_API_KEY' ? 'UNAUTHORIZED' : auth.error,
+        message: 'Valid API key required. Provide via X-API-Key header, Authorization Bearer token, or ?api_key= query parameter.'
+      };
+    }
+
+    if (!auth.access.scopes.includes('webhooks:receive')) {
+      return {
+        success: false,
+        status: 403,
+        error: 'INSUFFICIENT_SCOPE',
+        message: "This API key does not have the 'webhooks:receive' scope"
+      };
+    }
+
+    return auth;
+  }
+
+  /**
+   * Webhook subscription handshake (e.g. Meta's hub.challenge GET)
+   * @param {Object} req - Express request
+   * @returns {Object|null} { success, challenge } or { success: false } when this channel owns the request, null otherwise
+   */
+  verifySubscription(req) {
+    return null;
+  }
+
+  /**
+   * Provider payload → canonical events
+   * @param {Object} req - Express request
+   * @returns {Array<Object>} Canonical events (throws on malformed payloads)
+   */
+  parseInbound(req) {
+    throw new Error(`${this.name}: parseInbound not implemented`);
+  }
+
+  /**
+   * Provider delivery status → canonical status ('sent' | 'delivered' | 'read' | 'failed'), null to skip
+   * @param {string} status - Provider status value
+   * @returns {string|null}
+   */
+  parseStatus(status) {
+    return null;
+  }
+
+  /**
+   * Agent that owns the channel instance of an event
+   * @param {Object} event - Canonical event
+   * @returns {Promise<Object|null>} Agent document
+   */
+  async findAgent(event) {
+    if (!event.instanceId) {
+      return null;
+    }
+
+    return Agent.findOne({
+      instanceId: event.instanceId,
+      ...(this.agentTypes.length > 0 ? { type: { $in: this.agentTypes } } : {})
+    });
+  }
+
+  /**
+   * Acknowledge a received message to the provider when it waits for one (called once the event is accepted)
+   * @param {Object} agent - Agent document
+   * @param {Object} event - Canonical message event
+   * @returns {Promise<void>}
+   */
+  async acknowledgeInbound(agent, event) {}
+
+  /**
+   * Download URL for an inbound message's media
+   * @param {Object} agent - Agent document
+   * @param {Object} message - Message data with canonical media ({ id, url, needsDownload })
+   * @returns {Promise<string|null>} URL (may be a data: URL)
+   */
+  async resolveMediaUrl(agent, message) {
+    return message.media?.url || null;
+  }
+
+  // ============================================================================
+  // Outbound
+  // ============================================================================
+
+  /**
+   * Whether this channel delivers messages for an agent
+   * @param {Object} agent - Agent document
+   * @returns {boolean}
+   */
+  handlesAgent(agent) {
+    return this.agentTypes.includes(agent.type);
+  }
+
+  /**
+   * Send a text message
+   * @param {Object} agent - Agent with channel credentials
+   * @param {string} to - Recipient
+   * @param {string} text - Message body
+   * @param {Object} options - { quotedMessageId, referenceId }
+   * @returns {Promise<Object>} { messageId, data } (throws on failure)
+   */
+  async sendText(agent, to, text, options = {}) {
+    throw new Error(`${this.name}: sendText not implemented`);
+  }
+
+  /**
+   * Send an image, video, audio, document or sticker
+   * @param {Object} agent - Agent with channel credentials
+   * @param {string} to - Recipient
+   * @param {Object} media - { type, url, caption, filename }
+   * @param {Object} options - { quotedMessageId, referenceId }
+   * @returns {Promise<Object>} { messageId, data } (throws on failure)
+   */
+  async sendMedia(agent, to, media, options = {}) {
+    throw new Error(`${this.name}: sendMedia not implemented`);
+  }
+
+  /**
+   * Send text with reply buttons or a list menu
+   * Channels without native interactive messages send the text followed by a numbered menu
+   * @param {Object} agent - Agent with channel credentials
+   * @param {string} to - Recipient
+   * @param {string} text - Message body
+   * @param {Object} interactive - Normalized menu (services/channels/interactiveMessage.js)
+   * @param {Object} options - { quotedMessageId, referenceId }
+   * @returns {Promise<Object>} { messageId, data, degraded } (throws on failure)
+   */
+  async sendInteractive(agent, to, text, interactive, options = {}) {
+    const result = await this.sendText(agent, to, toTextMenu(text, interactive), options);
+    return { ...result, degraded: true };
+  }
+
+  /**
+   * Send an approved message template
+   * @param {Object} agent - Agent with channel credentials
+   * @param {string} to - Recipient
+   * @param {Object} template - { name, language, components }
+   * @param {Object} options - { referenceId }
+   * @returns {Promise<Object>} { messageId, data } (throws on failure)
+   */
+  async sendTemplate(agent, to, template, options = {}) {
+    throw new Error(`${this.name} does not support message templates`);
+  }
+}
+
+module.exports = ChannelAdapter;
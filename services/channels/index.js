@@ -0,0 +1,133 @@
+/**
+ * services/channels/index.js
+ *
+ * Description: Registry of messaging channel adapters
+ *
+ * Role in the system: Picks the adapter for an inbound webhook request (explicit ?channel= or detection)
+ * and for an agent's outbound messages. New providers are added by implementing
+ * services/channels/channelAdapter.js and registering the adapter here.
+ *
+ * Node.js Context: Service - Channel registry
+ *
+ * Dependencies:
+ * - services/channels/ultramsgAdapter.js
+ * - services/channels/whatsappFactoryAdapter.js
+ * - services/channels/whatsappCloudAdapter.js
+ * - services/channels/telegramAdapter.js
+ * - services/channels/canonicalMessage.js (re-exported for consumers)
+ *
+ * Dependants:
+ * - routes/webhookRoutes.js (inbound adapter selection)
+ * - services/outboundMessageService.js (outbound adapter per agent or conversation)
+ * - modules/messageQueue.js (media download for id-only media)
+ */
+
+const canonical = require('./canonicalMessage');
+const ultramsgAdapter = require('./ultramsgAdapter');
+const whatsappFactoryAdapter = require('./whatsappFactoryAdapter');
+const whatsappCloudAdapter = require('./whatsappCloudAdapter');
+const telegramAdapter = require('./telegramAdapter');
+
+class ChannelRegistry {
+
+  constructor() {
+    this.adapters = new Map(); // name -> adapter, in detection order
+  }
+
+  /**
+   * Register an adapter (detection follows registration order)
+   * @param {Object} adapter - ChannelAdapter instance
+   */
+  register(adapter) {
+    this.adapters.set(adapter.name, adapter);
+  }
+
+  /**
+   * Adapter by channel name
+   * @param {string} name - Channel name (Message.msg_source)
+   * @returns {Object|null} Adapter
+   */
+  get(name) {
+    return this.adapters.get(name) || null;
+  }
+
+  /**
+   * Adapter for a webhook request: ?channel=<name> when given, otherwise the first adapter that detects it
+   * @param {Object} req - Express request
+   * @returns {Object|null} Adapter, null when no channel recognizes the request
+   */
+  detect(req) {
+    if (req.query?.channel) {
+      return this.get(String(req.query.channel));
+    }
+
+    for (const adapter of this.adapters.values()) {
+      if (adapter.detect(req)) {
+        return adapter;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Subscription handshake (GET) for the channel that owns the request
+   * @param {Object} req - Express request
+   * @returns {Object|null} { channel, success, challenge }, null when no channel recognizes it
+   */
+  verifySubscription(req) {
+    for (const adapter of this.adapters.values()) {
+      const result = adapter.verifySubscription(req);
+      if (result) {
+        return { channel: adapter.name, ...result };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Adapter that delivers an agent's outbound messages
+   * @param {Object} agent - Agent document
+   * @returns {Object} Adapter (UltraMsg for agents no other channel claims)
+   */
+  forAgent(agent) {
+    for (const adapter of this.adapters.values()) {
+      if (adapter !== ultramsgAdapter && adapter.handlesAgent(agent)) {
+        return adapter;
+      }
+    }
+
+    return ultramsgAdapter;
+  }
+
+  /**
+   * Adapter for a send: the conversation's own channel when it has one (e.g. 'telegram'), the agent's otherwise
+   * @param {Object} agent - Agent document
+   * @param {string|null} channel - Conversation.channel
+   * @returns {Object} Adapter
+   */
+  forConversation(agent, channel = null) {
+    return (channel && this.get(channel)) || this.forAgent(agent);
+  }
+
+  /**
+   * Registered channel names
+   * @returns {Array<string>}
+   */
+  list() {
+    return [...this.adapters.keys()];
+  }
+}
+
+// Export singleton instance
+const channelRegistry = new ChannelRegistry();
+
+// Most specific first: Cloud API (signed Business API envelope), WhatsApp Factory (same envelope), Telegram, UltraMsg
+channelRegistry.register(whatsappCloudAdapter);
+channelRegistry.register(whatsappFactoryAdapter);
+channelRegistry.register(telegramAdapter);
+channelRegistry.register(ultramsgAdapter);
+
+module.exports = channelRegistry;
+module.exports.canonical = canonical;
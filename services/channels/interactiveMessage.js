@@ -0,0 +1,143 @@
+/**
+ * services/channels/interactiveMessage.js
+ *
+ * Description: Channel-independent reply buttons and list menus of AI responses
+ *
+ * Role in the system: Normalizes the optional `response.interactive` of the structured AI response
+ * ({ type: 'buttons' | 'list', button_text, options: [{ id, title, description }] }), renders the numbered
+ * text menu used by channels without native interactive messages and matches a typed reply ("2", or the
+ * option title) back to the option, so every channel feeds the same { id, title } selection to the model.
+ *
+ * Node.js Context: Module - Pure functions, no I/O
+ *
+ * Dependencies:
+ * - None
+ *
+ * Dependants:
+ * - services/channels/channelAdapter.js (text menu fallback)
+ * - modules/messageQueue.js (AI responses with menus)
+ * - modules/responsesClient.js (menus in the conversation history)
+ * - routes/webhookRoutes.js (typed replies to text menus)
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+// WhatsApp limits (the strictest native renderer): 3 reply buttons, 10 list rows
+const MAX_BUTTONS = 3;
+const MAX_LIST_OPTIONS = 10;
+const MAX_OPTION_ID_LENGTH = 200;
+
+const DEFAULT_LIST_BUTTON_TEXT = 'Ver opciones';
+const TEXT_MENU_HINT = 'Respondé con el número de la opción.';
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * AI response interactive block → normalized menu
+ * More than MAX_BUTTONS buttons become a list; options without a title are dropped
+ * @param {Object|null} interactive - response.interactive from the AI ({ type, button_text, options })
+ * @returns {Object|null} { type: 'buttons' | 'list', buttonText, options: [{ id, title, description }] }, null without options
+ */
+function normalizeInteractive(interactive) {
+  if (!interactive || !Array.isArray(interactive.options)) {
+    return null;
+  }
+
+  const options = interactive.options
+    .filter(option => option && String(option.title || '').trim())
+    .slice(0, MAX_LIST_OPTIONS)
+    .map((option, index) => ({
+      id: (String(option.id || '').trim() || `option_${index + 1}`).substring(0, MAX_OPTION_ID_LENGTH),
+      title: String(option.title).trim(),
+      description: String(option.description || '').trim()
+    }));
+
+  if (options.length === 0) {
+    return null;
+  }
+
+  const type = interactive.type === 'list' || options.length > MAX_BUTTONS ? 'list' : 'buttons';
+
+  return {
+    type,
+    buttonText: String(interactive.button_text || interactive.buttonText || '').trim() || DEFAULT_LIST_BUTTON_TEXT,
+    options
+  };
+}
+
+/**
+ * Message text followed by a numbered menu (channels without native buttons/lists)
+ * @param {string} text - Response text
+ * @param {Object} interactive - Normalized menu
+ * @returns {string}
+ */
+function toTextMenu(text, interactive) {
+  const lines = interactive.options.map((option, index) =>
+    `${index + 1}. ${option.title}${option.description ? ` - ${option.description}` : ''}`
+  );
+
+  return `${text ? `${text}\n\n` : ''}${lines.join('\n')}\n\n${TEXT_MENU_HINT}`;
+}
+
+/**
+ * Option a typed reply refers to: its number or its exact title (case and accent insensitive)
+ * @param {string} text - User message
+ * @param {Object} interactive - Normalized menu the user is answering
+ * @returns {Object|null} { id, title } of the chosen option
+ */
+function matchTextReply(text, interactive) {
+  if (!text || !interactive?.options?.length) {
+    return null;
+  }
+
+  const reply = simplify(text).replace(/^opcion\s+/, '').replace(/[.)]$/, '');
+
+  let option = null;
+  if (/^\d{1,2}$/.test(reply)) {
+    option = interactive.options[Number(reply) - 1] || null;
+  } else {
+    option = interactive.options.find(candidate => simplify(candidate.title) === reply) || null;
+  }
+
+  return option ? { id: option.id, title: option.title } : null;
+}
+
+/**
+ * Normalized menu → the response schema shape (history reconstruction, so the model sees what it offered)
+ */
+function toResponseFormat(interactive) {
+  if (!interactive?.options?.length) {
+    return null;
+  }
+
+  return {
+    type: interactive.type,
+    button_text: interactive.type === 'list' ? interactive.buttonText : '',
+    options: interactive.options.map(({ id, title, description }) => ({ id, title, description: description || '' }))
+  };
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function simplify(value) {
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .toLowerCase();
+}
+
+module.exports = {
+  MAX_BUTTONS,
+  MAX_LIST_OPTIONS,
+  normalizeInteractive,
+  toTextMenu,
+  matchTextReply,
+  toResponseFormat
+};
@@ -0,0 +1,334 @@
+/**
+ * services/channels/telegramAdapter.js
+ *
+ * Description: Telegram Bot API channel adapter (extra channel of an agent, configured in Agent.telegram)
+ *
+ * Role in the system: Receives bot updates on /api/webhook?channel=telegram&bot=<botId>, checks the
+ * X-Telegram-Bot-Api-Secret-Token header against the agent's webhookSecret, turns private chat messages
+ * (text, photo, voice, audio, document, video, sticker, location, contact) and inline keyboard taps into
+ * canonical events and sends text, media and inline keyboard replies. Telegram users have no phone number:
+ * `from` is the chat id replies go to and `identity` the Telegram user id participants are keyed by.
+ * Telegram has no delivery receipts, so outbound messages stay 'sent'.
+ *
+ * Node.js Context: Service - Channel adapter
+ *
+ * Dependencies:
+ * - services/channels/channelAdapter.js (base contract)
+ * - services/channels/canonicalMessage.js (canonical events)
+ * - services/telegramBotApiService.js (Bot API sends and file download)
+ * - models/Agent.js (agent lookup by bot id)
+ *
+ * Dependants:
+ * - services/channels/index.js (registry)
+ */
+
+const crypto = require('crypto');
+const ChannelAdapter = require('./channelAdapter');
+const canonical = require('./canonicalMessage');
+const telegramBotApiService = require('../telegramBotApiService');
+const Agent = require('../../models/Agent');
+
+// Telegram message field → Message.type (first present field wins, messages without one are ignored)
+const MESSAGE_FIELDS = [
+  ['text', 'chat'],
+  ['photo', 'image'],
+  ['voice', 'ptt'],
+  ['audio', 'audio'],
+  ['video', 'video'],
+  ['video_note', 'video'],
+  ['document', 'document'],
+  ['sticker', 'sticker'],
+  ['location', 'location'],
+  ['contact', 'contacts']
+];
+
+const MEDIA_FIELDS = ['photo', 'voice', 'audio', 'video', 'video_note', 'document', 'sticker'];
+
+// Telegram serves files without a useful content type
+const DEFAULT_MIME_TYPES = {
+  photo: 'image/jpeg',
+  voice: 'audio/ogg',
+  video_note: 'video/mp4',
+  sticker: 'image/webp'
+};
+
+class TelegramAdapter extends ChannelAdapter {
+
+  constructor() {
+    // No agentTypes: Telegram never is an agent's default channel, only the channel of its conversations
+    super({ name: 'telegram', agentTypes: [] });
+  }
+
+  // ============================================================================
+  // Inbound
+  // ============================================================================
+
+  detect(req) {
+    return !!req.headers['x-telegram-bot-api-secret-token'] || typeof req.body?.update_id === 'number';
+  }
+
+  /**
+   * Secret token registered with setWebhook, per bot (Telegram cannot send our API keys)
+   */
+  async authenticate(req) {
+    const agent = req.query.bot ? await this.findAgent({ instanceId: String(req.query.bot) }) : null;
+    const expected = agent?.telegram?.webhookSecret;
+    const presented = req.headers['x-telegram-bot-api-secret-token'];
+
+    if (!expected || !presented || !safeEqual(presented, expected)) {
+      return {
+        success: false,
+        status: 401,
+        error: 'UNAUTHORIZED',
+        message: 'Unknown bot or invalid X-Telegram-Bot-Api-Secret-Token'
+      };
+    }
+
+    return { success: true };
+  }
+
+  parseInbound(req) {
+    const update = req.body;
+    const botId = req.query.bot;
+
+    if (!botId) {
+      throw new Error('Missing bot id in telegram webhook URL (?bot=<botId>)');
+    }
+    if (typeof update?.update_id !== 'number') {
+      throw new Error('Invalid telegram update structure');
+    }
+
+    if (update.callback_query) {
+      return [this.parseCallbackQuery(update, botId)];
+    }
+
+    const message = update.message;
+    if (!message) {
+      const kind = Object.keys(update).find(key => key !== 'update_id') || 'empty';
+      return [canonical.createIgnored({ channel: this.name, instanceId: botId, id: update.update_id, reason: `unsupported_update:${kind}`, raw: update })];
+    }
+
+    const id = `${message.chat.id}:${message.message_id}`;
+
+    if (message.chat.type !== 'private') {
+      return [canonical.createIgnored({ channel: this.name, instanceId: botId, id, reason: `chat_type:${message.chat.type}`, raw: update })];
+    }
+    if (message.from?.is_bot) {
+      return [canonical.createIgnored({ channel: this.name, instanceId: botId, id, reason: 'from_bot', raw: update })];
+    }
+
+    const type = this.getMessageType(message);
+    if (!type) {
+      return [canonical.createIgnored({ channel: this.name, instanceId: botId, id, reason: 'unsupported_type', raw: update })];
+    }
+
+    return [canonical.createMessage({
+      channel: this.name,
+      instanceId: botId,
+      id,
+      from: message.chat.id,
+      to: botId,
+      senderName: [message.from?.first_name, message.from?.last_name].filter(Boolean).join(' '),
+      timestamp: message.date,
+      type,
+      text: this.extractText(message),
+      media: this.extractMedia(message),
+      quoted: this.extractQuoted(message),
+      identity: { externalId: message.from?.id ?? message.chat.id, username: message.from?.username },
+      raw: update
+    })];
+  }
+
+  /**
+   * Inline keyboard tap → interactive message with the tapped option as selection
+   */
+  parseCallbackQuery(update, botId) {
+    const callbackQuery = update.callback_query;
+    const message = callbackQuery.message;
+    const id = `callback:${callbackQuery.id}`;
+
+    // Inline-mode messages have no chat we could answer in
+    if (!message?.chat) {
+      return canonical.createIgnored({ channel: this.name, instanceId: botId, id, reason: 'inline_callback', raw: update });
+    }
+    if (message.chat.type !== 'private') {
+      return canonical.createIgnored({ channel: this.name, instanceId: botId, id, reason: `chat_type:${message.chat.type}`, raw: update });
+    }
+
+    const button = (message.reply_markup?.inline_keyboard || [])
+      .flat()
+      .find(candidate => candidate.callback_data === callbackQuery.data);
+    const title = button?.text || callbackQuery.data || '';
+
+    return canonical.createMessage({
+      channel: this.name,
+      instanceId: botId,
+      id,
+      from: message.chat.id,
+      to: botId,
+      senderName: [callbackQuery.from?.first_name, callbackQuery.from?.last_name].filter(Boolean).join(' '),
+      type: 'interactive',
+      text: title,
+      quoted: {
+        id: `${message.chat.id}:${message.message_id}`,
+        text: message.text || message.caption || '',
+        type: 'chat',
+        fromMe: true
+      },
+      identity: { externalId: callbackQuery.from?.id ?? message.chat.id, username: callbackQuery.from?.username },
+      selection: callbackQuery.data ? { id: callbackQuery.data, title } : null,
+      raw: update
+    });
+  }
+
+  /**
+   * Answer inline keyboard taps, otherwise the button keeps spinning in the user's client
+   */
+  async acknowledgeInbound(agent, event) {
+    const callbackQueryId = event.raw?.callback_query?.id;
+    if (!callbackQueryId) {
+      return;
+    }
+
+    try {
+      await telegramBotApiService.answerCallbackQuery(agent, callbackQueryId);
+    } catch (error) {
+      console.warn(`⚠️ Could not answer Telegram callback query ${callbackQueryId}:`, error.message);
+    }
+  }
+
+  /**
+   * Agent whose Telegram bot received the update (instanceId is the bot id)
+   */
+  async findAgent(event) {
+    if (!event.instanceId) {
+      return null;
+    }
+
+    return Agent.findOne({ 'telegram.botId': event.instanceId });
+  }
+
+  /**
+   * Base64 data URL (the Bot API file URL contains the bot token and must not be stored)
+   */
+  async resolveMediaUrl(agent, message) {
+    if (message.media?.url) {
+      return message.media.url;
+    }
+    if (!message.media?.id) {
+      return null;
+    }
+
+    const { buffer, contentType } = await telegramBotApiService.downloadFile(agent, message.media.id, message.media.mimeType);
+    return `data:${contentType};base64,${buffer.toString('base64')}`;
+  }
+
+  // ============================================================================
+  // Outbound
+  // ============================================================================
+
+  async sendText(agent, to, text, { quotedMessageId = null } = {}) {
+    const result = await telegramBotApiService.sendTextMessage(agent, to, text, { quotedMessageId });
+    return { messageId: result.messageId, data: result.data };
+  }
+
+  async sendMedia(agent, to, media, { quotedMessageId = null } = {}) {
+    const result = await telegramBotApiService.sendMediaMessage(agent, to, media, { quotedMessageId });
+    return { messageId: result.messageId, data: result.data };
+  }
+
+  /**
+   * Inline keyboard (buttons and lists alike); option ids over the callback_data limit go out as a text menu
+   */
+  async sendInteractive(agent, to, text, interactive, options = {}) {
+    const fitsCallbackData = interactive.options.every(option =>
+      Buffer.byteLength(option.id) <= telegramBotApiService.MAX_CALLBACK_DATA_BYTES
+    );
+    if (!text || !fitsCallbackData) {
+      return super.sendInteractive(agent, to, text, interactive, options);
+    }
+
+    const result = await telegramBotApiService.sendInteractiveMessage(agent, to, text, interactive, { quotedMessageId: options.quotedMessageId });
+    return { messageId: result.messageId, data: result.data, degraded: false };
+  }
+
+  // ============================================================================
+  // Helpers
+  // ============================================================================
+
+  getMessageType(message) {
+    const match = MESSAGE_FIELDS.find(([field]) => message[field] !== undefined);
+    return match ? match[1] : null;
+  }
+
+  extractText(message) {
+    if (message.text !== undefined) {
+      return message.text;
+    }
+    if (message.caption) {
+      return message.caption;
+    }
+
+    if (message.location) {
+      return `📍 Location: ${message.location.latitude}, ${message.location.longitude}`;
+    }
+    if (message.contact) {
+      return `👤 Contact: ${[message.contact.first_name, message.contact.last_name].filter(Boolean).join(' ')} ${message.contact.phone_number || ''}`.trim();
+    }
+    if (message.voice || message.audio) {
+      return '[Audio Message]';
+    }
+    if (message.document) {
+      return `[Document: ${message.document.file_name || 'Unknown'}]`;
+    }
+    if (message.sticker) {
+      return `[Sticker${message.sticker.emoji ? ` ${message.sticker.emoji}` : ''}]`;
+    }
+    if (message.photo) {
+      return '[Image]';
+    }
+    return '[Video]';
+  }
+
+  /**
+   * Media by file_id (photos come in several sizes, the last one is the largest)
+   */
+  extractMedia(message) {
+    const field = MEDIA_FIELDS.find(name => message[name] !== undefined);
+    if (!field) {
+      return null;
+    }
+
+    const mediaData = field === 'photo' ? message.photo[message.photo.length - 1] : message[field];
+
+    return {
+      id: mediaData.file_id,
+      mimeType: mediaData.mime_type || DEFAULT_MIME_TYPES[field] || null,
+      filename: field === 'document' ? mediaData.file_name : null,
+      size: mediaData.file_size,
+      voice: field === 'voice'
+    };
+  }
+
+  extractQuoted(message) {
+    const reply = message.reply_to_message;
+    if (!reply) {
+      return null;
+    }
+
+    return {
+      id: `${reply.chat?.id ?? message.chat.id}:${reply.message_id}`,
+      text: reply.text || reply.caption || '',
+      type: this.getMessageType(reply) || 'chat',
+      fromMe: !!reply.from?.is_bot
+    };
+  }
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+module.exports = new TelegramAdapter();
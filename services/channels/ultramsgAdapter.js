@@ -0,0 +1,194 @@
+/**
+ * services/channels/ultramsgAdapter.js
+ *
+ * Description: UltraMsg channel adapter (WhatsApp Web instances, Agent.type 'openai')
+ *
+ * Role in the system: Recognizes UltraMsg webhooks ({ event_type, instanceId, referenceId, data }), turns
+ * message_received / message_create / message_ack into canonical events and sends through ultramsgService.
+ *
+ * Node.js Context: Service - Channel adapter
+ *
+ * Dependencies:
+ * - models/Agent.js (agent lookup by instanceId)
+ * - services/channels/channelAdapter.js (base contract)
+ * - services/channels/canonicalMessage.js (canonical events)
+ * - services/ultramsgService.js (UltraMsg HTTP API)
+ *
+ * Dependants:
+ * - services/channels/index.js (registry)
+ */
+
+const Agent = require('../../models/Agent');
+const ChannelAdapter = require('./channelAdapter');
+const canonical = require('./canonicalMessage');
+const ultramsgService = require('../ultramsgService');
+
+// UltraMsg ack → canonical delivery status (pending is still queued on the phone, nothing to record)
+const ACK_TO_STATUS = {
+  pending: null,
+  server: 'sent',
+  device: 'delivered',
+  read: 'read',
+  played: 'read',     // Voice notes
+  failed: 'failed'
+};
+
+// UltraMsg message type → Message.type (types not listed are not user content and are ignored)
+const MESSAGE_TYPES = {
+  chat: 'chat',
+  image: 'image',
+  video: 'video',
+  audio: 'audio',
+  ptt: 'ptt',
+  document: 'document',
+  sticker: 'sticker',
+  location: 'location',
+  vcard: 'contacts',
+  multi_vcard: 'contacts',
+  revoked: 'deleted'
+};
+
+class UltraMsgAdapter extends ChannelAdapter {
+
+  constructor() {
+    super({ name: 'ultramsg', agentTypes: ['openai'] });
+  }
+
+  // ============================================================================
+  // Inbound
+  // ============================================================================
+
+  detect(req) {
+    const { body } = req;
+    if (!body || !body.data) {
+      return false;
+    }
+
+    return !!(body.event_type && body.instanceId) ||
+      !!(body.data.from && body.data.pushname && body.data.type);
+  }
+
+  parseInbound(req) {
+    const { event_type: eventType, instanceId, referenceId, data } = req.body;
+    const raw = req.body;
+
+    switch (eventType) {
+      case 'message_received': {
+        const type = MESSAGE_TYPES[data.type];
+        if (!type) {
+          return [canonical.createIgnored({ channel: this.name, instanceId, id: data.id, reason: `unsupported_type:${data.type}`, raw })];
+        }
+
+        const isMedia = canonical.MEDIA_MESSAGE_TYPES.includes(type);
+        return [canonical.createMessage({
+          channel: this.name,
+          instanceId,
+          id: data.id,
+          from: data.from,
+          to: data.to,
+          senderName: data.pushname,
+          timestamp: data.time,
+          type,
+          text: Array.isArray(data.body) ? data.body.join('\n\n') : data.body,
+          media: isMedia && data.media ? { url: data.media, filename: data.filename, voice: type === 'ptt' } : null,
+          quoted: data.quotedMsg && Object.keys(data.quotedMsg).length > 0 ? {
+            id: data.quotedMsg.id,
+            text: data.quotedMsg.body,
+            type: MESSAGE_TYPES[data.quotedMsg.type] || data.quotedMsg.type,
+            fromMe: data.quotedMsg.fromMe
+          } : null,
+          raw
+        })];
+      }
+
+      case 'message_create':
+        if (!data.fromMe) {
+          return [canonical.createIgnored({ channel: this.name, instanceId, id: data.id, reason: 'message_create_not_from_me', raw })];
+        }
+        return [canonical.createOutbound({ channel: this.name, instanceId, id: data.id, to: data.to, referenceId, raw })];
+
+      case 'message_ack': {
+        const status = this.parseStatus(data.ack);
+        if (!status) {
+          if (data.ack !== 'pending') {
+            console.log(`❓ Unknown UltraMsg ack value "${data.ack}" for message ${data.id}`);
+          }
+          return [canonical.createIgnored({ channel: this.name, instanceId, id: data.id, reason: `ack:${data.ack}`, raw })];
+        }
+        return [canonical.createStatus({
+          channel: this.name,
+          instanceId,
+          id: data.id,
+          status,
+          timestamp: data.time,
+          referenceId: referenceId || data.referenceId,
+          errors: data.errors,
+          raw
+        })];
+      }
+
+      default:
+        return [canonical.createIgnored({ channel: this.name, instanceId, id: data?.id, reason: eventType || 'unknown_event', raw })];
+    }
+  }
+
+  parseStatus(ack) {
+    return ACK_TO_STATUS[ack] || null;
+  }
+
+  async findAgent(event) {
+    // UltraMsg instance ids are unique across agents; older agents may not have a type
+    return Agent.findOne({ instanceId: event.instanceId });
+  }
+
+  // ============================================================================
+  // Outbound
+  // ============================================================================
+
+  handlesAgent(agent) {
+    return !agent.type || this.agentTypes.includes(agent.type);
+  }
+
+  async sendText(agent, to, text, { quotedMessageId = null, referenceId = '' } = {}) {
+    const result = await ultramsgService.sendUltraMsg(agent, to, text, quotedMessageId || '', referenceId);
+    return this.fromResult(result);
+  }
+
+  async sendMedia(agent, to, { type, url, caption = '', filename = null }, { quotedMessageId = null, referenceId = '' } = {}) {
+    let result;
+    switch (type) {
+      case 'image':
+        result = await ultramsgService.sendUltraMsgImage(agent, to, url, caption, quotedMessageId || '', referenceId);
+        break;
+      case 'video':
+        result = await ultramsgService.sendUltraMsgVideo(agent, to, url, caption, {
+          referenceId: referenceId || undefined,
+          msgId: quotedMessageId || undefined
+        });
+        break;
+      default:
+        result = await ultramsgService.sendUltraMsgMedia(agent, to, type, url, { caption, filename, referenceId });
+        break;
+    }
+    return this.fromResult(result);
+  }
+
+  // ============================================================================
+  // Helpers
+  // ============================================================================
+
+  /**
+   * UltraMsg { sent: 'true'|'false', data, error } → { messageId, data }, throws when not sent
+   */
+  fromResult(result) {
+    if (result && (result.sent === 'true' || result.sent === true)) {
+      return { messageId: result.data?.id || result.id, data: result.data };
+    }
+
+    const error = result?.error || result?.message || 'Unknown UltraMsg error';
+    throw new Error(typeof error === 'string' ? error : JSON.stringify(error));
+  }
+}
+
+module.exports = new UltraMsgAdapter();
+module.exports.ACK_TO_STATUS = ACK_TO_STATUS;
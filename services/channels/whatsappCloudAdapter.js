@@ -0,0 +1,160 @@
+/**
+ * services/channels/whatsappCloudAdapter.js
+ *
+ * Description: Meta WhatsApp Cloud API channel adapter (numbers hosted directly on Meta, Agent.type 'wpp-cloud')
+ *
+ * Role in the system: Answers Meta's hub.challenge subscription GET, validates X-Hub-Signature-256 on every
+ * POST, parses Cloud API messages (text, media, interactive, buttons...) and statuses into canonical events,
+ * downloads media by id through the Graph API and sends text, media, reply buttons, list menus and templates.
+ * The payload envelope is the same WhatsApp Business one WhatsApp Factory forwards, so parsing is inherited
+ * from that adapter.
+ *
+ * Node.js Context: Service - Channel adapter
+ *
+ * Dependencies:
+ * - services/channels/whatsappFactoryAdapter.js (Business API payload parsing)
+ * - services/whatsappCloudApiService.js (Graph API sends, media download, signature check)
+ *
+ * Dependants:
+ * - services/channels/index.js (registry)
+ */
+
+const { WhatsAppFactoryAdapter, STATUS_MAP, MESSAGE_TYPES } = require('./whatsappFactoryAdapter');
+const whatsappCloudApiService = require('../whatsappCloudApiService');
+
+class WhatsAppCloudAdapter extends WhatsAppFactoryAdapter {
+
+  constructor() {
+    super({ name: 'whatsapp-cloud', agentTypes: ['wpp-cloud'], serviceWindow: true, templates: true });
+  }
+
+  // ============================================================================
+  // Inbound
+  // ============================================================================
+
+  /**
+   * Meta signs every delivery; WhatsApp Factory forwards the same envelope without the signature
+   */
+  detect(req) {
+    return !!(req.headers['x-hub-signature-256'] && req.body?.object === 'whatsapp_business_account');
+  }
+
+  /**
+   * GET ?hub.mode=subscribe&hub.verify_token=...&hub.challenge=... (webhook setup in the Meta app dashboard)
+   */
+  verifySubscription(req) {
+    if (req.query['hub.mode'] !== 'subscribe' || !req.query['hub.challenge']) {
+      return null;
+    }
+
+    const verifyToken = process.env.WHATSAPP_CLOUD_VERIFY_TOKEN;
+    if (!verifyToken || req.query['hub.verify_token'] !== verifyToken) {
+      return { success: false };
+    }
+
+    return { success: true, challenge: String(req.query['hub.challenge']) };
+  }
+
+  /**
+   * X-Hub-Signature-256 over the raw body with the app secret (Meta cannot send our API keys)
+   */
+  async authenticate(req) {
+    const appSecret = process.env.WHATSAPP_CLOUD_APP_SECRET;
+    if (!appSecret) {
+      return {
+        success: false,
+        status: 503,
+        error: 'CHANNEL_NOT_CONFIGURED',
+        message: 'WHATSAPP_CLOUD_APP_SECRET is not configured'
+      };
+    }
+
+    if (!whatsappCloudApiService.verifySignature(req.rawBody, req.headers['x-hub-signature-256'], appSecret)) {
+      return {
+        success: false,
+        status: 401,
+        error: 'INVALID_SIGNATURE',
+        message: 'X-Hub-Signature-256 does not match the request body'
+      };
+    }
+
+    return { success: true };
+  }
+
+  parseStatus(status) {
+    return STATUS_MAP[status] || null;
+  }
+
+  /**
+   * Replies carry context { from, id } only; from is our display number when the user quoted us
+   */
+  extractQuoted(message, value) {
+    const context = message.context;
+    if (!context?.id) {
+      return null;
+    }
+
+    const businessNumber = value.metadata?.display_phone_number?.replace(/\D/g, '');
+    return {
+      id: context.id,
+      text: '',
+      type: MESSAGE_TYPES.text,
+      fromMe: !!businessNumber && context.from === businessNumber
+    };
+  }
+
+  extractText(message) {
+    if (message.type === 'interactive' && message.interactive?.type === 'nfm_reply') {
+      return message.interactive.nfm_reply?.response_json || '[Flow Response]';
+    }
+    return super.extractText(message);
+  }
+
+  /**
+   * Base64 data URL downloaded from the Graph API by media id
+   */
+  async resolveMediaUrl(agent, message) {
+    if (message.media?.url) {
+      return message.media.url;
+    }
+    if (!message.media?.id) {
+      return null;
+    }
+
+    const { buffer, contentType } = await whatsappCloudApiService.downloadMedia(agent, message.media.id);
+    return `data:${contentType};base64,${buffer.toString('base64')}`;
+  }
+
+  // ============================================================================
+  // Outbound
+  // ============================================================================
+
+  async sendText(agent, to, text, options = {}) {
+    const result = await whatsappCloudApiService.sendTextMessage(agent, to, text, options);
+    return { messageId: result.messageId, data: result.data };
+  }
+
+  async sendMedia(agent, to, media, options = {}) {
+    const result = await whatsappCloudApiService.sendMediaMessage(agent, to, media, options);
+    return { messageId: result.messageId, data: result.data };
+  }
+
+  /**
+   * Native reply buttons / list menu; bodies over the interactive limit go out as a numbered text menu
+   */
+  async sendInteractive(agent, to, text, interactive, options = {}) {
+    if (!text || text.length > whatsappCloudApiService.INTERACTIVE_LIMITS.body) {
+      return super.sendInteractive(agent, to, text, interactive, options);
+    }
+
+    const result = await whatsappCloudApiService.sendInteractiveMessage(agent, to, text, interactive, options);
+    return { messageId: result.messageId, data: result.data, degraded: false };
+  }
+
+  async sendTemplate(agent, to, template, { referenceId = null } = {}) {
+    const result = await whatsappCloudApiService.sendTemplateMessage(agent, to, template, { referenceId });
+    return { messageId: result.messageId, data: result.data };
+  }
+}
+
+module.exports = new WhatsAppCloudAdapter();
@@ -0,0 +1,301 @@
+/**
+ * services/channels/whatsappFactoryAdapter.js
+ *
+ * Description: WhatsApp Factory channel adapter (WhatsApp Business API through WhatsApp Factory, Agent.type 'wpp-bsp')
+ *
+ * Role in the system: Recognizes WhatsApp Factory webhooks (Business API entry/changes envelope), turns
+ * messages and statuses into canonical events, resolves media that only arrives by id and sends through
+ * whatsappBusinessService.
+ *
+ * Node.js Context: Service - Channel adapter
+ *
+ * Dependencies:
+ * - services/channels/channelAdapter.js (base contract)
+ * - services/channels/canonicalMessage.js (canonical events)
+ * - services/whatsappBusinessService.js (WhatsApp Factory text and media sends)
+ * - services/whatsappFactoryMediaService.js (media download by message id)
+ *
+ * Dependants:
+ * - services/channels/index.js (registry)
+ * - services/channels/whatsappCloudAdapter.js (same Business API payloads, extends this adapter)
+ */
+
+const ChannelAdapter = require('./channelAdapter');
+const canonical = require('./canonicalMessage');
+const { sendWhatsAppBusinessMessage, sendWhatsAppBusinessMedia } = require('../whatsappBusinessService');
+const { getMediaDownloadUrl } = require('../whatsappFactoryMediaService');
+
+// WhatsApp Business status → canonical delivery status
+const STATUS_MAP = {
+  sent: 'sent',
+  delivered: 'delivered',
+  read: 'read',
+  failed: 'failed'
+};
+
+// WhatsApp Business message type → Message.type (types not listed are ignored)
+const MESSAGE_TYPES = {
+  text: 'chat',
+  image: 'image',
+  video: 'video',
+  audio: 'audio',
+  voice: 'ptt',
+  document: 'document',
+  sticker: 'sticker',
+  location: 'location',
+  contacts: 'contacts',
+  interactive: 'interactive',
+  button: 'button-click',
+  reaction: 'reaction'
+};
+
+const MEDIA_FIELDS = ['image', 'document', 'audio', 'video', 'voice', 'sticker'];
+
+class WhatsAppFactoryAdapter extends ChannelAdapter {
+
+  // WhatsApp Factory applies the service window on its side and exposes no template endpoint we know of,
+  // so sends are attempted as usual; the Cloud API subclass enables both
+  constructor({ name = 'whatsapp-factory', agentTypes = ['wpp-bsp'], serviceWindow = false, templates = false } = {}) {
+    super({ name, agentTypes, serviceWindow, templates });
+  }
+
+  // ============================================================================
+  // Inbound
+  // ============================================================================
+
+  detect(req) {
+    const { headers, body } = req;
+
+    if (headers['x-whatsapp-event-id'] || headers['x-whatsapp-phone-number-id']) {
+      return true;
+    }
+    if (body && body.object === 'whatsapp_business_account' && body.entry) {
+      return true;
+    }
+    return !!(body && body.metadata && body.metadata.phoneNumberId && body.metadata.eventId);
+  }
+
+  parseInbound(req) {
+    const { entry, metadata: globalMetadata } = req.body;
+    const raw = req.body;
+
+    if (!Array.isArray(entry) || !entry[0]?.changes?.[0]) {
+      throw new Error(`Invalid ${this.name} message structure`);
+    }
+
+    const events = [];
+
+    for (const { changes = [] } of entry) {
+      for (const { value = {} } of changes) {
+        const phoneNumberId = globalMetadata?.phoneNumberId || value.metadata?.phone_number_id;
+        if (!phoneNumberId) {
+          throw new Error(`Missing phoneNumberId in ${this.name} message`);
+        }
+
+        for (const message of value.messages || []) {
+          const contact = value.contacts?.find(c => c.wa_id === message.from) || value.contacts?.[0];
+          events.push(this.parseMessage(message, contact, value, phoneNumberId, raw));
+        }
+
+        for (const status of value.statuses || []) {
+          events.push(canonical.createStatus({
+            channel: this.name,
+            instanceId: phoneNumberId,
+            id: status.id,
+            status: this.parseStatus(status.status),
+            timestamp: status.timestamp,
+            referenceId: status.biz_opaque_callback_data,
+            errors: status.errors,  // Present on 'failed' statuses: [{ code, title, message, error_data }]
+            raw
+          }));
+        }
+      }
+    }
+
+    return events;
+  }
+
+  parseStatus(status) {
+    return STATUS_MAP[status] || 'sent';
+  }
+
+  /**
+   * Base64 data URL for media the webhook only references by id
+   */
+  async resolveMediaUrl(agent, message) {
+    if (message.media?.url) {
+      return message.media.url;
+    }
+
+    return getMediaDownloadUrl(message.msg_foreign_id, agent.instanceId, agent._id.toString());
+  }
+
+  // ============================================================================
+  // Outbound
+  // ============================================================================
+
+  async sendText(agent, to, text, { quotedMessageId = null } = {}) {
+    const result = await sendWhatsAppBusinessMessage(agent, to, text, quotedMessageId ? { id: quotedMessageId } : null);
+    return { messageId: result.messageId, data: result.data };
+  }
+
+  async sendMedia(agent, to, { type, url, caption = '', filename = null }, { quotedMessageId = null } = {}) {
+    const result = await sendWhatsAppBusinessMedia(agent, to, type, url, { caption, filename, quotedMessageId });
+    return { messageId: result.messageId, data: result.data };
+  }
+
+  // ============================================================================
+  // Helpers
+  // ============================================================================
+
+  parseMessage(message, contact, value, phoneNumberId, raw) {
+    let type = MESSAGE_TYPES[message.type];
+    if (!type) {
+      return canonical.createIgnored({
+        channel: this.name,
+        instanceId: phoneNumberId,
+        id: message.id,
+        reason: `unsupported_type:${message.type}`,
+        raw
+      });
+    }
+
+    const media = this.extractMedia(message);
+    if (type === 'audio' && media?.voice) {
+      type = 'ptt';
+    }
+
+    return canonical.createMessage({
+      channel: this.name,
+      instanceId: phoneNumberId,
+      id: message.id,
+      from: message.from,
+      to: phoneNumberId,
+      senderName: contact?.profile?.name || 'Unknown',
+      timestamp: message.timestamp,
+      type,
+      text: this.extractText(message),
+      media,
+      quoted: this.extractQuoted(message, value),
+      selection: this.extractSelection(message),
+      raw
+    });
+  }
+
+  /**
+   * Reply button or list row the user tapped (id is the option id we sent; template quick replies carry a payload)
+   */
+  extractSelection(message) {
+    if (message.type === 'interactive') {
+      const reply = message.interactive?.button_reply || message.interactive?.list_reply;
+      return reply?.id ? { id: reply.id, title: reply.title } : null;
+    }
+    if (message.type === 'button' && message.button) {
+      return { id: message.button.payload || message.button.text, title: message.button.text };
+    }
+    return null;
+  }
+
+  /**
+   * Quoted message (WhatsApp Factory includes its body under context.quoted)
+   */
+  extractQuoted(message, value) {
+    const quoted = message.context?.quoted;
+    if (!quoted) {
+      return null;
+    }
+
+    return {
+      id: quoted.id,
+      text: quoted.body,
+      type: MESSAGE_TYPES[quoted.type] || quoted.type,
+      fromMe: false
+    };
+  }
+
+  /**
+   * Message text (caption or a readable placeholder for non-text messages)
+   */
+  extractText(message) {
+    switch (message.type) {
+      case 'text':
+        return message.text?.body || '';
+
+      case 'image':
+        return message.image?.caption || '[Image]';
+
+      case 'document':
+        return message.document?.caption || `[Document: ${message.document?.filename || 'Unknown'}]`;
+
+      case 'audio':
+      case 'voice':
+        return '[Audio Message]';
+
+      case 'video':
+        return message.video?.caption || '[Video]';
+
+      case 'sticker':
+        return '[Sticker]';
+
+      case 'location': {
+        const loc = message.location;
+        return loc ? `📍 Location: ${loc.latitude}, ${loc.longitude}` : '[Location]';
+      }
+
+      case 'contacts': {
+        const contacts = message.contacts;
+        return contacts && contacts.length > 0 ? `👤 Contact: ${contacts[0].name?.formatted_name || 'Unknown'}` : '[Contact]';
+      }
+
+      case 'interactive': {
+        const interactive = message.interactive;
+        if (interactive?.type === 'button_reply') {
+          return interactive.button_reply?.title || '[Button Response]';
+        } else if (interactive?.type === 'list_reply') {
+          return interactive.list_reply?.title || '[List Response]';
+        }
+        return '[Interactive Message]';
+      }
+
+      case 'button':
+        return message.button?.text || '[Button Response]';
+
+      case 'reaction': {
+        const reaction = message.reaction;
+        return `${reaction?.emoji || '👍'} (reaction to ${reaction?.message_id || 'message'})`;
+      }
+
+      default:
+        return `[${message.type.toUpperCase()} Message]`;
+    }
+  }
+
+  /**
+   * Media info; WhatsApp Factory usually sends only an id that has to be downloaded
+   */
+  extractMedia(message) {
+    for (const field of MEDIA_FIELDS) {
+      const mediaData = message[field];
+      if (!mediaData) {
+        continue;
+      }
+
+      return {
+        id: mediaData.id,
+        url: mediaData.url || mediaData.link || mediaData.uri || null,
+        mimeType: mediaData.mime_type,
+        filename: field === 'document' ? mediaData.filename : null,
+        size: mediaData.file_size || mediaData.fileSize,
+        sha256: mediaData.sha256,
+        voice: field === 'voice' || !!mediaData.voice
+      };
+    }
+
+    return null;
+  }
+}
+
+module.exports = new WhatsAppFactoryAdapter();
+module.exports.WhatsAppFactoryAdapter = WhatsAppFactoryAdapter;
+module.exports.STATUS_MAP = STATUS_MAP;
+module.exports.MESSAGE_TYPES = MESSAGE_TYPES;
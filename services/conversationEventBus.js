@@ -0,0 +1,203 @@
+/**
+ * services/conversationEventBus.js
+ *
+ * Description: In-process publish/subscribe bus for conversation activity events
+ *
+ * Role in the system: The message pipeline publishes what happens (conversations, messages, AI processing
+ * lifecycle, tool calls, handoffs, payments, image requests); consumers such as the SSE endpoint and
+ * outgoing webhooks subscribe with agent/conversation filters.
+ * A short replay buffer lets reconnecting clients resume from Last-Event-ID.
+ *
+ * Node.js Context: Service - EventEmitter singleton (single process, no persistence)
+ *
+ * Dependencies:
+ * - events (EventEmitter)
+ * - models/Conversation.js (agentId lookup when the publisher doesn't know it)
+ *
+ * Dependants:
+ * - modules/conversationManager.js (new conversations, user messages)
+ * - modules/messageQueue.js (AI processing lifecycle, AI messages)
+ * - tools/toolExecutor.js (tool calls)
+ * - services/operatorMessageService.js (operator messages)
+ * - services/handoffService.js (handoff changes)
+ * - services/mercadopagoService.js (credited top-ups)
+ * - modules/requestManager.js (completed Gemini requests)
+ * - routes/externalApiRoutes.js (GET /events SSE stream)
+ * - services/outgoingWebhookService.js (HMAC-signed webhooks)
+ */
+
+const EventEmitter = require('events');
+const Conversation = require('../models/Conversation');
+
+const EVENT_TYPES = [
+  'conversation.created',
+  'message.created',
+  'message.status_changed',
+  'ai.processing_started',
+  'ai.processing_skipped',
+  'ai.processing_aborted',
+  'ai.processing_completed',
+  'ai.processing_failed',
+  'tool.called',
+  'handoff.changed',
+  'payment.credited',
+  'request.completed'
+];
+
+const REPLAY_BUFFER_SIZE = 500;
+const AGENT_CACHE_SIZE = 1000;
+
+class ConversationEventBus {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0); // One listener per open stream
+    this.sequence = 0;
+    this.buffer = [];                // Most recent events, oldest first
+    this.agentByConversation = new Map();
+  }
+
+  // ============================================================================
+  // Publishing
+  // ============================================================================
+
+  /**
+   * Publish an event. Never throws: event delivery must not break message processing.
+   * @param {string} type - One of EVENT_TYPES
+   * @param {Object} params - Event parameters
+   * @param {string} params.conversationId - Conversation ID
+   * @param {string} params.agentId - Agent ID (resolved from the conversation when omitted)
+   * @param {Object} params.data - Event payload
+   * @returns {Promise<Object|null>} Published event
+   */
+  async publish(type, { conversationId = null, agentId = null, data = {} } = {}) {
+    try {
+      if (!EVENT_TYPES.includes(type)) {
+        console.warn(`⚠️ Unknown conversation event type: ${type}`);
+        return null;
+      }
+
+      const resolvedAgentId = agentId || await this.resolveAgentId(conversationId);
+
+      const event = {
+        id: `${Date.now()}-${++this.sequence}`,
+        type,
+        timestamp: new Date().toISOString(),
+        conversationId: conversationId ? conversationId.toString() : null,
+        agentId: resolvedAgentId ? resolvedAgentId.toString() : null,
+        data
+      };
+
+      this.buffer.push(event);
+      if (this.buffer.length > REPLAY_BUFFER_SIZE) {
+        this.buffer.shift();
+      }
+
+      this.emitter.emit('event', event);
+      return event;
+
+    } catch (error) {
+      console.error(`⚠️ Failed to publish conversation event ${type}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Look up (and remember) the agent of a conversation
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<string|null>} Agent ID
+   */
+  async resolveAgentId(conversationId) {
+    if (!conversationId) {
+      return null;
+    }
+
+    const key = conversationId.toString();
+    if (this.agentByConversation.has(key)) {
+      return this.agentByConversation.get(key);
+    }
+
+    const conversation = await Conversation.findById(key).select('agentId').lean();
+    const agentId = conversation ? conversation.agentId.toString() : null;
+
+    if (this.agentByConversation.size >= AGENT_CACHE_SIZE) {
+      this.agentByConversation.delete(this.agentByConversation.keys().next().value);
+    }
+    this.agentByConversation.set(key, agentId);
+
+    return agentId;
+  }
+
+  /**
+   * Compact message representation for event payloads
+   * @param {Object} message - Message document
+   * @returns {Object} { messageId, sender, type, status, text, timestamp }
+   */
+  messagePayload(message) {
+    const text = Array.isArray(message.content)
+      ? message.content.map(chunk => chunk.content).join('')
+      : (message.content || '');
+
+    return {
+      messageId: message._id ? message._id.toString() : null,
+      foreignId: message.msg_foreign_id || null,
+      sender: message.sender,
+      type: message.type || null,
+      status: message.status || null,
+      text: text.substring(0, 1000),
+      timestamp: message.timestamp
+    };
+  }
+
+  // ============================================================================
+  // Subscribing
+  // ============================================================================
+
+  /**
+   * Subscribe to events matching a filter
+   * @param {Object} filter - { agentId, agentIds, conversationId, types }
+   * @param {Function} listener - Called with each matching event
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(filter, listener) {
+    const handler = (event) => {
+      if (this.matches(event, filter)) {
+        listener(event);
+      }
+    };
+
+    this.emitter.on('event', handler);
+    return () => this.emitter.off('event', handler);
+  }
+
+  /**
+   * Buffered events published after lastEventId (for reconnecting clients)
+   * @param {string} lastEventId - Last event ID received by the client
+   * @param {Object} filter - { agentId, agentIds, conversationId, types }
+   * @returns {Array<Object>} Matching events, oldest first
+   */
+  getEventsSince(lastEventId, filter) {
+    const index = this.buffer.findIndex(event => event.id === lastEventId);
+    if (index === -1) {
+      return [];
+    }
+    return this.buffer.slice(index + 1).filter(event => this.matches(event, filter));
+  }
+
+  matches(event, { agentId = null, agentIds = null, conversationId = null, types = null } = {}) {
+    if (agentId && event.agentId !== agentId) return false;
+    if (agentIds && !agentIds.includes(event.agentId)) return false;
+    if (conversationId && event.conversationId !== conversationId) return false;
+    if (types && types.length > 0 && !types.includes(event.type)) return false;
+    return true;
+  }
+
+  getSubscriberCount() {
+    return this.emitter.listenerCount('event');
+  }
+}
+
+// Export singleton instance
+const conversationEventBus = new ConversationEventBus();
+
+module.exports = conversationEventBus;
+module.exports.EVENT_TYPES = EVENT_TYPES;
@@ -0,0 +1,273 @@
+/**
+ * services/conversationSummaryService.js
+ *
+ * Description: Rolling summaries of the messages that fall out of the AI history window
+ *
+ * Role in the system: responsesClient.buildMessages only sends the last MAX_HISTORY_MESSAGES messages to the
+ * model. Once a conversation is longer than that, the older messages are summarized by a cheap model into
+ * Conversation.summary, which buildMessages injects right after the system prompt. The summary is extended
+ * incrementally: each refresh summarizes the previous summary plus the messages that left the window since
+ * (Conversation.summary.coveredUntil + coveredUntilMessageId), in the background and at most once per
+ * REFRESH_THROTTLE_MS. Messages are paged by (timestamp, _id), so the parts of a burst that share the last
+ * summarized message's timestamp are not skipped.
+ *
+ * Node.js Context: Service - OpenAI summarization + Conversation persistence
+ *
+ * Dependencies:
+ * - openai (summary model, SUMMARY_MODEL)
+ * - database/index.js (Redis client: per-conversation refresh lock)
+ * - models/Conversation.js, models/Message.js
+ *
+ * Dependants:
+ * - modules/responsesClient.js (summary injection and refresh trigger)
+ * - routes/externalApiRoutes.js (summary endpoints)
+ */
+
+const { OpenAI } = require('openai');
+const moment = require('moment-timezone');
+const { redisClient } = require('../database');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const SUMMARY_MODEL = process.env.SUMMARY_MODEL || 'gpt-4o-mini';
+const SUMMARY_MAX_TOKENS = 800;
+
+const HISTORY_WINDOW_MESSAGES = 50;  // Messages responsesClient sends as history; older ones are summarized
+const MIN_NEW_MESSAGES = 10;        // Don't call the model for a handful of messages
+const BATCH_SIZE = 200;             // Messages per model call
+const MAX_BATCHES_PER_REFRESH = 5;  // A first summary of a very long conversation catches up over several refreshes
+const MAX_MESSAGE_CHARS = 1000;     // Per message in the transcript
+const REFRESH_THROTTLE_MS = 5 * 60 * 1000;
+
+const REDIS_KEYS = {
+  lock: (conversationId) => `summary:lock:${conversationId}`  // Present while (or shortly after) a refresh runs
+};
+
+const SENDER_LABELS = {
+  user: 'Usuario',
+  ai_agent: 'Asistente',
+  bot_agent: 'Asistente',
+  agent: 'Operador',
+  specialist: 'Especialista',
+  system_trigger: 'Mensaje automático'
+};
+
+const SUMMARY_INSTRUCTIONS = [
+  'Resumís conversaciones de WhatsApp entre un usuario y un asistente para que el asistente recuerde el contexto cuando los mensajes viejos ya no están en su historial.',
+  'Recibís el resumen anterior (si hay) y los mensajes que le siguen. Devolvé un único resumen actualizado en español, en texto plano y en tercera persona, de hasta 15 viñetas.',
+  'Conservá los datos que sirvan más adelante: nombre y datos del usuario, preferencias, pedidos y sus IDs, pagos y créditos, problemas pendientes, promesas del asistente y acuerdos.',
+  'Omití saludos y charla sin información. No inventes nada que no esté en los mensajes.'
+].join(' ');
+
+class ConversationSummaryService {
+  constructor() {
+    this.openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+
+  // ============================================================================
+  // Context Injection
+  // ============================================================================
+
+  /**
+   * System message with the summary, to place after the system prompt
+   * @param {Object} conversation - Conversation document
+   * @returns {Object|null} { role: 'system', content } or null without a summary
+   */
+  buildSummaryMessage(conversation) {
+    const summary = conversation?.summary;
+    if (!summary?.text) {
+      return null;
+    }
+
+    const until = moment(summary.coveredUntil).tz('America/Argentina/Buenos_Aires').format();
+    return {
+      role: 'system',
+      content: `Resumen de la conversación anterior a los mensajes del historial (${summary.messageCount} mensajes, hasta ${until}):\n${summary.text}`
+    };
+  }
+
+  // ============================================================================
+  // Refresh
+  // ============================================================================
+
+  /**
+   * Refresh without blocking the AI turn (errors are logged)
+   * @param {Object} conversation - Conversation document
+   * @param {Date} windowStart - Timestamp of the oldest message in the AI history window
+   */
+  refreshInBackground(conversation, windowStart) {
+    setImmediate(() => {
+      this.refreshSummary(conversation._id, windowStart).catch(error => {
+        console.error(`❌ [${conversation._id}] Conversation summary refresh failed:`, error.message);
+      });
+    });
+  }
+
+  /**
+   * Timestamp of the oldest message in the AI history window, null when the whole conversation fits
+   * @param {ObjectId|string} conversationId - Conversation ID
+   * @returns {Promise<Date|null>}
+   */
+  async getWindowStart(conversationId) {
+    const oldest = await Message.findOne({ conversationId })
+      .sort({ timestamp: -1 })
+      .skip(HISTORY_WINDOW_MESSAGES - 1)
+      .select('timestamp')
+      .lean();
+    return oldest ? oldest.timestamp : null;
+  }
+
+  /**
+   * Summarize the messages older than windowStart that the summary does not cover yet
+   * @param {ObjectId|string} conversationId - Conversation ID
+   * @param {Date} windowStart - Messages from this timestamp on are in the AI history window
+   * @param {Object} options - { force: ignore the throttle and MIN_NEW_MESSAGES }
+   * @returns {Promise<Object>} { success, summary, summarized } or { success: false, error, message }
+   */
+  async refreshSummary(conversationId, windowStart, { force = false } = {}) {
+    const lockKey = REDIS_KEYS.lock(conversationId);
+    const locked = await redisClient.set(lockKey, '1', { NX: true, PX: REFRESH_THROTTLE_MS });
+    if (!locked && !force) {
+      return { success: true, summary: null, summarized: 0 };
+    }
+
+    const conversation = await Conversation.findById(conversationId).select('summary').lean();
+    if (!conversation) {
+      return { success: false, error: 'CONVERSATION_NOT_FOUND', message: 'Conversation not found' };
+    }
+
+    let summary = conversation.summary?.text ? { ...conversation.summary } : { text: '', messageCount: 0 };
+    let summarized = 0;
+
+    for (let batch = 0; batch < MAX_BATCHES_PER_REFRESH; batch++) {
+      const messages = await Message.find(this.uncoveredFilter(conversationId, summary, windowStart))
+        .sort({ timestamp: 1, _id: 1 })
+        .limit(BATCH_SIZE)
+        .select('sender recipient type content audioTranscription media fileStorage.aiObservation timestamp')
+        .lean();
+
+      if (messages.length === 0 || (messages.length < MIN_NEW_MESSAGES && !force)) {
+        break;
+      }
+
+      const text = await this.summarize(summary.text, messages);
+      summary = {
+        text,
+        coveredUntil: messages[messages.length - 1].timestamp,
+        coveredUntilMessageId: messages[messages.length - 1]._id,
+        messageCount: (summary.messageCount || 0) + messages.length,
+        model: SUMMARY_MODEL,
+        updatedAt: new Date()
+      };
+      summarized += messages.length;
+
+      // Saved per batch: a failure in a later batch keeps the progress
+      await Conversation.updateOne({ _id: conversationId }, { $set: { summary } });
+
+      if (messages.length < BATCH_SIZE) {
+        break;
+      }
+    }
+
+    if (summarized === 0) {
+      return { success: true, summary: conversation.summary?.text ? conversation.summary : null, summarized };
+    }
+
+    console.log(`📝 [${conversationId}] Conversation summary updated: +${summarized} messages (${summary.messageCount} total)`);
+
+    return { success: true, summary, summarized };
+  }
+
+  /**
+   * Messages older than windowStart that come after the summary's last message in (timestamp, _id) order
+   * @param {ObjectId|string} conversationId - Conversation ID
+   * @param {Object} summary - Current summary (coveredUntil, coveredUntilMessageId)
+   * @param {Date} windowStart - Messages from this timestamp on are in the AI history window
+   * @returns {Object} Message query
+   */
+  uncoveredFilter(conversationId, summary, windowStart) {
+    const filter = { conversationId, timestamp: { $lt: new Date(windowStart) } };
+    if (!summary.coveredUntil) {
+      return filter;
+    }
+
+    // Summaries saved before coveredUntilMessageId existed only have the timestamp
+    if (!summary.coveredUntilMessageId) {
+      filter.timestamp.$gt = summary.coveredUntil;
+      return filter;
+    }
+
+    filter.$or = [
+      { timestamp: { $gt: summary.coveredUntil } },
+      { timestamp: summary.coveredUntil, _id: { $gt: summary.coveredUntilMessageId } }
+    ];
+    return filter;
+  }
+
+  /**
+   * One call to the summary model
+   * @param {string} previousSummary - Current summary ('' for the first one)
+   * @param {Array<Object>} messages - Messages to add, chronological
+   * @returns {Promise<string>} Updated summary
+   */
+  async summarize(previousSummary, messages) {
+    const transcript = messages.map(message => this.formatTranscriptLine(message)).join('\n');
+
+    const response = await this.openai.chat.completions.create({
+      model: SUMMARY_MODEL,
+      messages: [
+        { role: 'system', content: SUMMARY_INSTRUCTIONS },
+        {
+          role: 'user',
+          content: `Resumen anterior:\n${previousSummary || '(ninguno)'}\n\nMensajes siguientes:\n${transcript}`
+        }
+      ],
+      max_completion_tokens: SUMMARY_MAX_TOKENS
+    });
+
+    const text = response.choices?.[0]?.message?.content?.trim();
+    if (!text) {
+      throw new Error(`Empty summary from ${SUMMARY_MODEL}`);
+    }
+    return text;
+  }
+
+  /**
+   * "[2025-01-31T10:00:00-03:00] Usuario: texto" (audio as its transcription, media as a short description)
+   */
+  formatTranscriptLine(message) {
+    const chunks = Array.isArray(message.content)
+      ? [...message.content].sort((a, b) => a.order - b.order).map(chunk => chunk.content).join('')
+      : (message.content || '');
+
+    let text = chunks;
+    if (['ptt', 'audio'].includes(message.type)) {
+      const transcription = message.audioTranscription?.text;
+      const transcribed = Array.isArray(transcription)
+        ? transcription.map(chunk => chunk.content).join('')
+        : (transcription?.content || transcription || '');
+      text = `[audio] ${transcribed}`;
+    } else if (!['chat', 'text'].includes(message.type)) {
+      const description = message.fileStorage?.aiObservation?.visualDescription || message.media?.filename || '';
+      text = `[${message.type}${description ? `: ${description}` : ''}] ${chunks}`;
+    }
+
+    const label = message.sender === 'system_trigger' && message.recipient === 'system'
+      ? 'Sistema (seguimiento)'
+      : (SENDER_LABELS[message.sender] || message.sender);
+    const timestamp = moment(message.timestamp).tz('America/Argentina/Buenos_Aires').format();
+
+    return `[${timestamp}] ${label}: ${text.trim().substring(0, MAX_MESSAGE_CHARS)}`;
+  }
+}
+
+// Export singleton instance
+const conversationSummaryService = new ConversationSummaryService();
+
+module.exports = conversationSummaryService;
+module.exports.REDIS_KEYS = REDIS_KEYS;
+module.exports.HISTORY_WINDOW_MESSAGES = HISTORY_WINDOW_MESSAGES;
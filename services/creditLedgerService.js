@@ -0,0 +1,346 @@
+/**
+ * services/creditLedgerService.js
+ *
+ * Description: Credit metering service implementing reserve → capture → refund over Participant.creditBalance
+ *
+ * Role in the system: Charges participants for billable AI work (Gemini images, video, websites) and records
+ * every movement in the append-only CreditLedger collection
+ *
+ * Node.js Context: Service - Atomic balance updates with ledger audit trail
+ *
+ * Dependencies:
+ * - models/Participant.js (creditBalance)
+ * - models/CreditLedger.js (movement history)
+ * - config/creditPricing.js (per-agent cost table)
+ *
+ * Dependants:
+ * - modules/requestManager.js (Gemini image processing)
+ * - tools/implementations/video/videoGenerator.js (video holds)
+ * - tools/implementations/website/generateWebsite.js (website holds)
+ * - services/videoPollingWorker.js / services/webGeneratorWorker.js (async settlement)
+ * - services/mercadopagoService.js (top-up entries)
+ * - tools/implementations/payment/checkCredits.js (recent movements)
+ */
+
+const crypto = require('crypto');
+const Participant = require('../models/Participant');
+const CreditLedger = require('../models/CreditLedger');
+const { getOperationCost } = require('../config/creditPricing');
+
+class CreditLedgerService {
+
+  // ============================================================================
+  // Reserve
+  // ============================================================================
+
+  /**
+   * Places a hold on participant credits for a billable operation
+   * @param {Object} params - Reservation parameters
+   * @param {string} params.participantId - Participant to charge
+   * @param {string} params.operation - Billable operation (see config/creditPricing.js)
+   * @param {Object} params.agent - Agent document (for per-agent pricing), optional
+   * @param {string} params.conversationId - Conversation ID, optional
+   * @param {Object} params.reference - { kind, id } of the entity being paid for, optional
+   * @param {string} params.description - Human readable description, optional
+   * @returns {Promise<Object>} { success, reservationId, amount, newBalance } or { success: false, error, ... }
+   */
+  async reserve({ participantId, operation, agent = null, conversationId = null, reference = null, description = null }) {
+    const amount = getOperationCost(operation, agent);
+    const reservationId = `res_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+
+    // Atomic debit: only succeeds when the balance covers the cost
+    const participant = await Participant.findOneAndUpdate(
+      { _id: participantId, creditBalance: { $gte: amount } },
+      { $inc: { creditBalance: -amount }, $set: { lastActivity: new Date() } },
+      { new: true }
+    );
+
+    if (!participant) {
+      const current = await Participant.findById(participantId).select('creditBalance').lean();
+      if (!current) {
+        return { success: false, error: 'PARTICIPANT_NOT_FOUND', message: 'Participant not found' };
+      }
+
+      console.log(`💳 [${participantId}] Insufficient credits for ${operation}:`, {
+        required: amount,
+        available: current.creditBalance
+      });
+
+      return {
+        success: false,
+        error: 'INSUFFICIENT_CREDITS',
+        required: amount,
+        available: current.creditBalance,
+        message: `Créditos insuficientes. Necesitás ${amount.toLocaleString('es-AR')} créditos y tenés ${current.creditBalance.toLocaleString('es-AR')}.`
+      };
+    }
+
+    try {
+      await CreditLedger.create({
+        participantId,
+        agentId: agent?._id,
+        conversationId,
+        entryType: 'reserve',
+        operation,
+        amount,
+        balanceAfter: participant.creditBalance,
+        reservationId,
+        reference,
+        description
+      });
+    } catch (ledgerError) {
+      // Never keep a debit without its ledger entry
+      await Participant.updateOne({ _id: participantId }, { $inc: { creditBalance: amount } });
+      console.error(`❌ [${participantId}] Ledger write failed, hold reverted:`, ledgerError.message);
+      throw ledgerError;
+    }
+
+    console.log(`💳 [${reservationId}] Reserved ${amount} credits for ${operation}:`, {
+      participantId: participantId.toString(),
+      newBalance: participant.creditBalance
+    });
+
+    return {
+      success: true,
+      reservationId,
+      amount,
+      newBalance: participant.creditBalance
+    };
+  }
+
+  /**
+   * Places a hold for the participant of a conversation, priced with the conversation's agent
+   * @param {string} conversationId - Conversation ID
+   * @param {string} operation - Billable operation
+   * @param {Object} reference - { kind, id }, optional
+   * @param {string} description - Human readable description, optional
+   * @returns {Promise<Object>} Reservation result (see reserve)
+   */
+  async reserveForConversation(conversationId, operation, reference = null, description = null) {
+    const { Conversation, Agent } = require('../models');
+
+    const conversation = await Conversation.findById(conversationId).select('participantId agentId');
+    if (!conversation) {
+      return { success: false, error: 'CONVERSATION_NOT_FOUND', message: `Conversation not found: ${conversationId}` };
+    }
+
+    const agent = await Agent.findById(conversation.agentId);
+
+    return this.reserve({
+      participantId: conversation.participantId,
+      operation,
+      agent,
+      conversationId: conversation._id,
+      reference,
+      description
+    });
+  }
+
+  // ============================================================================
+  // Settlement (capture / refund)
+  // ============================================================================
+
+  /**
+   * Confirms a hold as spent
+   * @param {string} reservationId - Reservation to capture
+   * @param {Object} reference - Optional { kind, id } to attach to the capture entry
+   * @returns {Promise<Object>} Settlement result
+   */
+  async capture(reservationId, reference = null) {
+    try {
+      const reservation = await this.getOpenReservation(reservationId);
+      if (!reservation.success) {
+        return reservation;
+      }
+
+      const { entry } = reservation;
+      const participant = await Participant.findByIdAndUpdate(
+        entry.participantId,
+        { $inc: { totalCreditsSpent: entry.amount } },
+        { new: true }
+      );
+
+      if (!participant) {
+        return { success: false, error: 'PARTICIPANT_NOT_FOUND', message: `Participant not found: ${entry.participantId}` };
+      }
+
+      try {
+        await this.recordSettlement(entry, 'capture', {
+          balanceAfter: participant.creditBalance,
+          reference: reference || entry.reference
+        });
+      } catch (ledgerError) {
+        // Never count a spend without its ledger entry (the hold was settled concurrently)
+        await Participant.updateOne({ _id: entry.participantId }, { $inc: { totalCreditsSpent: -entry.amount } });
+        return this.settlementConflict(reservationId, ledgerError);
+      }
+
+      console.log(`✅ [${reservationId}] Captured ${entry.amount} credits for ${entry.operation}`);
+      return { success: true, reservationId, amount: entry.amount };
+
+    } catch (error) {
+      console.error(`❌ [${reservationId}] Credit capture failed:`, error.message);
+      return { success: false, error: 'CAPTURE_FAILED', message: error.message };
+    }
+  }
+
+  /**
+   * Releases a hold back to the participant balance
+   * @param {string} reservationId - Reservation to refund
+   * @param {string} reason - Why the operation failed
+   * @returns {Promise<Object>} Settlement result
+   */
+  async refund(reservationId, reason = null) {
+    try {
+      const reservation = await this.getOpenReservation(reservationId);
+      if (!reservation.success) {
+        return reservation;
+      }
+
+      const { entry } = reservation;
+
+      // Atomic credit: balanceAfter is the balance returned by the $inc, not the one at reserve time
+      const participant = await Participant.findByIdAndUpdate(
+        entry.participantId,
+        { $inc: { creditBalance: entry.amount } },
+        { new: true }
+      );
+
+      if (!participant) {
+        return { success: false, error: 'PARTICIPANT_NOT_FOUND', message: `Participant not found: ${entry.participantId}` };
+      }
+
+      try {
+        await this.recordSettlement(entry, 'refund', {
+          balanceAfter: participant.creditBalance,
+          reference: entry.reference,
+          description: reason ? reason.substring(0, 500) : undefined
+        });
+      } catch (ledgerError) {
+        // Never keep a credit without its ledger entry (the hold was settled concurrently)
+        await Participant.updateOne({ _id: entry.participantId }, { $inc: { creditBalance: -entry.amount } });
+        return this.settlementConflict(reservationId, ledgerError);
+      }
+
+      console.log(`↩️ [${reservationId}] Refunded ${entry.amount} credits for ${entry.operation}:`, {
+        reason,
+        newBalance: participant.creditBalance
+      });
+
+      return {
+        success: true,
+        reservationId,
+        amount: entry.amount,
+        newBalance: participant.creditBalance
+      };
+
+    } catch (error) {
+      console.error(`❌ [${reservationId}] Credit refund failed:`, error.message);
+      return { success: false, error: 'REFUND_FAILED', message: error.message };
+    }
+  }
+
+  /**
+   * Write the capture/refund entry of a hold
+   * The unique settlesReservationId index makes it the only settlement: a concurrent capture/refund fails here
+   * @param {Object} entry - Reserve entry
+   * @param {string} entryType - 'capture' | 'refund'
+   * @param {Object} fields - { balanceAfter, reference, description }
+   * @returns {Promise<Object>} Ledger entry
+   */
+  async recordSettlement(entry, entryType, { balanceAfter, reference = null, description = undefined }) {
+    return CreditLedger.create({
+      participantId: entry.participantId,
+      agentId: entry.agentId,
+      conversationId: entry.conversationId,
+      entryType,
+      operation: entry.operation,
+      amount: entry.amount,
+      balanceAfter,
+      reservationId: entry.reservationId,
+      settlesReservationId: entry.reservationId,
+      reference,
+      description
+    });
+  }
+
+  /**
+   * Settlement result when the ledger entry could not be written (already settled or a write error)
+   * @returns {Object} { success: false, error, message }
+   */
+  settlementConflict(reservationId, ledgerError) {
+    if (ledgerError.code === 11000) {
+      console.log(`⚠️ [${reservationId}] Reservation settled concurrently, balance change reverted`);
+      return { success: false, error: 'RESERVATION_ALREADY_SETTLED', message: 'Reservation already settled' };
+    }
+
+    throw ledgerError;
+  }
+
+  /**
+   * Loads a reservation that has not been captured or refunded yet
+   * @param {string} reservationId - Reservation ID
+   * @returns {Promise<Object>} { success, entry } or { success: false, error }
+   */
+  async getOpenReservation(reservationId) {
+    if (!reservationId) {
+      return { success: false, error: 'RESERVATION_NOT_FOUND', message: 'Missing reservationId' };
+    }
+
+    const entries = await CreditLedger.findByReservation(reservationId);
+    const entry = entries.find(e => e.entryType === 'reserve');
+    if (!entry) {
+      return { success: false, error: 'RESERVATION_NOT_FOUND', message: `Reservation not found: ${reservationId}` };
+    }
+
+    const settled = entries.find(e => e.entryType === 'capture' || e.entryType === 'refund');
+    if (settled) {
+      console.log(`⚠️ [${reservationId}] Reservation already settled (${settled.entryType})`);
+      return { success: false, error: 'RESERVATION_ALREADY_SETTLED', message: `Reservation already ${settled.entryType}d` };
+    }
+
+    return { success: true, entry };
+  }
+
+  // ============================================================================
+  // Top-ups & History
+  // ============================================================================
+
+  /**
+   * Records a credit purchase already applied to the participant balance
+   * @param {Object} participant - Participant document (after credits were added)
+   * @param {number} credits - Credits added
+   * @param {Object} payment - Payment document
+   */
+  async recordTopup(participant, credits, payment) {
+    try {
+      await CreditLedger.create({
+        participantId: participant._id,
+        entryType: 'topup',
+        operation: 'payment',
+        amount: credits,
+        balanceAfter: participant.creditBalance,
+        reference: { kind: 'Payment', id: payment._id.toString() },
+        description: `MercadoPago ${payment.mpPaymentId || payment.externalReference || ''}`.trim()
+      });
+    } catch (error) {
+      // Non-blocking: the balance was already credited
+      console.error(`❌ [${participant._id}] Failed to record top-up in ledger:`, error.message);
+    }
+  }
+
+  /**
+   * Returns the latest credit movements of a participant
+   * @param {string} participantId - Participant ID
+   * @param {number} limit - Max entries
+   * @returns {Promise<Array>} Ledger entries, newest first
+   */
+  async getRecentMovements(participantId, limit = 10) {
+    return CreditLedger.findRecentByParticipant(participantId, limit);
+  }
+}
+
+// Export singleton instance
+const creditLedgerService = new CreditLedgerService();
+
+module.exports = creditLedgerService;
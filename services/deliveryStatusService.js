@@ -0,0 +1,290 @@
+/**
+ * services/deliveryStatusService.js
+ *
+ * Description: Delivery receipts for outbound messages (sent → delivered → read, or failed)
+ *
+ * Role in the system: Applies canonical status events from any channel adapter (UltraMsg acks,
+ * WhatsApp Factory status callbacks...) to Message.status with a timestamp per transition,
+ * keeps the conversation's delivery summary up to date and resends failed messages on request.
+ *
+ * Node.js Context: Service - Webhook status processing
+ *
+ * Dependencies:
+ * - models/Message.js (status, statusTimestamps, deliveryError)
+ * - models/Conversation.js (delivery summary)
+ * - models/Agent.js (provider for retries)
+ * - services/outboundMessageService.js (provider delivery for retries)
+ * - services/conversationEventBus.js (message.status_changed events)
+ *
+ * Dependants:
+ * - routes/webhookRoutes.js (canonical status / outbound echo events)
+ * - routes/externalApiRoutes.js (failed message list and retry)
+ */
+
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const Agent = require('../models/Agent');
+const outboundMessageService = require('./outboundMessageService');
+const conversationEventBus = require('./conversationEventBus');
+
+// Statuses a message may be in before moving to each delivery status (acks never move backwards)
+const ALLOWED_PREVIOUS_STATUSES = {
+  sent: ['pending', 'ultraMsg'],
+  delivered: ['pending', 'ultraMsg', 'sent'],
+  read: ['pending', 'ultraMsg', 'sent', 'delivered'],
+  failed: ['pending', 'ultraMsg', 'sent']
+};
+
+const OUTBOUND_SENDERS = ['ai_agent', 'bot_agent', 'agent', 'specialist'];
+
+class DeliveryStatusService {
+
+  // ============================================================================
+  // Channel Events
+  // ============================================================================
+
+  /**
+   * Apply a delivery status to the outbound message it refers to
+   * @param {Object} agent - Agent that received the webhook
+   * @param {Object} event - Canonical status event { channel, id, status, timestamp, referenceId, errors }
+   * @returns {Promise<Object>} { success, changed, status } or { success: false, error }
+   */
+  async handleStatus(agent, { channel = null, id, status, timestamp = null, referenceId = null, errors = [] }) {
+    if (!ALLOWED_PREVIOUS_STATUSES[status]) {
+      console.log(`❓ Unknown delivery status "${status}" for message ${id}`);
+      return { success: true, changed: false };
+    }
+
+    const message = await this.findOutboundMessage(id, referenceId);
+    if (!message) {
+      console.log(`🔍 Status ${status} for unknown message ${id}${referenceId ? ` (ref ${referenceId})` : ''}`);
+      return { success: false, error: 'MESSAGE_NOT_FOUND' };
+    }
+
+    const at = timestamp || new Date();
+    const error = status === 'failed' ? this.extractError(errors) : null;
+
+    // Timestamps are recorded even for out-of-order acks ($min keeps the earliest)
+    const timestampUpdate = { $min: { [`statusTimestamps.${status}`]: at } };
+    const foreignIdUpdate = id && !message.msg_foreign_id ? { msg_foreign_id: String(id) } : {};
+
+    const transitionSet = { status, ...foreignIdUpdate };
+    if (status === 'failed') {
+      transitionSet.failureReason = error.title || error.details || 'delivery_failed';
+      transitionSet.deliveryError = error;
+    }
+
+    const updated = await Message.findOneAndUpdate(
+      { _id: message._id, status: { $in: ALLOWED_PREVIOUS_STATUSES[status] } },
+      { ...timestampUpdate, $set: transitionSet },
+      { new: true }
+    );
+
+    if (!updated) {
+      await Message.updateOne(
+        { _id: message._id },
+        Object.keys(foreignIdUpdate).length > 0 ? { ...timestampUpdate, $set: foreignIdUpdate } : timestampUpdate
+      );
+      return { success: true, changed: false, status: message.status };
+    }
+
+    await Conversation.recordDeliveryStatus(message.conversationId, status, at);
+
+    console.log(`📬 [${message.conversationId}] Message ${message._id} ${message.status} → ${status}`, {
+      provider: channel || message.msg_source,
+      foreignId: id,
+      error: error || undefined
+    });
+
+    conversationEventBus.publish('message.status_changed', {
+      conversationId: message.conversationId,
+      agentId: agent._id,
+      data: {
+        messageId: message._id.toString(),
+        foreignId: updated.msg_foreign_id || null,
+        sender: message.sender,
+        previousStatus: message.status,
+        status,
+        at,
+        error: error || undefined
+      }
+    });
+
+    return { success: true, changed: true, status };
+  }
+
+  /**
+   * Echo of one of our own sends: link the channel message ID to our Message via referenceId
+   * @param {Object} event - Canonical outbound event { id, referenceId }
+   * @returns {Promise<boolean>} True when a message was linked
+   */
+  async linkForeignId({ id, referenceId }) {
+    if (!id || !mongoose.isValidObjectId(referenceId)) {
+      return false;
+    }
+
+    const result = await Message.updateOne(
+      { _id: referenceId, sender: { $in: OUTBOUND_SENDERS } },
+      { $set: { msg_foreign_id: String(id) } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  // ============================================================================
+  // Failed Deliveries
+  // ============================================================================
+
+  /**
+   * Failed outbound messages, newest first
+   * @param {Object} filter - { agentIds, conversationId, since, limit }
+   * @returns {Promise<Array>} Messages (lean) with conversationId
+   */
+  async listFailedMessages({ agentIds = null, conversationId = null, since = null, limit = 50 } = {}) {
+    const query = { status: 'failed', sender: { $in: OUTBOUND_SENDERS } };
+
+    if (conversationId) {
+      query.conversationId = conversationId;
+    } else if (agentIds) {
+      const conversations = await Conversation.find({ agentId: { $in: agentIds } }).select('_id').lean();
+      query.conversationId = { $in: conversations.map(conversation => conversation._id) };
+    }
+
+    if (since) {
+      query.timestamp = { $gte: since };
+    }
+
+    return Message.find(query)
+      .sort({ timestamp: -1 })
+      .limit(limit)
+      .select('-openaiToolContext -aiSystemMessage -thinking')
+      .lean();
+  }
+
+  /**
+   * Resend a failed outbound message with the same content
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object>} { success, message } or { success: false, error, message }
+   */
+  async retryMessage(messageId) {
+    const message = await Message.findById(messageId);
+    if (!message) {
+      return { success: false, error: 'MESSAGE_NOT_FOUND', message: 'Message not found' };
+    }
+    if (message.status !== 'failed' || !OUTBOUND_SENDERS.includes(message.sender)) {
+      return {
+        success: false,
+        error: 'MESSAGE_NOT_RETRYABLE',
+        message: `Only failed outbound messages can be retried (status: ${message.status}, sender: ${message.sender})`
+      };
+    }
+
+    const conversation = await Conversation.findById(message.conversationId);
+    const agent = conversation ? await Agent.findById(conversation.agentId) : null;
+    if (!agent) {
+      return { success: false, error: 'AGENT_NOT_FOUND', message: 'Agent not found for conversation' };
+    }
+
+    const text = message.getContentString();
+    const media = message.operator?.mediaUrl
+      ? { type: message.type, url: message.operator.mediaUrl }
+      : null;
+
+    if (!text && !media) {
+      return { success: false, error: 'MESSAGE_NOT_RETRYABLE', message: 'Message has no content to resend' };
+    }
+
+    // Retries can happen long after the failure: outside the service window the fallback template goes out
+    const options = { referenceId: message._id.toString(), conversation };
+    const delivery = media
+      ? await outboundMessageService.sendMedia(agent, conversation.phoneNumber, { ...media, caption: text }, options)
+      : await outboundMessageService.sendText(agent, conversation.phoneNumber, text, options);
+
+    const previousError = message.failureReason;
+    message.retryCount = (message.retryCount || 0) + 1;
+    message.lastRetryAt = new Date();
+
+    if (delivery.success) {
+      message.markDeliveryStatus('sent', { foreignId: delivery.messageId });
+      message.deliveryError = undefined;
+      await message.save();
+      await Conversation.recordDeliveryStatus(conversation._id, 'retried');
+    } else {
+      message.markDeliveryStatus('failed', { error: { title: delivery.error } });
+      await message.save();
+    }
+
+    console.log(`🔁 [${conversation._id}] Retry #${message.retryCount} of message ${message._id}: ${message.status}`, {
+      previousError,
+      error: delivery.success ? undefined : delivery.error
+    });
+
+    conversationEventBus.publish('message.status_changed', {
+      conversationId: conversation._id,
+      agentId: agent._id,
+      data: {
+        messageId: message._id.toString(),
+        foreignId: message.msg_foreign_id || null,
+        sender: message.sender,
+        previousStatus: 'failed',
+        status: message.status,
+        retryCount: message.retryCount,
+        error: delivery.success ? undefined : message.deliveryError
+      }
+    });
+
+    if (!delivery.success) {
+      return {
+        success: false,
+        error: 'DELIVERY_FAILED',
+        message: `Message could not be delivered: ${delivery.error}`,
+        data: message
+      };
+    }
+
+    return { success: true, message };
+  }
+
+  // ============================================================================
+  // Helpers
+  // ============================================================================
+
+  /**
+   * Outbound message by provider ID, falling back to our referenceId
+   */
+  async findOutboundMessage(foreignId, referenceId) {
+    if (foreignId) {
+      const message = await Message.findOne({ msg_foreign_id: String(foreignId), sender: { $in: OUTBOUND_SENDERS } });
+      if (message) {
+        return message;
+      }
+    }
+
+    if (referenceId && mongoose.isValidObjectId(referenceId)) {
+      return Message.findOne({ _id: referenceId, sender: { $in: OUTBOUND_SENDERS } });
+    }
+
+    return null;
+  }
+
+  /**
+   * First provider error as { code, title, details }
+   */
+  extractError(errors) {
+    const error = Array.isArray(errors) && errors.length > 0 ? errors[0] : null;
+    if (!error) {
+      return { code: undefined, title: 'delivery_failed', details: undefined };
+    }
+
+    return {
+      code: error.code != null ? String(error.code) : undefined,
+      title: error.title || error.message || 'delivery_failed',
+      details: error.error_data?.details || error.message || undefined
+    };
+  }
+}
+
+// Export singleton instance
+const deliveryStatusService = new DeliveryStatusService();
+
+module.exports = deliveryStatusService;
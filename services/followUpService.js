@@ -0,0 +1,472 @@
+/**
+ * services/followUpService.js
+ *
+ * Description: Scheduled follow-ups and reminders per conversation
+ *
+ * Role in the system: Lets a conversation continue without a new user message: the AI ("te escribo mañana",
+ * scheduleFollowUp tool), an integration (external API) or the automatic nudge of a Request left 'active'
+ * schedule a FollowUp with a note for the AI. When it is due, a 'system_trigger' message carrying the note is
+ * added to the conversation (recipient 'system': it is never sent to the user) and the normal AI turn runs,
+ * so the reply goes through the same queue, tools, handoff and service-window rules as any other answer.
+ * A user message before the due time cancels the conversation's pending follow-ups.
+ *
+ * FollowUp documents are the source of truth; due times are mirrored in a Redis sorted set (score = dueAt)
+ * that services/followUpWorker.js polls and rebuilds from MongoDB on start.
+ *
+ * Node.js Context: Service - FollowUp persistence + Redis sorted set
+ *
+ * Dependencies:
+ * - database/index.js (Redis client: due set)
+ * - models (FollowUp, Conversation, Agent, Message, Request)
+ * - services/handoffService.js (skip when a human has the conversation)
+ * - services/outboundMessageService.js (service window check for nudges)
+ * - services/conversationEventBus.js (message.created for the trigger message)
+ * - utils/redisConversationCache.js (trigger message in the AI history cache)
+ * - modules/messageQueue.js (AI turn, lazy-required)
+ *
+ * Dependants:
+ * - services/followUpWorker.js (due follow-ups, recovery, abandoned request nudges)
+ * - tools/implementations/general/scheduleFollowUp.js (AI tool)
+ * - routes/externalApiRoutes.js (follow-up endpoints)
+ * - routes/webhookRoutes.js (cancel on user message)
+ */
+
+const { redisClient } = require('../database');
+const { FollowUp, Conversation, Agent, Message, Request } = require('../models');
+const handoffService = require('./handoffService');
+const outboundMessageService = require('./outboundMessageService');
+const conversationEventBus = require('./conversationEventBus');
+const { cacheMessage } = require('../utils/redisConversationCache');
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const REDIS_KEYS = {
+  due: 'followup:due'  // Sorted set of pending follow-up ids, score = dueAt (ms)
+};
+
+const MIN_DELAY_MINUTES = 1;
+const MAX_DELAY_DAYS = 30;
+const MAX_PENDING_PER_CONVERSATION = 5;
+
+// Abandoned requests: default silence before the nudge, and how far back to look for them
+const DEFAULT_ABANDONED_REQUEST_MINUTES = 120;
+const ABANDONED_REQUEST_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+
+// The conversation is busy with an AI turn when the follow-up is due: try again a bit later
+const BUSY_RETRY_MS = 60 * 1000;
+
+class FollowUpService {
+
+  // ============================================================================
+  // Validation
+  // ============================================================================
+
+  /**
+   * Validate a follow-up request and resolve its due time
+   * @param {Object} data - { dueAt (ISO) | delayMinutes, note, cancelOnUserMessage }
+   * @returns {Object} { errors: [{ path, message }], dueAt }
+   */
+  validateFollowUp(data) {
+    const errors = [];
+
+    if (!data || typeof data !== 'object') {
+      return { errors: [{ path: '$', message: 'must be an object' }], dueAt: null };
+    }
+
+    if (typeof data.note !== 'string' || !data.note.trim()) {
+      errors.push({ path: 'note', message: 'is required' });
+    } else if (data.note.length > 1000) {
+      errors.push({ path: 'note', message: 'must be at most 1000 characters' });
+    }
+
+    if (data.cancelOnUserMessage !== undefined && typeof data.cancelOnUserMessage !== 'boolean') {
+      errors.push({ path: 'cancelOnUserMessage', message: 'must be a boolean' });
+    }
+
+    const hasDueAt = data.dueAt !== undefined && data.dueAt !== null;
+    const hasDelay = data.delayMinutes !== undefined && data.delayMinutes !== null;
+    let dueAt = null;
+
+    if (hasDueAt === hasDelay) {
+      errors.push({ path: 'dueAt', message: 'exactly one of dueAt or delayMinutes is required' });
+    } else if (hasDelay) {
+      if (typeof data.delayMinutes !== 'number' || !Number.isFinite(data.delayMinutes)) {
+        errors.push({ path: 'delayMinutes', message: 'must be a number' });
+      } else {
+        dueAt = new Date(Date.now() + data.delayMinutes * 60 * 1000);
+      }
+    } else {
+      dueAt = new Date(data.dueAt);
+      if (isNaN(dueAt.getTime())) {
+        errors.push({ path: 'dueAt', message: 'must be an ISO date' });
+        dueAt = null;
+      }
+    }
+
+    if (dueAt) {
+      const delayMs = dueAt.getTime() - Date.now();
+      if (delayMs < MIN_DELAY_MINUTES * 60 * 1000 - 1000) {
+        errors.push({ path: hasDelay ? 'delayMinutes' : 'dueAt', message: `must be at least ${MIN_DELAY_MINUTES} minute(s) in the future` });
+      } else if (delayMs > MAX_DELAY_DAYS * 24 * 60 * 60 * 1000) {
+        errors.push({ path: hasDelay ? 'delayMinutes' : 'dueAt', message: `must be at most ${MAX_DELAY_DAYS} days in the future` });
+      }
+    }
+
+    return { errors, dueAt };
+  }
+
+  // ============================================================================
+  // Scheduling & Cancellation
+  // ============================================================================
+
+  /**
+   * Schedule a follow-up for a conversation
+   * @param {Object} conversation - Conversation document (or { _id, agentId })
+   * @param {Object} data - { dueAt | delayMinutes, note, cancelOnUserMessage }
+   * @param {Object} options - { source: 'ai_tool' | 'api', createdBy }
+   * @returns {Promise<Object>} { success, followUp } or { success: false, error, message, validation_errors }
+   */
+  async scheduleFollowUp(conversation, data, { source = 'api', createdBy = 'system' } = {}) {
+    const { errors, dueAt } = this.validateFollowUp(data);
+    if (errors.length > 0) {
+      return {
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: errors.map(error => `${error.path} ${error.message}`).join('; '),
+        validation_errors: errors
+      };
+    }
+
+    const pending = await FollowUp.countDocuments({ conversationId: conversation._id, status: 'pending' });
+    if (pending >= MAX_PENDING_PER_CONVERSATION) {
+      return {
+        success: false,
+        error: 'TOO_MANY_FOLLOW_UPS',
+        message: `The conversation already has ${pending} pending follow-ups (max ${MAX_PENDING_PER_CONVERSATION})`
+      };
+    }
+
+    const followUp = await FollowUp.create({
+      conversationId: conversation._id,
+      agentId: conversation.agentId,
+      dueAt,
+      note: data.note.trim(),
+      source,
+      createdBy,
+      cancelOnUserMessage: data.cancelOnUserMessage !== undefined ? data.cancelOnUserMessage : true
+    });
+
+    await this.enqueue(followUp);
+    console.log(`⏰ [${conversation._id}] Follow-up ${followUp._id} scheduled for ${dueAt.toISOString()} (${source})`);
+
+    return { success: true, followUp };
+  }
+
+  /**
+   * Cancel a pending follow-up
+   * @param {Object} followUp - FollowUp document
+   * @param {string} reason - Stored in statusReason
+   * @returns {Promise<Object>} { success, followUp } or { success: false, error, message }
+   */
+  async cancelFollowUp(followUp, reason = 'Cancelled through the API') {
+    const cancelled = await FollowUp.findOneAndUpdate(
+      { _id: followUp._id, status: 'pending' },
+      { $set: { status: 'cancelled', statusReason: reason, cancelledAt: new Date() } },
+      { new: true }
+    );
+
+    if (!cancelled) {
+      return {
+        success: false,
+        error: 'INVALID_FOLLOW_UP_STATUS',
+        message: `Cannot cancel a follow-up in status ${followUp.status}`
+      };
+    }
+
+    await redisClient.zRem(REDIS_KEYS.due, cancelled._id.toString());
+    return { success: true, followUp: cancelled };
+  }
+
+  /**
+   * The user wrote: their pending follow-ups (created before the message) are no longer needed
+   * @param {ObjectId|string} conversationId - Conversation ID
+   * @param {Date} at - Time of the user message
+   * @returns {Promise<number>} Follow-ups cancelled
+   */
+  async cancelForUserMessage(conversationId, at = new Date()) {
+    const filter = {
+      conversationId,
+      status: 'pending',
+      cancelOnUserMessage: true,
+      createdAt: { $lte: at }
+    };
+
+    const followUps = await FollowUp.find(filter).select('_id').lean();
+    if (followUps.length === 0) {
+      return 0;
+    }
+
+    const ids = followUps.map(followUp => followUp._id);
+    const result = await FollowUp.updateMany(
+      { _id: { $in: ids }, status: 'pending' },
+      { $set: { status: 'cancelled', statusReason: 'The user wrote before the follow-up was due', cancelledAt: new Date() } }
+    );
+    await redisClient.zRem(REDIS_KEYS.due, ids.map(id => id.toString()));
+
+    console.log(`⏰ [${conversationId}] ${result.modifiedCount} follow-up(s) cancelled by a user message`);
+    return result.modifiedCount;
+  }
+
+  /**
+   * Follow-ups of a conversation, next due first
+   * @param {ObjectId|string} conversationId - Conversation ID
+   * @param {Object} options - { status }
+   */
+  async listFollowUps(conversationId, { status = null } = {}) {
+    const filter = { conversationId };
+    if (status) {
+      filter.status = status;
+    }
+    return FollowUp.find(filter).sort({ dueAt: -1 }).limit(100).lean();
+  }
+
+  // ============================================================================
+  // Redis Due Set
+  // ============================================================================
+
+  async enqueue(followUp) {
+    await redisClient.zAdd(REDIS_KEYS.due, {
+      score: new Date(followUp.dueAt).getTime(),
+      value: followUp._id.toString()
+    });
+  }
+
+  /**
+   * Take due follow-up ids out of the set. zRem decides who gets an id when several workers poll.
+   * @param {number} limit - Max ids
+   * @returns {Promise<Array<string>>} Claimed follow-up ids
+   */
+  async claimDue(limit = 20) {
+    const ids = await redisClient.zRangeByScore(REDIS_KEYS.due, 0, Date.now(), {
+      LIMIT: { offset: 0, count: limit }
+    });
+
+    const claimed = [];
+    for (const id of ids) {
+      if (await redisClient.zRem(REDIS_KEYS.due, id) === 1) {
+        claimed.push(id);
+      }
+    }
+    return claimed;
+  }
+
+  /**
+   * Rebuild the due set from MongoDB (after a restart or a Redis flush)
+   * @returns {Promise<number>} Pending follow-ups queued
+   */
+  async requeuePending() {
+    const pending = await FollowUp.find({ status: 'pending' }).select('_id dueAt').lean();
+    for (const followUp of pending) {
+      await this.enqueue(followUp);
+    }
+    return pending.length;
+  }
+
+  // ============================================================================
+  // Firing
+  // ============================================================================
+
+  /**
+   * Fire a due follow-up: add the trigger message and run the AI turn
+   * @param {string} followUpId - FollowUp ID claimed from the due set
+   * @returns {Promise<string|null>} Final status, null if the follow-up was no longer pending
+   */
+  async fireFollowUp(followUpId) {
+    const followUp = await FollowUp.findOneAndUpdate(
+      { _id: followUpId, status: 'pending' },
+      { $set: { status: 'firing' } },
+      { new: true }
+    );
+    if (!followUp) {
+      return null; // Cancelled in the meantime
+    }
+
+    try {
+      const outcome = await this.runFollowUp(followUp);
+      Object.assign(followUp, outcome);
+    } catch (error) {
+      console.error(`❌ [${followUp.conversationId}] Follow-up ${followUpId} failed:`, error.message);
+      Object.assign(followUp, { status: 'failed', statusReason: error.message.substring(0, 500) });
+    }
+
+    await followUp.save();
+    if (followUp.status === 'pending') {
+      await this.enqueue(followUp);
+    }
+    return followUp.status;
+  }
+
+  /**
+   * @returns {Promise<Object>} FollowUp fields to set ({ status, statusReason, messageId, firedAt, dueAt })
+   */
+  async runFollowUp(followUp) {
+    const [conversation, agent] = await Promise.all([
+      Conversation.findById(followUp.conversationId),
+      Agent.findById(followUp.agentId)
+    ]);
+
+    if (!conversation || !agent) {
+      return { status: 'skipped', statusReason: 'Conversation or agent not available' };
+    }
+    if (!(await handoffService.isAIEnabled(conversation))) {
+      return { status: 'skipped', statusReason: `Conversation in ${conversation.getHandoffMode()} mode` };
+    }
+
+    if (followUp.source === 'abandoned_request') {
+      const request = await Request.findById(followUp.requestId).select('status').lean();
+      if (!request || request.status !== 'active') {
+        return { status: 'skipped', statusReason: 'Request no longer active' };
+      }
+      // A nudge is not worth a template: only inside the 24h window
+      if (outboundMessageService.isOutsideServiceWindow(agent, conversation)) {
+        return { status: 'skipped', statusReason: 'Service window closed' };
+      }
+    }
+
+    // Lazy require: messageQueue pulls in the whole AI pipeline (which loads the scheduleFollowUp tool)
+    const messageQueue = require('../modules/messageQueue');
+    const conversationId = conversation._id.toString();
+    if (messageQueue.isProcessing(conversationId)) {
+      return { status: 'pending', dueAt: new Date(Date.now() + BUSY_RETRY_MS) };
+    }
+
+    const message = await this.addTriggerMessage(conversation, followUp);
+    await messageQueue.addMessage(conversation, {
+      _id: message._id,
+      sender: 'system_trigger',
+      type: 'chat',
+      content: message.content,
+      timestamp: message.timestamp,
+      originalTimestamp: message.timestamp,
+      msg_foreign_id: message._id.toString(),
+      fileStorage: { status: 'not_applicable' }
+    }, agent);
+
+    console.log(`⏰ [${conversationId}] Follow-up ${followUp._id} fired (${followUp.source})`);
+    return { status: 'fired', firedAt: new Date(), messageId: message._id };
+  }
+
+  /**
+   * Save the 'system_trigger' message the AI answers (recipient 'system': not delivered to the user)
+   */
+  async addTriggerMessage(conversation, followUp) {
+    const message = new Message({
+      conversationId: conversation._id,
+      sender: 'system_trigger',
+      recipient: 'system',
+      type: 'chat',
+      content: [{ order: 0, content: this.buildTriggerText(followUp) }],
+      timestamp: new Date(),
+      status: 'received',
+      followUpId: followUp._id
+    });
+    await message.save();
+
+    // The AI history is read from this cache: the trigger must be in it before the turn starts
+    await cacheMessage(conversation._id.toString(), message).catch(err => {
+      console.warn(`⚠️ Failed to cache follow-up trigger in Redis (non-blocking):`, err.message);
+    });
+
+    conversationEventBus.publish('message.created', {
+      conversationId: conversation._id,
+      agentId: conversation.agentId,
+      data: { ...conversationEventBus.messagePayload(message), followUpId: followUp._id.toString() }
+    });
+
+    return message;
+  }
+
+  buildTriggerText(followUp) {
+    return [
+      `[Seguimiento programado - ${followUp.source}] ${followUp.note}`,
+      'Este mensaje no lo escribió el usuario: es un seguimiento que quedó agendado. Escribile al usuario para retomar la conversación según la nota.'
+    ].join('\n');
+  }
+
+  // ============================================================================
+  // Abandoned Requests
+  // ============================================================================
+
+  getAbandonedRequestMinutes(agent) {
+    const configured = agent.followUpConfig?.abandonedRequestMinutes;
+    return typeof configured === 'number' ? configured : DEFAULT_ABANDONED_REQUEST_MINUTES;
+  }
+
+  /**
+   * Schedule one nudge (due now) per Request left 'active' by a participant that stopped writing
+   * @returns {Promise<number>} Nudges scheduled
+   */
+  async scheduleAbandonedRequestNudges() {
+    const now = Date.now();
+    const requests = await Request.find({
+      status: 'active',
+      updatedAt: { $gte: new Date(now - ABANDONED_REQUEST_LOOKBACK_MS) }
+    }).select('_id conversationId type updatedAt').limit(500).lean();
+
+    const agents = new Map();
+    let scheduled = 0;
+
+    for (const request of requests) {
+      if (await FollowUp.exists({ requestId: request._id })) {
+        continue; // One nudge per request
+      }
+
+      const conversation = await Conversation.findById(request.conversationId)
+        .select('agentId lastUserMessageAt')
+        .lean();
+      if (!conversation) {
+        continue;
+      }
+
+      const agentKey = conversation.agentId.toString();
+      if (!agents.has(agentKey)) {
+        agents.set(agentKey, await Agent.findById(conversation.agentId).select('followUpConfig').lean());
+      }
+      const agent = agents.get(agentKey);
+      const minutes = agent ? this.getAbandonedRequestMinutes(agent) : 0;
+      if (!minutes) {
+        continue;
+      }
+
+      const silentSince = now - minutes * 60 * 1000;
+      const lastUserMessageAt = conversation.lastUserMessageAt ? new Date(conversation.lastUserMessageAt).getTime() : 0;
+      if (new Date(request.updatedAt).getTime() > silentSince || lastUserMessageAt > silentSince) {
+        continue;
+      }
+
+      const followUp = await FollowUp.create({
+        conversationId: conversation._id,
+        agentId: conversation.agentId,
+        requestId: request._id,
+        dueAt: new Date(),
+        note: `El usuario dejó sin terminar su pedido ${request._id} (${request.type}) y no volvió a escribir. Preguntale si quiere seguir con el pedido o si necesita ayuda, sin insistir.`,
+        source: 'abandoned_request'
+      });
+      await this.enqueue(followUp);
+      scheduled++;
+    }
+
+    if (scheduled > 0) {
+      console.log(`⏰ Scheduled ${scheduled} abandoned request nudge(s)`);
+    }
+    return scheduled;
+  }
+}
+
+// Export singleton instance
+const followUpService = new FollowUpService();
+
+module.exports = followUpService;
+module.exports.REDIS_KEYS = REDIS_KEYS;
@@ -0,0 +1,158 @@
+/**
+ * services/followUpWorker.js
+ *
+ * Description: Background worker that fires scheduled follow-ups when they are due
+ *
+ * Role in the system: Polls the Redis sorted set of due follow-ups, claims each id and lets followUpService
+ * add the 'system_trigger' message and run the AI turn. On start it rebuilds the set from the pending
+ * FollowUp documents (so follow-ups survive restarts and Redis flushes), and every few minutes it schedules
+ * the nudges for participants that abandoned a Request in 'active' status.
+ *
+ * Node.js Context: Worker - background loop with Redis coordination
+ *
+ * Dependencies:
+ * - services/followUpService.js (due set, firing, abandoned request nudges)
+ * - models/FollowUp.js (recovery of interrupted follow-ups)
+ *
+ * Dependants:
+ * - server.js (start/stop with the server)
+ */
+
+const { FollowUp } = require('../models');
+const followUpService = require('./followUpService');
+
+const POLL_MS = Number(process.env.FOLLOW_UP_POLL_MS || 5000);
+const NUDGE_SCAN_MS = 5 * 60 * 1000;
+const STUCK_FIRING_MS = 5 * 60 * 1000;  // 'firing' for longer than this = worker died mid-fire
+const STUCK_SWEEP_MS = 60 * 1000;       // How often the loop looks for stuck follow-ups
+
+// ============================================================================
+// Worker Configuration & State Management
+// ============================================================================
+
+class FollowUpWorker {
+    constructor() {
+        this.isRunning = false;
+        this.lastNudgeScan = 0;
+        this.lastStuckSweep = 0;
+    }
+
+    // ============================================================================
+    // Lifecycle
+    // ============================================================================
+
+    /**
+     * Recover pending follow-ups and start the polling loop
+     */
+    async start() {
+        if (this.isRunning) {
+            console.log('⚠️ Follow-up worker already running');
+            return;
+        }
+
+        this.isRunning = true;
+        console.log('⏰ Follow-up worker started');
+
+        await this.recoverFollowUps();
+
+        while (this.isRunning) {
+            let fired = 0;
+            try {
+                await this.scanAbandonedRequests();
+                await this.failStuckFollowUps();
+                fired = await this.processDueFollowUps();
+            } catch (error) {
+                console.error('❌ Follow-up worker error:', error.message);
+            }
+            if (fired === 0) {
+                await this.sleep(POLL_MS);
+            }
+        }
+
+        console.log('🛑 Follow-up worker stopped');
+    }
+
+    async stop() {
+        this.isRunning = false;
+    }
+
+    /**
+     * After a restart: the due set gets every pending follow-up back
+     * (follow-ups left 'firing' are failed by failStuckFollowUps once they are old enough)
+     */
+    async recoverFollowUps() {
+        try {
+            const requeued = await followUpService.requeuePending();
+            console.log(`🔄 Recovered ${requeued} pending follow-up(s)`);
+        } catch (error) {
+            console.error('❌ Follow-up recovery failed:', error.message);
+        }
+    }
+
+    /**
+     * Follow-ups 'firing' for longer than STUCK_FIRING_MS were interrupted (restart or crash mid-fire): they are
+     * failed, not retried, since the trigger may already be in the conversation. Runs periodically from the loop,
+     * so follow-ups claimed shortly before a restart don't stay 'firing' forever.
+     */
+    async failStuckFollowUps() {
+        if (Date.now() - this.lastStuckSweep < STUCK_SWEEP_MS) {
+            return;
+        }
+        this.lastStuckSweep = Date.now();
+
+        const interrupted = await FollowUp.updateMany(
+            { status: 'firing', updatedAt: { $lt: new Date(Date.now() - STUCK_FIRING_MS) } },
+            { $set: { status: 'failed', statusReason: 'Interrupted while firing (not retried to avoid duplicates)' } }
+        );
+        if (interrupted.modifiedCount > 0) {
+            console.log(`🔄 Marked ${interrupted.modifiedCount} interrupted follow-up(s) as failed`);
+        }
+    }
+
+    // ============================================================================
+    // Queue Processing
+    // ============================================================================
+
+    /**
+     * Fire the follow-ups whose due time has passed
+     * @returns {Promise<number>} Follow-ups processed
+     */
+    async processDueFollowUps() {
+        const ids = await followUpService.claimDue();
+
+        for (const id of ids) {
+            try {
+                await followUpService.fireFollowUp(id);
+            } catch (error) {
+                console.error(`❌ Follow-up ${id} could not be processed:`, error.message);
+            }
+        }
+
+        return ids.length;
+    }
+
+    /**
+     * Schedule abandoned request nudges (throttled, the scan reads the Request collection)
+     */
+    async scanAbandonedRequests() {
+        if (Date.now() - this.lastNudgeScan < NUDGE_SCAN_MS) {
+            return;
+        }
+        this.lastNudgeScan = Date.now();
+
+        await followUpService.scheduleAbandonedRequestNudges();
+    }
+
+    // ============================================================================
+    // Helpers
+    // ============================================================================
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+// Export singleton instance
+const followUpWorker = new FollowUpWorker();
+
+module.exports = followUpWorker;
@@ -24,7 +24,7 @@ const axios = require('axios');
 const path = require('path');
 const crypto = require('crypto');
 const Request = require('../models/Request');
-const { createDownloadUrl, createExternalDownloadUrl } = require('../utils/fileStorageUtils');
+const { createDownloadUrl, createExternalDownloadUrl, FILE_STORAGE_API_KEY } = require('../utils/fileStorageUtils');
 
 class GoogleGeminiService {
   constructor() {
@@ -448,7 +448,7 @@ class GoogleGeminiService {
           timeout: 60000, // Increased from 30s to 60s
           headers: {
             'User-Agent': 'Micro-Banana-ImageProcessor/1.0',
-            'X-API-Key': process.env.API_KEY_WEBHOOK // 🔥 CRITICAL FIX: Add API Key to header
+            'X-API-Key': FILE_STORAGE_API_KEY // 🔥 CRITICAL FIX: Add API Key to header
           },
           maxContentLength: this.MAX_FILE_SIZE,
           maxBodyLength: this.MAX_FILE_SIZE
@@ -501,7 +501,7 @@ class GoogleGeminiService {
               timeout: 90000, // 90 seconds for retry
               headers: {
                 'User-Agent': 'Micro-Banana-ImageProcessor/1.0',
-                'X-API-Key': process.env.API_KEY_WEBHOOK // 🔥 CRITICAL FIX: Add API Key to header
+                'X-API-Key': FILE_STORAGE_API_KEY // 🔥 CRITICAL FIX: Add API Key to header
               },
               maxContentLength: this.MAX_FILE_SIZE,
               maxBodyLength: this.MAX_FILE_SIZE
@@ -0,0 +1,210 @@
+/**
+ * services/handoffService.js
+ *
+ * Description: Conversation handoff between the AI and human operators (modes ai / human / paused)
+ *
+ * Role in the system: Single place that changes Conversation.handoff. The message queue asks it whether
+ * the AI may answer; the external API, operator messages and the requestHumanHandoff tool change the mode.
+ *
+ * Node.js Context: Service - Conversation state transitions
+ *
+ * Dependencies:
+ * - models/Conversation.js (handoff sub-document)
+ * - modules/messageQueue.js (abort in-flight AI processing when leaving 'ai' mode)
+ * - services/conversationEventBus.js (handoff.changed events)
+ *
+ * Dependants:
+ * - modules/messageQueue.js (skip AI outside 'ai' mode)
+ * - routes/externalApiRoutes.js (GET/PUT /conversations/:conversationId/handoff)
+ * - services/operatorMessageService.js (operator messages take over the conversation)
+ * - tools/implementations/general/requestHumanHandoff.js (AI-requested handoff)
+ */
+
+const Conversation = require('../models/Conversation');
+const conversationEventBus = require('./conversationEventBus');
+
+const HANDOFF_MODES = ['ai', 'human', 'paused'];
+
+// Operator messages take over the conversation for this long unless a handoff is set explicitly
+// (replaces the old hardcoded 10-minute agent-message window). 0 = no auto-resume.
+const OPERATOR_MESSAGE_RESUME_MINUTES = Number(process.env.HANDOFF_OPERATOR_RESUME_MINUTES ?? 10);
+
+class HandoffService {
+
+  // ============================================================================
+  // Reads
+  // ============================================================================
+
+  /**
+   * Current handoff state, resetting expired handoffs back to 'ai'
+   * @param {Object} conversation - Conversation document
+   * @returns {Promise<Object>} { mode, assignee, reason, requestedBy, changedAt, autoResumeAt }
+   */
+  async getHandoff(conversation) {
+    const mode = conversation.getHandoffMode();
+
+    if (mode === 'ai' && conversation.handoff && conversation.handoff.mode !== 'ai') {
+      console.log(`⏰ [${conversation._id}] Handoff expired (${conversation.handoff.mode}), resuming AI`);
+      const updated = await this.setMode(conversation._id, { mode: 'ai', reason: 'auto_resume', requestedBy: 'system' });
+      return updated.success ? updated.handoff : { mode: 'ai' };
+    }
+
+    return this.serialize(conversation.handoff);
+  }
+
+  /**
+   * Whether the AI may answer this conversation
+   * @param {Object} conversation - Conversation document
+   * @returns {Promise<boolean>} True in 'ai' mode
+   */
+  async isAIEnabled(conversation) {
+    try {
+      const handoff = await this.getHandoff(conversation);
+      return handoff.mode === 'ai';
+    } catch (error) {
+      console.error(`❌ [${conversation._id}] Error checking handoff mode:`, error.message);
+      return conversation.getHandoffMode() === 'ai';
+    }
+  }
+
+  // ============================================================================
+  // Writes
+  // ============================================================================
+
+  /**
+   * Change the handoff mode of a conversation
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} params - Handoff parameters
+   * @param {string} params.mode - 'ai' | 'human' | 'paused'
+   * @param {Object} params.assignee - { id, name } of the operator, optional
+   * @param {string} params.reason - Why the mode changed, optional
+   * @param {string} params.requestedBy - 'api' | 'ai_tool' | 'operator_message' | 'system'
+   * @param {Date|string} params.autoResumeAt - When to return to 'ai', optional
+   * @returns {Promise<Object>} { success, handoff, previousMode } or { success: false, error, message }
+   */
+  async setMode(conversationId, { mode, assignee = null, reason = null, requestedBy = 'system', autoResumeAt = null }) {
+    if (!HANDOFF_MODES.includes(mode)) {
+      return {
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: `mode must be one of: ${HANDOFF_MODES.join(', ')}`
+      };
+    }
+
+    let resumeAt = null;
+    if (autoResumeAt && mode !== 'ai') {
+      resumeAt = new Date(autoResumeAt);
+      if (isNaN(resumeAt.getTime()) || resumeAt <= new Date()) {
+        return {
+          success: false,
+          error: 'VALIDATION_ERROR',
+          message: 'autoResumeAt must be a future date'
+        };
+      }
+    }
+
+    const conversation = await Conversation.findById(conversationId);
+    if (!conversation) {
+      return { success: false, error: 'CONVERSATION_NOT_FOUND', message: 'Conversation not found' };
+    }
+
+    const previousMode = conversation.getHandoffMode();
+
+    conversation.handoff = {
+      mode,
+      assignee: mode === 'ai' ? undefined : (assignee || undefined),
+      reason: reason ? String(reason).substring(0, 500) : undefined,
+      requestedBy,
+      changedAt: new Date(),
+      autoResumeAt: resumeAt
+    };
+    await conversation.save();
+
+    // An AI reply generated before the takeover must not reach the user.
+    // The AI's own handoff request keeps its turn so the user gets the handoff notice.
+    if (mode !== 'ai' && previousMode === 'ai' && requestedBy !== 'ai_tool') {
+      await this.abortAIProcessing(conversationId);
+    }
+
+    console.log(`🤝 [${conversationId}] Handoff ${previousMode} → ${mode}:`, {
+      requestedBy,
+      assignee: assignee?.name,
+      reason,
+      autoResumeAt: resumeAt
+    });
+
+    const handoff = this.serialize(conversation.handoff);
+    conversationEventBus.publish('handoff.changed', {
+      conversationId: conversation._id,
+      agentId: conversation.agentId,
+      data: { ...handoff, previousMode }
+    });
+
+    return { success: true, handoff, previousMode };
+  }
+
+  /**
+   * Called after an operator message: takes over conversations still in 'ai' mode
+   * Explicit handoffs (human/paused) are left untouched
+   * @param {Object} conversation - Conversation document
+   * @param {Object} operator - { id, name }
+   * @returns {Promise<Object|null>} setMode result, or null when nothing changed
+   */
+  async takeOverForOperator(conversation, operator) {
+    if (conversation.getHandoffMode() !== 'ai') {
+      return null;
+    }
+
+    return this.setMode(conversation._id, {
+      mode: 'human',
+      assignee: operator,
+      reason: 'operator_message',
+      requestedBy: 'operator_message',
+      autoResumeAt: OPERATOR_MESSAGE_RESUME_MINUTES > 0
+        ? new Date(Date.now() + OPERATOR_MESSAGE_RESUME_MINUTES * 60 * 1000)
+        : null
+    });
+  }
+
+  // ============================================================================
+  // Helpers
+  // ============================================================================
+
+  serialize(handoff) {
+    if (!handoff || !handoff.mode) {
+      return { mode: 'ai' };
+    }
+
+    const data = handoff.toObject ? handoff.toObject() : handoff;
+    return {
+      mode: data.mode,
+      assignee: data.assignee && (data.assignee.id || data.assignee.name) ? data.assignee : null,
+      reason: data.reason || null,
+      requestedBy: data.requestedBy || null,
+      changedAt: data.changedAt || null,
+      autoResumeAt: data.autoResumeAt || null
+    };
+  }
+
+  /**
+   * Abort AI processing in flight for the conversation (if any)
+   * @param {string} conversationId - Conversation ID
+   */
+  async abortAIProcessing(conversationId) {
+    try {
+      // Lazy require: messageQueue pulls in the whole AI pipeline
+      const messageQueue = require('../modules/messageQueue');
+      if (messageQueue.isProcessing(conversationId.toString())) {
+        await messageQueue.abortCurrentProcessing(conversationId.toString(), 'user_abort');
+      }
+    } catch (error) {
+      console.error(`⚠️ [${conversationId}] Failed to abort AI processing on handoff:`, error.message);
+    }
+  }
+}
+
+// Export singleton instance
+const handoffService = new HandoffService();
+
+module.exports = handoffService;
+module.exports.HANDOFF_MODES = HANDOFF_MODES;
@@ -0,0 +1,40 @@
+/**
+ * services/llm/azureOpenAIProvider.js
+ *
+ * Description: Azure OpenAI provider
+ *
+ * Role in the system: Chat Completions against an Azure OpenAI resource. The agent's `model` is the
+ * deployment name; when it does not start with the model name, describe the deployment with
+ * modelConfig.capabilities.
+ *
+ * Node.js Context: Service - LLM provider
+ *
+ * Dependencies:
+ * - openai (AzureOpenAI client: AZURE_OPENAI_API_KEY, AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_VERSION)
+ * - services/llm/llmProvider.js (base contract)
+ *
+ * Dependants:
+ * - services/llm/index.js (registry)
+ */
+
+const { AzureOpenAI } = require('openai');
+const LLMProvider = require('./llmProvider');
+
+const DEFAULT_API_VERSION = '2024-10-21';
+
+class AzureOpenAIProvider extends LLMProvider {
+
+  constructor() {
+    super({ name: 'azure_openai', requiredEnv: ['AZURE_OPENAI_API_KEY', 'AZURE_OPENAI_ENDPOINT'] });
+  }
+
+  createClient() {
+    return new AzureOpenAI({
+      apiKey: process.env.AZURE_OPENAI_API_KEY,
+      endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+      apiVersion: process.env.AZURE_OPENAI_API_VERSION || DEFAULT_API_VERSION
+    });
+  }
+}
+
+module.exports = new AzureOpenAIProvider();
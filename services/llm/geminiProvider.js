@@ -0,0 +1,44 @@
+/**
+ * services/llm/geminiProvider.js
+ *
+ * Description: Google Gemini text provider through Gemini's OpenAI-compatible endpoint
+ *
+ * Role in the system: Lets an agent (or a fallback) answer with a Gemini model using the same Chat
+ * Completions requests, streams and tool calls as OpenAI. Image generation keeps using
+ * services/googleGeminiService.js.
+ *
+ * Node.js Context: Service - LLM provider
+ *
+ * Dependencies:
+ * - openai (SDK pointed at the Gemini endpoint, GEMINI_API_KEY)
+ * - services/llm/llmProvider.js (base contract)
+ *
+ * Dependants:
+ * - services/llm/index.js (registry)
+ */
+
+const { OpenAI } = require('openai');
+const LLMProvider = require('./llmProvider');
+
+const GEMINI_OPENAI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/openai/';
+
+class GeminiProvider extends LLMProvider {
+
+  constructor() {
+    super({ name: 'gemini', requiredEnv: ['GEMINI_API_KEY'] });
+  }
+
+  createClient() {
+    return new OpenAI({ apiKey: process.env.GEMINI_API_KEY, baseURL: GEMINI_OPENAI_BASE_URL });
+  }
+
+  /**
+   * The compatible endpoint takes max_tokens
+   */
+  adaptRequest(request) {
+    const { max_completion_tokens: maxTokens, ...rest } = request;
+    return maxTokens ? { ...rest, max_tokens: maxTokens } : rest;
+  }
+}
+
+module.exports = new GeminiProvider();
@@ -0,0 +1,272 @@
+/**
+ * services/llm/index.js
+ *
+ * Description: Registry of LLM providers and the fallback chain over them
+ *
+ * Role in the system: Turns an agent's modelConfig into an ordered list of targets (the primary model,
+ * then modelConfig.fallbacks), prepares the Chat Completions request for each target from the model's
+ * capabilities (services/llm/modelCapabilities.js) and sends it to the first target that answers.
+ * A target is skipped when its provider returns 5xx/429, cannot be reached, times out
+ * (requestTimeoutMs, default OPENAI_REQUEST_TIMEOUT) or is not configured; any other error (e.g. 400)
+ * and aborts are thrown as is. A streaming response that fails after it started is not retried.
+ * New providers are added by implementing services/llm/llmProvider.js and registering them here.
+ *
+ * Node.js Context: Service - LLM provider registry
+ *
+ * Dependencies:
+ * - openai (connection error classes)
+ * - config/responsesConfig.js (REQUEST_TIMEOUT)
+ * - services/llm/openaiProvider.js, azureOpenAIProvider.js, geminiProvider.js, openaiCompatibleProvider.js
+ * - services/llm/mockProvider.js (scripted answers for offline runs)
+ * - services/llm/modelCapabilities.js (request parameters per model)
+ *
+ * Dependants:
+ * - modules/responsesClient.js (every model request of an AI turn)
+ * - services/responseValidationService.js (response repair requests)
+ * - tools/replayConversation.js (mock provider)
+ */
+
+const { APIConnectionError } = require('openai');
+const { REQUEST_TIMEOUT } = require('../../config/responsesConfig');
+const { getModelCapabilities } = require('./modelCapabilities');
+const openaiProvider = require('./openaiProvider');
+const azureOpenAIProvider = require('./azureOpenAIProvider');
+const geminiProvider = require('./geminiProvider');
+const openaiCompatibleProvider = require('./openaiCompatibleProvider');
+const mockProvider = require('./mockProvider');
+
+// modelConfig fields a fallback inherits from the primary when it does not set them
+const INHERITED_FIELDS = ['maxCompletionTokens', 'temperature', 'reasoningEffort', 'verbosity', 'requestTimeoutMs'];
+
+const NETWORK_ERROR_CODES = ['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN'];
+
+class LLMRegistry {
+
+  constructor() {
+    this.providers = new Map(); // name -> provider
+  }
+
+  /**
+   * Register a provider
+   * @param {Object} provider - LLMProvider instance
+   */
+  register(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  /**
+   * Provider by name
+   * @param {string} name - Agent.modelConfig.provider
+   * @returns {Object|null} Provider
+   */
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  /**
+   * Registered provider names
+   * @returns {Array<string>}
+   */
+  list() {
+    return [...this.providers.keys()];
+  }
+
+  // ============================================================================
+  // Targets & Request Preparation
+  // ============================================================================
+
+  /**
+   * Ordered targets of an agent: the primary model, then its fallbacks
+   * @param {Object} modelConfig - Agent.modelConfig
+   * @returns {Array<Object>} [{ provider, model, maxCompletionTokens, temperature, reasoningEffort, verbosity, requestTimeoutMs, capabilities }]
+   */
+  getTargets(modelConfig) {
+    const primary = {
+      provider: modelConfig.provider || 'openai',
+      model: modelConfig.model,
+      capabilities: modelConfig.capabilities || null
+    };
+    for (const field of INHERITED_FIELDS) {
+      primary[field] = modelConfig[field];
+    }
+
+    const fallbacks = (modelConfig.fallbacks || []).map(fallback => {
+      const target = {
+        provider: fallback.provider,
+        model: fallback.model,
+        capabilities: fallback.capabilities || null  // The primary's overrides describe another model
+      };
+      for (const field of INHERITED_FIELDS) {
+        target[field] = fallback[field] ?? primary[field];
+      }
+      return target;
+    });
+
+    return [primary, ...fallbacks];
+  }
+
+  /**
+   * Model-specific request: parameters the model supports, json_object and text placeholders when it
+   * lacks json_schema or vision
+   * @param {Object} target - Target from getTargets
+   * @param {Object} request - Chat Completions request without model parameters (messages, tools, response_format, stream)
+   * @returns {Object} { request, capabilities }
+   */
+  prepareRequest(target, request) {
+    const capabilities = getModelCapabilities(target.model, target.capabilities);
+    const prepared = {
+      ...request,
+      model: target.model,
+      max_completion_tokens: target.maxCompletionTokens
+    };
+
+    if (capabilities.temperature && typeof target.temperature === 'number') {
+      prepared.temperature = target.temperature;
+    }
+    if (target.reasoningEffort && capabilities.reasoningEfforts.includes(target.reasoningEffort)) {
+      prepared.reasoning_effort = target.reasoningEffort;
+    }
+    if (capabilities.verbosity && target.verbosity) {
+      prepared.verbosity = target.verbosity;
+    }
+
+    if (!capabilities.jsonSchema && request.response_format?.type === 'json_schema') {
+      prepared.response_format = { type: 'json_object' };
+      prepared.messages = this.insertSchemaInstructions(request.messages, request.response_format.json_schema);
+    }
+    if (!capabilities.vision) {
+      prepared.messages = this.replaceImages(prepared.messages);
+    }
+
+    return { request: prepared, capabilities };
+  }
+
+  /**
+   * System message with the response schema, after the leading system messages (models without json_schema)
+   */
+  insertSchemaInstructions(messages, jsonSchema) {
+    const instructions = {
+      role: 'system',
+      content: `Respondé únicamente con un objeto JSON válido, sin texto antes ni después, que cumpla este JSON Schema:\n${JSON.stringify(jsonSchema.schema)}`
+    };
+    const firstNonSystem = messages.findIndex(message => message.role !== 'system');
+    const position = firstNonSystem === -1 ? messages.length : firstNonSystem;
+
+    return [...messages.slice(0, position), instructions, ...messages.slice(position)];
+  }
+
+  /**
+   * Image parts → text placeholders (models without vision)
+   */
+  replaceImages(messages) {
+    return messages.map(message => {
+      if (!Array.isArray(message.content) || !message.content.some(part => part.type === 'image_url')) {
+        return message;
+      }
+      return {
+        ...message,
+        content: message.content.map(part => part.type === 'image_url'
+          ? { type: 'text', text: '[Imagen adjunta: este modelo no puede verla]' }
+          : part)
+      };
+    });
+  }
+
+  // ============================================================================
+  // Fallback Chain
+  // ============================================================================
+
+  /**
+   * Send a request to the first target that answers
+   * @param {Array<Object>} targets - Targets in order (getTargets)
+   * @param {Object} request - Chat Completions request without model parameters
+   * @param {Object} options - { signal: AbortSignal, conversationId: for logs }
+   * @returns {Promise<Object>} { response, target, index: of the target that answered, attempts: failed ones }
+   * @throws The error of a non-retryable failure or abort; "All LLM targets failed" (error.attempts) when every target failed
+   */
+  async createChatCompletion(targets, request, { signal = null, conversationId = null } = {}) {
+    const attempts = [];
+
+    for (let index = 0; index < targets.length; index++) {
+      const target = targets[index];
+      const provider = this.get(target.provider);
+      const label = `${target.provider}/${target.model}`;
+
+      if (!provider || !provider.isConfigured()) {
+        const reason = provider ? 'PROVIDER_NOT_CONFIGURED' : 'UNKNOWN_PROVIDER';
+        console.warn(`⚠️ [${conversationId}] Skipping LLM ${label}: ${reason}`);
+        attempts.push({ provider: target.provider, model: target.model, error: reason, status: null, durationMs: 0 });
+        continue;
+      }
+
+      const { request: prepared, capabilities } = this.prepareRequest(target, request);
+      const requestOptions = { timeout: target.requestTimeoutMs || REQUEST_TIMEOUT };
+      if (signal) {
+        requestOptions.signal = signal;
+      }
+      if (index < targets.length - 1) {
+        requestOptions.maxRetries = 0;  // The next target is the retry
+      }
+
+      console.log(`🧠 [${conversationId}] LLM request to ${label}`, {
+        temperature: prepared.temperature,
+        reasoningEffort: prepared.reasoning_effort,
+        verbosity: prepared.verbosity,
+        jsonSchema: capabilities.jsonSchema,
+        vision: capabilities.vision
+      });
+
+      const startTime = Date.now();
+      try {
+        const response = await provider.createChatCompletion(prepared, requestOptions);
+        if (index > 0) {
+          console.log(`🔀 [${conversationId}] LLM fallback answered: ${label} (after ${attempts.length} failed attempt(s))`);
+        }
+        return { response, target, index, attempts };
+      } catch (error) {
+        if (signal?.aborted || !this.isRetryableError(error)) {
+          throw error;
+        }
+
+        attempts.push({
+          provider: target.provider,
+          model: target.model,
+          error: error.message,
+          status: error.status || null,
+          durationMs: Date.now() - startTime
+        });
+        console.warn(`⚠️ [${conversationId}] LLM ${label} failed (${error.status || error.code || error.message}), trying next target`);
+      }
+    }
+
+    const error = new Error(`All LLM targets failed: ${attempts.map(attempt => `${attempt.provider}/${attempt.model}: ${attempt.error}`).join('; ')}`);
+    error.attempts = attempts;
+    throw error;
+  }
+
+  /**
+   * 5xx, 429, timeouts and network failures move on to the next target
+   * @param {Error} error - Provider error
+   * @returns {boolean}
+   */
+  isRetryableError(error) {
+    if (error.status === 429 || error.status >= 500) {
+      return true;
+    }
+    if (error instanceof APIConnectionError) {
+      return true;  // Includes APIConnectionTimeoutError
+    }
+    return NETWORK_ERROR_CODES.includes(error.code);
+  }
+}
+
+// Export singleton instance
+const llmRegistry = new LLMRegistry();
+
+llmRegistry.register(openaiProvider);
+llmRegistry.register(azureOpenAIProvider);
+llmRegistry.register(geminiProvider);
+llmRegistry.register(openaiCompatibleProvider);
+llmRegistry.register(mockProvider);
+
+module.exports = llmRegistry;
@@ -0,0 +1,84 @@
+/**
+ * services/llm/llmProvider.js
+ *
+ * Description: Base class for LLM providers
+ *
+ * Role in the system: Defines the contract every model provider implements so responsesClient can use it
+ * (and fall back to it) without knowing which API is behind:
+ * - isConfigured()                      - are its credentials in the environment?
+ * - createClient()                      - SDK client, created on first use
+ * - adaptRequest(request)               - Chat Completions request → what the provider accepts
+ * - createChatCompletion(request, opts) - Chat Completions response or stream (OpenAI shape)
+ *
+ * Every provider speaks the Chat Completions protocol (OpenAI, Azure OpenAI, Gemini's OpenAI-compatible
+ * endpoint, local servers), so responses, streams and tool calls are read the same way for all of them.
+ *
+ * Node.js Context: Service - LLM provider contract
+ *
+ * Dependants:
+ * - services/llm/openaiProvider.js
+ * - services/llm/azureOpenAIProvider.js
+ * - services/llm/geminiProvider.js
+ * - services/llm/openaiCompatibleProvider.js
+ */
+
+class LLMProvider {
+
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Provider name (Agent.modelConfig.provider)
+   * @param {Array<string>} options.requiredEnv - Environment variables the provider needs
+   */
+  constructor({ name, requiredEnv = [] }) {
+    this.name = name;
+    this.requiredEnv = requiredEnv;
+    this.client = null;
+  }
+
+  /**
+   * Whether the provider's credentials are configured
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return this.requiredEnv.every(variable => !!process.env[variable]);
+  }
+
+  /**
+   * SDK client for the provider
+   * @returns {Object} Client exposing chat.completions.create(request, options)
+   */
+  createClient() {
+    throw new Error(`${this.name} provider does not implement createClient`);
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = this.createClient();
+    }
+    return this.client;
+  }
+
+  /**
+   * Adjust a Chat Completions request to the provider (OpenAI's own parameters by default)
+   * @param {Object} request - Chat Completions request
+   * @returns {Object} Request for this provider
+   */
+  adaptRequest(request) {
+    return request;
+  }
+
+  /**
+   * Create a chat completion
+   * @param {Object} request - Chat Completions request (model, messages, tools, response_format, stream...)
+   * @param {Object} options - { signal, timeout } request options
+   * @returns {Promise<Object>} Completion, or an async iterable of chunks when request.stream
+   */
+  async createChatCompletion(request, options = {}) {
+    if (!this.isConfigured()) {
+      throw new Error(`${this.name} provider is not configured (${this.requiredEnv.join(', ')})`);
+    }
+    return this.getClient().chat.completions.create(this.adaptRequest(request), options);
+  }
+}
+
+module.exports = LLMProvider;
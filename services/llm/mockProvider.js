@@ -0,0 +1,171 @@
+/**
+ * services/llm/mockProvider.js
+ *
+ * Description: Deterministic scripted LLM provider for offline runs (provider 'mock')
+ *
+ * Role in the system: Answers Chat Completions requests from a script instead of a model, so the
+ * queue → AI → tools → send pipeline runs without OpenAI (tools/replayConversation.js, or a local server
+ * with LLM_MOCK_SCRIPT). The script is keyed by conversation turn:
+ *
+ *   { "turns": [
+ *       [ { "toolCalls": [{ "name": "checkCredits", "arguments": {} }] },   ← turn 1, first request
+ *         { "response": { "thinking": "...", "response": { ... } } } ],     ← turn 1, after the tool results
+ *       [ { "response": { ... } } ]                                           ← turn 2
+ *   ] }
+ *
+ * A request whose last message is not a tool result starts the next turn; tool loop continuations and
+ * response repair requests (services/responseValidationService.js) take the next step of the same turn.
+ * `response` objects are sent as JSON content (`content` sends a raw string, e.g. to script invalid
+ * output). Every request is kept in `requests` for assertions.
+ *
+ * Node.js Context: Service - LLM provider (testing)
+ *
+ * Dependencies:
+ * - services/llm/llmProvider.js (base contract)
+ * - services/responseValidationService.js (REPAIR_INSTRUCTIONS, to recognize repair requests)
+ *
+ * Dependants:
+ * - services/llm/index.js (registry)
+ * - tools/replayConversation.js (loads the fixture script, checks requests)
+ */
+
+const fs = require('fs');
+const LLMProvider = require('./llmProvider');
+
+class MockProvider extends LLMProvider {
+
+  constructor() {
+    super({ name: 'mock' });
+    this.reset();
+  }
+
+  /**
+   * Load a script and start from its first turn
+   * @param {Object} script - { turns: [[step, ...], ...] }
+   */
+  load(script) {
+    if (!script || !Array.isArray(script.turns)) {
+      throw new Error('Mock LLM script needs a turns array');
+    }
+    this.reset();
+    this.script = script;
+  }
+
+  reset() {
+    this.script = null;
+    this.turnIndex = -1;
+    this.stepIndex = 0;
+    this.requests = [];  // [{ turn, step, request }]
+  }
+
+  /**
+   * Configured with a loaded script or LLM_MOCK_SCRIPT (path to a script JSON file)
+   */
+  isConfigured() {
+    return !!this.script || !!process.env.LLM_MOCK_SCRIPT;
+  }
+
+  createClient() {
+    return null;  // Answers in process
+  }
+
+  async createChatCompletion(request) {
+    if (!this.script) {
+      if (!process.env.LLM_MOCK_SCRIPT) {
+        throw new Error('mock provider is not configured (load a script or set LLM_MOCK_SCRIPT)');
+      }
+      this.load(JSON.parse(fs.readFileSync(process.env.LLM_MOCK_SCRIPT, 'utf8')));
+    }
+
+    const { REPAIR_INSTRUCTIONS } = require('../responseValidationService');  // Lazy: that service requires the registry
+    const lastMessage = request.messages[request.messages.length - 1];
+    const isRepair = request.messages[0]?.content === REPAIR_INSTRUCTIONS;
+    if (lastMessage?.role !== 'tool' && !isRepair) {
+      this.turnIndex++;
+      this.stepIndex = 0;
+    }
+
+    const turn = this.turnIndex + 1;
+    const step = this.stepIndex + 1;
+    const scripted = this.script.turns[this.turnIndex]?.[this.stepIndex];
+    this.stepIndex++;
+    this.requests.push({ turn, step, request });
+
+    if (!scripted) {
+      throw new Error(`Mock LLM script has no step ${step} for turn ${turn}`);
+    }
+
+    console.log(`🎭 Mock LLM turn ${turn}, step ${step}: ${scripted.toolCalls ? `tool calls [${scripted.toolCalls.map(call => call.name).join(', ')}]` : 'response'}`);
+
+    const completion = this.buildCompletion(scripted, request.model, `mock-${turn}-${step}`);
+    return request.stream ? this.toStream(completion) : completion;
+  }
+
+  // ============================================================================
+  // Response Building
+  // ============================================================================
+
+  /**
+   * Scripted step → Chat Completions response
+   */
+  buildCompletion(scripted, model, id) {
+    const toolCalls = (scripted.toolCalls || []).map((call, index) => ({
+      id: call.id || `call_${id.replace(/-/g, '_')}_${index + 1}`,
+      type: 'function',
+      function: {
+        name: call.name,
+        arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments || {})
+      }
+    }));
+
+    let content = null;
+    if (scripted.content !== undefined) {
+      content = scripted.content;
+    } else if (scripted.response !== undefined) {
+      content = JSON.stringify(scripted.response);
+    }
+
+    return {
+      id,
+      object: 'chat.completion',
+      model,
+      choices: [{
+        index: 0,
+        message: {
+          role: 'assistant',
+          content,
+          ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {})
+        },
+        finish_reason: toolCalls.length > 0 ? 'tool_calls' : (scripted.finishReason || 'stop')
+      }],
+      usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+    };
+  }
+
+  /**
+   * Completion → stream of chunks (content, then tool calls, then finish_reason with usage)
+   */
+  async *toStream(completion) {
+    const { message, finish_reason: finishReason } = completion.choices[0];
+    const chunk = (delta, extra = {}) => ({
+      id: completion.id,
+      object: 'chat.completion.chunk',
+      model: completion.model,
+      choices: [{ index: 0, delta, finish_reason: null }],
+      ...extra
+    });
+
+    if (message.content) {
+      yield chunk({ role: 'assistant', content: message.content });
+    }
+    for (const [index, toolCall] of (message.tool_calls || []).entries()) {
+      yield chunk({ tool_calls: [{ index, ...toolCall }] });
+    }
+
+    const last = chunk({}, { usage: completion.usage });
+    last.choices[0].finish_reason = finishReason;
+    yield last;
+  }
+}
+
+module.exports = new MockProvider();
@@ -0,0 +1,84 @@
+/**
+ * services/llm/modelCapabilities.js
+ *
+ * Description: Capability table of the chat models the agents can use
+ *
+ * Role in the system: Decides which request parameters a model gets, instead of guessing from its name
+ * at the call site. The first entry whose prefix matches the model name wins, so more specific names
+ * go first ('gpt-5-mini' before 'gpt-5'). Agent.modelConfig.capabilities overrides the entry per agent,
+ * which is how local models behind an OpenAI-compatible endpoint are described.
+ *
+ * Capabilities:
+ * - temperature:      accepts `temperature`
+ * - reasoningEfforts: accepted `reasoning_effort` values (empty = not a reasoning model)
+ * - verbosity:        accepts `verbosity`
+ * - jsonSchema:       accepts response_format json_schema (otherwise json_object + the schema in a system message)
+ * - vision:           accepts image_url content parts (otherwise images become text placeholders)
+ *
+ * Node.js Context: Configuration - Static model metadata
+ *
+ * Dependants:
+ * - services/llm/index.js (request preparation per model)
+ */
+
+// ============================================================================
+// Capability Table
+// ============================================================================
+
+const CHAT_MODEL = { temperature: true, reasoningEfforts: [], verbosity: false, jsonSchema: true, vision: true };
+
+const MODEL_CAPABILITIES = [
+  // gpt-5-mini / nano keep temperature and no reasoning parameters (their configuration so far)
+  { prefix: 'gpt-5-mini', capabilities: CHAT_MODEL },
+  { prefix: 'gpt-5-nano', capabilities: CHAT_MODEL },
+  {
+    prefix: 'gpt-5.1',
+    capabilities: { temperature: false, reasoningEfforts: ['none', 'low', 'medium', 'high'], verbosity: true, jsonSchema: true, vision: true }
+  },
+  {
+    prefix: 'gpt-5',
+    capabilities: { temperature: false, reasoningEfforts: ['minimal', 'low', 'medium', 'high'], verbosity: true, jsonSchema: true, vision: true }
+  },
+  { prefix: 'gpt-4.1', capabilities: CHAT_MODEL },
+  { prefix: 'gpt-4o', capabilities: CHAT_MODEL },
+  {
+    prefix: 'o4-mini',
+    capabilities: { temperature: false, reasoningEfforts: ['low', 'medium', 'high'], verbosity: false, jsonSchema: true, vision: true }
+  },
+  {
+    prefix: 'o3',
+    capabilities: { temperature: false, reasoningEfforts: ['low', 'medium', 'high'], verbosity: false, jsonSchema: true, vision: true }
+  },
+  {
+    prefix: 'gemini-2.5',
+    capabilities: { temperature: true, reasoningEfforts: ['low', 'medium', 'high'], verbosity: false, jsonSchema: true, vision: true }
+  },
+  { prefix: 'gemini-2.0', capabilities: CHAT_MODEL },
+  // services/llm/mockProvider.js
+  { prefix: 'mock', capabilities: CHAT_MODEL }
+];
+
+// Unknown models (typically local ones): plain text chat, no structured output guarantees
+const DEFAULT_CAPABILITIES = { temperature: true, reasoningEfforts: [], verbosity: false, jsonSchema: false, vision: false };
+
+/**
+ * Capabilities of a model
+ * @param {string} model - Model name (Azure: deployment name, matched the same way)
+ * @param {Object} overrides - Agent.modelConfig.capabilities (or a fallback's)
+ * @returns {Object} { temperature, reasoningEfforts, verbosity, jsonSchema, vision }
+ */
+function getModelCapabilities(model, overrides = null) {
+  const name = String(model || '').toLowerCase();
+  const entry = MODEL_CAPABILITIES.find(candidate => name.startsWith(candidate.prefix));
+
+  return {
+    ...(entry ? entry.capabilities : DEFAULT_CAPABILITIES),
+    ...(overrides || {})
+  };
+}
+
+module.exports = {
+  MODEL_CAPABILITIES,
+  DEFAULT_CAPABILITIES,
+  getModelCapabilities
+};
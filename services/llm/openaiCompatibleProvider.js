@@ -0,0 +1,45 @@
+/**
+ * services/llm/openaiCompatibleProvider.js
+ *
+ * Description: Provider for an OpenAI-compatible endpoint (local or self-hosted models: vLLM, Ollama, LM Studio...)
+ *
+ * Role in the system: Chat Completions against OPENAI_COMPATIBLE_BASE_URL. Unknown models get the
+ * conservative default capabilities (no json_schema, no vision); agents describe what their local model
+ * supports with modelConfig.capabilities.
+ *
+ * Node.js Context: Service - LLM provider
+ *
+ * Dependencies:
+ * - openai (SDK pointed at OPENAI_COMPATIBLE_BASE_URL, optional OPENAI_COMPATIBLE_API_KEY)
+ * - services/llm/llmProvider.js (base contract)
+ *
+ * Dependants:
+ * - services/llm/index.js (registry)
+ */
+
+const { OpenAI } = require('openai');
+const LLMProvider = require('./llmProvider');
+
+class OpenAICompatibleProvider extends LLMProvider {
+
+  constructor() {
+    super({ name: 'openai_compatible', requiredEnv: ['OPENAI_COMPATIBLE_BASE_URL'] });
+  }
+
+  createClient() {
+    return new OpenAI({
+      apiKey: process.env.OPENAI_COMPATIBLE_API_KEY || 'not-needed',  // Most local servers ignore it
+      baseURL: process.env.OPENAI_COMPATIBLE_BASE_URL
+    });
+  }
+
+  /**
+   * Local servers implement max_tokens, not always max_completion_tokens
+   */
+  adaptRequest(request) {
+    const { max_completion_tokens: maxTokens, ...rest } = request;
+    return maxTokens ? { ...rest, max_tokens: maxTokens } : rest;
+  }
+}
+
+module.exports = new OpenAICompatibleProvider();
@@ -0,0 +1,30 @@
+/**
+ * services/llm/openaiProvider.js
+ *
+ * Description: OpenAI provider (api.openai.com)
+ *
+ * Node.js Context: Service - LLM provider
+ *
+ * Dependencies:
+ * - openai (SDK, OPENAI_API_KEY)
+ * - services/llm/llmProvider.js (base contract)
+ *
+ * Dependants:
+ * - services/llm/index.js (registry)
+ */
+
+const { OpenAI } = require('openai');
+const LLMProvider = require('./llmProvider');
+
+class OpenAIProvider extends LLMProvider {
+
+  constructor() {
+    super({ name: 'openai', requiredEnv: ['OPENAI_API_KEY'] });
+  }
+
+  createClient() {
+    return new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+}
+
+module.exports = new OpenAIProvider();
@@ -12,6 +12,8 @@
  * - crypto (HMAC-SHA256 signature validation)
  * - Payment model (for payment lifecycle management)
  * - Participant model (for credit balance updates)
+ * - services/creditLedgerService.js (top-up ledger entries)
+ * - services/conversationEventBus.js (payment.credited events)
  * 
  * Dependants:
  * - modules/openaiIntegration.js (calls createTopupLink via createTopupLink tool)
@@ -21,7 +23,9 @@
 
 const axios = require('axios');
 const crypto = require('crypto');
-const { Payment, Participant } = require('../models');
+const { Payment, Participant, Conversation } = require('../models');
+const creditLedgerService = require('./creditLedgerService');
+const conversationEventBus = require('./conversationEventBus');
 
 class MercadoPagoService {
   constructor() {
@@ -349,6 +353,7 @@ class MercadoPagoService {
         if (participant) {
           await participant.updateCredits(payment.credits, 'add');
           await payment.markAsCredited();
+          await creditLedgerService.recordTopup(participant, payment.credits, payment);
           
           console.log('💰 Credits added to participant:', {
             participantId: participant.id,
@@ -365,6 +370,8 @@ class MercadoPagoService {
             amount: payment.amount,
             newBalance: participant.creditBalance
           };
+
+          await this.publishPaymentCredited(payment, participant);
         }
 
       } else if (paymentInfo.status === 'rejected' || paymentInfo.status === 'cancelled') {
@@ -393,6 +400,45 @@ class MercadoPagoService {
       return { success: false, error: error.message };
     }
   }
+
+  /**
+   * Publish payment.credited for the conversation where the top-up link was created
+   * (payments created before conversationId was stored fall back to the participant's latest conversation)
+   * @param {Object} payment - Payment document
+   * @param {Object} participant - Participant document
+   */
+  async publishPaymentCredited(payment, participant) {
+    try {
+      const conversation = payment.conversationId
+        ? { _id: payment.conversationId, agentId: payment.agentId }
+        : await Conversation.findOne({ participantId: participant._id })
+          .sort({ lastMessageTime: -1 })
+          .select('agentId')
+          .lean();
+
+      if (!conversation) {
+        console.warn(`⚠️ No conversation found for credited payment ${payment._id}, event not published`);
+        return;
+      }
+
+      await conversationEventBus.publish('payment.credited', {
+        conversationId: conversation._id,
+        agentId: conversation.agentId,
+        data: {
+          paymentId: payment._id.toString(),
+          mpPaymentId: payment.mpPaymentId || null,
+          externalReference: payment.externalReference || null,
+          participantId: participant._id.toString(),
+          phoneNumber: participant.phoneNumber,
+          amount: payment.amount,
+          creditsAdded: payment.credits,
+          newBalance: participant.creditBalance
+        }
+      });
+    } catch (error) {
+      console.error(`⚠️ Failed to publish payment.credited for ${payment._id}:`, error.message);
+    }
+  }
 }
 
 module.exports = new MercadoPagoService();
@@ -0,0 +1,210 @@
+/**
+ * services/operatorMessageService.js
+ *
+ * Description: Sends messages written by human operators through the conversation's agent provider
+ *
+ * Role in the system: Lets a support desk take over a conversation without touching WhatsApp directly.
+ * Operator messages are stored with sender 'agent' and switch conversations still in 'ai' mode to a
+ * 'human' handoff (see services/handoffService.js).
+ *
+ * Node.js Context: Service - Provider delivery + Message/Conversation persistence
+ *
+ * Dependencies:
+ * - services/outboundMessageService.js (provider delivery, text and media)
+ * - models/Conversation.js, models/Message.js, models/Agent.js
+ * - utils/redisConversationCache.js (message cache)
+ * - services/handoffService.js (operator takeover, abort in-flight AI processing)
+ * - services/conversationEventBus.js (message.created events)
+ *
+ * Dependants:
+ * - routes/externalApiRoutes.js (POST /conversations/:conversationId/messages)
+ */
+
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Agent = require('../models/Agent');
+const outboundMessageService = require('./outboundMessageService');
+const { cacheMessage } = require('../utils/redisConversationCache');
+const { saveWithRetry } = require('../utils/dbUtils');
+const handoffService = require('./handoffService');
+const conversationEventBus = require('./conversationEventBus');
+
+const SUPPORTED_MEDIA_TYPES = outboundMessageService.MEDIA_TYPES;
+
+class OperatorMessageService {
+
+  // ============================================================================
+  // Public API
+  // ============================================================================
+
+  /**
+   * Deliver an operator message and record it in the conversation
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} payload - Message payload
+   * @param {string} payload.text - Text body (caption when media is sent)
+   * @param {Object} payload.media - { type: 'image'|'video'|'audio'|'document'|'sticker', url, filename }, optional
+   * @param {Object} payload.operator - { id, name } of the human sending the message
+   * @returns {Promise<Object>} { success, message, conversation } or { success: false, error, message }
+   */
+  async sendOperatorMessage(conversationId, { text = '', media = null, operator = {} } = {}) {
+    const validation = this.validatePayload(text, media);
+    if (!validation.success) {
+      return validation;
+    }
+
+    const conversation = await Conversation.findById(conversationId);
+    if (!conversation) {
+      return { success: false, error: 'CONVERSATION_NOT_FOUND', message: 'Conversation not found' };
+    }
+
+    const agent = await Agent.findById(conversation.agentId);
+    if (!agent) {
+      return { success: false, error: 'AGENT_NOT_FOUND', message: 'Agent not found for conversation' };
+    }
+
+    // Operators choose the template themselves (POST /agents/:agentId/templates/:name/send)
+    if (outboundMessageService.isOutsideServiceWindow(agent, conversation)) {
+      return {
+        success: false,
+        error: 'OUTSIDE_SERVICE_WINDOW',
+        message: 'More than 24h since the user\'s last message: only message templates can be sent',
+        data: { lastUserMessageAt: conversation.lastUserMessageAt }
+      };
+    }
+
+    // Stop any AI reply being generated for the messages the operator is answering
+    await handoffService.abortAIProcessing(conversationId);
+
+    const operatorName = operator.name || 'Operator';
+    const timestamp = new Date();
+    const message = new Message({
+      conversationId: conversation._id,
+      sender: 'agent',
+      type: media ? media.type : 'chat',
+      msg_source: outboundMessageService.getProvider(agent, conversation.channel),
+      content: text ? [{ order: 0, content: text }] : [],
+      timestamp,
+      status: 'pending',
+      recipient: 'user',
+      operator: {
+        id: operator.id,
+        name: operatorName,
+        mediaUrl: media ? media.url : undefined
+      }
+    });
+
+    const delivery = await this.deliver(agent, conversation, text, media, message._id.toString());
+
+    if (delivery.success) {
+      message.markDeliveryStatus('sent', { foreignId: delivery.messageId });
+      message.channelData = {
+        channel: delivery.provider,
+        id: delivery.messageId ? String(delivery.messageId) : undefined,
+        response: delivery.data
+      };
+    } else {
+      message.markDeliveryStatus('failed', { error: { title: delivery.error } });
+    }
+
+    await message.save();
+
+    if (!delivery.success) {
+      await Conversation.recordDeliveryStatus(conversation._id, 'failed');
+    }
+
+    cacheMessage(conversation._id.toString(), message).catch(err => {
+      console.warn(`⚠️ Failed to cache operator message in Redis (non-blocking):`, err.message);
+    });
+
+    conversationEventBus.publish('message.created', {
+      conversationId: conversation._id,
+      agentId: agent._id,
+      data: { ...conversationEventBus.messagePayload(message), operator: message.operator }
+    });
+
+    if (delivery.success) {
+      conversation.messageCount = (conversation.messageCount || 0) + 1;
+      conversation.lastMessage = text || `[${media.type}]`;
+      conversation.lastMessageTime = timestamp;
+      conversation.lastMessageSender = { role: 'agent', name: operatorName };
+      conversation.unreadCount = 0; // The operator has seen the conversation
+      await saveWithRetry(conversation, 3);
+      await handoffService.takeOverForOperator(conversation, { id: operator.id, name: operatorName });
+    }
+
+    console.log(`👤 [${conversationId}] Operator message ${message.status}:`, {
+      operator: operatorName,
+      provider: message.msg_source,
+      type: message.type,
+      messageId: message._id.toString()
+    });
+
+    if (!delivery.success) {
+      return {
+        success: false,
+        error: 'DELIVERY_FAILED',
+        message: `Message could not be delivered: ${delivery.error}`,
+        data: message
+      };
+    }
+
+    return { success: true, message, conversation };
+  }
+
+  // ============================================================================
+  // Helpers
+  // ============================================================================
+
+  /**
+   * Validate the request payload
+   * @returns {Object} { success } or { success: false, error, message }
+   */
+  validatePayload(text, media) {
+    if (text !== undefined && typeof text !== 'string') {
+      return { success: false, error: 'VALIDATION_ERROR', message: 'text must be a string' };
+    }
+
+    if (!media && !(text && text.trim())) {
+      return { success: false, error: 'VALIDATION_ERROR', message: 'text or media is required' };
+    }
+
+    if (media) {
+      if (!SUPPORTED_MEDIA_TYPES.includes(media.type)) {
+        return {
+          success: false,
+          error: 'VALIDATION_ERROR',
+          message: `media.type must be one of: ${SUPPORTED_MEDIA_TYPES.join(', ')}`
+        };
+      }
+      if (typeof media.url !== 'string' || !/^https?:\/\//.test(media.url)) {
+        return { success: false, error: 'VALIDATION_ERROR', message: 'media.url must be an http(s) URL' };
+      }
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Send through the conversation's channel (the agent's provider unless the conversation runs on another channel)
+   * @param {Object} agent - Agent document
+   * @param {Object} conversation - Conversation document (recipient and channel)
+   * @param {string} referenceId - Our Message _id, echoed back by UltraMsg in message_ack webhooks
+   * @returns {Promise<Object>} { success, messageId, data } or { success: false, error }
+   */
+  async deliver(agent, conversation, text, media, referenceId = '') {
+    const options = { referenceId, channel: conversation.channel };
+    const result = media
+      ? await outboundMessageService.sendMedia(agent, conversation.phoneNumber, { ...media, caption: text }, options)
+      : await outboundMessageService.sendText(agent, conversation.phoneNumber, text, options);
+
+    if (!result.success) {
+      console.error(`❌ Operator message delivery failed:`, result.error);
+    }
+    return result;
+  }
+}
+
+// Export singleton instance
+const operatorMessageService = new OperatorMessageService();
+
+module.exports = operatorMessageService;
@@ -0,0 +1,197 @@
+/**
+ * services/outboundMessageService.js
+ *
+ * Description: Channel-agnostic outbound messaging (text, media, interactive menus and templates)
+ *
+ * Role in the system: Single entry point for sending to a user. Resolves the agent's channel adapter
+ * (services/channels) so callers send text, images, videos, audio, documents and stickers without
+ * branching on agent.type and get one result shape back. Conversations on another channel than the
+ * agent's own (Conversation.channel, e.g. Telegram) pass it as the `channel` option:
+ * { success, provider, messageId, data } or { success: false, provider, error }. Never throws.
+ * Senders that may run long after the user's last message pass the `conversation` option instead: on
+ * channels with a 24h service window, free-form sends outside it go out as the agent's fallback template
+ * (services/templateMessageService.js) and the result carries `fallbackTemplate`.
+ *
+ * Node.js Context: Service - Outbound message delivery
+ *
+ * Dependencies:
+ * - services/channels/index.js (channel adapter per agent or conversation)
+ * - models/Conversation.js (service window)
+ * - services/templateMessageService.js (service window fallback, loaded lazily: it sends through this service)
+ * - services/whatsappFactoryApiService.js (supported media types)
+ *
+ * Dependants:
+ * - services/sequentialMessageService.js (multi-part Gemini deliveries)
+ * - services/videoPollingWorker.js (video completion notifications)
+ * - services/operatorMessageService.js (human operator messages)
+ * - services/deliveryStatusService.js (retries of failed messages)
+ * - modules/messageQueue.js (AI responses, generated media, audio notifications)
+ * - modules/responsesClient.js (immediate messages)
+ * - services/webGeneratorWorker.js (website generation notifications)
+ * - routes/webhookRoutes.js (payment notifications)
+ * - services/templateMessageService.js (template sends)
+ */
+
+const channelRegistry = require('./channels');
+const Conversation = require('../models/Conversation');
+const { toTextMenu } = require('./channels/interactiveMessage');
+const { MEDIA_TYPES } = require('./whatsappFactoryApiService');
+
+const PROVIDERS = {
+  ULTRAMSG: 'ultramsg',
+  WHATSAPP_FACTORY: 'whatsapp-factory',
+  WHATSAPP_CLOUD: 'whatsapp-cloud',
+  TELEGRAM: 'telegram'
+};
+
+class OutboundMessageService {
+
+  // ============================================================================
+  // Public API
+  // ============================================================================
+
+  /**
+   * Channel used by an agent or one of its conversations (same values as Message.msg_source)
+   * @param {Object} agent - Agent document
+   * @param {string|null} channel - Conversation.channel
+   * @returns {string} Channel name, e.g. 'whatsapp-factory' | 'ultramsg' | 'telegram'
+   */
+  getProvider(agent, channel = null) {
+    return channelRegistry.forConversation(agent, channel).name;
+  }
+
+  /**
+   * Whether free-form messages to this conversation are blocked by the channel's 24h service window
+   * @param {Object} agent - Agent document
+   * @param {Object} conversation - Conversation (channel, lastUserMessageAt)
+   * @returns {boolean}
+   */
+  isOutsideServiceWindow(agent, conversation) {
+    const adapter = channelRegistry.forConversation(agent, conversation.channel);
+    return adapter.hasServiceWindow && !Conversation.isServiceWindowOpen(conversation);
+  }
+
+  /**
+   * Send a text message
+   * @param {Object} agent - Agent with provider credentials
+   * @param {string} to - Phone number (chat id on channels without phone numbers)
+   * @param {string} text - Message body
+   * @param {Object} options - { quotedMessageId, referenceId, channel, conversation }
+   * @returns {Promise<Object>} { success, provider, messageId, data } or { success: false, provider, error }
+   */
+  async sendText(agent, to, text, { quotedMessageId = null, referenceId = '', channel = null, conversation = null } = {}) {
+    if (conversation && this.isOutsideServiceWindow(agent, conversation)) {
+      return this.sendServiceWindowFallback(agent, conversation, text, referenceId);
+    }
+
+    const adapter = channelRegistry.forConversation(agent, conversation ? conversation.channel : channel);
+
+    try {
+      const result = await adapter.sendText(agent, to, text, { quotedMessageId, referenceId });
+      return { success: true, provider: adapter.name, messageId: result.messageId, data: result.data };
+    } catch (error) {
+      console.error(`❌ [OUTBOUND] ${adapter.name} text send failed:`, error.message);
+      return { success: false, provider: adapter.name, error: error.message };
+    }
+  }
+
+  /**
+   * Send an image, video, audio, document or sticker
+   * @param {Object} agent - Agent with provider credentials
+   * @param {string} to - Phone number (chat id on channels without phone numbers)
+   * @param {Object} media - { type, url, caption, filename }
+   * @param {Object} options - { quotedMessageId, referenceId, channel, conversation }
+   * @returns {Promise<Object>} { success, provider, messageId, data } or { success: false, provider, error }
+   */
+  async sendMedia(agent, to, { type, url, caption = '', filename = null }, { quotedMessageId = null, referenceId = '', channel = null, conversation = null } = {}) {
+    // Media cannot go in a template; the fallback carries the caption
+    if (conversation && this.isOutsideServiceWindow(agent, conversation)) {
+      return this.sendServiceWindowFallback(agent, conversation, caption, referenceId);
+    }
+
+    const adapter = channelRegistry.forConversation(agent, conversation ? conversation.channel : channel);
+
+    if (!MEDIA_TYPES.includes(type)) {
+      return { success: false, provider: adapter.name, error: `Unsupported media type: ${type} (supported: ${MEDIA_TYPES.join(', ')})` };
+    }
+
+    try {
+      const result = await adapter.sendMedia(agent, to, { type, url, caption, filename }, { quotedMessageId, referenceId });
+      return { success: true, provider: adapter.name, messageId: result.messageId, data: result.data };
+    } catch (error) {
+      console.error(`❌ [OUTBOUND] ${adapter.name} ${type} send failed:`, error.message);
+      return { success: false, provider: adapter.name, error: error.message };
+    }
+  }
+
+  /**
+   * Send text with reply buttons or a list menu (a numbered text menu on channels that cannot render them)
+   * @param {Object} agent - Agent with provider credentials
+   * @param {string} to - Phone number (chat id on channels without phone numbers)
+   * @param {string} text - Message body
+   * @param {Object} interactive - Normalized menu (services/channels/interactiveMessage.js)
+   * @param {Object} options - { quotedMessageId, referenceId, channel, conversation }
+   * @returns {Promise<Object>} { success, provider, messageId, data, degraded } or { success: false, provider, error }
+   */
+  async sendInteractive(agent, to, text, interactive, { quotedMessageId = null, referenceId = '', channel = null, conversation = null } = {}) {
+    if (conversation && this.isOutsideServiceWindow(agent, conversation)) {
+      const fallback = await this.sendServiceWindowFallback(agent, conversation, toTextMenu(text, interactive), referenceId);
+      return fallback.success ? { ...fallback, degraded: true } : fallback;
+    }
+
+    const adapter = channelRegistry.forConversation(agent, conversation ? conversation.channel : channel);
+
+    try {
+      const result = await adapter.sendInteractive(agent, to, text, interactive, { quotedMessageId, referenceId });
+      return { success: true, provider: adapter.name, messageId: result.messageId, data: result.data, degraded: !!result.degraded };
+    } catch (error) {
+      console.error(`❌ [OUTBOUND] ${adapter.name} ${interactive?.type} menu send failed:`, error.message);
+      return { success: false, provider: adapter.name, error: error.message };
+    }
+  }
+
+  /**
+   * Send an approved message template (channels without templates return an error)
+   * @param {Object} agent - Agent with provider credentials
+   * @param {string} to - Phone number
+   * @param {Object} template - { name, language, components }
+   * @param {Object} options - { referenceId, channel }
+   * @returns {Promise<Object>} { success, provider, messageId, data } or { success: false, provider, error }
+   */
+  async sendTemplate(agent, to, template, { referenceId = '', channel = null } = {}) {
+    const adapter = channelRegistry.forConversation(agent, channel);
+
+    try {
+      const result = await adapter.sendTemplate(agent, to, template, { referenceId });
+      return { success: true, provider: adapter.name, messageId: result.messageId, data: result.data };
+    } catch (error) {
+      console.error(`❌ [OUTBOUND] ${adapter.name} template ${template?.name} send failed:`, error.message);
+      return { success: false, provider: adapter.name, error: error.message };
+    }
+  }
+
+  // ============================================================================
+  // Helpers
+  // ============================================================================
+
+  /**
+   * The agent's fallback template in place of a free-form message outside the service window
+   */
+  async sendServiceWindowFallback(agent, conversation, text, referenceId) {
+    const templateMessageService = require('./templateMessageService');
+
+    try {
+      return await templateMessageService.sendServiceWindowFallback(agent, conversation, text, { referenceId });
+    } catch (error) {
+      console.error(`❌ [OUTBOUND] Service window fallback failed:`, error.message);
+      return { success: false, provider: this.getProvider(agent, conversation.channel), error: error.message };
+    }
+  }
+}
+
+// Export singleton instance
+const outboundMessageService = new OutboundMessageService();
+
+module.exports = outboundMessageService;
+module.exports.MEDIA_TYPES = MEDIA_TYPES;
+module.exports.PROVIDERS = PROVIDERS;
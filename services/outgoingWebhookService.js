@@ -0,0 +1,379 @@
+/**
+ * services/outgoingWebhookService.js
+ *
+ * Description: Outgoing webhooks - notifies our own systems of conversation and payment events
+ *
+ * Role in the system: Listens to the conversation event bus, turns the relevant events into webhook
+ * events and posts them, HMAC-signed, to every subscription of the agent. Each delivery is persisted;
+ * failures are retried with exponential backoff by a polling loop and can be replayed from the admin API.
+ *
+ * Webhook events (source on the event bus):
+ * - conversation.created  ← conversation.created
+ * - ai.reply_sent         ← message.status_changed (AI message sent)
+ * - message.failed        ← message.status_changed (outbound message failed to deliver)
+ * - handoff.requested     ← handoff.changed (ai → human/paused)
+ * - payment.credited      ← payment.credited (MercadoPago top-up approved)
+ * - request.completed     ← request.completed (Gemini image request)
+ *
+ * Signature: X-Webhook-Signature = "sha256=" + HMAC_SHA256(secret, `${X-Webhook-Timestamp}.${rawBody}`)
+ *
+ * Node.js Context: Service - Event bus subscriber + background retry loop
+ *
+ * Dependencies:
+ * - axios (HTTP delivery)
+ * - crypto (HMAC signatures, secrets)
+ * - models/WebhookSubscription.js, models/WebhookDelivery.js
+ * - services/conversationEventBus.js (event source)
+ *
+ * Dependants:
+ * - server.js (start/stop with the server)
+ * - routes/adminApiRoutes.js (subscriptions, delivery log, replay)
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const conversationEventBus = require('./conversationEventBus');
+
+const { WEBHOOK_EVENT_TYPES } = WebhookSubscription;
+
+const DELIVERY_TIMEOUT_MS = Number(process.env.WEBHOOK_DELIVERY_TIMEOUT_MS || 10000);
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6);
+const RETRY_POLL_INTERVAL_MS = Number(process.env.WEBHOOK_RETRY_POLL_MS || 15000);
+const BASE_BACKOFF_MS = 30 * 1000;         // 30s, 1m, 2m, 4m, 8m ...
+const MAX_BACKOFF_MS = 60 * 60 * 1000;     // ... capped at 1h
+const STUCK_DELIVERY_MS = 5 * 60 * 1000;   // 'delivering' for longer than this = sender died mid-request
+const RETRY_BATCH_SIZE = 20;
+
+// Event bus event → webhook event type (null when the event is not forwarded)
+const EVENT_MAPPERS = {
+  'conversation.created': () => 'conversation.created',
+  'message.status_changed': (event) => {
+    if (event.data.status === 'sent' && event.data.sender === 'ai_agent') return 'ai.reply_sent';
+    if (event.data.status === 'failed' && event.data.sender !== 'user') return 'message.failed';
+    return null;
+  },
+  'handoff.changed': (event) =>
+    event.data.mode !== 'ai' && event.data.previousMode === 'ai' ? 'handoff.requested' : null,
+  'payment.credited': () => 'payment.credited',
+  'request.completed': () => 'request.completed'
+};
+
+class OutgoingWebhookService {
+  constructor() {
+    this.isRunning = false;
+    this.unsubscribe = null;
+  }
+
+  // ============================================================================
+  // Lifecycle
+  // ============================================================================
+
+  /**
+   * Subscribe to the event bus and start the retry loop
+   */
+  async start() {
+    if (this.isRunning) {
+      console.log('⚠️ Outgoing webhook service already running');
+      return;
+    }
+
+    this.isRunning = true;
+    this.unsubscribe = conversationEventBus.subscribe({}, (event) => {
+      this.handleBusEvent(event).catch(error => {
+        console.error(`❌ Outgoing webhook fan-out failed for ${event.type}:`, error.message);
+      });
+    });
+    console.log('🔔 Outgoing webhook service started');
+
+    await this.recoverStuckDeliveries();
+
+    while (this.isRunning) {
+      try {
+        await this.processDueDeliveries();
+      } catch (error) {
+        console.error('❌ Outgoing webhook retry loop error:', error.message);
+      }
+      await this.sleep(RETRY_POLL_INTERVAL_MS);
+    }
+
+    console.log('🛑 Outgoing webhook service stopped');
+  }
+
+  async stop() {
+    this.isRunning = false;
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+
+  // ============================================================================
+  // Fan-out
+  // ============================================================================
+
+  /**
+   * Forward a conversation event bus event to the agent's subscribers (if it maps to a webhook event)
+   * @param {Object} event - Event bus event { id, type, timestamp, conversationId, agentId, data }
+   */
+  async handleBusEvent(event) {
+    const mapper = EVENT_MAPPERS[event.type];
+    const webhookEventType = mapper ? mapper(event) : null;
+    if (!webhookEventType || !event.agentId) {
+      return;
+    }
+
+    await this.dispatch(webhookEventType, {
+      eventId: event.id,
+      agentId: event.agentId,
+      conversationId: event.conversationId,
+      data: event.data,
+      occurredAt: event.timestamp
+    });
+  }
+
+  /**
+   * Persist one delivery per matching subscription and send them right away
+   * @param {string} eventType - One of WEBHOOK_EVENT_TYPES
+   * @param {Object} params - { eventId, agentId, conversationId, data, occurredAt }
+   * @returns {Promise<Array>} Created delivery documents
+   */
+  async dispatch(eventType, { eventId, agentId, conversationId = null, data = {}, occurredAt = null }) {
+    if (!WEBHOOK_EVENT_TYPES.includes(eventType)) {
+      throw new Error(`Unknown webhook event type: ${eventType}`);
+    }
+
+    const subscriptions = await WebhookSubscription.findForEvent(agentId, eventType);
+    if (subscriptions.length === 0) {
+      return [];
+    }
+
+    const payload = {
+      id: eventId,
+      type: eventType,
+      createdAt: occurredAt || new Date().toISOString(),
+      agentId: agentId.toString(),
+      conversationId: conversationId ? conversationId.toString() : null,
+      data
+    };
+
+    const deliveries = await WebhookDelivery.insertMany(subscriptions.map(subscription => ({
+      subscriptionId: subscription._id,
+      agentId,
+      conversationId: conversationId || undefined,
+      eventId,
+      eventType,
+      payload,
+      maxAttempts: MAX_ATTEMPTS
+    })));
+
+    console.log(`🔔 Webhook ${eventType} queued for ${deliveries.length} subscriber(s) of agent ${agentId}`);
+
+    // First attempt inline (not awaited by the publisher); failures are left to the retry loop
+    for (const delivery of deliveries) {
+      this.sendNow(delivery._id).catch(error => {
+        console.error(`❌ Webhook delivery ${delivery._id} failed:`, error.message);
+      });
+    }
+
+    return deliveries;
+  }
+
+  // ============================================================================
+  // Delivery
+  // ============================================================================
+
+  /**
+   * Claim a pending delivery and attempt it immediately
+   * @param {string} deliveryId - WebhookDelivery ID
+   * @returns {Promise<Object|null>} Updated delivery, or null if another sender claimed it
+   */
+  async sendNow(deliveryId) {
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { _id: deliveryId, status: 'pending' },
+      { $set: { status: 'delivering' } },
+      { new: true }
+    );
+
+    return delivery ? this.attempt(delivery) : null;
+  }
+
+  /**
+   * Retry every delivery whose nextAttemptAt is due
+   * @returns {Promise<number>} Number of deliveries attempted
+   */
+  async processDueDeliveries() {
+    let processed = 0;
+
+    while (this.isRunning && processed < RETRY_BATCH_SIZE) {
+      const delivery = await WebhookDelivery.claimNextDue();
+      if (!delivery) {
+        break;
+      }
+      await this.attempt(delivery);
+      processed++;
+    }
+
+    return processed;
+  }
+
+  /**
+   * POST a claimed delivery to its subscriber and record the outcome
+   * @param {Object} delivery - WebhookDelivery document in 'delivering' status
+   * @returns {Promise<Object>} Updated delivery
+   */
+  async attempt(delivery) {
+    const subscription = await WebhookSubscription.findById(delivery.subscriptionId).select('+secret');
+
+    if (!subscription || !subscription.isActive) {
+      delivery.status = 'failed';
+      delivery.lastError = subscription ? 'Subscription is disabled' : 'Subscription was deleted';
+      delivery.nextAttemptAt = null;
+      await delivery.save();
+      return delivery;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const startedAt = Date.now();
+    let responseStatus = null;
+    let error = null;
+
+    try {
+      const response = await axios.post(subscription.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'chatbot-webhooks/1.0',
+          'X-Webhook-Event': delivery.eventType,
+          'X-Webhook-Delivery': delivery._id.toString(),
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': `sha256=${this.sign(subscription.secret, timestamp, body)}`
+        },
+        timeout: DELIVERY_TIMEOUT_MS,
+        maxRedirects: 0,
+        validateStatus: () => true
+      });
+
+      responseStatus = response.status;
+      if (response.status < 200 || response.status >= 300) {
+        error = `Subscriber answered HTTP ${response.status}`;
+      }
+    } catch (requestError) {
+      error = requestError.code ? `${requestError.code}: ${requestError.message}` : requestError.message;
+    }
+
+    const durationMs = Date.now() - startedAt;
+    delivery.attempts += 1;
+    delivery.responseStatus = responseStatus;
+    delivery.attemptLog.push({ attemptedAt: new Date(startedAt), responseStatus, error, durationMs });
+
+    if (!error) {
+      delivery.status = 'delivered';
+      delivery.deliveredAt = new Date();
+      delivery.lastError = undefined;
+      delivery.nextAttemptAt = null;
+    } else if (delivery.attempts >= delivery.maxAttempts) {
+      delivery.status = 'failed';
+      delivery.lastError = error.substring(0, 1000);
+      delivery.nextAttemptAt = null;
+    } else {
+      delivery.status = 'retrying';
+      delivery.lastError = error.substring(0, 1000);
+      delivery.nextAttemptAt = new Date(Date.now() + this.getBackoffMs(delivery.attempts));
+    }
+
+    await delivery.save();
+
+    if (delivery.status !== 'retrying') {
+      await WebhookSubscription.updateOne(
+        { _id: subscription._id },
+        { $set: { lastDeliveryAt: new Date(), lastDeliveryStatus: delivery.status } }
+      );
+    }
+
+    const icon = delivery.status === 'delivered' ? '✅' : delivery.status === 'retrying' ? '🔁' : '❌';
+    console.log(`${icon} Webhook ${delivery.eventType} → ${subscription.url}: ${delivery.status}`, {
+      deliveryId: delivery._id.toString(),
+      attempt: delivery.attempts,
+      responseStatus,
+      durationMs,
+      error: error || undefined,
+      nextAttemptAt: delivery.nextAttemptAt || undefined
+    });
+
+    return delivery;
+  }
+
+  /**
+   * Send a delivery again with the same payload, whatever its current status
+   * @param {string} deliveryId - WebhookDelivery ID
+   * @returns {Promise<Object>} { success, delivery } or { success: false, error, message }
+   */
+  async replay(deliveryId) {
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { _id: deliveryId, status: { $ne: 'delivering' } },
+      {
+        $set: { status: 'delivering', attempts: 0, nextAttemptAt: new Date() },
+        $inc: { replayCount: 1 }
+      },
+      { new: true }
+    );
+
+    if (!delivery) {
+      const exists = await WebhookDelivery.exists({ _id: deliveryId });
+      return exists
+        ? { success: false, error: 'DELIVERY_IN_PROGRESS', message: 'Delivery is being sent right now' }
+        : { success: false, error: 'DELIVERY_NOT_FOUND', message: 'Webhook delivery not found' };
+    }
+
+    console.log(`🔁 Replaying webhook delivery ${deliveryId} (${delivery.eventType})`);
+    return { success: true, delivery: await this.attempt(delivery) };
+  }
+
+  /**
+   * Deliveries left in 'delivering' by a crashed process go back to the retry queue
+   */
+  async recoverStuckDeliveries() {
+    const result = await WebhookDelivery.updateMany(
+      { status: 'delivering', updatedAt: { $lt: new Date(Date.now() - STUCK_DELIVERY_MS) } },
+      { $set: { status: 'retrying', nextAttemptAt: new Date() } }
+    );
+
+    if (result.modifiedCount > 0) {
+      console.log(`🔄 Recovered ${result.modifiedCount} stuck webhook deliveries`);
+    }
+  }
+
+  // ============================================================================
+  // Helpers
+  // ============================================================================
+
+  /**
+   * HMAC SHA-256 of `${timestamp}.${body}` (hex)
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Delay before the next attempt after `attempts` failed attempts
+   */
+  getBackoffMs(attempts) {
+    return Math.min(BASE_BACKOFF_MS * Math.pow(2, attempts - 1), MAX_BACKOFF_MS);
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+// Export singleton instance
+const outgoingWebhookService = new OutgoingWebhookService();
+
+module.exports = outgoingWebhookService;
+module.exports.WEBHOOK_EVENT_TYPES = WEBHOOK_EVENT_TYPES;
@@ -1,13 +1,13 @@
 // services/providerDetector.js
 /**
- * Servicio para detectar el proveedor de mensajes WhatsApp y webhooks de pago
- * Determina si un mensaje proviene de UltraMessage, WhatsApp Factory API o MercadoPago
+ * Servicio para detectar webhooks de pago que llegan al endpoint de mensajería
+ * Los canales de mensajería (UltraMessage, WhatsApp Factory...) se detectan en services/channels
  */
 
 /**
- * Detecta el proveedor basado en la estructura del mensaje
+ * Detecta el proveedor de pagos basado en la estructura de la notificación
  * @param {Object} req - Request object con headers y body
- * @returns {string} - 'ultramsg' | 'whatsapp-factory' | 'mercadopago'
+ * @returns {string|null} - 'mercadopago' | null (no es una notificación de pago)
  */
 function detectProvider(req) {
   const { headers, body } = req;
@@ -30,56 +30,8 @@ function detectProvider(req) {
     return 'mercadopago';
   }
   
-  // Detectar WhatsApp Factory API
-  // Características distintivas:
-  // 1. Headers específicos de WhatsApp Factory
-  if (headers['x-whatsapp-event-id'] || headers['x-whatsapp-phone-number-id']) {
-    return 'whatsapp-factory';
-  }
-  
-  // 2. Estructura típica de WhatsApp Business API
-  if (body && body.object === 'whatsapp_business_account' && body.entry) {
-    return 'whatsapp-factory';
-  }
-  
-  // 3. Metadata específica de WhatsApp Factory
-  if (body && body.metadata && body.metadata.phoneNumberId && body.metadata.eventId) {
-    return 'whatsapp-factory';
-  }
-  
-  // Detectar UltraMessage
-  // Características distintivas:
-  // 1. Estructura típica de UltraMessage
-  if (body && body.event_type && body.instanceId && body.data) {
-    return 'ultramsg';
-  }
-  
-  // 2. Campos específicos de UltraMessage en data
-  if (body && body.data && body.data.from && body.data.pushname && body.data.type) {
-    return 'ultramsg';
-  }
-  
-  // Por defecto, asumimos UltraMessage para mantener compatibilidad
-  console.warn('No se pudo detectar el proveedor específico, asumiendo UltraMessage');
-  return 'ultramsg';
-}
-
-/**
- * Verifica si un mensaje es de WhatsApp Factory
- * @param {Object} req - Request object
- * @returns {boolean}
- */
-function isWhatsAppFactory(req) {
-  return detectProvider(req) === 'whatsapp-factory';
-}
-
-/**
- * Verifica si un mensaje es de UltraMessage
- * @param {Object} req - Request object
- * @returns {boolean}
- */
-function isUltraMessage(req) {
-  return detectProvider(req) === 'ultramsg';
+  // Los proveedores de mensajería los detectan sus adaptadores (services/channels)
+  return null;
 }
 
 /**
@@ -93,7 +45,5 @@ function isMercadoPago(req) {
 
 module.exports = {
   detectProvider,
-  isWhatsAppFactory,
-  isUltraMessage,
   isMercadoPago
 };
\ No newline at end of file
@@ -0,0 +1,235 @@
+/**
+ * services/responseValidationService.js
+ *
+ * Description: Validation and repair of AI responses before they are sent to the user
+ *
+ * Role in the system: messageQueue only sends responses that parse as JSON and match the agent's
+ * responseSchema. An invalid or truncated output (finish_reason 'length') gets a bounded number of repair
+ * requests to the agent's models (the raw output plus the validation errors, asking for the same answer in
+ * the right format). When repairs are exhausted or fail, the agent's fallback message is sent instead of
+ * dropping the turn. Every invalid output is kept with its raw payload for AIRequest.responseValidation.
+ *
+ * Node.js Context: Service - AI response validation (structured output contract)
+ *
+ * Dependencies:
+ * - utils/jsonSchemaValidator.js (schema validation)
+ * - services/llm (repair requests through the agent's model chain)
+ *
+ * Dependants:
+ * - modules/messageQueue.js (executeQueueProcessing, before the AI message is saved and sent)
+ * - services/llm/mockProvider.js (repair requests continue the scripted turn)
+ */
+
+const { validate } = require('../utils/jsonSchemaValidator');
+const llmRegistry = require('./llm');
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+// Repair requests per turn (Agent.responseValidationConfig.repairAttempts overrides, 0 = straight to fallback)
+const DEFAULT_REPAIR_ATTEMPTS = parseInt(process.env.RESPONSE_REPAIR_ATTEMPTS || '1', 10);
+
+const DEFAULT_FALLBACK_MESSAGE = 'Perdón, tuve un problema para armar la respuesta. ¿Me lo podés repetir en un ratito?';
+
+const MAX_RAW_CONTENT_LENGTH = 100000;  // Raw payload stored per invalid output
+const MAX_REPORTED_ERRORS = 20;         // Validation errors sent to the model and stored
+
+// First message of every repair request (services/llm/mockProvider.js recognizes repairs by it)
+const REPAIR_INSTRUCTIONS = 'Tu respuesta anterior no se pudo usar porque no cumple el formato de respuesta requerido (JSON Schema). ' +
+  'Devolvé la misma respuesta corregida como un único objeto JSON válido que cumpla el schema: mismo contenido y mismo mensaje para el usuario, ' +
+  'sin texto antes ni después. Si la respuesta estaba cortada, completala de forma breve.';
+
+class ResponseValidationService {
+
+  // ============================================================================
+  // Parsing & Validation
+  // ============================================================================
+
+  /**
+   * Parse model output; several JSON objects separated by newlines resolve to the last one
+   * (the model sometimes streams more than one response object in a turn, see BUG_FIX_JSON_PARSING.md)
+   * @param {string} content - Raw model output
+   * @param {string} conversationId - For logs
+   * @returns {Object} { value } or { error }
+   */
+  parse(content, conversationId = null) {
+    try {
+      return { value: JSON.parse(content) };
+    } catch (jsonError) {
+      const lines = (content || '').trim().split('\n').filter(line => line.trim().length > 0);
+      if (lines.length <= 1) {
+        return { error: jsonError.message };
+      }
+
+      const parsedObjects = [];
+      for (const line of lines) {
+        try {
+          parsedObjects.push(JSON.parse(line));
+        } catch (lineError) {
+          console.warn(`⚠️ [${conversationId}] Skipping invalid JSON line:`, line.substring(0, 100));
+        }
+      }
+
+      if (parsedObjects.length === 0) {
+        return { error: jsonError.message };
+      }
+
+      console.log(`📦 [${conversationId}] Found ${parsedObjects.length} JSON objects in the AI response, using the LAST one (most recent)`);
+      return { value: parsedObjects[parsedObjects.length - 1] };
+    }
+  }
+
+  /**
+   * Errors of a parsed response against the agent schema and what the message pipeline reads
+   * @param {*} value - Parsed response
+   * @param {Object} responseSchema - Agent.responseSchema ({ name, strict, schema })
+   * @returns {Array<Object>} { path, message } errors (empty when valid)
+   */
+  validate(value, responseSchema) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      return [{ path: '$', message: 'must be a JSON object' }];
+    }
+
+    const errors = responseSchema?.schema ? validate(value, responseSchema.schema) : [];
+
+    // modules/messageQueue.js sends response.message to response.recipient
+    if (!value.response || typeof value.response !== 'object') {
+      if (!errors.some(error => error.path === '$.response')) {
+        errors.push({ path: '$.response', message: 'is required by the message pipeline' });
+      }
+    } else if (typeof value.response.message !== 'string') {
+      if (!errors.some(error => error.path === '$.response.message')) {
+        errors.push({ path: '$.response.message', message: 'must be a string' });
+      }
+    }
+
+    return errors.slice(0, MAX_REPORTED_ERRORS);
+  }
+
+  /**
+   * Parse + validate one model output
+   * @returns {Object} { value, errors }
+   */
+  inspect(content, finishReason, responseSchema, conversationId) {
+    const parsed = this.parse(content, conversationId);
+
+    if (parsed.error) {
+      const truncated = finishReason === 'length' ? ', output cut at max_completion_tokens' : '';
+      return { value: null, errors: [{ path: '$', message: `invalid JSON (${parsed.error})${truncated}` }] };
+    }
+
+    return { value: parsed.value, errors: this.validate(parsed.value, responseSchema) };
+  }
+
+  // ============================================================================
+  // Resolution: valid → repaired → fallback
+  // ============================================================================
+
+  /**
+   * The response to send for an AI turn
+   * @param {Object} agent - Agent (responseSchema, modelConfig, responseValidationConfig)
+   * @param {Object} result - AI processing result ({ content, finishReason })
+   * @param {Object} options - { conversationId, signal: AbortSignal of the turn }
+   * @returns {Promise<Object>} { response: parsed response object, validation: AIRequest.responseValidation }
+   */
+  async resolve(agent, result, { conversationId = null, signal = null } = {}) {
+    const maxAttempts = agent.responseValidationConfig?.repairAttempts ?? DEFAULT_REPAIR_ATTEMPTS;
+    const invalidOutputs = [];
+
+    let content = result.content;
+    let finishReason = result.finishReason;
+    let check = this.inspect(content, finishReason, agent.responseSchema, conversationId);
+
+    if (check.errors.length === 0) {
+      return { response: check.value, validation: { status: 'valid', repairAttempts: 0, invalidOutputs } };
+    }
+
+    invalidOutputs.push(this.describeInvalidOutput('model', content, finishReason, check.errors));
+    console.warn(`⚠️ [${conversationId}] AI response failed validation:`, check.errors.slice(0, 5));
+
+    let repairAttempts = 0;
+    while (repairAttempts < maxAttempts && !signal?.aborted) {
+      repairAttempts++;
+
+      try {
+        ({ content, finishReason } = await this.repair(agent, content, check.errors, { conversationId, signal }));
+      } catch (error) {
+        console.error(`❌ [${conversationId}] Response repair request ${repairAttempts} failed:`, error.message);
+        break;
+      }
+
+      check = this.inspect(content, finishReason, agent.responseSchema, conversationId);
+      if (check.errors.length === 0) {
+        console.log(`🩹 [${conversationId}] AI response repaired after ${repairAttempts} attempt(s)`);
+        return { response: check.value, validation: { status: 'repaired', repairAttempts, invalidOutputs } };
+      }
+
+      invalidOutputs.push(this.describeInvalidOutput('repair', content, finishReason, check.errors));
+      console.warn(`⚠️ [${conversationId}] Repaired AI response still invalid (attempt ${repairAttempts}):`, check.errors.slice(0, 5));
+    }
+
+    console.error(`❌ [${conversationId}] AI response could not be repaired - sending the agent fallback message`);
+    return {
+      response: this.buildFallbackResponse(agent),
+      validation: { status: 'fallback', repairAttempts, invalidOutputs }
+    };
+  }
+
+  /**
+   * Ask the agent's models for the same answer in the right format
+   * @returns {Promise<Object>} { content, finishReason }
+   */
+  async repair(agent, content, errors, { conversationId, signal }) {
+    const { response } = await llmRegistry.createChatCompletion(
+      llmRegistry.getTargets(agent.modelConfig),
+      {
+        messages: [
+          { role: 'system', content: REPAIR_INSTRUCTIONS },
+          { role: 'user', content: JSON.stringify({ invalid_output: (content || '').substring(0, MAX_RAW_CONTENT_LENGTH), errors }, null, 2) }
+        ],
+        response_format: { type: 'json_schema', json_schema: agent.responseSchema },
+        stream: false
+      },
+      { signal, conversationId }
+    );
+
+    const choice = response.choices?.[0];
+    return { content: choice?.message?.content || '', finishReason: choice?.finish_reason || null };
+  }
+
+  /**
+   * Response object carrying the agent's fallback message
+   */
+  buildFallbackResponse(agent) {
+    return {
+      thinking: '',
+      response: {
+        recipient: 'user',
+        message: agent.responseValidationConfig?.fallbackMessage || DEFAULT_FALLBACK_MESSAGE,
+        interactive: null
+      },
+      ai_system_message: null,
+      images_observed: []
+    };
+  }
+
+  /**
+   * AIRequest.responseValidation.invalidOutputs entry (raw payload for debugging)
+   */
+  describeInvalidOutput(source, content, finishReason, errors) {
+    const rawContent = content || '';
+    return {
+      source,
+      finishReason: finishReason || null,
+      validationErrors: errors,
+      rawContent: rawContent.substring(0, MAX_RAW_CONTENT_LENGTH),
+      rawContentLength: rawContent.length
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new ResponseValidationService();
+module.exports.REPAIR_INSTRUCTIONS = REPAIR_INSTRUCTIONS;
+module.exports.DEFAULT_FALLBACK_MESSAGE = DEFAULT_FALLBACK_MESSAGE;
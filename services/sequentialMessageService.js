@@ -1,22 +1,22 @@
 /**
  * services/sequentialMessageService.js
  * 
- * Description: Sequential message delivery service for multiple Gemini outputs via UltraMsg
+ * Description: Sequential message delivery service for multiple Gemini outputs (UltraMsg and WhatsApp Factory)
  * 
  * Role in the system: Handles sequential delivery of multiple images + text responses from Gemini to WhatsApp
  * 
  * Node.js Context: Service - Specialized service for multi-part message delivery with proper timing
  * 
  * Dependencies:
- * - services/ultramsgService.js (WhatsApp message sending)
- * - Delays and rate limiting for optimal UltraMsg delivery
+ * - services/outboundMessageService.js (provider-agnostic text/image sending)
+ * - Delays and rate limiting for optimal provider delivery
  * 
  * Dependants:
  * - modules/messageQueue.js (processes Gemini results)
  * - modules/openaiIntegration.js (handles tool outputs)
  */
 
-const ultramsgService = require('./ultramsgService');
+const outboundMessageService = require('./outboundMessageService');
 
 class SequentialMessageService {
   constructor() {
@@ -27,17 +27,20 @@ class SequentialMessageService {
   }
 
   /**
-   * Send multiple Gemini results sequentially via UltraMsg
-   * @param {Object} agent - Agent with UltraMsg credentials
+   * Send multiple Gemini results sequentially through the agent's provider
+   * @param {Object} agent - Agent with provider credentials
    * @param {string} phoneNumber - Target phone number
    * @param {Object} geminiResults - Results from Gemini with multiple images/text
    * @param {string} requestId - Request ID for logging
-   * @returns {Array} Array of delivery results
+   * @param {Object} options - { referenceId } attached to the first part (our Message _id, for delivery receipts),
+   *   { channel } of the conversation when it is not the agent's own channel
+   * @returns {Array} Array of delivery results ({ type, result: { success, provider, messageId, data, error } })
    */
-  async sendMultipleGeminiResults(agent, phoneNumber, geminiResults, requestId) {
+  async sendMultipleGeminiResults(agent, phoneNumber, geminiResults, requestId, { referenceId = '', channel = null } = {}) {
     console.log(`📤 [${requestId}] Starting sequential delivery`, {
       phoneNumber,
       agentId: agent.id,
+      provider: outboundMessageService.getProvider(agent, channel),
       imageCount: geminiResults.generatedImages.length,
       hasTextResponse: !!geminiResults.textResponse,
       totalParts: geminiResults.conversationParts?.length || 0
@@ -51,7 +54,7 @@ class SequentialMessageService {
         console.log(`📝 [${requestId}] Sending text-only response`);
         
         const result = await this.sendWithRetry(
-          () => ultramsgService.sendUltraMsg(agent, phoneNumber, geminiResults.textResponse),
+          () => outboundMessageService.sendText(agent, phoneNumber, geminiResults.textResponse, { referenceId, channel }),
           requestId,
           'text-only'
         );
@@ -88,7 +91,7 @@ class SequentialMessageService {
               caption = generatedImage.associatedText;
             }
             
-            // Use external URL for UltraMsg (better for WhatsApp delivery)
+            // Use external URL (providers download the file from it)
             const imageUrl = generatedImage.externalUrl || generatedImage.downloadUrl;
             
             console.log(`📸 [${requestId}] Sending image ${index + 1}/${sortedImages.length}`, {
@@ -99,7 +102,12 @@ class SequentialMessageService {
             });
             
             const result = await this.sendWithRetry(
-              () => ultramsgService.sendUltraMsgImage(agent, phoneNumber, imageUrl, caption),
+              () => outboundMessageService.sendMedia(
+                agent,
+                phoneNumber,
+                { type: 'image', url: imageUrl, caption },
+                { referenceId: index === 0 ? referenceId : '', channel }
+              ),
               requestId,
               `image-${index + 1}`
             );
@@ -127,7 +135,7 @@ class SequentialMessageService {
               type: 'image',
               imageFileId: generatedImage.fileId,
               error: imageError.message,
-              result: { sent: 'false', error: imageError.message },
+              result: { success: false, error: imageError.message },
               order: index
             });
           }
@@ -139,7 +147,7 @@ class SequentialMessageService {
         console.log(`📝 [${requestId}] Sending remaining text response`);
         
         const result = await this.sendWithRetry(
-          () => ultramsgService.sendUltraMsg(agent, phoneNumber, geminiResults.textResponse),
+          () => outboundMessageService.sendText(agent, phoneNumber, geminiResults.textResponse, { channel }),
           requestId,
           'remaining-text'
         );
@@ -152,7 +160,7 @@ class SequentialMessageService {
         });
       }
 
-      const successCount = deliveries.filter(d => d.result.sent === 'true').length;
+      const successCount = deliveries.filter(d => d.result.success).length;
       console.log(`✅ [${requestId}] Sequential delivery completed`, {
         totalDeliveries: deliveries.length,
         successful: successCount,
@@ -167,7 +175,7 @@ class SequentialMessageService {
       deliveries.push({
         type: 'error',
         error: error.message,
-        result: { sent: 'false', error: error.message },
+        result: { success: false, error: error.message },
         order: 0
       });
       
@@ -191,11 +199,11 @@ class SequentialMessageService {
         
         const result = await sendFunction();
         
-        if (result.sent === 'true') {
+        if (result.success) {
           console.log(`✅ [${requestId}] ${messageType} sent successfully on attempt ${attempt}`);
           return result;
         } else {
-          throw new Error(result.message || 'Unknown send error');
+          throw new Error(result.error || 'Unknown send error');
         }
         
       } catch (error) {
@@ -211,12 +219,12 @@ class SequentialMessageService {
     
     // All retries failed
     console.error(`❌ [${requestId}] ${messageType} failed after ${this.MAX_RETRIES + 1} attempts:`, lastError.message);
-    return { sent: 'false', message: lastError.message, error: lastError.message };
+    return { success: false, error: lastError.message };
   }
 
   /**
    * Send simple text message (helper for backward compatibility)
-   * @param {Object} agent - Agent with UltraMsg credentials
+   * @param {Object} agent - Agent with provider credentials
    * @param {string} phoneNumber - Target phone number
    * @param {string} textMessage - Text message to send
    * @param {string} requestId - Request ID for logging
@@ -229,7 +237,7 @@ class SequentialMessageService {
     });
     
     return await this.sendWithRetry(
-      () => ultramsgService.sendUltraMsg(agent, phoneNumber, textMessage),
+      () => outboundMessageService.sendText(agent, phoneNumber, textMessage),
       requestId,
       'simple-text'
     );
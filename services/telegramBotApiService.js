@@ -0,0 +1,243 @@
+/**
+ * services/telegramBotApiService.js
+ *
+ * Description: Telegram Bot API client: sends, inline keyboards, file download and webhook registration
+ *
+ * Role in the system: HTTP layer for the Telegram channel. Telegram is an extra channel of an existing
+ * agent: the bot credentials live in Agent.telegram ({ botToken, botId, botUsername, webhookSecret }),
+ * independent of the agent's WhatsApp provider.
+ *
+ * Node.js Context: Service - external API integration
+ *
+ * Dependencies:
+ * - axios (HTTP client)
+ *
+ * Dependants:
+ * - services/channels/telegramAdapter.js (Telegram channel)
+ * - tools/setupTelegramBot.js (bot connection and webhook registration)
+ */
+
+const axios = require('axios');
+
+const API_BASE_URL = process.env.TELEGRAM_API_URL || 'https://api.telegram.org';
+const REQUEST_TIMEOUT_MS = Number(process.env.TELEGRAM_TIMEOUT_MS || 15000);
+
+// Outbound media type → Bot API method and field
+const MEDIA_METHODS = {
+  image: { method: 'sendPhoto', field: 'photo' },
+  video: { method: 'sendVideo', field: 'video' },
+  audio: { method: 'sendAudio', field: 'audio' },
+  document: { method: 'sendDocument', field: 'document' },
+  sticker: { method: 'sendSticker', field: 'sticker' }
+};
+
+// Telegram rejects longer text messages
+const MAX_TEXT_LENGTH = 4096;
+
+// Inline keyboard callback_data limit, in bytes
+const MAX_CALLBACK_DATA_BYTES = 64;
+
+// ============================================================================
+// HTTP Client
+// ============================================================================
+
+function getBotToken(agent) {
+  const botToken = agent.telegram?.botToken;
+  if (!botToken) {
+    throw new Error('Telegram bot token not configured for this agent');
+  }
+  return botToken;
+}
+
+/**
+ * Call a Bot API method (every method answers { ok, result } or { ok: false, error_code, description })
+ * @param {string} botToken - Bot token from @BotFather
+ * @param {string} method - Bot API method, e.g. 'sendMessage'
+ * @param {Object} params - Method parameters
+ * @returns {Promise<Object>} Method result
+ */
+async function callApi(botToken, method, params = {}) {
+  try {
+    const response = await axios.post(`${API_BASE_URL}/bot${botToken}/${method}`, params, {
+      timeout: REQUEST_TIMEOUT_MS
+    });
+    return response.data.result;
+
+  } catch (error) {
+    const description = error.response?.data?.description || error.message;
+
+    // Never log the URL, it contains the bot token
+    console.error(`❌ Telegram Bot API ${method} failed:`, {
+      error: description,
+      status: error.response?.status
+    });
+
+    throw new Error(`Telegram Bot API error: ${description}`);
+  }
+}
+
+/**
+ * "<chatId>:<messageId>" (our msg_foreign_id) → Telegram message_id
+ */
+function toTelegramMessageId(foreignId) {
+  if (!foreignId) {
+    return null;
+  }
+  const messageId = Number(String(foreignId).split(':').pop());
+  return Number.isInteger(messageId) ? messageId : null;
+}
+
+function replyParameters(quotedMessageId) {
+  const messageId = toTelegramMessageId(quotedMessageId);
+  return messageId ? { reply_parameters: { message_id: messageId, allow_sending_without_reply: true } } : {};
+}
+
+// ============================================================================
+// Outbound Messages
+// ============================================================================
+
+/**
+ * Send a text message (plain text, no parse mode: AI responses use WhatsApp formatting)
+ * @param {Object} agent - Agent with telegram.botToken
+ * @param {string} chatId - Telegram chat id
+ * @param {string} text - Message body
+ * @param {Object} options - { quotedMessageId }
+ * @returns {Promise<Object>} { success, data, messageId: "<chatId>:<messageId>" }
+ */
+async function sendTextMessage(agent, chatId, text, { quotedMessageId = null, replyMarkup = null } = {}) {
+  const result = await callApi(getBotToken(agent), 'sendMessage', {
+    chat_id: chatId,
+    text: text.length > MAX_TEXT_LENGTH ? `${text.substring(0, MAX_TEXT_LENGTH - 1)}…` : text,
+    ...replyParameters(quotedMessageId),
+    ...(replyMarkup ? { reply_markup: replyMarkup } : {})
+  });
+
+  return { success: true, data: result, messageId: `${result.chat.id}:${result.message_id}` };
+}
+
+/**
+ * Send text with an inline keyboard, one option per row; a tap arrives as a callback_query whose data is the option id
+ * @param {Object} interactive - Normalized menu { type, buttonText, options: [{ id, title }] }
+ */
+async function sendInteractiveMessage(agent, chatId, text, interactive, { quotedMessageId = null } = {}) {
+  const tooLong = interactive.options.find(option => Buffer.byteLength(option.id) > MAX_CALLBACK_DATA_BYTES);
+  if (tooLong) {
+    throw new Error(`Option id "${tooLong.id}" exceeds the ${MAX_CALLBACK_DATA_BYTES}-byte callback_data limit`);
+  }
+
+  const replyMarkup = {
+    inline_keyboard: interactive.options.map(option => [{ text: option.title, callback_data: option.id }])
+  };
+
+  return sendTextMessage(agent, chatId, text, { quotedMessageId, replyMarkup });
+}
+
+/**
+ * Stop the client's loading indicator on a tapped inline button (Telegram expects it within seconds)
+ * @param {Object} agent - Agent with telegram.botToken
+ * @param {string} callbackQueryId - callback_query.id from the update
+ */
+async function answerCallbackQuery(agent, callbackQueryId) {
+  return callApi(getBotToken(agent), 'answerCallbackQuery', { callback_query_id: callbackQueryId });
+}
+
+/**
+ * Send an image, video, audio, document or sticker by public URL (Telegram fetches it)
+ * @param {Object} media - { type, url, caption, filename }
+ */
+async function sendMediaMessage(agent, chatId, { type, url, caption = '' }, { quotedMessageId = null } = {}) {
+  const target = MEDIA_METHODS[type];
+  if (!target) {
+    throw new Error(`Unsupported media type: ${type} (supported: ${Object.keys(MEDIA_METHODS).join(', ')})`);
+  }
+
+  const params = {
+    chat_id: chatId,
+    [target.field]: url,
+    ...replyParameters(quotedMessageId)
+  };
+  if (caption && type !== 'sticker') {
+    params.caption = caption.substring(0, 1024);
+  }
+
+  const result = await callApi(getBotToken(agent), target.method, params);
+  return { success: true, data: result, messageId: `${result.chat.id}:${result.message_id}` };
+}
+
+// ============================================================================
+// Files
+// ============================================================================
+
+/**
+ * Download an inbound file by file_id (getFile → file path → download, files up to 20 MB)
+ * @param {Object} agent - Agent with telegram.botToken
+ * @param {string} fileId - file_id from the update
+ * @param {string} mimeType - MIME type from the update (Telegram serves files as octet-stream)
+ * @returns {Promise<{buffer: Buffer, contentType: string}>}
+ */
+async function downloadFile(agent, fileId, mimeType = null) {
+  const botToken = getBotToken(agent);
+  const file = await callApi(botToken, 'getFile', { file_id: fileId });
+
+  try {
+    const response = await axios.get(`${API_BASE_URL}/file/bot${botToken}/${file.file_path}`, {
+      responseType: 'arraybuffer',
+      timeout: Number(process.env.MEDIA_DOWNLOAD_TIMEOUT_MS || 15000)
+    });
+
+    return {
+      buffer: Buffer.from(response.data),
+      contentType: mimeType || response.headers['content-type'] || 'application/octet-stream'
+    };
+
+  } catch (error) {
+    console.error('❌ Error downloading file from Telegram:', {
+      error: error.message,
+      status: error.response?.status,
+      fileId
+    });
+
+    throw new Error(`Failed to download Telegram file: ${error.message}`);
+  }
+}
+
+// ============================================================================
+// Bot Setup
+// ============================================================================
+
+/**
+ * Bot identity (validates the token)
+ * @returns {Promise<Object>} { id, username, first_name, ... }
+ */
+async function getMe(botToken) {
+  return callApi(botToken, 'getMe');
+}
+
+/**
+ * Point the bot's webhook at our endpoint; Telegram echoes secretToken in X-Telegram-Bot-Api-Secret-Token
+ * @param {string} botToken - Bot token
+ * @param {string} url - Public webhook URL
+ * @param {string} secretToken - Shared secret (1-256 chars of A-Z, a-z, 0-9, _ and -)
+ */
+async function setWebhook(botToken, url, secretToken) {
+  return callApi(botToken, 'setWebhook', {
+    url,
+    secret_token: secretToken,
+    allowed_updates: ['message', 'callback_query'],
+    drop_pending_updates: false
+  });
+}
+
+module.exports = {
+  callApi,
+  sendTextMessage,
+  sendMediaMessage,
+  sendInteractiveMessage,
+  answerCallbackQuery,
+  downloadFile,
+  getMe,
+  setWebhook,
+  toTelegramMessageId,
+  MEDIA_METHODS,
+  MAX_CALLBACK_DATA_BYTES
+};
@@ -0,0 +1,397 @@
+/**
+ * services/templateMessageService.js
+ *
+ * Description: Approved message templates (HSM): per-agent definitions, rendering and sending
+ *
+ * Role in the system: WhatsApp Business only allows free-form messages within 24h of the user's last
+ * message (Conversation.lastUserMessageAt); outside that window a conversation can only be reopened with
+ * an approved template. Agents declare their templates in Agent.templates ({ name, language, body with
+ * {{1}}..., named variables }); this service validates the definitions, renders them into the Cloud API
+ * components plus the text stored as the message content, and sends them:
+ * - sendTemplate / sendTemplateToNumber: explicit sends (external API, tools/templateAdmin.js, campaigns)
+ * - sendServiceWindowFallback: the agent's fallback template, sent by outboundMessageService instead of a
+ *   free-form message that falls outside the window (e.g. a late video completion)
+ *
+ * Node.js Context: Service - Template delivery + Message/Conversation persistence
+ *
+ * Dependencies:
+ * - services/outboundMessageService.js (template delivery)
+ * - services/channels/index.js (template support per channel)
+ * - modules/conversationManager.js (participant and conversation for new numbers)
+ * - models/Conversation.js, models/Message.js
+ * - utils/redisConversationCache.js (message cache)
+ * - services/conversationEventBus.js (message.created events)
+ *
+ * Dependants:
+ * - routes/externalApiRoutes.js (template list and send endpoints)
+ * - routes/adminApiRoutes.js (template definitions)
+ * - services/outboundMessageService.js (service window fallback)
+ * - tools/templateAdmin.js (CLI)
+ * - services/campaignWorker.js (template campaigns)
+ */
+
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const outboundMessageService = require('./outboundMessageService');
+const channelRegistry = require('./channels');
+const { getOrCreateParticipant, getOrCreateConversation } = require('../modules/conversationManager');
+const { cacheMessage } = require('../utils/redisConversationCache');
+const { saveWithRetry } = require('../utils/dbUtils');
+const conversationEventBus = require('./conversationEventBus');
+
+const TEMPLATE_NAME_PATTERN = /^[a-z0-9_]+$/;
+const VARIABLE_NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+const TEMPLATE_CATEGORIES = ['utility', 'marketing', 'authentication'];
+
+// Values the service window fallback template can use, filled from the message it replaces
+const FALLBACK_VARIABLES = ['participant_name', 'agent_name', 'message'];
+const FALLBACK_MESSAGE_MAX_LENGTH = 900;  // Room for the rest of the body within WhatsApp's 1024 characters
+const DEFAULT_PARTICIPANT_NAME = 'cliente';
+const EMPTY_MESSAGE_TEXT = 'Tenemos novedades para vos.';
+
+const TEMPLATE_SENDERS = ['agent', 'ai_agent', 'system_trigger'];
+
+class TemplateMessageService {
+
+  // ============================================================================
+  // Definitions
+  // ============================================================================
+
+  /**
+   * Validate an agent's template definitions
+   * @param {Array<Object>} templates - Agent.templates candidate
+   * @returns {Array<Object>} Errors as { path, message } (empty when valid)
+   */
+  validateTemplates(templates) {
+    const errors = [];
+
+    if (!Array.isArray(templates)) {
+      return [{ path: '$', message: 'must be an array of templates' }];
+    }
+
+    const names = new Set();
+    let fallbackCount = 0;
+
+    templates.forEach((template, index) => {
+      const path = `$[${index}]`;
+
+      if (!template || typeof template !== 'object') {
+        errors.push({ path, message: 'must be an object' });
+        return;
+      }
+
+      if (typeof template.name !== 'string' || !TEMPLATE_NAME_PATTERN.test(template.name)) {
+        errors.push({ path: `${path}.name`, message: 'must be the approved template name (lowercase letters, digits and _)' });
+      } else if (names.has(template.name)) {
+        errors.push({ path: `${path}.name`, message: `duplicate template "${template.name}"` });
+      } else {
+        names.add(template.name);
+      }
+
+      if (template.language !== undefined && (typeof template.language !== 'string' || !template.language.trim())) {
+        errors.push({ path: `${path}.language`, message: 'must be a language code, e.g. "es" or "es_AR"' });
+      }
+
+      if (template.category !== undefined && !TEMPLATE_CATEGORIES.includes(template.category)) {
+        errors.push({ path: `${path}.category`, message: `must be one of: ${TEMPLATE_CATEGORIES.join(', ')}` });
+      }
+
+      const variables = template.variables === undefined ? [] : template.variables;
+      if (!Array.isArray(variables) || variables.some(name => typeof name !== 'string' || !VARIABLE_NAME_PATTERN.test(name))) {
+        errors.push({ path: `${path}.variables`, message: 'must be an array of variable names (lowercase letters, digits and _)' });
+        return;
+      }
+      if (new Set(variables).size !== variables.length) {
+        errors.push({ path: `${path}.variables`, message: 'must not repeat names' });
+      }
+
+      if (typeof template.body !== 'string' || !template.body.trim()) {
+        errors.push({ path: `${path}.body`, message: 'is required (approved body text with {{1}}, {{2}}... placeholders)' });
+      } else {
+        const placeholders = [...new Set([...template.body.matchAll(/\{\{(\d+)\}\}/g)].map(match => Number(match[1])))];
+        const expected = variables.map((name, position) => position + 1);
+        if (placeholders.length !== expected.length || expected.some(position => !placeholders.includes(position))) {
+          errors.push({
+            path: `${path}.body`,
+            message: `placeholders {{1}}..{{${variables.length}}} must match the ${variables.length} declared variable(s)`
+          });
+        }
+      }
+
+      if (template.serviceWindowFallback) {
+        fallbackCount++;
+        const unsupported = variables.filter(name => !FALLBACK_VARIABLES.includes(name));
+        if (unsupported.length > 0) {
+          errors.push({
+            path: `${path}.variables`,
+            message: `a fallback template can only use ${FALLBACK_VARIABLES.join(', ')} (got ${unsupported.join(', ')})`
+          });
+        }
+      }
+    });
+
+    if (fallbackCount > 1) {
+      errors.push({ path: '$', message: 'only one template can be the service window fallback' });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Render a template with its variables
+   * @param {Object} template - Agent.templates entry
+   * @param {Object|Array} variables - Values by variable name, or by position
+   * @returns {Object} { success, payload: { name, language, components }, text, values } or { success: false, error, message }
+   */
+  buildTemplate(template, variables = {}) {
+    const names = template.variables || [];
+    const values = names.map((name, position) => {
+      const value = Array.isArray(variables) ? variables[position] : variables?.[name];
+      return value === undefined || value === null ? '' : sanitizeParameter(value);
+    });
+
+    const missing = names.filter((name, position) => !values[position]);
+    if (missing.length > 0) {
+      return {
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: `Missing value for template variable(s): ${missing.join(', ')}`
+      };
+    }
+
+    const payload = { name: template.name, language: template.language || 'es' };
+    if (values.length > 0) {
+      payload.components = [{
+        type: 'body',
+        parameters: values.map(text => ({ type: 'text', text }))
+      }];
+    }
+
+    const text = template.body.replace(/\{\{(\d+)\}\}/g, (placeholder, position) => values[Number(position) - 1] ?? placeholder);
+
+    return { success: true, payload, text, values };
+  }
+
+  // ============================================================================
+  // Service Window
+  // ============================================================================
+
+  /**
+   * 24h customer service window of a conversation on its channel
+   * @param {Object} agent - Agent document
+   * @param {Object} conversation - Conversation (channel, lastUserMessageAt)
+   * @returns {Object} { enforced, open, lastUserMessageAt, expiresAt }
+   */
+  getServiceWindow(agent, conversation) {
+    const adapter = channelRegistry.forConversation(agent, conversation.channel);
+    const expiresAt = Conversation.getServiceWindowExpiry(conversation);
+
+    return {
+      enforced: adapter.hasServiceWindow,
+      open: !adapter.hasServiceWindow || Conversation.isServiceWindowOpen(conversation),
+      lastUserMessageAt: conversation.lastUserMessageAt || null,
+      expiresAt: adapter.hasServiceWindow ? expiresAt : null
+    };
+  }
+
+  // ============================================================================
+  // Sending
+  // ============================================================================
+
+  /**
+   * Send a template in an existing conversation and record it (type 'template')
+   * @param {Object} agent - Agent document
+   * @param {Object} conversation - Conversation document
+   * @param {string} name - Template name (Agent.templates)
+   * @param {Object|Array} variables - Values by variable name, or by position
+   * @param {Object} options - { sender: 'agent' | 'ai_agent' | 'system_trigger', operator: { id, name }, campaignId }
+   * @returns {Promise<Object>} { success, message, conversation } or { success: false, error, message }
+   */
+  async sendTemplate(agent, conversation, name, variables = {}, { sender = 'agent', operator = null, campaignId = null } = {}) {
+    const adapter = channelRegistry.forConversation(agent, conversation.channel);
+    if (!adapter.supportsTemplates) {
+      return {
+        success: false,
+        error: 'TEMPLATES_NOT_SUPPORTED',
+        message: `The ${adapter.name} channel cannot send message templates`
+      };
+    }
+
+    const template = agent.getTemplate(name);
+    if (!template) {
+      return { success: false, error: 'TEMPLATE_NOT_FOUND', message: `Template ${name} is not defined for agent ${agent.name}` };
+    }
+
+    const built = this.buildTemplate(template, variables);
+    if (!built.success) {
+      return built;
+    }
+
+    const timestamp = new Date();
+    const message = new Message({
+      conversationId: conversation._id,
+      sender: TEMPLATE_SENDERS.includes(sender) ? sender : 'agent',
+      type: 'template',
+      msg_source: adapter.name,
+      content: [{ order: 0, content: built.text }],
+      timestamp,
+      status: 'pending',
+      recipient: 'user',
+      template: {
+        name: template.name,
+        language: built.payload.language,
+        variables: built.values
+      },
+      operator: operator?.name ? { id: operator.id, name: operator.name } : undefined,
+      campaignId: campaignId || undefined
+    });
+
+    const delivery = await outboundMessageService.sendTemplate(agent, conversation.phoneNumber, built.payload, {
+      referenceId: message._id.toString(),
+      channel: conversation.channel
+    });
+
+    if (delivery.success) {
+      message.markDeliveryStatus('sent', { foreignId: delivery.messageId });
+      message.channelData = {
+        channel: delivery.provider,
+        id: delivery.messageId ? String(delivery.messageId) : undefined,
+        response: delivery.data
+      };
+    } else {
+      message.markDeliveryStatus('failed', { error: { title: delivery.error } });
+    }
+
+    await message.save();
+
+    cacheMessage(conversation._id.toString(), message).catch(err => {
+      console.warn(`⚠️ Failed to cache template message in Redis (non-blocking):`, err.message);
+    });
+
+    conversationEventBus.publish('message.created', {
+      conversationId: conversation._id,
+      agentId: agent._id,
+      data: { ...conversationEventBus.messagePayload(message), template: template.name }
+    });
+
+    if (delivery.success) {
+      conversation.messageCount = (conversation.messageCount || 0) + 1;
+      conversation.lastMessage = built.text;
+      conversation.lastMessageTime = timestamp;
+      conversation.lastMessageSender = { role: message.sender, name: operator?.name || agent.name };
+      await saveWithRetry(conversation, 3);
+    } else {
+      await Conversation.recordDeliveryStatus(conversation._id, 'failed');
+    }
+
+    console.log(`📨 [${conversation._id}] Template ${template.name} ${message.status}`, {
+      provider: adapter.name,
+      messageId: message._id.toString(),
+      error: delivery.success ? undefined : delivery.error
+    });
+
+    if (!delivery.success) {
+      return {
+        success: false,
+        error: 'DELIVERY_FAILED',
+        message: `Template could not be delivered: ${delivery.error}`,
+        data: message
+      };
+    }
+
+    return { success: true, message, conversation };
+  }
+
+  /**
+   * Send a template to a phone number, starting the conversation if there is none yet
+   * @param {Object} agent - Agent document
+   * @param {string} phoneNumber - Recipient phone number (digits, country code included)
+   * @param {string} name - Template name
+   * @param {Object|Array} variables - Values by variable name, or by position
+   * @param {Object} options - sendTemplate options plus participantName
+   * @returns {Promise<Object>} Same result as sendTemplate
+   */
+  async sendTemplateToNumber(agent, phoneNumber, name, variables = {}, { participantName = null, ...options } = {}) {
+    const normalizedPhone = String(phoneNumber || '').replace(/\D/g, '');
+    if (normalizedPhone.length < 8) {
+      return { success: false, error: 'VALIDATION_ERROR', message: 'phoneNumber must be a phone number with country code' };
+    }
+
+    // Checked before creating a participant for a number we cannot message
+    if (!agent.getTemplate(name)) {
+      return { success: false, error: 'TEMPLATE_NOT_FOUND', message: `Template ${name} is not defined for agent ${agent.name}` };
+    }
+
+    const participant = await getOrCreateParticipant(normalizedPhone, participantName || 'Unknown');
+    const conversation = await getOrCreateConversation(participant, agent);
+
+    return this.sendTemplate(agent, conversation, name, variables, options);
+  }
+
+  /**
+   * Fallback for a free-form message outside the service window: the agent's serviceWindowFallback template
+   * carrying the text that could not be sent (outboundMessageService result shape, never throws)
+   * @param {Object} agent - Agent document
+   * @param {Object} conversation - Conversation (phoneNumber, channel, participantName)
+   * @param {string} text - Free-form text (or caption) that was going to be sent
+   * @param {Object} options - { referenceId }
+   * @returns {Promise<Object>} { success, provider, messageId, data, fallbackTemplate } or { success: false, provider, error }
+   */
+  async sendServiceWindowFallback(agent, conversation, text, { referenceId = '' } = {}) {
+    const adapter = channelRegistry.forConversation(agent, conversation.channel);
+    const template = (agent.templates || []).find(candidate => candidate.serviceWindowFallback);
+
+    if (!template || !adapter.supportsTemplates) {
+      return {
+        success: false,
+        provider: adapter.name,
+        error: 'Outside the 24h customer service window and the agent has no service window fallback template'
+      };
+    }
+
+    const participantName = conversation.participantName && conversation.participantName !== 'Unknown'
+      ? conversation.participantName
+      : DEFAULT_PARTICIPANT_NAME;
+    const messageText = sanitizeParameter(text || '') || EMPTY_MESSAGE_TEXT;
+
+    const built = this.buildTemplate(template, {
+      participant_name: participantName,
+      agent_name: agent.name,
+      message: messageText.length > FALLBACK_MESSAGE_MAX_LENGTH
+        ? `${messageText.substring(0, FALLBACK_MESSAGE_MAX_LENGTH - 1)}…`
+        : messageText
+    });
+    if (!built.success) {
+      return { success: false, provider: adapter.name, error: built.message };
+    }
+
+    const result = await outboundMessageService.sendTemplate(agent, conversation.phoneNumber, built.payload, {
+      referenceId,
+      channel: conversation.channel
+    });
+
+    console.log(`⏰ [${conversation._id}] Outside the service window, sent template ${template.name} instead: ${result.success ? 'sent' : result.error}`);
+
+    return result.success ? { ...result, fallbackTemplate: template.name } : result;
+  }
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * WhatsApp rejects template parameters with new lines, tabs or more than 4 consecutive spaces
+ */
+function sanitizeParameter(value) {
+  return String(value)
+    .replace(/[\r\n\t]+/g, ' ')
+    .replace(/ {4,}/g, '   ')
+    .trim();
+}
+
+// Export singleton instance
+const templateMessageService = new TemplateMessageService();
+
+module.exports = templateMessageService;
+module.exports.FALLBACK_VARIABLES = FALLBACK_VARIABLES;
@@ -4,7 +4,16 @@ const axios = require('axios');
 // Use environment variable directly (consistent with rest of codebase)
 const ULTRAMSG_BASE_URL = process.env.ULTRAMSG_BASE_URL || 'https://api.ultramsg.com/instance';
 
-async function sendUltraMsg(agent, to, message, messageToQuote) {
+/**
+ * Send text message via UltraMsg API
+ * @param {Object} agent - Agent configuration with instanceId and token
+ * @param {string} to - Phone number to send to
+ * @param {string} message - Text body
+ * @param {string} messageToQuote - Optional message ID to quote
+ * @param {string} referenceId - Optional ID echoed back in message_create/message_ack webhooks (our Message _id)
+ * @returns {Object} Send result
+ */
+async function sendUltraMsg(agent, to, message, messageToQuote, referenceId = '') {
   console.log('messageToQuote', messageToQuote);
   console.log('Received agent object');
   
@@ -41,7 +50,7 @@ async function sendUltraMsg(agent, to, message, messageToQuote) {
     "to": cleanTo,
     "body": message,
     "priority": 1,
-    "referenceId": "",
+    "referenceId": referenceId || "",
     "msgId": messageToQuote || "",
     "mentions": ""
   });
@@ -90,9 +99,10 @@ async function sendUltraMsgWithRetry(agent, to, message, maxRetries = 3, retryDe
  * @param {string} imageUrl - HTTP URL or base64 data of the image
  * @param {string} caption - Optional caption text for the image
  * @param {string} messageToQuote - Optional message ID to quote
+ * @param {string} referenceId - Optional ID echoed back in message_create/message_ack webhooks (our Message _id)
  * @returns {Object} Send result
  */
-async function sendUltraMsgImage(agent, to, imageUrl, caption = '', messageToQuote = '') {
+async function sendUltraMsgImage(agent, to, imageUrl, caption = '', messageToQuote = '', referenceId = '') {
   console.log(`[ULTRAMSG] Sending image to: ${to}`);
   
   // Enhanced validation
@@ -129,7 +139,7 @@ async function sendUltraMsgImage(agent, to, imageUrl, caption = '', messageToQuo
     "image": imageUrl,
     "caption": caption || '',
     "priority": 1,
-    "referenceId": "",
+    "referenceId": referenceId || "",
     "msgId": messageToQuote || "",
     "mentions": ""
   };
@@ -342,10 +352,65 @@ async function sendUltraMsgVideo(agent, to, videoUrl, caption = '', options = {}
   }
 }
 
+/**
+ * Send audio, document or sticker via UltraMsg API (images and videos have their own senders)
+ * @param {Object} agent - Agent configuration with instanceId and token
+ * @param {string} to - Phone number to send to
+ * @param {string} type - 'audio' | 'document' | 'sticker'
+ * @param {string} mediaUrl - HTTP URL of the file
+ * @param {Object} options - { caption, filename, referenceId }
+ * @returns {Object} Send result
+ */
+async function sendUltraMsgMedia(agent, to, type, mediaUrl, { caption = '', filename = null, referenceId = '' } = {}) {
+  if (!agent || typeof agent !== 'object' || !agent.instanceId) {
+    throw new Error('Invalid agent configuration for media sending');
+  }
+  if (!to) {
+    throw new Error('Missing "to" parameter - phone number is required');
+  }
+  if (!mediaUrl) {
+    throw new Error('Missing mediaUrl parameter - media is required');
+  }
+  if (!['audio', 'document', 'sticker'].includes(type)) {
+    throw new Error(`Unsupported UltraMsg media type: ${type}`);
+  }
+
+  const instanceId = typeof agent.instanceId === 'number' ? agent.instanceId.toString() : agent.instanceId;
+  const cleanTo = String(to).replace('@c.us', '');
+
+  // Each endpoint takes the file under its own field name (audio / document / sticker)
+  const requestData = {
+    token: agent.token,
+    to: cleanTo,
+    [type]: mediaUrl,
+    priority: 1,
+    referenceId: referenceId || ''
+  };
+
+  if (type === 'document') {
+    requestData.filename = filename || mediaUrl.split('/').pop().split('?')[0] || 'document';
+    requestData.caption = caption || '';
+  }
+
+  try {
+    console.log(`📤 [ULTRAMSG] Sending ${type} to: ${cleanTo}`);
+    const response = await axios.post(`${ULTRAMSG_BASE_URL}${instanceId}/messages/${type}`, requestData, {
+      headers: { 'Content-Type': 'application/json' },
+      timeout: 30000
+    });
+    console.log(`UltraMsg ${type} API response:`, response.data);
+    return { sent: 'true', message: `${type} sent successfully`, data: response.data };
+  } catch (error) {
+    console.error(`Error sending ${type} via UltraMsg:`, error.response ? error.response.data : error.message);
+    return { sent: 'false', message: `Failed to send ${type}`, error: error.response ? error.response.data : error.message };
+  }
+}
+
 module.exports = { 
   sendUltraMsg, 
   sendUltraMsgWithRetry, 
   sendUltraMsgImage,
   sendUltraMsgSmart,
-  sendUltraMsgVideo 
+  sendUltraMsgVideo,
+  sendUltraMsgMedia
 };
@@ -10,21 +10,22 @@
  * Dependencies:
  * - axios (HTTP client for status polling API)
  * - ../database (Redis client for queue and state management)
- * - ./ultramsgService (video message sending via UltraMsg)
- * - ./whatsappBusinessService (video message sending via WhatsApp Factory)
+ * - ./outboundMessageService (video and text sending, UltraMsg or WhatsApp Factory)
  * - ../models (conversation resolution and agent data)
+ * - ./creditLedgerService (capture/refund of video credit holds)
  * 
  * Dependants:
  * - Background process or server startup (continuous operation)
  * - Redis queue populated by openaiIntegration.js videoGenerator tool
+ * - tools/implementations/video/videoGenerator.js (isRunning: videos are only generated while the worker runs)
  */
 
 const axios = require('axios');
 const { redisClient } = require('../database');
 const Conversation = require('../models/Conversation');
 const { Agent } = require('../models');
-const ultramsgService = require('./ultramsgService');
-const { sendWhatsAppBusinessMessage } = require('./whatsappBusinessService');
+const outboundMessageService = require('./outboundMessageService');
+const creditLedgerService = require('./creditLedgerService');
 
 // ============================================================================
 // Video Worker Configuration - Optimized for 1-2 minute jobs
@@ -478,6 +479,11 @@ class VideoPollingWorker {
                 JSON.stringify(completionData)
             );
             
+            // Confirm the credit hold taken by videoGenerator
+            if (jobData.creditReservationId) {
+                await creditLedgerService.capture(jobData.creditReservationId, { kind: 'VideoJob', id: jobId });
+            }
+            
             // Send video completion notification to user
             await this.sendVideoCompletionNotification(jobData.conversationId, result.videoUrl, completionData);
             
@@ -516,6 +522,11 @@ class VideoPollingWorker {
                 JSON.stringify(failureData)
             );
             
+            // Give back the credit hold taken by videoGenerator
+            if (jobData.creditReservationId) {
+                await creditLedgerService.refund(jobData.creditReservationId, errorMessage);
+            }
+            
             // Send failure notification to user
             await this.sendVideoFailureNotification(jobData.conversationId, errorMessage);
             
@@ -570,15 +581,7 @@ class VideoPollingWorker {
             
             const caption = `🎥 ¡Tu video está listo! Se generó en ${Math.round(completionData.processingTime/1000)} segundos.`;
             
-            // Send video via appropriate service based on agent type
-            if (agent.type === 'wpp-bsp') {
-                // WhatsApp Factory API video sending
-                await this.sendWhatsAppVideo(agent, conversation.phoneNumber, videoUrl, caption);
-                
-            } else {
-                // UltraMsg video sending with proper format
-                await this.sendUltraMsgVideo(agent, conversation.phoneNumber, videoUrl, caption);
-            }
+            await this.sendVideo(agent, conversation, videoUrl, caption);
             
             console.log(`📱 Video notification sent successfully for conversation: ${conversationId}`);
             
@@ -609,73 +612,34 @@ class VideoPollingWorker {
     }
 
     /**
-     * Sends UltraMsg video message using proper video format
-     * @param {Object} agent - Agent with UltraMsg credentials
-     * @param {string} phoneNumber - Phone number
+     * Sends the video through the conversation's channel
+     * @param {Object} agent - Agent with provider credentials
+     * @param {Object} conversation - Conversation document (recipient and channel)
      * @param {string} videoUrl - Video URL
      * @param {string} caption - Video caption
      */
-    async sendUltraMsgVideo(agent, phoneNumber, videoUrl, caption) {
-        try {
-            console.log(`📹 Sending video via UltraMsg to ${phoneNumber}`);
-            
-            // Use UltraMsg video endpoint with proper format
-            const result = await ultramsgService.sendUltraMsgVideo(
-                agent,
-                phoneNumber,
-                videoUrl,
-                caption
-            );
-            
-            console.log(`🔍 [VIDEO-WORKER] UltraMsg response validation:`, {
-                sentField: result.sent,
-                sentType: typeof result.sent,
-                messageField: result.message,
-                hasId: !!result.id,
-                rawData: result.data
-            });
-            
-            if (result.sent !== 'true') {
-                throw new Error(`UltraMsg video send failed: ${result.message || 'Unknown error'}`);
-            }
-            
-            console.log(`✅ UltraMsg video sent successfully`);
-            
-        } catch (error) {
-            console.error(`❌ UltraMsg video send error:`, error.message);
-            throw error;
+    async sendVideo(agent, conversation, videoUrl, caption) {
+        const provider = outboundMessageService.getProvider(agent, conversation.channel);
+        console.log(`📹 Sending video via ${provider} to ${conversation.phoneNumber}`);
+
+        // Videos can finish long after the user's last message: outside the 24h service window
+        // the agent's fallback template goes out instead
+        const result = await outboundMessageService.sendMedia(agent, conversation.phoneNumber, {
+            type: 'video',
+            url: videoUrl,
+            caption
+        }, { conversation });
+
+        if (!result.success) {
+            console.error(`❌ ${provider} video send error:`, result.error);
+            throw new Error(`${provider} video send failed: ${result.error}`);
         }
-    }
 
-    /**
-     * Sends WhatsApp Factory video message
-     * @param {Object} agent - Agent with WhatsApp Factory credentials  
-     * @param {string} phoneNumber - Phone number
-     * @param {string} videoUrl - Video URL
-     * @param {string} caption - Video caption
-     */
-    async sendWhatsAppVideo(agent, phoneNumber, videoUrl, caption) {
-        try {
-            console.log(`📹 Sending video via WhatsApp Factory to ${phoneNumber}`);
-            
-            // For now, send as text message with video link (WhatsApp Factory video support TBD)
-            const message = `${caption}\n\n🔗 Video: ${videoUrl}`;
-            const result = await sendWhatsAppBusinessMessage(agent, phoneNumber, message);
-            
-            if (!result.success) {
-                throw new Error(`WhatsApp Factory video send failed: ${result.error}`);
-            }
-            
-            console.log(`✅ WhatsApp Factory video notification sent successfully`);
-            
-        } catch (error) {
-            console.error(`❌ WhatsApp Factory video send error:`, error.message);
-            throw error;
-        }
+        console.log(`✅ ${provider} video ${result.fallbackTemplate ? `replaced by template ${result.fallbackTemplate}` : 'sent successfully'}`, { messageId: result.messageId });
     }
 
     /**
-     * Sends text message via appropriate service (fallback for failures)
+     * Sends text message through the agent's provider (fallback for failures)
      * @param {string} conversationId - MongoDB conversation ID
      * @param {string} message - Message to send
      */
@@ -692,17 +656,11 @@ class VideoPollingWorker {
                 throw new Error(`Agent not found: ${conversation.agentId}`);
             }
             
-            // Send via appropriate service
-            if (agent.type === 'wpp-bsp') {
-                const result = await sendWhatsAppBusinessMessage(agent, conversation.phoneNumber, message);
-                if (!result.success) {
-                    throw new Error(`WhatsApp Factory send failed: ${result.error}`);
-                }
-            } else {
-                const result = await ultramsgService.sendUltraMsg(agent, conversation.phoneNumber, message);
-                if (result.sent !== 'true') {
-                    throw new Error(`UltraMsg send failed: ${result.message}`);
-                }
+            const result = await outboundMessageService.sendText(agent, conversation.phoneNumber, message, {
+                conversation
+            });
+            if (!result.success) {
+                throw new Error(`${result.provider} send failed: ${result.error}`);
             }
             
         } catch (error) {
@@ -91,9 +91,10 @@ class WebGeneratorService {
      * Initiates website generation and sets up Redis state tracking for long-duration processing
      * @param {string} prompt - Website description prompt
      * @param {string} conversationId - MongoDB conversation ID for notifications
+     * @param {Object} options - Optional job data ({ creditReservationId } settled by the worker)
      * @returns {Promise<Object>} Generation result with tracking URL and job setup
      */
-    async initiateGeneration(prompt, conversationId) {
+    async initiateGeneration(prompt, conversationId, options = {}) {
         const requestId = `gen_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
         console.log(`🚀 [${requestId}] Initiating website generation for conversation: ${conversationId}`);
         
@@ -107,7 +108,7 @@ class WebGeneratorService {
             });
             
             // Step 2: Set up Redis state tracking for long-duration job
-            await this.setupRedisState(requestId, apiResponse, conversationId, 'generate');
+            await this.setupRedisState(requestId, apiResponse, conversationId, 'generate', options);
             
             // Step 3: Enqueue polling job for background processing
             await this.enqueuePollJob(requestId);
@@ -380,8 +381,9 @@ class WebGeneratorService {
      * @param {Object} apiResponse - Response from generation/update API
      * @param {string} conversationId - Conversation ID for notifications
      * @param {string} jobType - Job type ('generate' or 'update')
+     * @param {Object} options - Optional job data ({ creditReservationId })
      */
-    async setupRedisState(requestId, apiResponse, conversationId, jobType = 'generate') {
+    async setupRedisState(requestId, apiResponse, conversationId, jobType = 'generate', options = {}) {
         try {
             if (!redisClient.isOpen) {
                 await redisClient.connect();
@@ -400,7 +402,9 @@ class WebGeneratorService {
                 // Update-specific fields
                 originalProjectId: apiResponse.originalProjectId || apiResponse.projectId,
                 updateType: apiResponse.updateType || false,
-                seedUsed: apiResponse.seedUsed
+                seedUsed: apiResponse.seedUsed,
+                // Credit hold to capture/refund when the job ends
+                creditReservationId: options.creditReservationId || null
             };
             
             // Store generation state with 25min TTL
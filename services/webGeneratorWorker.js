@@ -11,12 +11,14 @@
  * - axios (HTTP client for status polling API)
  * - ../database (Redis client for queue and state management)
  * - ./webGeneratorService (service utilities and configuration)
- * - ./ultramsgService, ./whatsappBusinessService (user notifications)
+ * - ./outboundMessageService (user notifications through the agent's channel)
  * - ../models (database persistence and conversation resolution)
+ * - ./creditLedgerService (capture/refund of website credit holds)
  * 
  * Dependants:
  * - Background process or server startup (continuous operation)
  * - Redis queue populated by webGeneratorService
+ * - tools/implementations/website/generateWebsite.js (isRunning: credit hold captured by the tool when the worker is off)
  */
 
 const axios = require('axios');
@@ -24,8 +26,8 @@ const { redisClient } = require('../database');
 const { REDIS_KEYS, POLLING_STRATEGY, TTL } = require('./webGeneratorService');
 const Conversation = require('../models/Conversation');
 const { Agent, WebsiteGeneration } = require('../models');
-const ultramsgService = require('./ultramsgService');
-const { sendWhatsAppBusinessMessage } = require('./whatsappBusinessService');
+const outboundMessageService = require('./outboundMessageService');
+const creditLedgerService = require('./creditLedgerService');
 
 // ============================================================================
 // Worker Configuration & State Management
@@ -458,6 +460,11 @@ class WebsiteGeneratorWorker {
                 JSON.stringify(completionData)
             );
             
+            // Confirm the credit hold taken by generateWebsite
+            if (jobState.creditReservationId) {
+                await creditLedgerService.capture(jobState.creditReservationId, { kind: 'WebsiteJob', id: requestId });
+            }
+            
             // Send success notification to user
             await this.sendSuccessNotification(jobState.conversationId, result.url, completionData);
             
@@ -498,6 +505,11 @@ class WebsiteGeneratorWorker {
                 JSON.stringify(failureData)
             );
             
+            // Give back the credit hold taken by generateWebsite
+            if (jobState.creditReservationId) {
+                await creditLedgerService.refund(jobState.creditReservationId, errorMessage);
+            }
+            
             // Send failure notification to user
             const isUpdate = jobState.jobType === 'update' || jobState.updateType;
             await this.sendFailureNotification(jobState.conversationId, errorMessage, isUpdate);
@@ -578,7 +590,7 @@ class WebsiteGeneratorWorker {
     }
 
     /**
-     * Sends notification message via appropriate service (UltraMsg or WhatsApp Business)
+     * Sends notification message through the agent's channel
      * @param {string} conversationId - MongoDB conversation ID
      * @param {string} message - Message to send
      */
@@ -600,17 +612,12 @@ class WebsiteGeneratorWorker {
                 throw new Error('Agent missing messaging credentials');
             }
             
-            // Send via appropriate service based on agent type
-            if (agent.type === 'wpp-bsp') {
-                const result = await sendWhatsAppBusinessMessage(agent, conversation.phoneNumber, message);
-                if (!result.success) {
-                    throw new Error(`WhatsApp Factory send failed: ${result.error}`);
-                }
-            } else {
-                const result = await ultramsgService.sendUltraMsg(agent, conversation.phoneNumber, message);
-                if (result.sent !== 'true') {
-                    throw new Error(`UltraMsg send failed: ${result.message}`);
-                }
+            // Send through the conversation's channel (fallback template outside the 24h service window)
+            const result = await outboundMessageService.sendText(agent, conversation.phoneNumber, message, {
+                conversation
+            });
+            if (!result.success) {
+                throw new Error(`${result.provider} send failed: ${result.error}`);
             }
             
         } catch (error) {
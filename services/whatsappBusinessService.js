@@ -14,9 +14,10 @@
  * Dependants:
  * - routes/webhookRoutes.js (webhook processing)
  * - modules/messageQueue.js (message sending)
+ * - services/outboundMessageService.js (envío independiente del proveedor)
  */
 
-const { sendTextMessage, getNumberInfo, validateAgent } = require('./whatsappFactoryApiService');
+const { sendTextMessage, sendMediaMessage, getNumberInfo, validateAgent } = require('./whatsappFactoryApiService');
 
 /**
  * Envía un mensaje usando WhatsApp Factory API
@@ -30,6 +31,19 @@ async function sendWhatsAppBusinessMessage(agent, to, message, messageToQuote =
   return sendTextMessage(agent, to, message, messageToQuote);
 }
 
+/**
+ * Envía imagen, video, audio, documento o sticker usando WhatsApp Factory API
+ * @param {Object} agent - Agente configurado con token y instanceId
+ * @param {string} to - Número de teléfono destino (formato: 1234567890)
+ * @param {string} type - 'image' | 'video' | 'audio' | 'document' | 'sticker'
+ * @param {string} url - URL pública del archivo
+ * @param {Object} options - { caption, filename, quotedMessageId }
+ * @returns {Promise<Object>} Respuesta de la API
+ */
+async function sendWhatsAppBusinessMedia(agent, to, type, url, options = {}) {
+  return sendMediaMessage(agent, to, type, { ...options, url });
+}
+
 /**
  * Verifica la configuración del agente para WhatsApp Factory API
  * @param {Object} agent - Agente a verificar
@@ -50,6 +64,7 @@ async function getWhatsAppFactoryNumberInfo(agent) {
 
 module.exports = {
   sendWhatsAppBusinessMessage,
+  sendWhatsAppBusinessMedia,
   validateWhatsAppFactoryAgent,
   getWhatsAppFactoryNumberInfo
 };
@@ -0,0 +1,284 @@
+/**
+ * services/whatsappCloudApiService.js
+ *
+ * Description: Meta WhatsApp Cloud API (Graph API) client: sends, media download and webhook signatures
+ *
+ * Role in the system: HTTP layer for numbers hosted directly on Meta's Cloud API (Agent.type 'wpp-cloud').
+ * The agent's instanceId is the Cloud API phone_number_id and its token a system user access token.
+ *
+ * Node.js Context: Service - external API integration
+ *
+ * Dependencies:
+ * - axios (HTTP client)
+ * - crypto (X-Hub-Signature-256 validation)
+ *
+ * Dependants:
+ * - services/channels/whatsappCloudAdapter.js (Cloud API channel)
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+
+const API_BASE_URL = process.env.WHATSAPP_CLOUD_API_URL || 'https://graph.facebook.com';
+const API_VERSION = process.env.WHATSAPP_CLOUD_API_VERSION || 'v21.0';
+const REQUEST_TIMEOUT_MS = Number(process.env.WHATSAPP_CLOUD_TIMEOUT_MS || 15000);
+
+// Media types accepted by POST /{phone_number_id}/messages
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document', 'sticker'];
+
+// Types that accept a caption (WhatsApp rejects it on audio and sticker)
+const CAPTION_MEDIA_TYPES = ['image', 'video', 'document'];
+
+// Interactive message limits (longer titles are rejected, so they are cut)
+const INTERACTIVE_LIMITS = {
+  body: 1024,
+  buttonTitle: 20,
+  listButton: 20,
+  rowTitle: 24,
+  rowDescription: 72
+};
+
+// ============================================================================
+// HTTP Client
+// ============================================================================
+
+function createGraphClient(token) {
+  return axios.create({
+    baseURL: `${API_BASE_URL}/${API_VERSION}`,
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    },
+    timeout: REQUEST_TIMEOUT_MS
+  });
+}
+
+function assertAgentConfigured(agent) {
+  if (!agent.token) {
+    throw new Error('WhatsApp Cloud API access token not configured');
+  }
+  if (!agent.instanceId) {
+    throw new Error('WhatsApp Cloud API phone_number_id not configured');
+  }
+}
+
+/**
+ * Graph API error → readable message ("(#131047) Re-engagement message")
+ */
+function describeError(error) {
+  const graphError = error.response?.data?.error;
+  if (!graphError) {
+    return error.message;
+  }
+  return `(#${graphError.code}) ${graphError.error_data?.details || graphError.message}`;
+}
+
+// ============================================================================
+// Outbound Messages
+// ============================================================================
+
+/**
+ * POST /{phone_number_id}/messages
+ * @param {Object} agent - Agent with token and instanceId (phone_number_id)
+ * @param {string} to - Recipient phone number
+ * @param {Object} message - Type-specific fields ({ type: 'text', text: {...} }, ...)
+ * @param {Object} options - { quotedMessageId, referenceId }
+ * @returns {Promise<Object>} { success, data, messageId }
+ */
+async function sendMessage(agent, to, message, { quotedMessageId = null, referenceId = null } = {}) {
+  assertAgentConfigured(agent);
+
+  const payload = {
+    messaging_product: 'whatsapp',
+    recipient_type: 'individual',
+    to: String(to).replace('@c.us', ''),
+    ...message
+  };
+
+  if (quotedMessageId) {
+    payload.context = { message_id: quotedMessageId };
+  }
+
+  // Echoed back in status webhooks, lets acks find the message before the wamid is stored
+  if (referenceId) {
+    payload.biz_opaque_callback_data = String(referenceId);
+  }
+
+  try {
+    const response = await createGraphClient(agent.token).post(`/${agent.instanceId}/messages`, payload);
+
+    return {
+      success: true,
+      data: response.data,
+      messageId: response.data.messages?.[0]?.id
+    };
+
+  } catch (error) {
+    console.error(`❌ Error sending WhatsApp Cloud API ${message.type} message:`, {
+      error: error.message,
+      response: error.response?.data,
+      status: error.response?.status
+    });
+
+    throw new Error(`WhatsApp Cloud API error: ${describeError(error)}`);
+  }
+}
+
+/**
+ * Send a text message
+ */
+async function sendTextMessage(agent, to, text, options = {}) {
+  return sendMessage(agent, to, { type: 'text', text: { body: text, preview_url: false } }, options);
+}
+
+/**
+ * Send an image, video, audio, document or sticker by public URL
+ * @param {Object} media - { type, url, caption, filename }
+ */
+async function sendMediaMessage(agent, to, { type, url, caption = '', filename = null }, options = {}) {
+  if (!MEDIA_TYPES.includes(type)) {
+    throw new Error(`Unsupported media type: ${type} (supported: ${MEDIA_TYPES.join(', ')})`);
+  }
+  if (!url || !/^https?:\/\//.test(url)) {
+    throw new Error('Media URL must be an http(s) URL');
+  }
+
+  const mediaObject = { link: url };
+  if (caption && CAPTION_MEDIA_TYPES.includes(type)) {
+    mediaObject.caption = caption;
+  }
+  if (type === 'document') {
+    mediaObject.filename = filename || url.split('/').pop().split('?')[0] || 'document';
+  }
+
+  return sendMessage(agent, to, { type, [type]: mediaObject }, options);
+}
+
+/**
+ * Send text with reply buttons (up to 3) or a single-section list menu (up to 10 rows)
+ * @param {Object} interactive - Normalized menu { type: 'buttons' | 'list', buttonText, options: [{ id, title, description }] }
+ */
+async function sendInteractiveMessage(agent, to, text, interactive, options = {}) {
+  if (!text || text.length > INTERACTIVE_LIMITS.body) {
+    throw new Error(`Interactive message body must be 1-${INTERACTIVE_LIMITS.body} characters`);
+  }
+
+  const action = interactive.type === 'buttons'
+    ? {
+      buttons: interactive.options.map(option => ({
+        type: 'reply',
+        reply: { id: option.id, title: option.title.substring(0, INTERACTIVE_LIMITS.buttonTitle) }
+      }))
+    }
+    : {
+      button: interactive.buttonText.substring(0, INTERACTIVE_LIMITS.listButton),
+      sections: [{
+        rows: interactive.options.map(option => ({
+          id: option.id,
+          title: option.title.substring(0, INTERACTIVE_LIMITS.rowTitle),
+          ...(option.description ? { description: option.description.substring(0, INTERACTIVE_LIMITS.rowDescription) } : {})
+        }))
+      }]
+    };
+
+  return sendMessage(agent, to, {
+    type: 'interactive',
+    interactive: {
+      type: interactive.type === 'buttons' ? 'button' : 'list',
+      body: { text },
+      action
+    }
+  }, options);
+}
+
+/**
+ * Send an approved message template
+ * @param {Object} template - { name, language, components }
+ */
+async function sendTemplateMessage(agent, to, { name, language = 'es', components = [] }, options = {}) {
+  if (!name) {
+    throw new Error('Template name is required');
+  }
+
+  const template = { name, language: { code: language } };
+  if (components.length > 0) {
+    template.components = components;
+  }
+
+  return sendMessage(agent, to, { type: 'template', template }, options);
+}
+
+// ============================================================================
+// Media
+// ============================================================================
+
+/**
+ * Download inbound media by its media id (GET /{media-id} → short-lived URL → authenticated download)
+ * @param {Object} agent - Agent with token
+ * @param {string} mediaId - Media id from the webhook
+ * @returns {Promise<{buffer: Buffer, contentType: string}>}
+ */
+async function downloadMedia(agent, mediaId) {
+  if (!agent.token) {
+    throw new Error('WhatsApp Cloud API access token not configured');
+  }
+
+  try {
+    const client = createGraphClient(agent.token);
+    const { data: mediaInfo } = await client.get(`/${encodeURIComponent(mediaId)}`);
+
+    const response = await axios.get(mediaInfo.url, {
+      headers: { 'Authorization': `Bearer ${agent.token}` },
+      responseType: 'arraybuffer',
+      timeout: Number(process.env.MEDIA_DOWNLOAD_TIMEOUT_MS || 15000)
+    });
+
+    return {
+      buffer: Buffer.from(response.data),
+      contentType: mediaInfo.mime_type || response.headers['content-type'] || 'application/octet-stream'
+    };
+
+  } catch (error) {
+    console.error('❌ Error downloading media from WhatsApp Cloud API:', {
+      error: error.message,
+      status: error.response?.status,
+      mediaId
+    });
+
+    throw new Error(`Failed to download media: ${describeError(error)}`);
+  }
+}
+
+// ============================================================================
+// Webhooks
+// ============================================================================
+
+/**
+ * Validate X-Hub-Signature-256 ("sha256=<hex HMAC of the raw body with the app secret>")
+ * @param {Buffer|string} rawBody - Request body exactly as received
+ * @param {string} signatureHeader - X-Hub-Signature-256 header
+ * @param {string} appSecret - Meta app secret
+ * @returns {boolean}
+ */
+function verifySignature(rawBody, signatureHeader, appSecret) {
+  if (!rawBody || !signatureHeader || !appSecret || !signatureHeader.startsWith('sha256=')) {
+    return false;
+  }
+
+  const expected = crypto.createHmac('sha256', appSecret).update(rawBody).digest();
+  const presented = Buffer.from(signatureHeader.slice('sha256='.length), 'hex');
+
+  return presented.length === expected.length && crypto.timingSafeEqual(presented, expected);
+}
+
+module.exports = {
+  sendMessage,
+  sendTextMessage,
+  sendMediaMessage,
+  sendInteractiveMessage,
+  sendTemplateMessage,
+  downloadMedia,
+  verifySignature,
+  MEDIA_TYPES,
+  INTERACTIVE_LIMITS
+};
@@ -12,7 +12,7 @@
  * - Agent model para obtener configuración
  * 
  * Dependants:
- * - services/whatsappBusinessService.js (reemplazará llamadas directas)
+ * - services/whatsappBusinessService.js (texto y media salientes)
  * - services/whatsappFactoryMediaService.js (reemplazará llamadas directas)
  * - modules/audioTranscriber.js (reemplazará llamadas directas)
  */
@@ -23,6 +23,15 @@ const { Agent } = require('../models');
 // Configuración de la API
 const API_BASE_URL = process.env.WHATSAPP_FACTORY_API_URL || 'https://api.whatsapp.dev.clapps.io';
 
+// Tipos de media que se pueden enviar (endpoint /send/{type})
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document', 'sticker'];
+
+// Tipos que aceptan caption (WhatsApp lo ignora en audio y sticker)
+const CAPTION_MEDIA_TYPES = ['image', 'video', 'document'];
+
+// Los videos tardan más en ser descargados por la API antes de responder
+const MEDIA_SEND_TIMEOUT_MS = Number(process.env.WHATSAPP_FACTORY_MEDIA_TIMEOUT_MS || 30000);
+
 /**
  * Cliente HTTP configurado para WhatsApp Factory API
  * @param {string} token - Token de autenticación
@@ -113,6 +122,82 @@ async function sendTextMessage(agent, to, message, messageToQuote = null) {
   }
 }
 
+/**
+ * Envía un mensaje de media (imagen, video, audio, documento o sticker) usando WhatsApp Factory API
+ * @param {Object} agent - Agente configurado con token y instanceId
+ * @param {string} to - Número de teléfono destino (formato: 1234567890)
+ * @param {string} type - Tipo de media (ver MEDIA_TYPES)
+ * @param {Object} media - { url, caption, filename, quotedMessageId }
+ * @returns {Promise<Object>} Respuesta de la API
+ */
+async function sendMediaMessage(agent, to, type, { url, caption = '', filename = null, quotedMessageId = null } = {}) {
+  try {
+    if (!agent.token) {
+      throw new Error('WhatsApp Factory API token not configured');
+    }
+
+    if (!agent.instanceId) {
+      throw new Error('WhatsApp Factory phone number not configured');
+    }
+
+    if (!MEDIA_TYPES.includes(type)) {
+      throw new Error(`Unsupported media type: ${type} (supported: ${MEDIA_TYPES.join(', ')})`);
+    }
+
+    if (!url || !/^https?:\/\//.test(url)) {
+      throw new Error('Media URL must be an http(s) URL');
+    }
+
+    // Formatear número de teléfono (remover @c.us si existe)
+    const formattedTo = to.replace('@c.us', '');
+
+    // La API descarga el archivo desde la URL pública
+    const payload = {
+      to: formattedTo,
+      url
+    };
+
+    if (caption && CAPTION_MEDIA_TYPES.includes(type)) {
+      payload.caption = caption;
+    }
+
+    if (type === 'document') {
+      payload.filename = filename || url.split('/').pop().split('?')[0] || 'document';
+    }
+
+    if (quotedMessageId) {
+      payload.quotedMessageId = quotedMessageId;
+    }
+
+    console.log(`📤 [WHATSAPP-FACTORY] Sending ${type} to ${formattedTo}`, {
+      hasCaption: !!payload.caption,
+      url: url.substring(0, 80) + (url.length > 80 ? '...' : '')
+    });
+
+    const client = createApiClient(agent.token);
+    const response = await client.post(
+      `/v1/api/whatsapp/${agent.instanceId}/send/${type}`,
+      payload,
+      { timeout: MEDIA_SEND_TIMEOUT_MS }
+    );
+
+    return {
+      success: true,
+      data: response.data,
+      messageId: response.data.messageId || response.data.id
+    };
+
+  } catch (error) {
+    console.error(`❌ Error sending WhatsApp Factory ${type}:`, {
+      error: error.message,
+      response: error.response?.data,
+      status: error.response?.status
+    });
+
+    throw new Error(`WhatsApp Factory API error: ${error.response?.data?.message || error.message}`);
+  }
+}
+
 /**
  * Obtiene información del número de WhatsApp Factory
  * @param {Object} agent - Agente configurado
@@ -265,6 +350,7 @@ function validateAgent(agent) {
 module.exports = {
   // Funciones principales
   sendTextMessage,
+  sendMediaMessage,
   getNumberInfo,
   downloadMedia,
   downloadMediaWithRetry,
@@ -275,5 +361,6 @@ module.exports = {
   createMediaClient,
   
   // Constantes
-  API_BASE_URL
+  API_BASE_URL,
+  MEDIA_TYPES
 };
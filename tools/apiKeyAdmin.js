@@ -0,0 +1,200 @@
+/**
+ * tools/apiKeyAdmin.js
+ *
+ * Description: Administrative tool for issuing, listing and revoking scoped API keys
+ *
+ * Role in the system: Bootstraps the first agents:admin key (after that keys can be managed through
+ * /api/admin/api-keys) and lets operators revoke a leaked key without touching the environment
+ *
+ * Node.js Context: Administrative Tool - API credential management utility
+ *
+ * Dependencies:
+ * - services/apiKeyService.js (key issue/revoke)
+ * - models/Agent.js (agent lookup by _id, instanceId or name)
+ *
+ * Usage (--agents accepts comma separated Agent _id, instanceId or name):
+ * - node tools/apiKeyAdmin.js create --name "Support desk" --scopes conversations:read,messages:send [--agents 50151] [--expires 2026-12-31]
+ * - node tools/apiKeyAdmin.js list [--all]
+ * - node tools/apiKeyAdmin.js revoke --id <keyId> [--reason "leaked"]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const apiKeyService = require('../services/apiKeyService');
+const { Agent } = require('../models');
+const { DatabaseManager } = require('../database');
+
+class ApiKeyAdmin {
+
+    /**
+     * Find agent by MongoDB _id, instanceId or name
+     * @param {string} agentRef - Agent reference
+     * @returns {Promise<Object>} Agent document
+     */
+    async resolveAgent(agentRef) {
+        let agent = null;
+
+        if (mongoose.Types.ObjectId.isValid(agentRef)) {
+            agent = await Agent.findById(agentRef);
+        }
+        if (!agent) {
+            agent = await Agent.findOne({ instanceId: String(agentRef) });
+        }
+        if (!agent) {
+            agent = await Agent.findByName(String(agentRef));
+        }
+        if (!agent) {
+            throw new Error(`Agent ${agentRef} not found in database`);
+        }
+
+        return agent;
+    }
+
+    /**
+     * Issue a key and print it (the only time the plain key is visible)
+     * @param {Object} options - { name, description, scopes, agents, expiresAt }
+     */
+    async create({ name, description, scopes, agents, expiresAt }) {
+        if (!name || !scopes) {
+            throw new Error('--name and --scopes are required');
+        }
+
+        const agentIds = [];
+        for (const agentRef of agents) {
+            const agent = await this.resolveAgent(agentRef);
+            agentIds.push(agent._id.toString());
+        }
+
+        const result = await apiKeyService.createKey({
+            name,
+            description,
+            scopes,
+            agentIds,
+            expiresAt: expiresAt || null,
+            createdBy: 'cli:apiKeyAdmin'
+        });
+
+        if (!result.success) {
+            throw new Error(result.message);
+        }
+
+        console.log(`🎉 API key created (shown only once, store it now):\n\n    ${result.plainKey}\n`);
+        console.log(`📋 Key details:`, {
+            id: result.apiKey._id.toString(),
+            name: result.apiKey.name,
+            scopes: result.apiKey.scopes,
+            agentIds: agentIds.length > 0 ? agentIds : 'all agents',
+            expiresAt: result.apiKey.expiresAt || 'never'
+        });
+
+        return result;
+    }
+
+    /**
+     * Print keys (never the hashes)
+     * @param {boolean} includeRevoked - Include revoked keys
+     */
+    async list(includeRevoked = false) {
+        const keys = await apiKeyService.listKeys({ includeRevoked });
+
+        console.log(`🔑 ${keys.length} API key(s):`);
+        keys.forEach(key => {
+            const data = apiKeyService.serialize(key);
+            console.log(`  - ${data.keyPrefix}... ${data.name} [${data.status}]`, {
+                id: data._id.toString(),
+                scopes: data.scopes,
+                agentIds: data.agentIds.length > 0 ? data.agentIds.map(String) : 'all agents',
+                expiresAt: data.expiresAt || 'never',
+                lastUsedAt: data.lastUsedAt || 'never'
+            });
+        });
+
+        return keys;
+    }
+
+    /**
+     * Revoke a key
+     * @param {string} keyId - ApiKey ID
+     * @param {string} reason - Why it was revoked
+     */
+    async revoke(keyId, reason) {
+        if (!mongoose.Types.ObjectId.isValid(keyId)) {
+            throw new Error(`Invalid key ID: ${keyId}`);
+        }
+
+        const result = await apiKeyService.revokeKey(keyId, reason);
+        if (!result.success) {
+            throw new Error(result.message);
+        }
+
+        console.log(`🚫 API key ${result.apiKey.keyPrefix}... (${result.apiKey.name}) revoked at ${result.apiKey.revokedAt.toISOString()}`);
+        return result;
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const admin = new ApiKeyAdmin();
+    const args = process.argv.slice(2);
+    const command = args[0];
+    const getArg = (flag) => (args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined);
+    const getList = (flag) => (getArg(flag) ? getArg(flag).split(',').map(value => value.trim()).filter(Boolean) : []);
+
+    (async () => {
+        let exitCode = 0;
+
+        try {
+            if (['create', 'list', 'revoke'].includes(command)) {
+                await DatabaseManager.initializeAll();
+            }
+
+            switch (command) {
+                case 'create':
+                    await admin.create({
+                        name: getArg('--name'),
+                        description: getArg('--description'),
+                        scopes: getArg('--scopes') ? getList('--scopes') : undefined,
+                        agents: getList('--agents'),
+                        expiresAt: getArg('--expires')
+                    });
+                    break;
+
+                case 'list':
+                    await admin.list(args.includes('--all'));
+                    break;
+
+                case 'revoke':
+                    await admin.revoke(getArg('--id'), getArg('--reason'));
+                    break;
+
+                default:
+                    console.log(`
+🔑 API Key Admin Tool - Usage (scopes: ${apiKeyService.API_KEY_SCOPES.join(', ')}):
+
+Create a key (omit --agents for access to every agent):
+  node tools/apiKeyAdmin.js create --name "Support desk" --scopes conversations:read,messages:send [--agents 50151,34104] [--expires 2026-12-31] [--description "..."]
+
+Bootstrap an admin key:
+  node tools/apiKeyAdmin.js create --name "Backoffice" --scopes agents:admin
+
+List keys:
+  node tools/apiKeyAdmin.js list [--all]
+
+Revoke a key:
+  node tools/apiKeyAdmin.js revoke --id <keyId> [--reason "leaked"]
+                    `);
+                    break;
+            }
+        } catch (error) {
+            console.error('❌ Command failed:', error.message);
+            exitCode = 1;
+        } finally {
+            if (['create', 'list', 'revoke'].includes(command)) {
+                await DatabaseManager.closeAll();
+            }
+            process.exit(exitCode);
+        }
+    })();
+}
+
+module.exports = ApiKeyAdmin;
@@ -0,0 +1,66 @@
+/**
+ * tools/implementations/general/requestHumanHandoff.js
+ *
+ * Description: Implementation of requestHumanHandoff tool for transferring a conversation to a human operator
+ *
+ * Role in the system: Lets the AI switch the conversation to 'human' handoff mode; the message queue stops
+ * answering until an operator (or autoResumeAt) returns it to 'ai'
+ */
+
+const ToolBase = require('../toolBase');
+const handoffService = require('../../../services/handoffService');
+
+class RequestHumanHandoffTool extends ToolBase {
+    static category = 'general';
+
+    // OpenAI function definition (parameters double as the argument schema)
+    static definition = {
+        name: 'requestHumanHandoff',
+        description: 'Derivar la conversación a una persona del equipo cuando el usuario lo pide explícitamente, está molesto, o el caso excede lo que podés resolver (reclamos, pagos con problemas, pedidos especiales). Después de llamarla dejás de responder hasta que un operador devuelva la conversación. En tu respuesta avisale al usuario en español argentino que una persona lo va a contactar, sin prometer tiempos exactos.',
+        strict: true,
+        parameters: {
+            type: 'object',
+            properties: {
+                reason: {
+                    type: 'string',
+                    description: 'Motivo de la derivación para el operador (resumen breve del caso y qué necesita el usuario). Uso interno; no se muestra al usuario.'
+                },
+                urgency: {
+                    type: 'string',
+                    enum: ['low', 'normal', 'high'],
+                    description: 'Urgencia percibida: high si el usuario está molesto o hay un problema con un pago.'
+                }
+            },
+            required: ['reason', 'urgency'],
+            additionalProperties: false
+        }
+    };
+
+    constructor() {
+        super('requestHumanHandoff');
+    }
+
+    async implementation(parsedArgs, conversationId) {
+        const { reason, urgency } = parsedArgs;
+        console.log(`🤝 [${conversationId}] AI requested human handoff (${urgency}): ${reason}`);
+
+        const result = await handoffService.setMode(conversationId, {
+            mode: 'human',
+            reason: `[${urgency}] ${reason}`,
+            requestedBy: 'ai_tool'
+        });
+
+        if (!result.success) {
+            return result;
+        }
+
+        return {
+            success: true,
+            status: 'handoff_requested',
+            mode: result.handoff.mode,
+            message: 'La conversación fue derivada a una persona del equipo. Avisale al usuario que lo van a contactar; no vas a recibir más mensajes hasta que te la devuelvan.'
+        };
+    }
+}
+
+module.exports = RequestHumanHandoffTool;
@@ -0,0 +1,76 @@
+/**
+ * tools/implementations/general/scheduleFollowUp.js
+ *
+ * Description: Implementation of scheduleFollowUp tool for reminders the AI promises to the user
+ *
+ * Role in the system: Schedules a FollowUp for the conversation; when it is due, services/followUpWorker.js
+ * adds a 'system_trigger' message with the note and the AI writes to the user again. A user message before
+ * that cancels it.
+ */
+
+const ToolBase = require('../toolBase');
+const followUpService = require('../../../services/followUpService');
+const Conversation = require('../../../models/Conversation');
+
+class ScheduleFollowUpTool extends ToolBase {
+    static category = 'general';
+
+    // OpenAI function definition (parameters double as the argument schema)
+    static definition = {
+        name: 'scheduleFollowUp',
+        description: 'Agendar un mensaje de seguimiento para escribirle al usuario más tarde, por ejemplo cuando le decís "te aviso mañana", "te recuerdo en una hora" o el usuario te pide que le escribas después. Cuando llegue el momento vas a recibir un mensaje con sender system_trigger y la nota, y le vas a escribir al usuario. Si el usuario escribe antes, el seguimiento se cancela solo. Calculá la demora en minutos a partir del timestamp del último mensaje (mínimo 1, máximo 43200 = 30 días).',
+        strict: true,
+        parameters: {
+            type: 'object',
+            properties: {
+                delayMinutes: {
+                    type: 'integer',
+                    description: 'Minutos desde ahora hasta el seguimiento (ej.: 60 para dentro de una hora, 1440 para mañana a esta hora).'
+                },
+                note: {
+                    type: 'string',
+                    description: 'Nota para vos mismo sobre qué tenés que hacer o recordarle al usuario cuando llegue el momento (ej.: "Recordarle que pase a retirar el pedido 123"). Uso interno; no se muestra al usuario tal cual.'
+                }
+            },
+            required: ['delayMinutes', 'note'],
+            additionalProperties: false
+        }
+    };
+
+    constructor() {
+        super('scheduleFollowUp');
+    }
+
+    async implementation(parsedArgs, conversationId) {
+        const { delayMinutes, note } = parsedArgs;
+        console.log(`⏰ [${conversationId}] AI scheduled a follow-up in ${delayMinutes} min: ${note}`);
+
+        const conversation = await Conversation.findById(conversationId).select('agentId');
+        if (!conversation) {
+            return {
+                success: false,
+                error: 'CONVERSATION_NOT_FOUND',
+                message: 'Conversation not found'
+            };
+        }
+
+        const result = await followUpService.scheduleFollowUp(conversation, { delayMinutes, note }, {
+            source: 'ai_tool',
+            createdBy: 'ai_tool'
+        });
+
+        if (!result.success) {
+            return result;
+        }
+
+        return {
+            success: true,
+            status: 'follow_up_scheduled',
+            followUpId: result.followUp._id.toString(),
+            dueAt: result.followUp.dueAt.toISOString(),
+            message: 'Seguimiento agendado. Podés confirmarle al usuario cuándo le vas a escribir; si te escribe antes, el seguimiento se cancela.'
+        };
+    }
+}
+
+module.exports = ScheduleFollowUpTool;
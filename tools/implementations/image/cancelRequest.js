@@ -2,15 +2,28 @@ const ToolBase = require('../toolBase');
 const requestManager = require('../../../modules/requestManager');
 
 class CancelRequestTool extends ToolBase {
-    constructor() {
-        super('cancelRequest');
-    }
+    static category = 'image_processing';
 
-    async validateArgs(parsedArgs) {
-        if (!parsedArgs.requestId || typeof parsedArgs.requestId !== 'string') {
-            throw new Error('requestId is required and must be a string');
+    // OpenAI function definition (parameters double as the argument schema)
+    static definition = {
+        name: 'cancelRequest',
+        description: 'Cancelar un pedido activo que ya no corresponda continuar (el usuario quiere empezar de cero, cambió el alcance, etc.). Confirmá brevemente la cancelación en español argentino sin mencionar IDs ni infraestructura.',
+        strict: true,
+        parameters: {
+            type: 'object',
+            properties: {
+                requestId: {
+                    type: 'string',
+                    description: 'ID del pedido a cancelar. Uso interno; no exponer al usuario.'
+                }
+            },
+            required: ['requestId'],
+            additionalProperties: false
         }
-        return true;
+    };
+
+    constructor() {
+        super('cancelRequest');
     }
 
     async implementation(parsedArgs, conversationId) {
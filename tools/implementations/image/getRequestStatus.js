@@ -8,15 +8,29 @@ const ToolBase = require('../toolBase');
 const requestManager = require('../../../modules/requestManager');
 
 class GetRequestStatusTool extends ToolBase {
-    constructor() {
-        super('getRequestStatus');
-    }
+    static category = 'image_processing';
+    static execution = { parallelSafe: true, timeoutMs: 10000 };  // Read-only
 
-    async validateArgs(parsedArgs) {
-        if (!parsedArgs.requestId || typeof parsedArgs.requestId !== 'string') {
-            throw new Error('requestId is required and must be a string');
+    // OpenAI function definition (parameters double as the argument schema)
+    static definition = {
+        name: 'getRequestStatus',
+        description: 'Consultar estado y detalles de un pedido específico (activo, procesando, completado o fallido) y ver historial de pasos. Útil si el usuario pregunta por el estado o si necesitás confirmar antes de comunicar. Si un processRequest anterior no llegó a tiempo, las imágenes ya generadas y no enviadas vuelven en `result.generatedImages` y se envían junto con tu respuesta.',
+        strict: true,
+        parameters: {
+            type: 'object',
+            properties: {
+                requestId: {
+                    type: 'string',
+                    description: 'ID del pedido a consultar. Uso interno; no exponer al usuario.'
+                }
+            },
+            required: ['requestId'],
+            additionalProperties: false
         }
-        return true;
+    };
+
+    constructor() {
+        super('getRequestStatus');
     }
 
     async implementation(parsedArgs, conversationId) {
@@ -2,6 +2,22 @@ const ToolBase = require('../toolBase');
 const requestManager = require('../../../modules/requestManager');
 
 class ListActiveRequestsTool extends ToolBase {
+    static category = 'image_processing';
+    static execution = { parallelSafe: true, timeoutMs: 10000 };  // Read-only
+
+    // OpenAI function definition (parameters double as the argument schema)
+    static definition = {
+        name: 'listActiveRequests',
+        description: 'Listar todos los pedidos activos de la conversación. Útil para gestionar múltiples flujos en paralelo (p.ej., diferentes productos/campañas) y decidir cuál continuar o cerrar. No muestra ni filtra información sensible al usuario automáticamente.',
+        strict: true,
+        parameters: {
+            type: 'object',
+            properties: {},
+            required: [],
+            additionalProperties: false
+        }
+    };
+
     constructor() {
         super('listActiveRequests');
     }
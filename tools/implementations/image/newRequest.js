@@ -9,24 +9,42 @@ const requestManager = require('../../../modules/requestManager');
 const Conversation = require('../../../models/Conversation');
 
 class NewRequestTool extends ToolBase {
-    constructor() {
-        super('newRequest');
-    }
+    static category = 'image_processing';
 
-    async validateArgs(parsedArgs) {
-        if (!parsedArgs.systemPrompt || typeof parsedArgs.systemPrompt !== 'string') {
-            throw new Error('systemPrompt is required and must be a string');
+    // OpenAI function definition (parameters double as the argument schema)
+    static definition = {
+        name: 'newRequest',
+        description: 'Crear un ÚNICO pedido inicial para procesar/generar imágenes con Google Gemini. Usalo una sola vez por pedido del usuario. Si el usuario aporta múltiples imágenes para el MISMO resultado, incluí TODAS las imágenes juntas en `initialImages` para lograr una composición coherente en una sola corrida. El `systemPrompt` DEBE estar en INGLÉS y describir con criterio profesional: objetivo de negocio, tipo de toma, lente/apertura, esquema de iluminación, composición/ratio, acabado de post y negativos semánticos. No expongas nunca URLs ni IDs al usuario. Para sumar imágenes o ajustar instrucciones después, usá `updateRequest`.',
+        strict: true,
+        parameters: {
+            type: 'object',
+            properties: {
+                systemPrompt: {
+                    type: 'string',
+                    minLength: 1,
+                    description: "IN ENGLISH. Prompt maestro para el modelo que oriente un resultado comercial, realista y limpio. Debe incluir: business goal (1 línea), shot type/angle, lens (mm) + aperture (f/), lighting setup (key/fill/rim/negative fill), composition y aspect ratio, color & finish (D65/clean whites/neutral grey), post (dust removal, micro-contrast, clean edges), y semantic negatives (avoid…). Heavily rely on the 'Prompts examples/tips for generating images' that's on our main system prompt"
+                },
+                initialImages: {
+                    type: 'array',
+                    description: 'TODOS los `fileStorage.fileId` (32 hex) de imágenes del usuario con storage exitoso, para procesarlas JUNTAS en una única composición. Mantener vacío SOLO en casos de text-to-image. No divulgar estos IDs al usuario en ningún momento.',
+                    items: {
+                        type: 'string',
+                        description: "fileStorage.fileId (32-char hex, p.ej. '6ed6b3dd80fa9e0dbbe5219308cee028')."
+                    }
+                },
+                requestType: {
+                    type: 'string',
+                    description: 'Clasificación del flujo: elegí el que mejor represente el caso (p.ej., `photo_product` para e-commerce, `image_editing` para ediciones, `image_processing` para pipeline genérico, `custom` si no encaja en los anteriores).',
+                    enum: ['image_processing', 'photo_product', 'image_editing', 'custom']
+                }
+            },
+            required: ['systemPrompt', 'initialImages', 'requestType'],
+            additionalProperties: false
         }
-        
-        if (!Array.isArray(parsedArgs.initialImages)) {
-            throw new Error('initialImages must be an array');
-        }
-        
-        if (!parsedArgs.requestType) {
-            throw new Error('requestType is required');
-        }
-        
-        return true;
+    };
+
+    constructor() {
+        super('newRequest');
     }
 
     async implementation(parsedArgs, conversationId) {
@@ -3,27 +3,55 @@
  * 
  * Description: Implementation of checkCredits tool for querying user credit balance
  * 
- * Role in the system: Provides credit balance information to users
+ * Role in the system: Provides credit balance and recent ledger movements to users
  */
 
 const ToolBase = require('../toolBase');
 const Conversation = require('../../../models/Conversation');
 const { Participant } = require('../../../models');
+const creditLedgerService = require('../../../services/creditLedgerService');
+
+// Human readable labels for ledger entries shown to the user
+const MOVEMENT_LABELS = {
+    reserve: 'Reserva',
+    capture: 'Cobro confirmado',
+    refund: 'Devolución',
+    topup: 'Carga de créditos'
+};
+
+const OPERATION_LABELS = {
+    imageProcessing: 'procesamiento de imagen',
+    videoGeneration: 'generación de video',
+    websiteGeneration: 'generación de sitio web',
+    payment: 'pago'
+};
+
+const RECENT_MOVEMENTS_LIMIT = 10;
 
 class CheckCreditsTool extends ToolBase {
-    constructor() {
-        super('checkCredits');
-    }
+    static category = 'payment';
+    static execution = { parallelSafe: true, timeoutMs: 10000 };  // Read-only (the optional messageToUser aside)
 
-    /**
-     * Validate checkCredits arguments
-     * @param {Object} parsedArgs - Tool arguments
-     */
-    async validateArgs(parsedArgs) {
-        if (!parsedArgs.messageToUser || typeof parsedArgs.messageToUser !== 'string') {
-            throw new Error('messageToUser is required and must be a string');
+    // OpenAI function definition (parameters double as the argument schema)
+    static definition = {
+        name: 'checkCredits',
+        description: 'Consulta el balance actual de créditos del usuario y sus últimos movimientos (reservas, cobros, devoluciones y cargas) para informarle cuántos créditos tiene disponibles y en qué los usó.',
+        strict: true,
+        parameters: {
+            type: 'object',
+            properties: {
+                messageToUser: {
+                    type: 'string',
+                    description: 'EN ESPAÑOL ARGENTINO. Mensaje visible al usuario mientras se procesa, para comunicar valor y estado sin detalles técnicos ni enlaces. Ej.: "Un momento por favor, estoy consultando tu balance de créditos...", "Dale, voy a revisar cuántos créditos tenés disponibles...", "Perfecto, te chequeo el saldo ahora mismo...". Debes variar siempre un poco el mensaje, y hacer alguna mención al pedido que la originó y los detalles clave.'
+                }
+            },
+            required: ['messageToUser'],
+            additionalProperties: false
         }
-        return true;
+    };
+
+    constructor() {
+        super('checkCredits');
     }
 
     /**
@@ -59,6 +87,15 @@ class CheckCreditsTool extends ToolBase {
             throw new Error('Participant not found');
         }
 
+        // Recent ledger movements (non-blocking: balance is still useful without them)
+        let recentMovements = [];
+        try {
+            const entries = await creditLedgerService.getRecentMovements(participant._id, RECENT_MOVEMENTS_LIMIT);
+            recentMovements = entries.map(entry => this.formatMovement(entry));
+        } catch (ledgerError) {
+            console.error(`⚠️ [${conversationId}] Failed to load credit movements:`, ledgerError.message);
+        }
+
         // Return credit balance information
         return {
             participant_id: participant._id.toString(),
@@ -66,10 +103,31 @@ class CheckCreditsTool extends ToolBase {
             phone_number: participant.phoneNumber,
             credit_balance: participant.creditBalance || 0,
             formatted_balance: `${(participant.creditBalance || 0).toLocaleString('es-AR')} créditos`,
+            total_credits_spent: participant.totalCreditsSpent || 0,
+            recent_movements: recentMovements,
             message: `Balance actual: ${(participant.creditBalance || 0).toLocaleString('es-AR')} créditos disponibles`
         };
     }
 
+    /**
+     * Format a ledger entry for the model
+     * @param {Object} entry - CreditLedger entry
+     * @returns {Object} Compact movement description
+     */
+    formatMovement(entry) {
+        // reserve and topup change the balance; capture only confirms a previous reserve
+        const sign = entry.entryType === 'reserve' ? -1 : (entry.entryType === 'capture' ? 0 : 1);
+
+        return {
+            date: entry.createdAt,
+            type: entry.entryType,
+            label: `${MOVEMENT_LABELS[entry.entryType]} - ${OPERATION_LABELS[entry.operation] || entry.operation}`,
+            credits: sign * entry.amount,
+            balance_after: entry.balanceAfter,
+            reservation_id: entry.reservationId || null
+        };
+    }
+
     /**
      * Send immediate message to user (placeholder - to be implemented)
      * @param {string} conversationId - Conversation ID
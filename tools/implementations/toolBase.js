@@ -4,8 +4,20 @@
  * Description: Base class for all tool implementations with common functionality
  * 
  * Role in the system: Provides standard structure, validation, and error handling for tools
+ * 
+ * Subclasses are discovered by tools/toolRegistry.js and must declare:
+ * - static definition: OpenAI function definition ({ name, description, strict, parameters })
+ * - static category: ToolSchema metadata.category (image_processing, payment, video, website, ...)
+ * and may declare:
+ * - static execution: { parallelSafe, timeoutMs } (see DEFAULT_EXECUTION in tools/toolRegistry.js).
+ *   parallelSafe tools are read-only and run concurrently with the other parallelSafe calls of the turn.
+ * 
+ * Arguments are validated against `definition.parameters` before validateArgs runs, so subclasses
+ * only override validateArgs for business rules the schema can't express.
  */
 
+const { validate: validateJsonSchema } = require('../../utils/jsonSchemaValidator');
+
 class ToolBase {
     constructor(toolName) {
         this.toolName = toolName;
@@ -21,7 +33,14 @@ class ToolBase {
         try {
             console.log(`🔧 [${conversationId}] Executing ${this.toolName}`);
             
-            // Validate arguments
+            // Validate arguments against the tool definition schema
+            const schemaErrors = this.validateArgsSchema(parsedArgs);
+            if (schemaErrors.length > 0) {
+                console.warn(`⚠️ [${conversationId}] ${this.toolName} invalid arguments:`, schemaErrors);
+                return this.formatValidationError(schemaErrors);
+            }
+            
+            // Business rule validation
             await this.validateArgs(parsedArgs);
             
             // Execute implementation
@@ -37,7 +56,20 @@ class ToolBase {
     }
 
     /**
-     * Validate tool arguments (override in subclasses)
+     * Validate arguments against static definition.parameters
+     * @param {Object} parsedArgs - Tool arguments
+     * @returns {Array<Object>} Schema errors ({ path, message }), empty when valid
+     */
+    validateArgsSchema(parsedArgs) {
+        const schema = this.constructor.definition?.parameters;
+        if (!schema) {
+            return [];
+        }
+        return validateJsonSchema(parsedArgs, schema, 'arguments');
+    }
+
+    /**
+     * Validate business rules not covered by the schema (override in subclasses)
      * @param {Object} parsedArgs - Tool arguments
      */
     async validateArgs(parsedArgs) {
@@ -69,6 +101,24 @@ class ToolBase {
         };
     }
 
+    /**
+     * Format schema validation errors so the model can fix the call on the next turn
+     * @param {Array<Object>} schemaErrors - Errors from validateArgsSchema
+     * @returns {Object} Formatted validation error
+     */
+    formatValidationError(schemaErrors) {
+        const details = schemaErrors.map(e => `${e.path} ${e.message}`);
+        
+        return {
+            success: false,
+            status: 'invalid_arguments',
+            error: 'INVALID_ARGUMENTS',
+            message: `Invalid arguments for ${this.toolName}: ${details.join('; ')}. Fix the arguments to match the tool parameters schema and call ${this.toolName} again.`,
+            validation_errors: schemaErrors,
+            function_name: this.toolName
+        };
+    }
+
     /**
      * Format error result
      * @param {Error} error - Error object
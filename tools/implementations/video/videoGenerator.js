@@ -5,8 +5,49 @@
  */
 
 const ToolBase = require('../toolBase');
+const creditLedgerService = require('../../../services/creditLedgerService');
 
 class VideoGeneratorTool extends ToolBase {
+    static category = 'video';
+
+    // OpenAI function definition (parameters double as the argument schema)
+    static definition = {
+        name: 'videoGenerator',
+        description: 'Genera videos profesionales usando Google Vertex AI Veo 3.0 a partir de texto y una imagen de referencia.',
+        strict: true,
+        parameters: {
+            type: 'object',
+            properties: {
+                prompt: {
+                    type: 'string',
+                    minLength: 20,
+                    maxLength: 1000,
+                    description: 'Descripción detallada del video a generar...'
+                },
+                imageFileId: {
+                    type: 'string',
+                    pattern: '^[a-f0-9]{32}$',
+                    description: 'ID del archivo de imagen del sistema de storage...'
+                },
+                modelSelected: {
+                    type: 'integer',
+                    description: 'Selecciona la versión del modelo a utilizar: 2 para Veo 2.0 (o s se pide 9:16 de formato) o 3 para Veo 3.0 (no soporta 9:16).',
+                    enum: [
+                        2,
+                        3
+                    ],
+                    default: 2
+                },
+                messageToUser: {
+                    type: 'string',
+                    description: 'Mensaje específico para VIDEO comunicando paciencia por tiempo de procesamiento... Avisar que puede tarrdar entre 1 o 2 minutos, que no respooderas mientras estas procesanddo. Que espere a que termines y le avises.'
+                }
+            },
+            required: ['prompt', 'imageFileId', 'modelSelected', 'messageToUser'],
+            additionalProperties: false
+        }
+    };
+
     constructor() {
         super('videoGenerator');
     }
@@ -25,9 +66,11 @@ class VideoGeneratorTool extends ToolBase {
             }
         }
         
+        let reservationId = null;
+        
         try {
             const { vertexVideoService } = require('../../../services/vertexVideoService');
-            const { enqueueVideoJob } = require('../../../services/videoPollingWorker');
+            const { videoPollingWorker, enqueueVideoJob } = require('../../../services/videoPollingWorker');
             
             const { prompt, imageFileId, aspectRatio, negativePrompt, modelSelected, version } = parsedArgs;
             
@@ -39,6 +82,15 @@ class VideoGeneratorTool extends ToolBase {
                 throw new Error('Missing required parameter: imageFileId is required for video generation');
             }
             
+            // Async jobs are delivered and settled by videoPollingWorker: without it nobody would, don't charge
+            if (!videoPollingWorker.isRunning) {
+                return {
+                    success: false,
+                    error: 'VIDEO_WORKER_UNAVAILABLE',
+                    message: 'La generación de videos no está disponible en este momento. No se descontaron créditos.'
+                };
+            }
+            
             const generationOptions = {
                 prompt: prompt,
                 imageFileId: imageFileId,
@@ -51,11 +103,32 @@ class VideoGeneratorTool extends ToolBase {
                 generationOptions.negativePrompt = negativePrompt.trim();
             }
             
+            // Hold credits for the video (settled by videoPollingWorker for async jobs)
+            const creditHold = await creditLedgerService.reserveForConversation(
+                conversationId,
+                'videoGeneration',
+                null,
+                `Video: ${prompt.substring(0, 100)}`
+            );
+            
+            if (!creditHold.success) {
+                return {
+                    success: false,
+                    error: creditHold.error,
+                    required_credits: creditHold.required,
+                    available_credits: creditHold.available,
+                    message: creditHold.message || 'No se pudo reservar créditos para el video'
+                };
+            }
+            reservationId = creditHold.reservationId;
+            
             const videoResult = await vertexVideoService.generateVideoWithRetry(generationOptions);
             
             if (videoResult.success) {
                 if (generationOptions.mode === 'async' && videoResult.jobId) {
-                    await enqueueVideoJob(videoResult.jobId, conversationId);
+                    await enqueueVideoJob(videoResult.jobId, conversationId, { creditReservationId: reservationId });
+                } else {
+                    await creditLedgerService.capture(reservationId, { kind: 'VideoJob', id: videoResult.jobId || null });
                 }
                 
                 return {
@@ -64,9 +137,12 @@ class VideoGeneratorTool extends ToolBase {
                     video_url: videoResult.videoUrl,
                     download_url: videoResult.downloadUrl,
                     job_id: videoResult.jobId,
-                    execution_time: videoResult.executionTime
+                    execution_time: videoResult.executionTime,
+                    credits_charged: creditHold.amount
                 };
             } else {
+                await creditLedgerService.refund(reservationId, videoResult.error || 'Video generation failed');
+                
                 return {
                     success: false,
                     error: videoResult.error || 'Error generating video',
@@ -75,6 +151,10 @@ class VideoGeneratorTool extends ToolBase {
             }
             
         } catch (error) {
+            if (reservationId) {
+                await creditLedgerService.refund(reservationId, error.message);
+            }
+            
             return {
                 success: false,
                 error: error.message || 'Error generating video',
@@ -5,8 +5,34 @@
  */
 
 const ToolBase = require('../toolBase');
+const creditLedgerService = require('../../../services/creditLedgerService');
 
 class GenerateWebsiteTool extends ToolBase {
+    static category = 'website';
+    static execution = { parallelSafe: false, timeoutMs: 75000 };  // Site generation
+
+    // OpenAI function definition (parameters double as the argument schema)
+    static definition = {
+        name: 'generateWebsite',
+        description: 'Genera un sitio web completo y profesional basado en la descripción proporcionada y muestra un mensaje de espera al usuario.',
+        strict: true,
+        parameters: {
+            type: 'object',
+            properties: {
+                prompt: {
+                    type: 'string',
+                    description: 'Descripción del sitio web que se va a generar.'
+                },
+                messageToUser: {
+                    type: 'string',
+                    description: 'Mensaje en español argentino para informar al usuario que espere y que puede seguir conversando mientras tanto.'
+                }
+            },
+            required: ['prompt', 'messageToUser'],
+            additionalProperties: false
+        }
+    };
+
     constructor() {
         super('generateWebsite');
     }
@@ -25,29 +51,60 @@ class GenerateWebsiteTool extends ToolBase {
             }
         }
         
+        let reservationId = null;
+        
         try {
             const { webGeneratorService } = require('../../../services/webGeneratorService');
+            const { websiteGeneratorWorker } = require('../../../services/webGeneratorWorker');
             const { prompt } = parsedArgs;
             
             if (!prompt || typeof prompt !== 'string') {
                 throw new Error('Missing required parameter: prompt is required and must be a string');
             }
             
+            // Hold credits for the website (settled by webGeneratorWorker when the job ends, or here when it is not running)
+            const creditHold = await creditLedgerService.reserveForConversation(
+                conversationId,
+                'websiteGeneration',
+                null,
+                `Website: ${prompt.substring(0, 100)}`
+            );
+            
+            if (!creditHold.success) {
+                return {
+                    success: false,
+                    error: creditHold.error,
+                    required_credits: creditHold.required,
+                    available_credits: creditHold.available,
+                    message: creditHold.message || 'No se pudo reservar créditos para el sitio web'
+                };
+            }
+            reservationId = creditHold.reservationId;
+            
             const generationResult = await webGeneratorService.initiateGeneration(
                 prompt.trim(),
-                conversationId
+                conversationId,
+                { creditReservationId: reservationId }
             );
             
             if (generationResult.success) {
+                if (!websiteGeneratorWorker.isRunning) {
+                    // No worker will poll this job: the site is delivered through the tracking URL, charge it now
+                    await creditLedgerService.capture(reservationId, { kind: 'WebsiteJob', id: generationResult.requestId || null });
+                }
+                
                 return {
                     success: true,
                     message: generationResult.message,
                     tracking_url: generationResult.trackingUrl,
                     project_id: generationResult.projectId,
                     request_id: generationResult.requestId,
-                    seed: generationResult.seed
+                    seed: generationResult.seed,
+                    credits_charged: creditHold.amount
                 };
             } else {
+                await creditLedgerService.refund(reservationId, generationResult.error || 'Website generation failed');
+                
                 return {
                     success: false,
                     error: generationResult.error || 'Error initiating website generation',
@@ -56,6 +113,10 @@ class GenerateWebsiteTool extends ToolBase {
             }
             
         } catch (error) {
+            if (reservationId) {
+                await creditLedgerService.refund(reservationId, error.message);
+            }
+            
             return {
                 success: false,
                 error: error.message || 'Error generating website',
@@ -1,28 +1,33 @@
 /**
  * tools/promptAdmin.js
  * 
- * Description: Administrative tool for managing agent system prompts with MongoDB storage
+ * Description: Administrative tool for managing versioned agent system prompts with MongoDB storage
  * 
- * Role in the system: Provides CLI interface for CRUD operations on large system prompts (40+ pages)
+ * Role in the system: Provides CLI interface for creating, inspecting and rolling back large system prompts (40+ pages)
  * 
  * Node.js Context: Administrative Tool - System prompt management utility
  * 
  * Dependencies:
- * - utils/promptManager.js (prompt management utilities)
- * - models/Agent.js (PostgreSQL agent validation)
+ * - utils/promptManager.js (prompt versioning utilities)
+ * - models/Agent.js (agent lookup by _id, instanceId or name)
  * - fs/promises (file system operations for prompt import/export)
  * 
- * Usage:
- * - node tools/promptAdmin.js set-prompt --agent 123 --file prompt.txt
- * - node tools/promptAdmin.js get-prompt --agent 123
+ * Usage (--agent accepts Agent _id, instanceId or name):
+ * - node tools/promptAdmin.js set-prompt --agent 50151 --file prompt.txt --author maxi --notes "New pricing"
+ * - node tools/promptAdmin.js get-prompt --agent 50151
+ * - node tools/promptAdmin.js history --agent 50151
+ * - node tools/promptAdmin.js rollback --agent 50151 --version 3 --author maxi
  * - node tools/promptAdmin.js list-prompts
- * - node tools/promptAdmin.js clear-cache --agent 123
+ * - node tools/promptAdmin.js clear-cache --agent 50151
  */
 
+require('dotenv').config();
 const fs = require('fs').promises;
 const path = require('path');
+const mongoose = require('mongoose');
 const promptManager = require('../utils/promptManager');
 const { Agent } = require('../models');
+const { DatabaseManager } = require('../database');
 
 class PromptAdmin {
     constructor() {
@@ -30,20 +35,41 @@ class PromptAdmin {
     }
 
     /**
-     * Set system prompt for agent from file or text
-     * @param {number} agentId - Agent ID
+     * Find agent by MongoDB _id, instanceId or name
+     * @param {string} agentRef - Agent reference
+     * @returns {Promise<Object>} Agent document
+     */
+    async resolveAgent(agentRef) {
+        let agent = null;
+
+        if (mongoose.Types.ObjectId.isValid(agentRef)) {
+            agent = await Agent.findById(agentRef);
+        }
+        if (!agent) {
+            agent = await Agent.findOne({ instanceId: String(agentRef) });
+        }
+        if (!agent) {
+            agent = await Agent.findByName(String(agentRef));
+        }
+        if (!agent) {
+            throw new Error(`Agent ${agentRef} not found in database`);
+        }
+
+        return agent;
+    }
+
+    /**
+     * Set system prompt for agent from file or text (creates and activates a new version)
+     * @param {string} agentId - Agent _id, instanceId or name
      * @param {string} source - File path or direct text
-     * @param {Object} options - Additional options
+     * @param {Object} options - { author, notes, category, tags }
      */
     async setPrompt(agentId, source, options = {}) {
         try {
             console.log(`📝 Setting system prompt for agent ${agentId}`);
 
             // Validate agent exists
-            const agent = await Agent.findByPk(agentId);
-            if (!agent) {
-                throw new Error(`Agent ${agentId} not found in database`);
-            }
+            const agent = await this.resolveAgent(agentId);
 
             let promptContent;
 
@@ -69,15 +95,17 @@ class PromptAdmin {
             }
 
             // Set the prompt
-            const result = await promptManager.setAgentPrompt(agentId, promptContent, {
+            const result = await promptManager.setAgentPrompt(agent._id, promptContent, {
                 category: options.category || 'custom',
                 tags: options.tags || [],
-                modifiedBy: options.modifiedBy || 'admin-tool'
+                author: options.author || 'admin-tool',
+                notes: options.notes
             });
 
             console.log(`🎉 System prompt set successfully for agent ${agentId}`, {
                 agentName: agent.name,
                 version: result.version,
+                diff: result.diffSummary.summary,
                 wordCount: result.metadata.wordCount,
                 estimatedTokens: result.metadata.estimatedTokens
             });
@@ -91,8 +119,8 @@ class PromptAdmin {
     }
 
     /**
-     * Get system prompt for agent
-     * @param {number} agentId - Agent ID
+     * Get active system prompt for agent
+     * @param {string} agentId - Agent _id, instanceId or name
      * @param {boolean} saveToFile - Whether to save to file
      */
     async getPrompt(agentId, saveToFile = false) {
@@ -100,14 +128,11 @@ class PromptAdmin {
             console.log(`📥 Getting system prompt for agent ${agentId}`);
 
             // Validate agent exists
-            const agent = await Agent.findByPk(agentId);
-            if (!agent) {
-                throw new Error(`Agent ${agentId} not found in database`);
-            }
+            const agent = await this.resolveAgent(agentId);
 
-            // Get prompt
-            const promptContent = await promptManager.getAgentPrompt(agentId);
-            const stats = await promptManager.getPromptStats(agentId);
+            // Get prompt (agents without versions fall back to Agent.systemPrompt)
+            const promptContent = await promptManager.getAgentPrompt(agent._id, agent.systemPrompt);
+            const stats = await promptManager.getPromptStats(agent._id);
 
             console.log(`✅ Retrieved system prompt for agent ${agentId}`, {
                 agentName: agent.name,
@@ -119,7 +144,7 @@ class PromptAdmin {
 
             // Save to file if requested
             if (saveToFile) {
-                const filename = `agent_${agentId}_prompt_v${stats.version || 'default'}.txt`;
+                const filename = `agent_${agent._id}_prompt_v${stats.version || 'default'}.txt`;
                 const filepath = path.join(process.cwd(), 'temp', filename);
                 
                 await fs.writeFile(filepath, promptContent, 'utf8');
@@ -127,7 +152,7 @@ class PromptAdmin {
             }
 
             return {
-                agentId,
+                agentId: agent._id.toString(),
                 agentName: agent.name,
                 promptContent,
                 stats
@@ -139,6 +164,58 @@ class PromptAdmin {
         }
     }
 
+    /**
+     * Show prompt version history for agent
+     * @param {string} agentId - Agent _id, instanceId or name
+     * @param {number} limit - Max versions
+     */
+    async showHistory(agentId, limit = 20) {
+        try {
+            const agent = await this.resolveAgent(agentId);
+            const history = await promptManager.getPromptHistory(agent._id, limit);
+
+            console.log(`📜 Prompt history for ${agent.name} (${history.length} versions)`);
+            console.table(history.map(h => ({
+                Version: h.version,
+                Active: h.isActive ? '✅' : '',
+                Author: h.author,
+                Created: h.createdAt ? new Date(h.createdAt).toISOString() : 'N/A',
+                'Last Activated': h.activatedAt ? new Date(h.activatedAt).toISOString() : 'never',
+                Changes: h.diffSummary?.summary || 'N/A',
+                Notes: h.notes || ''
+            })));
+
+            return history;
+
+        } catch (error) {
+            console.error(`❌ Error getting prompt history:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Roll agent back to a stored prompt version
+     * @param {string} agentId - Agent _id, instanceId or name
+     * @param {number} version - Version to activate
+     * @param {Object} options - { author, reason }
+     */
+    async rollback(agentId, version, options = {}) {
+        try {
+            const agent = await this.resolveAgent(agentId);
+            const prompt = await promptManager.rollbackAgentPrompt(agent._id, version, {
+                author: options.author || 'admin-tool',
+                reason: options.reason
+            });
+
+            console.log(`⏪ Agent ${agent.name} rolled back to prompt version ${prompt.version}`);
+            return prompt;
+
+        } catch (error) {
+            console.error(`❌ Error rolling back prompt:`, error.message);
+            throw error;
+        }
+    }
+
     /**
      * List all agents with their prompt status
      */
@@ -146,17 +223,14 @@ class PromptAdmin {
         try {
             console.log(`📋 Listing all agent prompts`);
 
-            const agents = await Agent.findAll({
-                attributes: ['id', 'name', 'type', 'status'],
-                order: [['id', 'ASC']]
-            });
+            const agents = await Agent.find({}).select('name type status').sort({ name: 1 });
 
             const results = [];
 
             for (const agent of agents) {
-                const stats = await promptManager.getPromptStats(agent.id);
+                const stats = await promptManager.getPromptStats(agent._id);
                 results.push({
-                    agentId: agent.id,
+                    agentId: agent._id.toString(),
                     agentName: agent.name,
                     agentType: agent.type,
                     agentStatus: agent.status,
@@ -199,11 +273,11 @@ class PromptAdmin {
             if (agentId === 'all') {
                 console.log(`🗑️ Clearing all prompt caches`);
                 
-                const agents = await Agent.findAll({ attributes: ['id'] });
+                const agents = await Agent.find({}).select('_id');
                 let cleared = 0;
                 
                 for (const agent of agents) {
-                    const success = await promptManager.clearCache(agent.id);
+                    const success = await promptManager.clearCache(agent._id);
                     if (success) cleared++;
                 }
                 
@@ -212,7 +286,8 @@ class PromptAdmin {
 
             } else {
                 console.log(`🗑️ Clearing cache for agent ${agentId}`);
-                const success = await promptManager.clearCache(agentId);
+                const agent = await this.resolveAgent(agentId);
+                const success = await promptManager.clearCache(agent._id);
                 
                 if (success) {
                     console.log(`✅ Cache cleared for agent ${agentId}`);
@@ -231,7 +306,7 @@ class PromptAdmin {
 
     /**
      * Import prompt from Google Docs export or large text file
-     * @param {number} agentId - Agent ID
+     * @param {string} agentId - Agent _id, instanceId or name
      * @param {string} filePath - Path to text file (supports .txt, .md)
      * @param {Object} options - Import options
      */
@@ -263,7 +338,7 @@ class PromptAdmin {
 
     /**
      * Export prompt to file
-     * @param {number} agentId - Agent ID
+     * @param {string} agentId - Agent _id, instanceId or name
      * @param {string} outputPath - Output file path (optional)
      */
     async exportPrompt(agentId, outputPath = null) {
@@ -297,20 +372,37 @@ if (require.main === module) {
     const admin = new PromptAdmin();
     const args = process.argv.slice(2);
     const command = args[0];
+    const getArg = (flag) => (args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined);
 
     (async () => {
+        let exitCode = 0;
+
         try {
+            if (command) {
+                await DatabaseManager.initializeAll();
+            }
+
             switch (command) {
                 case 'set-prompt':
-                    const agentId = args[args.indexOf('--agent') + 1];
-                    const source = args[args.indexOf('--file') + 1] || args[args.indexOf('--text') + 1];
-                    await admin.setPrompt(parseInt(agentId), source);
+                    await admin.setPrompt(getArg('--agent'), getArg('--file') || getArg('--text'), {
+                        author: getArg('--author'),
+                        notes: getArg('--notes')
+                    });
                     break;
 
                 case 'get-prompt':
-                    const getAgentId = args[args.indexOf('--agent') + 1];
-                    const saveFile = args.includes('--save');
-                    await admin.getPrompt(parseInt(getAgentId), saveFile);
+                    await admin.getPrompt(getArg('--agent'), args.includes('--save'));
+                    break;
+
+                case 'history':
+                    await admin.showHistory(getArg('--agent'), parseInt(getArg('--limit')) || 20);
+                    break;
+
+                case 'rollback':
+                    await admin.rollback(getArg('--agent'), parseInt(getArg('--version')), {
+                        author: getArg('--author'),
+                        reason: getArg('--reason')
+                    });
                     break;
 
                 case 'list-prompts':
@@ -318,53 +410,62 @@ if (require.main === module) {
                     break;
 
                 case 'clear-cache':
-                    const clearAgentId = args[args.indexOf('--agent') + 1] || 'all';
-                    await admin.clearCache(clearAgentId === 'all' ? 'all' : parseInt(clearAgentId));
+                    await admin.clearCache(getArg('--agent') || 'all');
                     break;
 
                 case 'import-prompt':
-                    const importAgentId = args[args.indexOf('--agent') + 1];
-                    const filePath = args[args.indexOf('--file') + 1];
-                    await admin.importPrompt(parseInt(importAgentId), filePath);
+                    await admin.importPrompt(getArg('--agent'), getArg('--file'), {
+                        author: getArg('--author'),
+                        notes: getArg('--notes')
+                    });
                     break;
 
                 case 'export-prompt':
-                    const exportAgentId = args[args.indexOf('--agent') + 1];
-                    const outputPath = args[args.indexOf('--output') + 1];
-                    await admin.exportPrompt(parseInt(exportAgentId), outputPath);
+                    await admin.exportPrompt(getArg('--agent'), getArg('--output'));
                     break;
 
                 default:
                     console.log(`
-📋 Prompt Admin Tool - Usage:
+📋 Prompt Admin Tool - Usage (--agent accepts Agent _id, instanceId or name):
 
-Set prompt from file:
-  node tools/promptAdmin.js set-prompt --agent 123 --file /path/to/prompt.txt
+Set prompt from file (creates and activates a new version):
+  node tools/promptAdmin.js set-prompt --agent 50151 --file /path/to/prompt.txt [--author name] [--notes "why"]
 
 Set prompt from text:
-  node tools/promptAdmin.js set-prompt --agent 123 --text "Your system prompt here"
+  node tools/promptAdmin.js set-prompt --agent 50151 --text "Your system prompt here"
+
+Get active prompt:
+  node tools/promptAdmin.js get-prompt --agent 50151 [--save]
 
-Get prompt:
-  node tools/promptAdmin.js get-prompt --agent 123 [--save]
+Version history:
+  node tools/promptAdmin.js history --agent 50151 [--limit 20]
+
+Rollback to a version:
+  node tools/promptAdmin.js rollback --agent 50151 --version 3 [--author name] [--reason "why"]
 
 List all prompts:
   node tools/promptAdmin.js list-prompts
 
 Clear cache:
-  node tools/promptAdmin.js clear-cache --agent 123
+  node tools/promptAdmin.js clear-cache --agent 50151
   node tools/promptAdmin.js clear-cache --agent all
 
 Import from file:
-  node tools/promptAdmin.js import-prompt --agent 123 --file /path/to/large-prompt.txt
+  node tools/promptAdmin.js import-prompt --agent 50151 --file /path/to/large-prompt.txt
 
 Export to file:
-  node tools/promptAdmin.js export-prompt --agent 123 [--output /path/to/output.txt]
+  node tools/promptAdmin.js export-prompt --agent 50151 [--output /path/to/output.txt]
                     `);
                     break;
             }
         } catch (error) {
             console.error('❌ Command failed:', error.message);
-            process.exit(1);
+            exitCode = 1;
+        } finally {
+            if (command) {
+                await DatabaseManager.closeAll();
+            }
+            process.exit(exitCode);
         }
     })();
 }
@@ -0,0 +1,364 @@
+/**
+ * tools/replayConversation.js
+ *
+ * Description: Replays recorded webhook conversations through the real pipeline and checks what it produced
+ *
+ * Role in the system: End-to-end regression check of webhook → messageProcessor → messageQueue → AI turn →
+ * tools → channel send, without OpenAI or provider accounts. The LLM is the scripted mock provider
+ * (services/llm/mockProvider.js) and provider sends / media storage are in-process fakes (tools/replayFakes.js);
+ * MongoDB and Redis are real, so point MONGODB_URI / REDIS_URL at a disposable database.
+ *
+ * Each fixture in tools/fixtures/conversations/*.json holds:
+ * - agent:    Agent fields for a temporary agent (modelConfig defaults to the mock provider), tools to enable
+ * - llm:      mock LLM script ({ turns: [[step, ...], ...] })
+ * - fakes:    { tools: { toolName: result } } canned results for tools that call paid services
+ * - steps:    [{ request: { query, body }, status, expect: { sent, toolCalls } }] webhooks posted in order;
+ *             after each one the queue is left to go idle and the sends / tool calls of the step are compared
+ * - expected: { messages, conversation, aiRequests } final database state (partial match, like testChannelFixtures)
+ * "{{run}}" anywhere in a fixture is replaced with a per-run id, so message ids pass the webhook duplicate
+ * check (10 min) and instanceIds do not collide on reruns. The temporary agent and everything its
+ * conversations created are deleted afterwards.
+ *
+ * Node.js Context: Testing Tool - conversation replay
+ *
+ * Dependencies:
+ * - tools/replayFakes.js (provider and storage fakes, installed before the routes load)
+ * - routes/webhookRoutes.js (mounted on an ephemeral express server)
+ * - modules/messageQueue.js (idle detection)
+ * - services/llm/mockProvider.js (scripted LLM)
+ * - tools/testChannelFixtures.js (diff)
+ *
+ * Usage:
+ * - node tools/replayConversation.js                         (every fixture)
+ * - node tools/replayConversation.js ultramsg-check-credits  (one fixture, file name without .json)
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+
+// Webhook key for the replayed requests, set before the API key service reads it
+process.env.API_KEY_WEBHOOK = process.env.API_KEY_WEBHOOK || 'replay-webhook-key';
+process.env.LEGACY_API_KEY_ENABLED = 'true';
+
+// Fakes replace service functions that the routes destructure at require time
+const { installFakes, installToolFakes } = require('./replayFakes');
+const recorder = installFakes();
+
+const express = require('express');
+const { DatabaseManager, redisClient } = require('../database');
+const webhookRoutes = require('../routes/webhookRoutes');
+const messageQueue = require('../modules/messageQueue');
+const mockProvider = require('../services/llm/mockProvider');
+const toolRegistry = require('./toolRegistry');
+const toolExecutor = require('./toolExecutor');
+const { diff } = require('./testChannelFixtures');
+const { Agent, Conversation, Message, Participant, Request, ToolSchema, FollowUp } = require('../models');
+const AIRequest = require('../models/AIRequest');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'conversations');
+const DEFAULT_RESPONSE_SCHEMA = path.join(__dirname, '..', 'assistant_tools', 'response_schema.json');
+
+const ACTIVITY_GRACE_MS = 3000;   // Webhooks are processed after the 200; wait this long for the queue to pick them up
+const IDLE_STABLE_MS = 1000;      // Queue must stay idle this long (media placeholders, follow-up sends)
+const IDLE_TIMEOUT_MS = 60000;
+const IDLE_POLL_MS = 100;
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Ephemeral server with the webhook routes, mounted like server.js
+ */
+function startServer() {
+    const app = express();
+    app.use(express.json({
+        verify: (req, res, buf) => { req.rawBody = buf; }
+    }));
+    app.use('/api/webhook', webhookRoutes);
+
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+async function postWebhook(baseUrl, request) {
+    const query = new URLSearchParams(request.query || {}).toString();
+    const response = await fetch(`${baseUrl}/api/webhook${query ? `?${query}` : ''}`, {
+        method: 'POST',
+        headers: {
+            'content-type': 'application/json',
+            'x-api-key': process.env.API_KEY_WEBHOOK,
+            ...(request.headers || {})
+        },
+        body: JSON.stringify(request.body)
+    });
+    return response.status;
+}
+
+function isQueueIdle() {
+    const queued = [...messageQueue.queues.values()].some(queue => queue.length > 0);
+    const placeholders = [...messageQueue.placeholders.values()].some(pending => pending.size > 0);
+    return !queued && !placeholders &&
+        messageQueue.processing.size === 0 &&
+        messageQueue.accumulationTimers.size === 0;
+}
+
+/**
+ * Wait until the queue has been idle and nothing was sent for IDLE_STABLE_MS, after giving the
+ * webhook's async processing ACTIVITY_GRACE_MS to reach the queue (status-only webhooks never do)
+ */
+async function waitForIdle(sentBefore) {
+    const graceDeadline = Date.now() + ACTIVITY_GRACE_MS;
+    while (isQueueIdle() && recorder.sent.length === sentBefore && Date.now() < graceDeadline) {
+        await new Promise(resolve => setTimeout(resolve, IDLE_POLL_MS));
+    }
+
+    const deadline = Date.now() + IDLE_TIMEOUT_MS;
+    let idleSince = null;
+    let sentCount = recorder.sent.length;
+
+    while (Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, IDLE_POLL_MS));
+
+        if (!isQueueIdle() || recorder.sent.length !== sentCount) {
+            idleSince = null;
+            sentCount = recorder.sent.length;
+            continue;
+        }
+        idleSince = idleSince || Date.now();
+        if (Date.now() - idleSince >= IDLE_STABLE_MS) {
+            return;
+        }
+    }
+
+    throw new Error(`Queue did not go idle within ${IDLE_TIMEOUT_MS}ms`);
+}
+
+/**
+ * Tool calls the mock LLM returned since a given request index, by name
+ */
+function toolCallsSince(requestIndex) {
+    return mockProvider.requests.slice(requestIndex).flatMap(({ turn, step }) => {
+        const scripted = mockProvider.script.turns[turn - 1]?.[step - 1];
+        return (scripted?.toolCalls || []).map(call => call.name);
+    });
+}
+
+function projectMessage(message) {
+    return {
+        sender: message.sender,
+        type: message.type,
+        text: (message.content || []).map(chunk => chunk.content).join(''),
+        status: message.status,
+        recipient: message.recipient,
+        toolCalls: (message.openaiToolContext?.tool_calls || []).map(call => call.function?.name)
+    };
+}
+
+function projectAIRequest(aiRequest) {
+    return {
+        status: aiRequest.status,
+        finishReason: aiRequest.finishReason,
+        provider: aiRequest.provider,
+        modelUsed: aiRequest.modelUsed,
+        responseValidation: aiRequest.responseValidation ? {
+            status: aiRequest.responseValidation.status,
+            repairAttempts: aiRequest.responseValidation.repairAttempts,
+            invalidOutputs: (aiRequest.responseValidation.invalidOutputs || []).map(output => output.source)
+        } : null,
+        toolsUsed: (aiRequest.toolsUsed || []).map(tool => ({
+            name: tool.name,
+            round: tool.round,
+            success: tool.success,
+            parallel: tool.parallel,
+            timedOut: tool.timedOut
+        }))
+    };
+}
+
+// ============================================================================
+// Agent Setup & Cleanup
+// ============================================================================
+
+async function createAgent(fixture) {
+    const { tools = [], modelConfig = {}, ...fields } = fixture.agent;
+    const responseSchema = fields.responseSchema || JSON.parse(fs.readFileSync(DEFAULT_RESPONSE_SCHEMA, 'utf8'));
+
+    const agent = await Agent.create({
+        name: `replay:${fixture.name}`,
+        type: 'openai',
+        status: 'active',
+        systemPrompt: 'Sos un asistente de prueba para replays de conversaciones.',
+        ...fields,
+        responseSchema,
+        modelConfig: { provider: 'mock', model: 'mock', streaming: false, ...modelConfig }
+    });
+
+    if (tools.length > 0) {
+        await ToolSchema.updateMany(
+            { toolName: { $in: tools } },
+            { $addToSet: { enabledForAgents: agent._id } }
+        );
+    }
+
+    return agent;
+}
+
+async function deleteAgent(agent) {
+    const conversations = await Conversation.find({ agentId: agent._id }).select('_id participantId').lean();
+    const conversationIds = conversations.map(conversation => conversation._id);
+
+    await Promise.all([
+        Message.deleteMany({ conversationId: { $in: conversationIds } }),
+        AIRequest.deleteMany({ conversationId: { $in: conversationIds } }),
+        FollowUp.deleteMany({ conversationId: { $in: conversationIds } }),
+        Request.deleteMany({ conversationId: { $in: conversationIds } }),
+        ToolSchema.updateMany({ enabledForAgents: agent._id }, { $pull: { enabledForAgents: agent._id } })
+    ]);
+    await Conversation.deleteMany({ agentId: agent._id });
+
+    // Participants the replay created (no conversation with another agent)
+    for (const participantId of conversations.map(conversation => conversation.participantId)) {
+        if (!(await Conversation.exists({ participantId }))) {
+            await Participant.deleteOne({ _id: participantId });
+        }
+    }
+
+    await Agent.deleteOne({ _id: agent._id });
+    await redisClient.del([`agent_config:${agent._id}`, `agent_tools:${agent._id}`]);
+}
+
+// ============================================================================
+// Fixture Runner
+// ============================================================================
+
+async function runFixture(fixture, baseUrl) {
+    const problems = [];
+    const agent = await createAgent(fixture);
+    const restoreTools = installToolFakes(toolExecutor, fixture.fakes?.tools);
+
+    mockProvider.load(fixture.llm);
+    recorder.reset();
+
+    try {
+        for (const [index, step] of fixture.steps.entries()) {
+            const label = `steps[${index}]`;
+            const sentBefore = recorder.sent.length;
+            const requestsBefore = mockProvider.requests.length;
+
+            const status = await postWebhook(baseUrl, step.request);
+            if (status !== (step.status || 200)) {
+                problems.push(`${label}.status: expected ${step.status || 200}, got ${status}`);
+            }
+
+            await waitForIdle(sentBefore);
+
+            if (step.expect?.sent) {
+                problems.push(...diff(step.expect.sent, recorder.sent.slice(sentBefore), `${label}.sent`));
+            }
+            if (step.expect?.toolCalls) {
+                problems.push(...diff(step.expect.toolCalls, toolCallsSince(requestsBefore), `${label}.toolCalls`));
+            }
+        }
+
+        const { expected = {} } = fixture;
+        const conversation = await Conversation.findOne({ agentId: agent._id }).lean();
+
+        if (expected.conversation) {
+            problems.push(...diff(expected.conversation, conversation || null, 'conversation'));
+        }
+        if (expected.messages) {
+            const messages = conversation
+                ? await Message.find({ conversationId: conversation._id }).sort({ createdAt: 1, _id: 1 }).lean()
+                : [];
+            problems.push(...diff(expected.messages, messages.map(projectMessage), 'messages'));
+        }
+        if (expected.aiRequests) {
+            const aiRequests = conversation
+                ? await AIRequest.find({ conversationId: conversation._id }).sort({ createdAt: 1, _id: 1 }).lean()
+                : [];
+            problems.push(...diff(expected.aiRequests, aiRequests.map(projectAIRequest), 'aiRequests'));
+        }
+
+        // Every scripted step should have been requested
+        const scriptedSteps = fixture.llm.turns.reduce((total, turn) => total + turn.length, 0);
+        if (mockProvider.requests.length !== scriptedSteps) {
+            problems.push(`llm: ${scriptedSteps} scripted step(s), ${mockProvider.requests.length} requested`);
+        }
+    } finally {
+        restoreTools();
+        mockProvider.reset();
+        await deleteAgent(agent);
+    }
+
+    return problems;
+}
+
+async function main() {
+    const nameFilter = process.argv[2];
+    const files = fs.readdirSync(FIXTURES_DIR)
+        .filter(file => file.endsWith('.json'))
+        .filter(file => !nameFilter || file === `${nameFilter}.json`)
+        .sort();
+
+    if (files.length === 0) {
+        console.error(`❌ No fixtures found${nameFilter ? ` named ${nameFilter}` : ''} in ${FIXTURES_DIR}`);
+        process.exit(1);
+    }
+
+    const connections = await DatabaseManager.initializeAll();
+    if (!connections.mongodb || !connections.redis) {
+        console.error('❌ Replays need MongoDB and Redis (MONGODB_URI / REDIS_URL of a disposable database)');
+        process.exit(1);
+    }
+    await toolRegistry.initialize();
+
+    const server = await startServer();
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    let passed = 0;
+    let failed = 0;
+    const results = [];
+    const runId = Date.now().toString(36);
+
+    for (const file of files) {
+        const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8').replace(/\{\{run\}\}/g, runId));
+        fixture.name = path.basename(file, '.json');
+
+        console.log(`\n🎬 Replaying ${file} - ${fixture.description}`);
+
+        let problems;
+        try {
+            problems = await runFixture(fixture, baseUrl);
+        } catch (error) {
+            problems = [`threw: ${error.message}`];
+        }
+
+        results.push({ file, description: fixture.description, problems });
+        problems.length === 0 ? passed++ : failed++;
+    }
+
+    // Summary after the pipeline logs
+    console.log('\n📋 Replay results');
+    for (const { file, description, problems } of results) {
+        console.log(`  ${problems.length === 0 ? '✅' : '❌'} ${file} - ${description}`);
+        problems.forEach(problem => console.log(`     ${problem}`));
+    }
+    console.log(`\n📊 ${passed} passed, ${failed} failed`);
+
+    server.close();
+    await DatabaseManager.closeAll();
+    process.exit(failed > 0 ? 1 : 0);  // webhookRoutes keeps a cleanup interval running
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Replay run failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { runFixture };
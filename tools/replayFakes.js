@@ -0,0 +1,123 @@
+/**
+ * tools/replayFakes.js
+ *
+ * Description: In-process fakes of the messaging providers, media storage and paid tools for conversation replays
+ *
+ * Role in the system: Lets tools/replayConversation.js run the real webhook → queue → AI → send pipeline
+ * without provider accounts. UltraMsg and WhatsApp Factory sends are recorded instead of posted, WhatsApp
+ * Factory media resolves to a fake URL and media storage returns a fake stored file. The fakes replace the
+ * functions on the service modules, so they must be installed before anything that destructures them is
+ * loaded (routes/webhookRoutes.js and the modules under it).
+ *
+ * Node.js Context: Testing Tool - provider fakes
+ *
+ * Dependencies:
+ * - services/ultramsgService.js, services/whatsappBusinessService.js, services/whatsappFactoryMediaService.js
+ * - utils/fileStorageUtils.js
+ * - tools/toolExecutor.js (canned tool results)
+ *
+ * Dependants:
+ * - tools/replayConversation.js
+ */
+
+const ultramsgService = require('../services/ultramsgService');
+const whatsappBusinessService = require('../services/whatsappBusinessService');
+const whatsappFactoryMediaService = require('../services/whatsappFactoryMediaService');
+const fileStorageUtils = require('../utils/fileStorageUtils');
+
+const FAKE_MEDIA_BASE_URL = 'https://media.replay.invalid';
+
+// ============================================================================
+// Provider & Storage Fakes
+// ============================================================================
+
+/**
+ * Replace provider sends and media storage with recorders
+ * @returns {Object} Recorder { sent: [{ channel, type, to, text, url, caption, messageId, ... }], storedMedia, reset() }
+ */
+function installFakes() {
+    const recorder = {
+        sent: [],
+        storedMedia: [],
+        reset() {
+            this.sent = [];
+            this.storedMedia = [];
+        }
+    };
+
+    const record = (entry) => {
+        const messageId = `fake-${entry.channel}-${recorder.sent.length + 1}`;
+        recorder.sent.push({ ...entry, messageId });
+        console.log(`📭 [replay] ${entry.channel} ${entry.type} to ${entry.to}: ${entry.text || entry.url}`);
+        return messageId;
+    };
+    const ultramsgResult = (messageId) => ({ sent: 'true', message: 'Message sent successfully', data: { sent: 'true', id: messageId } });
+    const factoryResult = (messageId) => ({ messageId, data: { messages: [{ id: messageId }] } });
+
+    // UltraMsg (services/channels/ultramsgAdapter.js)
+    ultramsgService.sendUltraMsg = async (agent, to, message, messageToQuote = '', referenceId = '') =>
+        ultramsgResult(record({ channel: 'ultramsg', type: 'text', to, text: message, quotedMessageId: messageToQuote || null, referenceId: referenceId || null }));
+    ultramsgService.sendUltraMsgImage = async (agent, to, imageUrl, caption = '', messageToQuote = '', referenceId = '') =>
+        ultramsgResult(record({ channel: 'ultramsg', type: 'image', to, url: imageUrl, caption, quotedMessageId: messageToQuote || null, referenceId: referenceId || null }));
+    ultramsgService.sendUltraMsgVideo = async (agent, to, videoUrl, caption = '', options = {}) =>
+        ultramsgResult(record({ channel: 'ultramsg', type: 'video', to, url: videoUrl, caption, quotedMessageId: options.msgId || null, referenceId: options.referenceId || null }));
+    ultramsgService.sendUltraMsgMedia = async (agent, to, type, mediaUrl, { caption = '', filename = null, referenceId = '' } = {}) =>
+        ultramsgResult(record({ channel: 'ultramsg', type, to, url: mediaUrl, caption, filename, referenceId: referenceId || null }));
+
+    // WhatsApp Factory (services/channels/whatsappFactoryAdapter.js)
+    whatsappBusinessService.sendWhatsAppBusinessMessage = async (agent, to, message, messageToQuote = null) =>
+        factoryResult(record({ channel: 'whatsapp-factory', type: 'text', to, text: message, quotedMessageId: messageToQuote?.id || null }));
+    whatsappBusinessService.sendWhatsAppBusinessMedia = async (agent, to, type, url, options = {}) =>
+        factoryResult(record({ channel: 'whatsapp-factory', type, to, url, caption: options.caption || '', filename: options.filename || null, quotedMessageId: options.quotedMessageId || null }));
+    whatsappFactoryMediaService.getMediaDownloadUrl = async (waId) => `${FAKE_MEDIA_BASE_URL}/whatsapp-factory/${waId}`;
+
+    // File storage (modules/messageProcessor.js)
+    fileStorageUtils.downloadAndStoreMedia = async (mediaData, messageType, originalFilename = null, providedRequestId = null) => {
+        const fileId = `fake-file-${recorder.storedMedia.length + 1}`;
+        recorder.storedMedia.push({ fileId, messageType, mediaData });
+        return {
+            status: 'success',
+            fileId,
+            filename: `${fileId}.bin`,
+            originalFilename,
+            fileSize: 0,
+            fileSizeHuman: '0.00MB',
+            contentType: 'application/octet-stream',
+            downloadUrl: `${FAKE_MEDIA_BASE_URL}/file/${fileId}`,
+            externalUrl: `${FAKE_MEDIA_BASE_URL}/file/${fileId}`,
+            uploadDate: new Date().toISOString(),
+            requestId: providedRequestId
+        };
+    };
+
+    return recorder;
+}
+
+// ============================================================================
+// Tool Fakes
+// ============================================================================
+
+/**
+ * Canned results for tools that would call paid or external services (processRequest, videoGenerator...)
+ * Other tools keep running for real against the replay database.
+ * @param {Object} toolExecutor - tools/toolExecutor.js singleton
+ * @param {Object} results - toolName → result object
+ * @returns {Function} Restores the real runTool
+ */
+function installToolFakes(toolExecutor, results = {}) {
+    const runTool = toolExecutor.runTool;
+
+    toolExecutor.runTool = async function (toolName, parsedArgs, conversationId) {
+        if (results[toolName]) {
+            console.log(`📭 [replay] Canned result for tool ${toolName}`);
+            return { ...results[toolName], function_name: toolName };
+        }
+        return runTool.call(this, toolName, parsedArgs, conversationId);
+    };
+
+    return () => {
+        toolExecutor.runTool = runTool;
+    };
+}
+
+module.exports = { installFakes, installToolFakes, FAKE_MEDIA_BASE_URL };
@@ -0,0 +1,174 @@
+/**
+ * tools/setupTelegramBot.js
+ *
+ * Description: Connects a Telegram bot to an existing agent and registers its webhook
+ *
+ * Role in the system: Validates the @BotFather token (getMe), stores it in Agent.telegram with a fresh
+ * webhook secret and points the bot at /api/webhook?channel=telegram&bot=<botId>. The agent keeps its
+ * WhatsApp channel; Telegram users get their own participants and conversations with the same prompt,
+ * tools and flows.
+ *
+ * Node.js Context: Administrative Tool - channel setup utility
+ *
+ * Dependencies:
+ * - services/telegramBotApiService.js (getMe, setWebhook)
+ * - models/Agent.js (agent lookup and telegram settings)
+ *
+ * Usage (--agent accepts the Agent _id, instanceId or name):
+ * - node tools/setupTelegramBot.js connect --agent 50151 --token 123456:ABC... --url https://bot.example.com
+ * - node tools/setupTelegramBot.js disconnect --agent 50151
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const telegramBotApiService = require('../services/telegramBotApiService');
+const { Agent } = require('../models');
+const { DatabaseManager } = require('../database');
+
+class TelegramBotSetup {
+
+    /**
+     * Find agent by MongoDB _id, instanceId or name
+     * @param {string} agentRef - Agent reference
+     * @returns {Promise<Object>} Agent document
+     */
+    async resolveAgent(agentRef) {
+        if (!agentRef) {
+            throw new Error('--agent is required');
+        }
+
+        let agent = null;
+
+        if (mongoose.Types.ObjectId.isValid(agentRef)) {
+            agent = await Agent.findById(agentRef);
+        }
+        if (!agent) {
+            agent = await Agent.findOne({ instanceId: String(agentRef) });
+        }
+        if (!agent) {
+            agent = await Agent.findByName(String(agentRef));
+        }
+        if (!agent) {
+            throw new Error(`Agent ${agentRef} not found in database`);
+        }
+
+        return agent;
+    }
+
+    /**
+     * Store the bot on the agent and register the webhook
+     * @param {Object} options - { agent, token, url }
+     */
+    async connect({ agent: agentRef, token, url }) {
+        if (!token || !url) {
+            throw new Error('--token and --url are required');
+        }
+
+        const agent = await this.resolveAgent(agentRef);
+        const bot = await telegramBotApiService.getMe(token);
+
+        const otherAgent = await Agent.findOne({ 'telegram.botId': String(bot.id), _id: { $ne: agent._id } });
+        if (otherAgent) {
+            throw new Error(`Bot @${bot.username} is already connected to agent ${otherAgent.name} (${otherAgent._id})`);
+        }
+
+        const webhookSecret = crypto.randomBytes(32).toString('hex');
+        const webhookUrl = `${url.replace(/\/+$/, '')}/api/webhook?channel=telegram&bot=${bot.id}`;
+
+        // Save first: Telegram may deliver an update as soon as the webhook is set
+        agent.telegram = {
+            botToken: token,
+            botId: String(bot.id),
+            botUsername: bot.username,
+            webhookSecret,
+            connectedAt: new Date()
+        };
+        await agent.save();
+
+        await telegramBotApiService.setWebhook(token, webhookUrl, webhookSecret);
+
+        console.log(`✅ Bot @${bot.username} (${bot.id}) connected to agent ${agent.name} (${agent._id})`);
+        console.log(`🔗 Webhook: ${webhookUrl}`);
+        return agent;
+    }
+
+    /**
+     * Remove the webhook and the bot from the agent
+     * @param {Object} options - { agent }
+     */
+    async disconnect({ agent: agentRef }) {
+        const agent = await this.resolveAgent(agentRef);
+        if (!agent.telegram?.botToken) {
+            console.log(`ℹ️ Agent ${agent.name} has no Telegram bot connected`);
+            return agent;
+        }
+
+        try {
+            await telegramBotApiService.callApi(agent.telegram.botToken, 'deleteWebhook');
+        } catch (error) {
+            console.warn(`⚠️ Could not delete the Telegram webhook (continuing):`, error.message);
+        }
+
+        const botUsername = agent.telegram.botUsername;
+        agent.telegram = undefined;
+        await agent.save();
+
+        console.log(`🔌 Bot @${botUsername} disconnected from agent ${agent.name} (${agent._id})`);
+        return agent;
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const setup = new TelegramBotSetup();
+    const args = process.argv.slice(2);
+    const command = args[0];
+    const getArg = (flag) => (args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined);
+
+    (async () => {
+        let exitCode = 0;
+
+        try {
+            if (['connect', 'disconnect'].includes(command)) {
+                await DatabaseManager.initializeAll();
+            }
+
+            switch (command) {
+                case 'connect':
+                    await setup.connect({
+                        agent: getArg('--agent'),
+                        token: getArg('--token'),
+                        url: getArg('--url')
+                    });
+                    break;
+
+                case 'disconnect':
+                    await setup.disconnect({ agent: getArg('--agent') });
+                    break;
+
+                default:
+                    console.log(`
+🤖 Telegram Bot Setup - Usage:
+
+Connect a bot (token from @BotFather, --url is the public base URL of this server):
+  node tools/setupTelegramBot.js connect --agent 50151 --token 123456:ABC... --url https://bot.example.com
+
+Disconnect:
+  node tools/setupTelegramBot.js disconnect --agent 50151
+                    `);
+                    break;
+            }
+        } catch (error) {
+            console.error('❌ Command failed:', error.message);
+            exitCode = 1;
+        } finally {
+            if (['connect', 'disconnect'].includes(command)) {
+                await DatabaseManager.closeAll();
+            }
+            process.exit(exitCode);
+        }
+    })();
+}
+
+module.exports = TelegramBotSetup;
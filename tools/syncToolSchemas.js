@@ -0,0 +1,53 @@
+/**
+ * tools/syncToolSchemas.js
+ * 
+ * Description: Syncs tool definitions from tools/implementations/** into the ToolSchema collection
+ * and reports agent tool wiring problems (same steps the server runs at startup).
+ * 
+ * Replaces populateToolSchemas.js / forceUpdateToolSchemas.js / fixToolSchemaAgentIds.js:
+ * definitions live in code, ToolSchema only stores which agents have each tool enabled.
+ * 
+ * Usage:
+ *   node tools/syncToolSchemas.js           # sync + validate
+ *   node tools/syncToolSchemas.js --check   # validate only (no writes)
+ */
+
+require('dotenv').config();
+const { DatabaseManager } = require('../database');
+const toolRegistry = require('./toolRegistry');
+
+async function syncToolSchemas() {
+  const checkOnly = process.argv.includes('--check');
+  let exitCode = 0;
+
+  try {
+    await DatabaseManager.initializeAll();
+
+    toolRegistry.discover();
+
+    if (!checkOnly) {
+      await toolRegistry.syncToolSchemas('sync-script');
+    }
+
+    const report = await toolRegistry.validateToolSchemas();
+
+    console.log('\n' + '═'.repeat(50));
+    console.log(`🧰 Registered tools: ${report.registered.length}`);
+    console.log(`❌ Enabled without implementation: [${report.missingImplementations.join(', ') || 'none'}]`);
+    console.log(`⚠️  Not enabled for any agent: [${report.notEnabled.join(', ') || 'none'}]`);
+    report.loadErrors.forEach(({ filePath, error }) => {
+      console.log(`💥 Load error in ${filePath}: ${error}`);
+    });
+
+    exitCode = report.valid ? 0 : 1;
+
+  } catch (error) {
+    console.error('❌ Error:', error);
+    exitCode = 1;
+  } finally {
+    await DatabaseManager.closeAll();
+    process.exit(exitCode);
+  }
+}
+
+syncToolSchemas();
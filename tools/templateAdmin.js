@@ -0,0 +1,207 @@
+/**
+ * tools/templateAdmin.js
+ *
+ * Description: Administrative tool for an agent's message templates (HSM) and one-off template sends
+ *
+ * Role in the system: Loads the template definitions approved in the WhatsApp Business Manager into
+ * Agent.templates (same validation as PUT /api/admin/agents/:agentId/templates) and sends a template to a
+ * number, e.g. to re-open a conversation whose 24h service window has closed.
+ *
+ * Node.js Context: Administrative Tool - message template utility
+ *
+ * Dependencies:
+ * - services/templateMessageService.js (validation and sends)
+ * - models/Agent.js (agent lookup and templates)
+ *
+ * Usage (--agent accepts the Agent _id, instanceId or name):
+ * - node tools/templateAdmin.js list --agent 50151
+ * - node tools/templateAdmin.js set --agent 50151 --file templates.json [--dry-run]
+ * - node tools/templateAdmin.js send --agent 50151 --to 5491122334455 --template pedido_listo --var participant_name=Ana --var order=123
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const mongoose = require('mongoose');
+const templateMessageService = require('../services/templateMessageService');
+const { Agent } = require('../models');
+const { DatabaseManager } = require('../database');
+
+class TemplateAdmin {
+
+    /**
+     * Find agent by MongoDB _id, instanceId or name
+     * @param {string} agentRef - Agent reference
+     * @returns {Promise<Object>} Agent document
+     */
+    async resolveAgent(agentRef) {
+        if (!agentRef) {
+            throw new Error('--agent is required');
+        }
+
+        let agent = null;
+
+        if (mongoose.Types.ObjectId.isValid(agentRef)) {
+            agent = await Agent.findById(agentRef);
+        }
+        if (!agent) {
+            agent = await Agent.findOne({ instanceId: String(agentRef) });
+        }
+        if (!agent) {
+            agent = await Agent.findByName(String(agentRef));
+        }
+        if (!agent) {
+            throw new Error(`Agent ${agentRef} not found in database`);
+        }
+
+        return agent;
+    }
+
+    /**
+     * Print the agent's templates
+     * @param {Object} options - { agent }
+     */
+    async list({ agent: agentRef }) {
+        const agent = await this.resolveAgent(agentRef);
+        const templates = agent.templates || [];
+
+        console.log(`📨 ${templates.length} template(s) for agent ${agent.name} (${agent._id}):`);
+        templates.forEach(template => {
+            const fallback = template.serviceWindowFallback ? ' [service window fallback]' : '';
+            console.log(`  - ${template.name} (${template.language}, ${template.category})${fallback}`);
+            console.log(`    variables: ${template.variables.length ? template.variables.join(', ') : '(none)'}`);
+            if (template.body) {
+                console.log(`    body: ${template.body}`);
+            }
+        });
+
+        return templates;
+    }
+
+    /**
+     * Replace the agent's templates with the JSON array in a file
+     * @param {Object} options - { agent, file, dryRun }
+     */
+    async set({ agent: agentRef, file, dryRun = false }) {
+        if (!file) {
+            throw new Error('--file is required');
+        }
+
+        const templates = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const errors = templateMessageService.validateTemplates(templates);
+        if (errors.length > 0) {
+            errors.forEach(error => console.error(`  ${error.path} ${error.message}`));
+            throw new Error(`${errors.length} validation error(s) in ${file}`);
+        }
+
+        const agent = await this.resolveAgent(agentRef);
+        if (dryRun) {
+            console.log(`✅ ${templates.length} template(s) valid for agent ${agent.name} (dry run, nothing saved)`);
+            return agent;
+        }
+
+        agent.templates = templates;
+        agent.metadata.modifiedBy = 'templateAdmin';
+        await agent.save();
+
+        console.log(`✅ ${templates.length} template(s) saved for agent ${agent.name} (${agent._id})`);
+        return agent;
+    }
+
+    /**
+     * Send a template to a number (creates the participant and conversation if needed)
+     * @param {Object} options - { agent, to, template, variables }
+     */
+    async send({ agent: agentRef, to, template, variables }) {
+        if (!to || !template) {
+            throw new Error('--to and --template are required');
+        }
+
+        const agent = await this.resolveAgent(agentRef);
+        const result = await templateMessageService.sendTemplateToNumber(agent, to, template, variables, {
+            sender: 'agent',
+            operator: { name: 'templateAdmin' }
+        });
+
+        if (!result.success) {
+            throw new Error(`${result.error}: ${result.message}`);
+        }
+
+        console.log(`✅ Template ${template} sent to ${to} (conversation ${result.conversation._id}, message ${result.message._id})`);
+        return result;
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const admin = new TemplateAdmin();
+    const args = process.argv.slice(2);
+    const command = args[0];
+    const getArg = (flag) => (args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined);
+
+    // --var name=value, repeatable
+    const getVariables = () => args.reduce((variables, arg, index) => {
+        if (arg === '--var' && args[index + 1]) {
+            const [name, ...value] = args[index + 1].split('=');
+            variables[name] = value.join('=');
+        }
+        return variables;
+    }, {});
+
+    (async () => {
+        let exitCode = 0;
+
+        try {
+            if (['list', 'set', 'send'].includes(command)) {
+                await DatabaseManager.initializeAll();
+            }
+
+            switch (command) {
+                case 'list':
+                    await admin.list({ agent: getArg('--agent') });
+                    break;
+
+                case 'set':
+                    await admin.set({
+                        agent: getArg('--agent'),
+                        file: getArg('--file'),
+                        dryRun: args.includes('--dry-run')
+                    });
+                    break;
+
+                case 'send':
+                    await admin.send({
+                        agent: getArg('--agent'),
+                        to: getArg('--to'),
+                        template: getArg('--template'),
+                        variables: getVariables()
+                    });
+                    break;
+
+                default:
+                    console.log(`
+📨 Message Template Admin - Usage:
+
+List templates:
+  node tools/templateAdmin.js list --agent 50151
+
+Replace templates (JSON array of { name, language, category, body, variables, serviceWindowFallback }):
+  node tools/templateAdmin.js set --agent 50151 --file templates.json [--dry-run]
+
+Send a template:
+  node tools/templateAdmin.js send --agent 50151 --to 5491122334455 --template pedido_listo --var participant_name=Ana
+                    `);
+                    break;
+            }
+        } catch (error) {
+            console.error('❌ Command failed:', error.message);
+            exitCode = 1;
+        } finally {
+            if (['list', 'set', 'send'].includes(command)) {
+                await DatabaseManager.closeAll();
+            }
+            process.exit(exitCode);
+        }
+    })();
+}
+
+module.exports = TemplateAdmin;
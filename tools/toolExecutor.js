@@ -4,23 +4,89 @@
  * Description: Central tool executor that loads and executes tools dynamically
  * 
  * Role in the system: Orchestrates tool execution with modular implementations
+ * (implementations and their execution policy — parallelSafe, timeoutMs — come from tools/toolRegistry.js)
+ * Every execution is published as a tool.called event (services/conversationEventBus.js)
  */
 
-const path = require('path');
+const toolRegistry = require('./toolRegistry');
+const conversationEventBus = require('../services/conversationEventBus');
 
 class ToolExecutor {
-    constructor() {
-        this.toolCache = new Map();
+    /**
+     * Execute a tool by name with arguments, within its timeout (toolRegistry execution policy)
+     * A tool that times out keeps running in the background; the caller gets a 'still_running' result.
+     * @param {string} toolName - Name of the tool to execute
+     * @param {Object} parsedArgs - Parsed tool arguments
+     * @param {string} conversationId - Conversation ID
+     * @param {Object} options - { timeoutMs: overrides the tool's timeout (e.g. what is left of the turn) }
+     * @returns {Promise<Object>} Tool execution result
+     */
+    async executeTool(toolName, parsedArgs, conversationId, options = {}) {
+        const startTime = Date.now();
+        const timeoutMs = options.timeoutMs || toolRegistry.getExecutionPolicy(toolName).timeoutMs;
+
+        const execution = this.runTool(toolName, parsedArgs, conversationId);
+        const result = await this.withTimeout(execution, toolName, timeoutMs, conversationId, startTime);
+
+        conversationEventBus.publish('tool.called', {
+            conversationId,
+            data: {
+                toolName,
+                success: result?.success !== false,
+                status: result?.status || null,
+                durationMs: Date.now() - startTime,
+                timedOut: result?.error === 'TOOL_TIMEOUT'
+            }
+        });
+
+        return result;
     }
 
     /**
-     * Execute a tool by name with arguments
+     * Race a tool execution against its timeout
+     * @param {Promise<Object>} execution - runTool promise (never rejects)
+     * @param {string} toolName - Tool name
+     * @param {number} timeoutMs - Timeout in ms
+     * @param {string} conversationId - Conversation ID
+     * @param {number} startTime - Execution start (ms)
+     * @returns {Promise<Object>} Tool result, or a 'still_running' result on timeout
+     */
+    async withTimeout(execution, toolName, timeoutMs, conversationId, startTime) {
+        let timer = null;
+        const timeout = new Promise(resolve => {
+            timer = setTimeout(() => resolve(null), timeoutMs);
+        });
+
+        const result = await Promise.race([execution, timeout]);
+        clearTimeout(timer);
+
+        if (result !== null) {
+            return result;
+        }
+
+        console.warn(`⏱️ [${conversationId}] Tool ${toolName} still running after ${timeoutMs}ms, answering without its result`);
+        execution.then(lateResult => {
+            console.log(`⏱️ [${conversationId}] Tool ${toolName} finished after its timeout (${Date.now() - startTime}ms, success: ${lateResult?.success !== false})`);
+        });
+
+        return {
+            success: false,
+            status: 'still_running',
+            error: 'TOOL_TIMEOUT',
+            message: 'La herramienta sigue ejecutándose y su resultado no llegó a tiempo para este turno. No la vuelvas a llamar: avisale al usuario que sigue en proceso y, si corresponde, consultá el estado más tarde (por ejemplo con getRequestStatus).',
+            timeoutMs,
+            function_name: toolName
+        };
+    }
+
+    /**
+     * Resolve and run a tool implementation, converting failures into tool results
      * @param {string} toolName - Name of the tool to execute
      * @param {Object} parsedArgs - Parsed tool arguments
      * @param {string} conversationId - Conversation ID
      * @returns {Promise<Object>} Tool execution result
      */
-    async executeTool(toolName, parsedArgs, conversationId) {
+    async runTool(toolName, parsedArgs, conversationId) {
         try {
             // Load tool implementation
             const toolImplementation = await this.loadToolImplementation(toolName);
@@ -49,56 +115,20 @@ class ToolExecutor {
     }
 
     /**
-     * Load tool implementation dynamically
+     * Load tool implementation from the registry
      * @param {string} toolName - Name of the tool
      * @returns {Promise<Object>} Tool implementation instance
      */
     async loadToolImplementation(toolName) {
-        // Check cache first
-        if (this.toolCache.has(toolName)) {
-            return this.toolCache.get(toolName);
-        }
-
-        // Map tool names to file paths
-        const toolPaths = {
-            // Image processing tools
-            'newRequest': './implementations/image/newRequest.js',
-            'updateRequest': './implementations/image/updateRequest.js',
-            'processRequest': './implementations/image/processRequest.js',
-            'getRequestStatus': './implementations/image/getRequestStatus.js',
-            'listActiveRequests': './implementations/image/listActiveRequests.js',
-            'cancelRequest': './implementations/image/cancelRequest.js',
-            
-            // Payment tools
-            'createTopupLink': './implementations/payment/createTopupLink.js',
-            'checkCredits': './implementations/payment/checkCredits.js',
-            
-            // Video tools
-            'videoGenerator': './implementations/video/videoGenerator.js',
-            
-            // Website tools
-            'generateWebsite': './implementations/website/generateWebsite.js',
-            'updateWebsite': './implementations/website/updateWebsite.js'
-        };
-
-        const toolPath = toolPaths[toolName];
-        if (!toolPath) {
-            console.warn(`⚠️ No implementation path found for tool: ${toolName}`);
+        if (!toolRegistry.has(toolName)) {
+            console.warn(`⚠️ No registered implementation found for tool: ${toolName}`);
             return null;
         }
 
         try {
-            const ToolClass = require(toolPath);
-            const toolInstance = new ToolClass();
-            
-            // Cache the instance
-            this.toolCache.set(toolName, toolInstance);
-            
-            console.log(`✅ Loaded implementation for tool: ${toolName}`);
-            return toolInstance;
-
+            return toolRegistry.getInstance(toolName);
         } catch (loadError) {
-            console.error(`❌ Failed to load implementation for ${toolName}:`, loadError.message);
+            console.error(`❌ Failed to instantiate implementation for ${toolName}:`, loadError.message);
             return null;
         }
     }
@@ -107,7 +137,7 @@ class ToolExecutor {
      * Clear tool cache (useful for development/testing)
      */
     clearCache() {
-        this.toolCache.clear();
+        toolRegistry.clearInstances();
         console.log('🗑️ Tool implementation cache cleared');
     }
 }
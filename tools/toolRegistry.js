@@ -0,0 +1,336 @@
+/**
+ * tools/toolRegistry.js
+ *
+ * Description: Self-registering registry of tool implementations discovered from tools/implementations/**
+ *
+ * Role in the system: Single source of truth for tool definitions. Every ToolBase subclass declares its
+ * OpenAI function definition (`static definition`) and category (`static category`); the registry loads
+ * them, syncs them into the ToolSchema collection and validates agent tool wiring at startup.
+ * ToolSchema keeps only per-agent enablement (enabledForAgents, isActive).
+ *
+ * Node.js Context: Registry - Filesystem discovery + MongoDB sync
+ *
+ * Dependencies:
+ * - tools/implementations/toolBase.js (base class used to recognize tools)
+ * - models/ToolSchema.js (per-agent enablement)
+ *
+ * Dependants:
+ * - tools/toolExecutor.js (tool instances)
+ * - modules/responsesClient.js (tool definitions sent to OpenAI)
+ * - server.js (startup sync + validation)
+ * - tools/syncToolSchemas.js (manual sync/report)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ToolBase = require('./implementations/toolBase');
+const ToolSchema = require('../models/ToolSchema');
+
+const IMPLEMENTATIONS_DIR = path.join(__dirname, 'implementations');
+
+// Must match ToolSchema metadata.category enum
+const TOOL_CATEGORIES = ['image_processing', 'payment', 'healthcare', 'video', 'website', 'general'];
+
+// Execution policy of tools that don't declare `static execution`
+const DEFAULT_EXECUTION = {
+    parallelSafe: false,  // Side effects: runs alone, in the order the model asked for it
+    timeoutMs: 30000      // After this the model gets a "still running" result (the tool keeps running)
+};
+
+class ToolRegistry {
+    constructor() {
+        this.tools = new Map();      // toolName → { ToolClass, filePath, category, definition, execution }
+        this.instances = new Map();  // toolName → ToolBase instance
+        this.loadErrors = [];        // [{ filePath, error }]
+        this.discovered = false;
+    }
+
+    // ============================================================================
+    // Discovery & Registration
+    // ============================================================================
+
+    /**
+     * Load every ToolBase subclass under tools/implementations/**
+     * @returns {ToolRegistry} this
+     */
+    discover() {
+        this.tools.clear();
+        this.instances.clear();
+        this.loadErrors = [];
+
+        for (const filePath of this.listImplementationFiles(IMPLEMENTATIONS_DIR)) {
+            try {
+                const ToolClass = require(filePath);
+                if (typeof ToolClass !== 'function' || !(ToolClass.prototype instanceof ToolBase)) {
+                    continue;
+                }
+                this.register(ToolClass, filePath);
+            } catch (error) {
+                console.error(`❌ Failed to load tool implementation ${path.relative(__dirname, filePath)}:`, error.message);
+                this.loadErrors.push({ filePath, error: error.message });
+            }
+        }
+
+        this.discovered = true;
+        console.log(`🧰 Tool registry loaded ${this.tools.size} tools: [${this.getToolNames().join(', ')}]`);
+        return this;
+    }
+
+    /**
+     * Register a ToolBase subclass using its static metadata
+     * @param {Function} ToolClass - ToolBase subclass with static definition/category
+     * @param {string} filePath - Source file (for diagnostics)
+     */
+    register(ToolClass, filePath = null) {
+        const definition = ToolClass.definition;
+        const category = ToolClass.category || 'general';
+
+        if (!definition || typeof definition.name !== 'string' || !definition.name) {
+            throw new Error(`${ToolClass.name} is missing static definition.name`);
+        }
+
+        if (!definition.parameters || definition.parameters.type !== 'object') {
+            throw new Error(`${definition.name} definition.parameters must be an object schema`);
+        }
+
+        if (!TOOL_CATEGORIES.includes(category)) {
+            throw new Error(`${definition.name} has invalid category "${category}"`);
+        }
+
+        const execution = { ...DEFAULT_EXECUTION, ...(ToolClass.execution || {}) };
+        if (typeof execution.parallelSafe !== 'boolean') {
+            throw new Error(`${definition.name} execution.parallelSafe must be a boolean`);
+        }
+        if (!Number.isInteger(execution.timeoutMs) || execution.timeoutMs <= 0) {
+            throw new Error(`${definition.name} execution.timeoutMs must be a positive integer`);
+        }
+
+        const existing = this.tools.get(definition.name);
+        if (existing && existing.ToolClass !== ToolClass) {
+            throw new Error(`Duplicate tool name "${definition.name}" (${existing.filePath} and ${filePath})`);
+        }
+
+        this.tools.set(definition.name, { ToolClass, filePath, category, definition, execution });
+    }
+
+    /**
+     * Recursively list implementation files (toolBase.js excluded)
+     * @param {string} dir - Directory to scan
+     * @returns {Array<string>} Absolute file paths
+     */
+    listImplementationFiles(dir) {
+        const files = [];
+
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                files.push(...this.listImplementationFiles(fullPath));
+            } else if (entry.name.endsWith('.js') && entry.name !== 'toolBase.js') {
+                files.push(fullPath);
+            }
+        }
+
+        return files.sort();
+    }
+
+    ensureDiscovered() {
+        if (!this.discovered) {
+            this.discover();
+        }
+    }
+
+    // ============================================================================
+    // Lookups
+    // ============================================================================
+
+    has(toolName) {
+        this.ensureDiscovered();
+        return this.tools.has(toolName);
+    }
+
+    getToolNames() {
+        return Array.from(this.tools.keys()).sort();
+    }
+
+    /**
+     * Get the OpenAI tool definition for a tool
+     * @param {string} toolName - Tool name
+     * @returns {Object|null} { type: 'function', function: definition }
+     */
+    getDefinition(toolName) {
+        this.ensureDiscovered();
+        const entry = this.tools.get(toolName);
+        return entry ? { type: 'function', function: entry.definition } : null;
+    }
+
+    /**
+     * Get the JSON schema of a tool's arguments
+     * @param {string} toolName - Tool name
+     * @returns {Object|null} definition.parameters
+     */
+    getArgumentSchema(toolName) {
+        this.ensureDiscovered();
+        const entry = this.tools.get(toolName);
+        return entry ? entry.definition.parameters : null;
+    }
+
+    getCategory(toolName) {
+        this.ensureDiscovered();
+        const entry = this.tools.get(toolName);
+        return entry ? entry.category : null;
+    }
+
+    /**
+     * Get how a tool may be executed
+     * @param {string} toolName - Tool name
+     * @returns {Object} { parallelSafe, timeoutMs } (defaults for unknown tools)
+     */
+    getExecutionPolicy(toolName) {
+        this.ensureDiscovered();
+        const entry = this.tools.get(toolName);
+        return entry ? entry.execution : { ...DEFAULT_EXECUTION };
+    }
+
+    /**
+     * Get (cached) tool instance
+     * @param {string} toolName - Tool name
+     * @returns {Object|null} ToolBase instance
+     */
+    getInstance(toolName) {
+        this.ensureDiscovered();
+
+        if (this.instances.has(toolName)) {
+            return this.instances.get(toolName);
+        }
+
+        const entry = this.tools.get(toolName);
+        if (!entry) {
+            return null;
+        }
+
+        const instance = new entry.ToolClass();
+        this.instances.set(toolName, instance);
+        return instance;
+    }
+
+    clearInstances() {
+        this.instances.clear();
+    }
+
+    // ============================================================================
+    // ToolSchema Sync & Validation
+    // ============================================================================
+
+    /**
+     * Upsert code-defined definitions/categories into ToolSchema.
+     * enabledForAgents and isActive are never touched here.
+     * @param {string} modifiedBy - Audit label
+     * @returns {Promise<Object>} { created, updated, unchanged }
+     */
+    async syncToolSchemas(modifiedBy = 'tool-registry') {
+        this.ensureDiscovered();
+        const summary = { created: [], updated: [], unchanged: [] };
+
+        for (const [toolName, entry] of this.tools) {
+            const toolDefinition = { type: 'function', function: entry.definition };
+            const existing = await ToolSchema.findOne({ toolName });
+
+            if (!existing) {
+                await ToolSchema.create({
+                    toolName,
+                    toolDefinition,
+                    enabledForAgents: [],
+                    metadata: {
+                        category: entry.category,
+                        modifiedBy,
+                        notes: `Registered from ${path.relative(path.join(__dirname, '..'), entry.filePath)}`
+                    }
+                });
+                summary.created.push(toolName);
+                continue;
+            }
+
+            const definitionChanged = JSON.stringify(existing.toolDefinition) !== JSON.stringify(toolDefinition);
+            const categoryChanged = existing.metadata?.category !== entry.category;
+
+            if (!definitionChanged && !categoryChanged) {
+                summary.unchanged.push(toolName);
+                continue;
+            }
+
+            existing.toolDefinition = toolDefinition;
+            existing.markModified('toolDefinition');
+            existing.metadata.category = entry.category;
+            existing.metadata.version = (existing.metadata.version || 1) + 1;
+            existing.metadata.lastModified = new Date();
+            existing.metadata.modifiedBy = modifiedBy;
+            await existing.save();
+            summary.updated.push(toolName);
+        }
+
+        console.log(`🔄 ToolSchema sync:`, {
+            created: summary.created,
+            updated: summary.updated,
+            unchanged: summary.unchanged.length
+        });
+
+        return summary;
+    }
+
+    /**
+     * Cross-check ToolSchema documents against registered implementations
+     * @returns {Promise<Object>} Validation report
+     */
+    async validateToolSchemas() {
+        this.ensureDiscovered();
+
+        const docs = await ToolSchema.find({}).select('toolName enabledForAgents isActive').lean();
+        const docsByName = new Map(docs.map(doc => [doc.toolName, doc]));
+
+        // Enabled for an agent but nothing to execute
+        const missingImplementations = docs
+            .filter(doc => doc.isActive && doc.enabledForAgents?.length > 0 && !this.tools.has(doc.toolName))
+            .map(doc => doc.toolName);
+
+        // Implemented but no agent can use it
+        const notEnabled = this.getToolNames().filter(toolName => {
+            const doc = docsByName.get(toolName);
+            return !doc || !doc.isActive || !doc.enabledForAgents?.length;
+        });
+
+        const report = {
+            valid: missingImplementations.length === 0 && this.loadErrors.length === 0,
+            registered: this.getToolNames(),
+            missingImplementations,
+            notEnabled,
+            loadErrors: this.loadErrors
+        };
+
+        if (missingImplementations.length > 0) {
+            console.error(`❌ ToolSchemas enabled for agents without implementation: [${missingImplementations.join(', ')}]`);
+        }
+        if (notEnabled.length > 0) {
+            console.warn(`⚠️ Tool implementations not enabled for any agent: [${notEnabled.join(', ')}]`);
+        }
+        if (report.valid) {
+            console.log(`✅ Tool registry validated against ToolSchema (${report.registered.length} tools)`);
+        }
+
+        return report;
+    }
+
+    /**
+     * Startup entry point: discover, sync and validate
+     * @returns {Promise<Object>} Validation report
+     */
+    async initialize() {
+        this.discover();
+        await this.syncToolSchemas();
+        return this.validateToolSchemas();
+    }
+}
+
+// Export singleton instance
+const toolRegistry = new ToolRegistry();
+
+module.exports = toolRegistry;
@@ -1,28 +1,29 @@
 /**
  * tools/updateAgentPrompt.js
  * 
- * Description: Quick utility to update agent system prompt directly in MongoDB
+ * Description: Quick utility to publish a new agent system prompt version from a file
  * 
- * Usage: node tools/updateAgentPrompt.js <agentId> <promptFilePath>
- * Example: node tools/updateAgentPrompt.js 1 agent-1.md
+ * Usage: node tools/updateAgentPrompt.js <agentId> <promptFilePath> [author] [notes]
+ * Example: node tools/updateAgentPrompt.js 1 agent-1.md maxi "Tone adjustments"
+ * 
+ * Creates a new AgentPrompt version and activates it (see tools/promptAdmin.js for history/rollback)
  */
 
 const fs = require('fs').promises;
 const path = require('path');
-const mongoose = require('mongoose');
 require('dotenv').config();
 
-// Import Agent model
+const { DatabaseManager } = require('../database');
 const Agent = require('../models/Agent');
+const promptManager = require('../utils/promptManager');
 
-async function updateAgentPrompt(agentId, promptFilePath) {
+async function updateAgentPrompt(agentId, promptFilePath, author = 'updateAgentPrompt-tool', notes = undefined) {
     try {
         console.log(`🚀 Starting prompt update for agent ${agentId}`);
         
-        // Connect to MongoDB
-        const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/ai-agents';
-        await mongoose.connect(mongoUri);
-        console.log('✅ Connected to MongoDB');
+        // Connect to MongoDB + Redis (prompt cache is cleared on activation)
+        await DatabaseManager.initializeAll();
+        console.log('✅ Connected to databases');
         
         // Read prompt file
         const fullPath = path.resolve(process.cwd(), promptFilePath);
@@ -62,26 +63,23 @@ async function updateAgentPrompt(agentId, promptFilePath) {
         
         console.log(`✅ Found agent: ${agent.name}`);
         
-        // Update system prompt
-        agent.systemPrompt = promptContent;
-        agent.metadata.lastModified = new Date();
-        agent.metadata.modifiedBy = 'updateAgentPrompt-tool';
-        
-        await agent.save();
+        // Publish as a new active version
+        const newVersion = await promptManager.setAgentPrompt(agent._id, promptContent, { author, notes });
         
         console.log(`🎉 Successfully updated system prompt for agent: ${agent.name}`, {
             agentId: agent._id,
+            version: newVersion.version,
+            diff: newVersion.diffSummary.summary,
             promptLength: promptContent.length,
-            wordCount: promptContent.split(/\s+/).length,
-            lastModified: agent.metadata.lastModified
+            wordCount: promptContent.split(/\s+/).length
         });
         
     } catch (error) {
         console.error(`❌ Error updating prompt:`, error.message);
         throw error;
     } finally {
-        await mongoose.disconnect();
-        console.log('🔌 Disconnected from MongoDB');
+        await DatabaseManager.closeAll();
+        console.log('🔌 Disconnected from databases');
     }
 }
 
@@ -89,15 +87,15 @@ async function updateAgentPrompt(agentId, promptFilePath) {
 const args = process.argv.slice(2);
 
 if (args.length < 2) {
-    console.error('Usage: node tools/updateAgentPrompt.js <agentId> <promptFilePath>');
+    console.error('Usage: node tools/updateAgentPrompt.js <agentId> <promptFilePath> [author] [notes]');
     console.error('Example: node tools/updateAgentPrompt.js 1 agent-1.md');
     process.exit(1);
 }
 
-const [agentId, promptFilePath] = args;
+const [agentId, promptFilePath, author, notes] = args;
 
 // Run update
-updateAgentPrompt(agentId, promptFilePath)
+updateAgentPrompt(agentId, promptFilePath, author, notes)
     .then(() => {
         console.log('✅ Update completed successfully');
         process.exit(0);
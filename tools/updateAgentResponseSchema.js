@@ -14,6 +14,7 @@ require('dotenv').config();
 
 // Import Agent model
 const Agent = require('../models/Agent');
+const { validateResponseSchema } = require('../utils/responseSchemaValidator');
 
 async function updateAgentResponseSchema(agentId, schemaFilePath) {
     try {
@@ -31,6 +32,14 @@ async function updateAgentResponseSchema(agentId, schemaFilePath) {
         
         console.log(`📂 Read schema file: ${schemaFilePath}`);
         console.log(`📋 Schema name: ${schemaObject.name}`);
+        
+        // Same rules as PUT /api/admin/agents/:agentId/response-schema
+        const schemaErrors = validateResponseSchema(schemaObject);
+        if (schemaErrors.length > 0) {
+            schemaErrors.forEach(e => console.error(`  - ${e.path} ${e.message}`));
+            throw new Error(`Invalid response schema (${schemaErrors.length} errors)`);
+        }
+        
         console.log(`📊 Schema properties: ${Object.keys(schemaObject.schema.properties).join(', ')}`);
         
         // Find agent by instanceId
@@ -24,7 +24,11 @@ const crypto = require('crypto');
 // File storage server configuration from server.md
 const FILE_STORAGE_BASE_URL = process.env.FILE_STORAGE_BASE_URL || 'https://files.api-ai-mvp.com';
 const FILE_STORAGE_EXTERNAL_URL = process.env.FILE_STORAGE_EXTERNAL_URL || 'https://files.api-ai-mvp.com';
-const FILE_STORAGE_API_KEY = process.env.API_KEY_WEBHOOK; // Using same API key as documented
+// Dedicated file server credential. It is embedded in download URLs sent to users, so it must never be an API key
+const FILE_STORAGE_API_KEY = process.env.FILE_STORAGE_API_KEY;
+if (!FILE_STORAGE_API_KEY) {
+  console.warn('⚠️ FILE_STORAGE_API_KEY is not set - media uploads and downloads will fail');
+}
 const FILE_SIZE_LIMIT = parseInt(process.env.FILE_SIZE_LIMIT || '25') * 1024 * 1024; // Convert MB to bytes
 
 // Supported media types and extensions from server.md security specifications
@@ -446,6 +450,7 @@ module.exports = {
   hasMediaContent,
   createDownloadUrl,
   createExternalDownloadUrl,
+  FILE_STORAGE_API_KEY,
   ALLOWED_EXTENSIONS,
   MEDIA_TYPE_MAPPING
 };
@@ -0,0 +1,169 @@
+/**
+ * utils/jsonSchemaValidator.js
+ *
+ * Description: Minimal JSON Schema validator for the subset used by OpenAI function definitions and structured outputs
+ *
+ * Role in the system: Validates tool arguments against `definition.parameters` before a tool runs, and AI
+ * responses against Agent.responseSchema before they are sent
+ *
+ * Node.js Context: Utility - Pure function, no I/O
+ *
+ * Supported keywords: type (incl. arrays of types, integer, null), enum, const, properties, required,
+ * additionalProperties (boolean or schema), items, minLength, maxLength, pattern, minimum, maximum,
+ * minItems, maxItems, anyOf, $ref (local "#/..." references, e.g. into $defs)
+ *
+ * Dependants:
+ * - tools/implementations/toolBase.js (argument validation)
+ * - services/responseValidationService.js (AI response validation)
+ */
+
+/**
+ * Returns the JSON Schema type name of a value
+ * @param {*} value - Any JSON value
+ * @returns {string} 'null' | 'array' | 'integer' | 'number' | 'string' | 'boolean' | 'object'
+ */
+function jsonTypeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = jsonTypeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * Resolves a local reference ("#/$defs/name") against the root schema
+ * @returns {Object|null} Referenced schema, null when it does not exist
+ */
+function resolveRef(ref, root) {
+  if (!ref.startsWith('#')) {
+    return null;
+  }
+
+  return ref.slice(1).split('/').filter(Boolean).reduce((node, segment) => {
+    const key = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+    return node && typeof node === 'object' ? node[key] : undefined;
+  }, root) || null;
+}
+
+/**
+ * Validates a value against a schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON schema
+ * @param {string} path - Path of the value (for error messages)
+ * @param {Object} root - Schema that $ref paths resolve against (the top-level schema)
+ * @returns {Array<Object>} List of { path, message } errors (empty when valid)
+ */
+function validate(value, schema, path = '$', root = schema) {
+  if (!schema || typeof schema !== 'object') {
+    return [];
+  }
+
+  const errors = [];
+
+  // === $ref ===
+  if (typeof schema.$ref === 'string') {
+    const referenced = resolveRef(schema.$ref, root);
+    if (!referenced) {
+      errors.push({ path, message: `references unknown schema ${schema.$ref}` });
+      return errors;
+    }
+    return validate(value, referenced, path, root);
+  }
+
+  // === anyOf ===
+  if (Array.isArray(schema.anyOf)) {
+    const matches = schema.anyOf.some(subSchema => validate(value, subSchema, path, root).length === 0);
+    if (!matches) {
+      errors.push({ path, message: 'does not match any of the allowed schemas' });
+    }
+    return errors;
+  }
+
+  // === type ===
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path, message: `must be of type ${types.join(' | ')}, received ${jsonTypeOf(value)}` });
+      return errors; // Further checks are meaningless with the wrong type
+    }
+  }
+
+  // === enum / const ===
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of: ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+
+  // === strings ===
+  if (typeof value === 'string') {
+    if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+      errors.push({ path, message: `must have at least ${schema.minLength} characters` });
+    }
+    if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) {
+      errors.push({ path, message: `must have at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `must match pattern ${schema.pattern}` });
+    }
+  }
+
+  // === numbers ===
+  if (typeof value === 'number') {
+    if (typeof schema.minimum === 'number' && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (typeof schema.maximum === 'number' && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  // === arrays ===
+  if (Array.isArray(value)) {
+    if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    }
+    if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validate(item, schema.items, `${path}[${index}]`, root));
+      });
+    }
+  }
+
+  // === objects ===
+  if (jsonTypeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: `${path}.${key}`, message: 'is required' });
+      }
+    }
+
+    for (const [key, propValue] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validate(propValue, properties[key], `${path}.${key}`, root));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${path}.${key}`, message: 'is not an allowed property' });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(propValue, schema.additionalProperties, `${path}.${key}`, root));
+      }
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validate,
+  jsonTypeOf
+};
@@ -1,21 +1,25 @@
 /**
  * utils/promptManager.js
  * 
- * Description: Utility for managing agent system prompts with MongoDB storage and Redis caching
+ * Description: Utility for managing versioned agent system prompts with MongoDB storage and Redis caching
  * 
- * Role in the system: Provides CRUD operations for large system prompts (40+ pages) with performance optimization
+ * Role in the system: Creates prompt versions, activates/rolls back versions (Agent.activePrompt pointer)
+ * and serves the active prompt (40+ pages) from Redis
  * 
  * Node.js Context: Utility - System prompt management and caching
  * 
  * Dependencies:
- * - models/AgentPrompt.js (MongoDB prompt storage)
+ * - models/AgentPrompt.js (MongoDB prompt versions)
+ * - models/Agent.js (active version pointer)
  * - database/index.js (Redis client for caching)
  * 
  * Dependants:
  * - modules/responsesClient.js (prompt loading)
- * - API routes for prompt management (future)
+ * - routes/adminApiRoutes.js (prompt version endpoints, version 1 on agent creation)
+ * - tools/promptAdmin.js, tools/updateAgentPrompt.js (CLI prompt management)
  */
 
+const Agent = require('../models/Agent');
 const AgentPrompt = require('../models/AgentPrompt');
 const { redisClient } = require('../database');
 
@@ -27,11 +31,11 @@ class PromptManager {
     }
 
     /**
-     * Create or update system prompt for agent
-     * @param {number} agentId - PostgreSQL Agent ID
+     * Create a new prompt version for agent (activated by default)
+     * @param {string} agentId - MongoDB Agent ObjectId
      * @param {string} systemPrompt - The system prompt content
-     * @param {Object} options - Additional metadata options
-     * @returns {Promise<Object>} Created/updated prompt document
+     * @param {Object} options - { author, notes, category, tags, activate }
+     * @returns {Promise<Object>} Created prompt document
      */
     async setAgentPrompt(agentId, systemPrompt, options = {}) {
         try {
@@ -44,20 +48,34 @@ class PromptManager {
                 throw new Error(`System prompt exceeds maximum size of ${this.maxPromptSize} characters`);
             }
 
+            const agent = await Agent.findById(agentId);
+            if (!agent) {
+                throw new Error(`Agent not found: ${agentId}`);
+            }
+
             console.log(`📝 Setting system prompt for agent ${agentId}`, {
                 characterCount: systemPrompt.length,
                 wordCount: systemPrompt.split(/\s+/).length,
                 category: options.category || 'general'
             });
 
+            // Keep the pre-versioning prompt as version 1 so it can be rolled back to
+            await this.ensureInitialVersion(agent);
+
             // Create new prompt version
             const newPrompt = await AgentPrompt.createPrompt(agentId, systemPrompt, options);
 
-            // Clear cache to force reload
-            await this.clearCache(agentId);
+            if (options.activate !== false) {
+                await this.activateVersion(agentId, newPrompt.version, {
+                    author: newPrompt.author,
+                    reason: options.notes || 'New version'
+                });
+            }
 
             console.log(`✅ System prompt set for agent ${agentId}`, {
                 version: newPrompt.version,
+                diff: newPrompt.diffSummary.summary,
+                activated: options.activate !== false,
                 estimatedTokens: newPrompt.metadata.estimatedTokens
             });
 
@@ -70,59 +88,178 @@ class PromptManager {
     }
 
     /**
-     * Get system prompt for agent with caching
-     * @param {number} agentId - PostgreSQL Agent ID
-     * @returns {Promise<string>} System prompt content
+     * Snapshot Agent.systemPrompt as version 1 for agents that predate prompt versioning
+     * @param {Object} agent - Agent document
+     * @returns {Promise<Object|null>} Created version or null if versions already exist
      */
-    async getAgentPrompt(agentId) {
-        if (!agentId) {
-            return this.getDefaultPrompt();
+    async ensureInitialVersion(agent) {
+        const existing = await AgentPrompt.countDocuments({ agentId: agent._id });
+        if (existing > 0 || !agent.systemPrompt) {
+            return null;
+        }
+
+        const initialPrompt = await AgentPrompt.createPrompt(agent._id, agent.systemPrompt, {
+            author: agent.metadata?.modifiedBy || 'legacy-import',
+            notes: 'Imported from Agent.systemPrompt'
+        });
+
+        // It was live until now: record it as the active version
+        initialPrompt.activatedAt = agent.metadata?.lastModified || agent.updatedAt || new Date();
+        initialPrompt.activations.push({ activatedAt: initialPrompt.activatedAt, activatedBy: initialPrompt.author, reason: 'legacy-import' });
+        await initialPrompt.save();
+
+        console.log(`📥 [Agent ${agent._id}] Imported existing system prompt as version 1`);
+        return initialPrompt;
+    }
+
+    /**
+     * Point the agent at a stored version (also used for rollbacks)
+     * @param {string} agentId - MongoDB Agent ObjectId
+     * @param {number} version - Version to activate
+     * @param {Object} options - { author, reason }
+     * @returns {Promise<Object>} Activated prompt document
+     */
+    async activateVersion(agentId, version, options = {}) {
+        const prompt = await AgentPrompt.findVersion(agentId, version);
+        if (!prompt) {
+            throw new Error(`Prompt version ${version} not found for agent ${agentId}`);
+        }
+
+        const agent = await Agent.findById(agentId);
+        if (!agent) {
+            throw new Error(`Agent not found: ${agentId}`);
+        }
+
+        const activatedAt = new Date();
+        const activatedBy = options.author || 'system';
+
+        // Agent.systemPrompt mirrors the active version for legacy readers
+        agent.activePrompt = {
+            promptId: prompt._id,
+            version: prompt.version,
+            activatedAt,
+            activatedBy
+        };
+        agent.systemPrompt = prompt.systemPrompt;
+        agent.metadata.modifiedBy = activatedBy;
+        await agent.save();
+
+        prompt.activatedAt = activatedAt;
+        prompt.activations.push({ activatedAt, activatedBy, reason: options.reason });
+        await prompt.save();
+
+        await this.clearCache(agentId);
+
+        console.log(`🔀 [Agent ${agentId}] Activated prompt version ${version}`, {
+            activatedBy,
+            reason: options.reason
+        });
+
+        return prompt;
+    }
+
+    /**
+     * Roll back to a previous version
+     * @param {string} agentId - MongoDB Agent ObjectId
+     * @param {number} version - Version to restore
+     * @param {Object} options - { author, reason }
+     * @returns {Promise<Object>} Activated prompt document
+     */
+    async rollbackAgentPrompt(agentId, version, options = {}) {
+        const current = await AgentPrompt.getActivePrompt(agentId);
+        if (current && current.version === version) {
+            throw new Error(`Version ${version} is already active for agent ${agentId}`);
         }
 
+        return this.activateVersion(agentId, version, {
+            author: options.author,
+            reason: options.reason || `Rollback from version ${current ? current.version : 'none'} to ${version}`
+        });
+    }
+
+    /**
+     * Get the active prompt version for agent with caching
+     * @param {string} agentId - MongoDB Agent ObjectId
+     * @returns {Promise<Object|null>} { promptId, version, systemPrompt } or null when agent has no versions
+     */
+    async getActivePromptVersion(agentId) {
+        const cacheKey = `${this.cachePrefix}${agentId}`;
+
         try {
-            // Check cache first
-            const cacheKey = `${this.cachePrefix}${agentId}`;
             const cachedPrompt = await redisClient.get(cacheKey);
-            
             if (cachedPrompt) {
                 console.log(`📦 [Agent ${agentId}] Using cached system prompt`);
-                return cachedPrompt;
+                return JSON.parse(cachedPrompt);
             }
+        } catch (cacheError) {
+            console.error(`⚠️ [Agent ${agentId}] Prompt cache read failed:`, cacheError.message);
+        }
 
-            // Load from MongoDB
-            const agentPrompt = await AgentPrompt.getActivePrompt(agentId);
-            
-            if (!agentPrompt) {
-                console.warn(`⚠️ [Agent ${agentId}] No system prompt found, using default`);
-                return this.getDefaultPrompt();
-            }
+        const agentPrompt = await AgentPrompt.getActivePrompt(agentId);
+        if (!agentPrompt) {
+            return null;
+        }
+
+        const activePrompt = {
+            promptId: agentPrompt._id.toString(),
+            version: agentPrompt.version,
+            systemPrompt: agentPrompt.systemPrompt
+        };
 
+        try {
             // Cache for future use (Redis v4+ syntax)
-            await redisClient.setEx(cacheKey, this.cacheTTL, agentPrompt.systemPrompt);
-            
-            console.log(`✅ [Agent ${agentId}] Loaded and cached system prompt`, {
-                version: agentPrompt.version,
-                characterCount: agentPrompt.metadata.characterCount,
-                wordCount: agentPrompt.metadata.wordCount
-            });
+            await redisClient.setEx(cacheKey, this.cacheTTL, JSON.stringify(activePrompt));
+        } catch (cacheError) {
+            console.error(`⚠️ [Agent ${agentId}] Prompt cache write failed:`, cacheError.message);
+        }
 
-            return agentPrompt.systemPrompt;
+        console.log(`✅ [Agent ${agentId}] Loaded and cached system prompt`, {
+            version: agentPrompt.version,
+            characterCount: agentPrompt.metadata.characterCount,
+            wordCount: agentPrompt.metadata.wordCount
+        });
+
+        return activePrompt;
+    }
+
+    /**
+     * Get system prompt for agent with caching
+     * @param {string} agentId - MongoDB Agent ObjectId
+     * @param {string} fallbackPrompt - Prompt to use when the agent has no versions (e.g. Agent.systemPrompt)
+     * @returns {Promise<string>} System prompt content
+     */
+    async getAgentPrompt(agentId, fallbackPrompt = null) {
+        if (!agentId) {
+            return fallbackPrompt || this.getDefaultPrompt();
+        }
+
+        try {
+            const activePrompt = await this.getActivePromptVersion(agentId);
+
+            if (!activePrompt) {
+                if (!fallbackPrompt) {
+                    console.warn(`⚠️ [Agent ${agentId}] No system prompt found, using default`);
+                }
+                return fallbackPrompt || this.getDefaultPrompt();
+            }
+
+            return activePrompt.systemPrompt;
 
         } catch (error) {
             console.error(`❌ [Agent ${agentId}] Error loading system prompt:`, error.message);
-            return this.getDefaultPrompt();
+            return fallbackPrompt || this.getDefaultPrompt();
         }
     }
 
     /**
-     * Clear cached prompt for agent
-     * @param {number} agentId - PostgreSQL Agent ID
+     * Clear cached prompt (and the agent config that embeds it) for agent
+     * @param {string} agentId - MongoDB Agent ObjectId
      * @returns {Promise<boolean>} Success status
      */
     async clearCache(agentId) {
         try {
-            const cacheKey = `${this.cachePrefix}${agentId}`;
-            await redisClient.del(cacheKey);
+            await redisClient.del(`${this.cachePrefix}${agentId}`);
+            await redisClient.del(`agent_config:${agentId}`);
             console.log(`🗑️ [Agent ${agentId}] Cleared prompt cache`);
             return true;
         } catch (error) {
@@ -133,13 +270,19 @@ class PromptManager {
 
     /**
      * Get prompt history for agent
-     * @param {number} agentId - PostgreSQL Agent ID
+     * @param {string} agentId - MongoDB Agent ObjectId
      * @param {number} limit - Maximum versions to return
-     * @returns {Promise<Array>} Prompt version history
+     * @returns {Promise<Array>} Prompt version history (without prompt bodies)
      */
     async getPromptHistory(agentId, limit = 10) {
         try {
-            return await AgentPrompt.getPromptHistory(agentId, limit);
+            const [history, agent] = await Promise.all([
+                AgentPrompt.getPromptHistory(agentId, limit),
+                Agent.findById(agentId).select('activePrompt').lean()
+            ]);
+
+            const activeVersion = agent?.activePrompt?.version;
+            return history.map(entry => ({ ...entry, isActive: entry.version === activeVersion }));
         } catch (error) {
             console.error(`❌ [Agent ${agentId}] Error getting prompt history:`, error.message);
             return [];
@@ -148,7 +291,7 @@ class PromptManager {
 
     /**
      * Get prompt statistics for agent
-     * @param {number} agentId - PostgreSQL Agent ID
+     * @param {string} agentId - MongoDB Agent ObjectId
      * @returns {Promise<Object>} Prompt statistics
      */
     async getPromptStats(agentId) {
@@ -159,7 +302,7 @@ class PromptManager {
                 return {
                     exists: false,
                     agentId,
-                    message: 'No system prompt configured for this agent'
+                    message: 'No system prompt version configured for this agent'
                 };
             }
 
@@ -167,6 +310,10 @@ class PromptManager {
                 exists: true,
                 agentId,
                 version: agentPrompt.version,
+                totalVersions: await AgentPrompt.countDocuments({ agentId }),
+                author: agentPrompt.author,
+                activatedAt: agentPrompt.activatedAt,
+                diffSummary: agentPrompt.diffSummary,
                 metadata: agentPrompt.metadata,
                 lastModified: agentPrompt.updatedAt,
                 cacheKey: `${this.cachePrefix}${agentId}`,
@@ -27,6 +27,7 @@
  * Dependants:
  * - modules/responsesClient.js (buildMessages)
  * - modules/conversationManager.js (message save)
+ * - modules/messageQueue.js (AI message save)
  */
 
 const { redisClient } = require('../database');
@@ -84,6 +85,7 @@ async function cacheMessage(conversationId, message) {
       _id: message._id.toString(),
       conversationId: message.conversationId.toString(),
       sender: message.sender,
+      recipient: message.recipient,
       type: message.type,
       content: message.content,
       timestamp: message.timestamp,
@@ -109,6 +111,10 @@ async function cacheMessage(conversationId, message) {
       
       // Tool context
       openaiToolContext: message.openaiToolContext,
+
+      // Reply buttons / list menu and the user's choice (history reconstruction)
+      interactive: message.interactive,
+      selection: message.selection,
       
       // Metadata
       thinking: message.thinking,
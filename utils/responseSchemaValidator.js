@@ -0,0 +1,154 @@
+/**
+ * utils/responseSchemaValidator.js
+ *
+ * Description: Validates Agent.responseSchema documents before they are stored
+ *
+ * Role in the system: Rejects schemas that OpenAI structured outputs would refuse (strict mode rules) or
+ * that the message pipeline cannot consume, so a bad admin update never reaches a live conversation
+ *
+ * Node.js Context: Utility - Pure function, no I/O
+ *
+ * Dependants:
+ * - routes/adminApiRoutes.js (PUT /agents/:agentId/response-schema, agent create)
+ * - tools/updateAgentResponseSchema.js (CLI)
+ */
+
+const { jsonTypeOf } = require('./jsonSchemaValidator');
+
+// Types accepted by OpenAI structured outputs
+const SUPPORTED_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+
+// Root properties read by modules/messageQueue.js
+const REQUIRED_ROOT_PROPERTIES = ['response'];
+
+const SCHEMA_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * Validates one schema node (recursively)
+ * @param {Object} node - JSON schema node
+ * @param {string} path - Path of the node (for error messages)
+ * @param {boolean} strict - Apply OpenAI strict mode rules
+ * @param {Array<Object>} errors - Accumulator
+ */
+function validateNode(node, path, strict, errors) {
+  if (jsonTypeOf(node) !== 'object') {
+    errors.push({ path, message: 'must be a schema object' });
+    return;
+  }
+
+  // References into $defs are resolved by OpenAI
+  if (typeof node.$ref === 'string') {
+    return;
+  }
+
+  if (Array.isArray(node.anyOf)) {
+    node.anyOf.forEach((subSchema, index) => validateNode(subSchema, `${path}.anyOf[${index}]`, strict, errors));
+    return;
+  }
+
+  const types = Array.isArray(node.type) ? node.type : [node.type];
+  if (!node.type || types.some(type => !SUPPORTED_TYPES.includes(type))) {
+    errors.push({ path: `${path}.type`, message: `must be one of: ${SUPPORTED_TYPES.join(', ')}` });
+    return;
+  }
+
+  if (node.enum !== undefined && !Array.isArray(node.enum)) {
+    errors.push({ path: `${path}.enum`, message: 'must be an array' });
+  }
+
+  if (types.includes('object')) {
+    if (jsonTypeOf(node.properties) !== 'object') {
+      errors.push({ path: `${path}.properties`, message: 'must be an object' });
+      return;
+    }
+
+    const propertyNames = Object.keys(node.properties);
+    const required = node.required || [];
+
+    if (!Array.isArray(required)) {
+      errors.push({ path: `${path}.required`, message: 'must be an array' });
+    } else {
+      required
+        .filter(key => !propertyNames.includes(key))
+        .forEach(key => errors.push({ path: `${path}.required`, message: `lists unknown property "${key}"` }));
+
+      if (strict) {
+        propertyNames
+          .filter(key => !required.includes(key))
+          .forEach(key => errors.push({ path: `${path}.required`, message: `must include "${key}" in strict mode` }));
+      }
+    }
+
+    if (strict && node.additionalProperties !== false) {
+      errors.push({ path: `${path}.additionalProperties`, message: 'must be false in strict mode' });
+    }
+
+    for (const [key, propertySchema] of Object.entries(node.properties)) {
+      validateNode(propertySchema, `${path}.properties.${key}`, strict, errors);
+    }
+  }
+
+  if (types.includes('array')) {
+    if (!node.items) {
+      errors.push({ path: `${path}.items`, message: 'is required for array types' });
+    } else {
+      validateNode(node.items, `${path}.items`, strict, errors);
+    }
+  }
+}
+
+/**
+ * Validates a full Agent.responseSchema ({ name, description, strict, schema })
+ * @param {Object} responseSchema - Response format definition
+ * @returns {Array<Object>} List of { path, message } errors (empty when valid)
+ */
+function validateResponseSchema(responseSchema) {
+  const errors = [];
+
+  if (jsonTypeOf(responseSchema) !== 'object') {
+    return [{ path: '$', message: 'must be an object with name and schema' }];
+  }
+
+  if (typeof responseSchema.name !== 'string' || !SCHEMA_NAME_PATTERN.test(responseSchema.name)) {
+    errors.push({ path: '$.name', message: 'must be 1-64 characters of letters, digits, "_" or "-"' });
+  }
+
+  if (responseSchema.description !== undefined && typeof responseSchema.description !== 'string') {
+    errors.push({ path: '$.description', message: 'must be a string' });
+  }
+
+  if (responseSchema.strict !== undefined && typeof responseSchema.strict !== 'boolean') {
+    errors.push({ path: '$.strict', message: 'must be a boolean' });
+  }
+
+  const schema = responseSchema.schema;
+  if (jsonTypeOf(schema) !== 'object' || schema.type !== 'object') {
+    errors.push({ path: '$.schema', message: 'must be a JSON schema with type "object"' });
+    return errors;
+  }
+
+  validateNode(schema, '$.schema', responseSchema.strict === true, errors);
+
+  for (const key of REQUIRED_ROOT_PROPERTIES) {
+    if (!schema.properties || !schema.properties[key]) {
+      errors.push({ path: `$.schema.properties.${key}`, message: 'is required by the message pipeline' });
+    }
+  }
+
+  if (schema.$defs !== undefined) {
+    if (jsonTypeOf(schema.$defs) !== 'object') {
+      errors.push({ path: '$.schema.$defs', message: 'must be an object' });
+    } else {
+      for (const [key, definition] of Object.entries(schema.$defs)) {
+        validateNode(definition, `$.schema.$defs.${key}`, responseSchema.strict === true, errors);
+      }
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validateResponseSchema,
+  REQUIRED_ROOT_PROPERTIES
+};